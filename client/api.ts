@@ -0,0 +1,554 @@
+// 此文件由 scripts/generateClient.js 根据 /api/openapi.json 生成，请勿手动修改
+// 重新生成: npm run client:generate
+
+// 统一响应格式
+export interface ApiResponse<T = unknown> {
+  success: boolean
+  code: number
+  message: string
+  data: T
+  timestamp: string
+}
+
+export interface PageResponse<T = unknown> {
+  list: T[]
+  total: number
+  page: number
+  pageSize: number
+  totalPages: number
+}
+
+// 订单状态（可选值由订单流程配置决定）
+export type OrderStatus = string
+
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'DELETE'
+
+export interface RequestOptions {
+  method: HttpMethod
+  url: string
+  data?: unknown
+  query?: object
+  // 上传的文件（data 作为表单字段一同提交）
+  files?: UploadFiles
+}
+
+export interface UploadFiles {
+  name: string
+  filePaths: string[]
+}
+
+// 请求发送方法（由调用方基于 wx.request / wx.cloud.callContainer 实现，有 files 时使用 wx.uploadFile，需携带 x-wx-openid）
+export type Requester = <T>(options: RequestOptions) => Promise<ApiResponse<T>>
+
+// 请求体
+export interface ProductBody {
+  name: string
+  globalPrice: number
+  costPrice?: number
+  unit?: string
+  categoryId?: string | null
+  brand?: string | null
+}
+
+export interface MergeBody {
+  sourceIds: string[]
+  targetId: string
+  pricePolicy?: 'keep_target' | 'keep_source' | 'higher' | 'lower'
+}
+
+export interface ProductVariantBody {
+  specification: string
+  price: number
+  unit?: string
+  barcode?: string
+  sortOrder?: number
+}
+
+export interface ProductUnitBody {
+  unit: string
+  conversionFactor: number
+  price: number
+  sortOrder?: number
+}
+
+export interface ProductAliasBody {
+  alias: string
+}
+
+export interface CustomerBody {
+  name: string
+  phone?: string
+}
+
+export interface CustomerAliasBody {
+  alias: string
+}
+
+export interface OrderBody {
+  customerId: string
+  items: Array<{
+    productId: string
+    variantId?: string | null
+    quantity: number
+    unit: string
+    unitPrice: number
+  }>
+  remark?: string
+}
+
+export interface OrderUpdateBody {
+  remark?: string
+  items?: Array<{
+    productId: string
+    variantId?: string | null
+    quantity: number
+    unit: string
+    unitPrice: number
+  }>
+}
+
+export interface OrderStatusBody {
+  status: OrderStatus
+  remark?: string
+}
+
+export interface PaymentBody {
+  amount: number
+  method?: 'cash' | 'wechat' | 'alipay' | 'bank' | 'other'
+  paidAt?: string
+  remark?: string
+}
+
+export interface OrderReturnBody {
+  items: Array<{
+    orderItemId: string
+    quantity: number
+  }>
+  refundType?: 'refund' | 'credit'
+  refundAmount?: number
+  reason?: string
+}
+
+export interface StockMovementBody {
+  productId: string
+  type: 'purchase' | 'adjustment'
+  quantity: number
+  remark?: string
+}
+
+export interface SupplierBody {
+  name: string
+  contact?: string
+  phone?: string
+  address?: string
+  remark?: string
+}
+
+export interface PurchaseOrderBody {
+  supplierId: string
+  items: Array<{
+    productId: string
+    quantity: number
+    unit?: string
+    unitCost: number
+  }>
+  remark?: string
+}
+
+export interface PurchaseOrderUpdateBody {
+  supplierId?: string
+  items?: Array<{
+    productId: string
+    quantity: number
+    unit?: string
+    unitCost: number
+  }>
+  remark?: string
+}
+
+export interface PurchaseOrderStatusBody {
+  status: 'ordered' | 'received' | 'cancelled'
+}
+
+export interface CategoryBody {
+  name: string
+  parentId?: string | null
+  sortOrder?: number
+}
+
+export interface UserBody {
+  openid: string
+  name?: string
+  phone?: string
+  role?: 'owner' | 'clerk' | 'driver' | 'viewer'
+}
+
+export interface UserUpdateBody {
+  name?: string
+  phone?: string
+  role?: 'owner' | 'clerk' | 'driver' | 'viewer'
+  isActive?: boolean
+}
+
+export interface OrderWorkflowBody {
+  initialStatus: string
+  cancelStatus: string
+  states: Array<{
+    status: string
+    label: string
+    editable?: boolean
+    confirmed?: boolean
+    returnable?: boolean
+    terminal?: boolean
+  }>
+  transitions: Array<{
+    from: string
+    to: string
+    roles?: string[]
+  }>
+}
+
+export interface OrderNumberPatternBody {
+  prefix?: string
+  dateFormat: string
+  sequenceWidth: number
+}
+
+// 查询参数
+export interface GetProductsQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  categoryId?: string
+  brand?: string
+}
+
+export interface GetCustomersQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  status?: OrderStatus | ''
+  startDate?: string
+  endDate?: string
+}
+
+export interface GetCustomerProductsQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  categoryId?: string
+  brand?: string
+}
+
+export interface GetCustomerStatementQuery {
+  startDate?: string
+  endDate?: string
+  format?: 'json' | 'xlsx'
+}
+
+export interface GetOrdersQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  status?: OrderStatus | ''
+  startDate?: string
+  endDate?: string
+}
+
+export interface PrintDeliveryNoteQuery {
+  format?: 'html' | 'pdf'
+}
+
+export interface GetReturnsQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  customerId?: string
+  startDate?: string
+  endDate?: string
+}
+
+export interface GetStockMovementsQuery {
+  page?: number
+  pageSize?: number
+  productId?: string
+  orderId?: string
+  type?: 'purchase' | 'sale' | 'return' | 'adjustment' | ''
+  startDate?: string
+  endDate?: string
+}
+
+export interface GetSuppliersQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  status?: OrderStatus | ''
+  startDate?: string
+  endDate?: string
+}
+
+export interface GetPurchaseOrdersQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  status?: 'draft' | 'ordered' | 'received' | 'cancelled' | ''
+  supplierId?: string
+  startDate?: string
+  endDate?: string
+}
+
+export interface GetUsersQuery {
+  page?: number
+  pageSize?: number
+  keyword?: string
+  role?: 'owner' | 'clerk' | 'driver' | 'viewer' | ''
+}
+
+export interface GetImportBatchesQuery {
+  page?: number
+  pageSize?: number
+  source?: 'excel' | 'csv' | ''
+  status?: 'processing' | 'completed' | 'failed' | 'rolled_back' | ''
+}
+
+export interface GetReconciliationQuery {
+  format?: 'json' | 'xlsx'
+}
+
+export function createApiClient(request: Requester) {
+  return {
+    // 商品
+    // 需要权限 product:write
+    createProduct: <T = unknown>(data: ProductBody) =>
+      request<T>({ method: 'POST', url: '/api/products', data }),
+    getProducts: <T = unknown>(query?: GetProductsQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/products', query }),
+    // 需要权限 merge:write
+    mergeProducts: <T = unknown>(data: MergeBody) =>
+      request<T>({ method: 'POST', url: '/api/products/merge', data }),
+    getAllProducts: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/products/all' }),
+    getProductVariants: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/products/${id}/variants` }),
+    // 需要权限 product:write
+    createProductVariant: <T = unknown>(id: string, data: ProductVariantBody) =>
+      request<T>({ method: 'POST', url: `/api/products/${id}/variants`, data }),
+    // 需要权限 product:write
+    updateProductVariant: <T = unknown>(id: string, variantId: string, data: ProductVariantBody) =>
+      request<T>({ method: 'PUT', url: `/api/products/${id}/variants/${variantId}`, data }),
+    // 需要权限 product:write
+    deleteProductVariant: <T = unknown>(id: string, variantId: string) =>
+      request<T>({ method: 'DELETE', url: `/api/products/${id}/variants/${variantId}` }),
+    getProductUnits: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/products/${id}/units` }),
+    // 需要权限 product:write
+    createProductUnit: <T = unknown>(id: string, data: ProductUnitBody) =>
+      request<T>({ method: 'POST', url: `/api/products/${id}/units`, data }),
+    // 需要权限 product:write
+    updateProductUnit: <T = unknown>(id: string, unitId: string, data: ProductUnitBody) =>
+      request<T>({ method: 'PUT', url: `/api/products/${id}/units/${unitId}`, data }),
+    // 需要权限 product:write
+    deleteProductUnit: <T = unknown>(id: string, unitId: string) =>
+      request<T>({ method: 'DELETE', url: `/api/products/${id}/units/${unitId}` }),
+    getProductAliases: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/products/${id}/aliases` }),
+    // 需要权限 product:write
+    createProductAlias: <T = unknown>(id: string, data: ProductAliasBody) =>
+      request<T>({ method: 'POST', url: `/api/products/${id}/aliases`, data }),
+    // 需要权限 product:write
+    deleteProductAlias: <T = unknown>(id: string, aliasId: string) =>
+      request<T>({ method: 'DELETE', url: `/api/products/${id}/aliases/${aliasId}` }),
+    getProductStock: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/products/${id}/stock` }),
+    // 需要权限 cost:read
+    getProductCostHistory: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/products/${id}/cost-history` }),
+    getProductById: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/products/${id}` }),
+    // 需要权限 product:write
+    updateProduct: <T = unknown>(id: string, data: ProductBody) =>
+      request<T>({ method: 'PUT', url: `/api/products/${id}`, data }),
+    // 需要权限 product:write
+    deleteProduct: <T = unknown>(id: string) =>
+      request<T>({ method: 'DELETE', url: `/api/products/${id}` }),
+    // 客户
+    // 需要权限 customer:write
+    createCustomer: <T = unknown>(data: CustomerBody) =>
+      request<T>({ method: 'POST', url: '/api/customers', data }),
+    getCustomers: <T = unknown>(query?: GetCustomersQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/customers', query }),
+    // 需要权限 merge:write
+    mergeCustomers: <T = unknown>(data: MergeBody) =>
+      request<T>({ method: 'POST', url: '/api/customers/merge', data }),
+    getAllCustomers: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/customers/all' }),
+    getCustomerProducts: <T = unknown>(customerId: string, query?: GetCustomerProductsQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: `/api/customers/${customerId}/products`, query }),
+    getCustomerBalance: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/customers/${id}/balance` }),
+    getCustomerStatement: <T = unknown>(id: string, query?: GetCustomerStatementQuery) =>
+      request<T>({ method: 'GET', url: `/api/customers/${id}/statement`, query }),
+    getCustomerAliases: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/customers/${id}/aliases` }),
+    // 需要权限 customer:write
+    createCustomerAlias: <T = unknown>(id: string, data: CustomerAliasBody) =>
+      request<T>({ method: 'POST', url: `/api/customers/${id}/aliases`, data }),
+    // 需要权限 customer:write
+    deleteCustomerAlias: <T = unknown>(id: string, aliasId: string) =>
+      request<T>({ method: 'DELETE', url: `/api/customers/${id}/aliases/${aliasId}` }),
+    getCustomerById: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/customers/${id}` }),
+    // 需要权限 customer:write
+    updateCustomer: <T = unknown>(id: string, data: CustomerBody) =>
+      request<T>({ method: 'PUT', url: `/api/customers/${id}`, data }),
+    // 需要权限 customer:write
+    deleteCustomer: <T = unknown>(id: string) =>
+      request<T>({ method: 'DELETE', url: `/api/customers/${id}` }),
+    // 订单
+    // 需要权限 order:write
+    createOrder: <T = unknown>(data: OrderBody) =>
+      request<T>({ method: 'POST', url: '/api/orders', data }),
+    getOrders: <T = unknown>(query?: GetOrdersQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/orders', query }),
+    printDeliveryNote: <T = unknown>(id: string, query?: PrintDeliveryNoteQuery) =>
+      request<T>({ method: 'GET', url: `/api/orders/${id}/print`, query }),
+    getOrderById: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/orders/${id}` }),
+    // 需要权限 order:write
+    updateOrder: <T = unknown>(id: string, data: OrderUpdateBody) =>
+      request<T>({ method: 'PUT', url: `/api/orders/${id}`, data }),
+    updateOrderStatus: <T = unknown>(id: string, data: OrderStatusBody) =>
+      request<T>({ method: 'PUT', url: `/api/orders/${id}/status`, data }),
+    cancelOrder: <T = unknown>(id: string) =>
+      request<T>({ method: 'PUT', url: `/api/orders/${id}/cancel` }),
+    getOrderPayments: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/orders/${id}/payments` }),
+    // 需要权限 payment:write
+    createPayment: <T = unknown>(id: string, data: PaymentBody) =>
+      request<T>({ method: 'POST', url: `/api/orders/${id}/payments`, data }),
+    // 需要权限 payment:write
+    deletePayment: <T = unknown>(id: string, paymentId: string) =>
+      request<T>({ method: 'DELETE', url: `/api/orders/${id}/payments/${paymentId}` }),
+    getOrderReturns: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/orders/${id}/returns` }),
+    // 需要权限 return:write
+    createOrderReturn: <T = unknown>(id: string, data: OrderReturnBody) =>
+      request<T>({ method: 'POST', url: `/api/orders/${id}/returns`, data }),
+    // 统计分析
+    getSalesOverview: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/analytics/overview' }),
+    getSalesTrend: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/analytics/trend' }),
+    getTopProducts: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/analytics/top-products' }),
+    getCustomerAnalytics: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/analytics/customers' }),
+    getOrderStatusStats: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/analytics/order-status' }),
+    // 需要权限 cost:read
+    getProfitAnalytics: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/analytics/profit' }),
+    // 退货
+    getReturns: <T = unknown>(query?: GetReturnsQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/returns', query }),
+    getReturnById: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/returns/${id}` }),
+    // 库存
+    getStockMovements: <T = unknown>(query?: GetStockMovementsQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/inventory/movements', query }),
+    // 需要权限 inventory:write
+    createStockMovement: <T = unknown>(data: StockMovementBody) =>
+      request<T>({ method: 'POST', url: '/api/inventory/movements', data }),
+    // 供应商
+    // 需要权限 purchase:write
+    createSupplier: <T = unknown>(data: SupplierBody) =>
+      request<T>({ method: 'POST', url: '/api/suppliers', data }),
+    getSuppliers: <T = unknown>(query?: GetSuppliersQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/suppliers', query }),
+    getAllSuppliers: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/suppliers/all' }),
+    getSupplierById: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/suppliers/${id}` }),
+    // 需要权限 purchase:write
+    updateSupplier: <T = unknown>(id: string, data: SupplierBody) =>
+      request<T>({ method: 'PUT', url: `/api/suppliers/${id}`, data }),
+    // 需要权限 purchase:write
+    deleteSupplier: <T = unknown>(id: string) =>
+      request<T>({ method: 'DELETE', url: `/api/suppliers/${id}` }),
+    // 采购单
+    // 需要权限 purchase:write
+    createPurchaseOrder: <T = unknown>(data: PurchaseOrderBody) =>
+      request<T>({ method: 'POST', url: '/api/purchase-orders', data }),
+    // 需要权限 cost:read
+    getPurchaseOrders: <T = unknown>(query?: GetPurchaseOrdersQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/purchase-orders', query }),
+    // 需要权限 cost:read
+    getPurchaseOrderById: <T = unknown>(id: string) =>
+      request<T>({ method: 'GET', url: `/api/purchase-orders/${id}` }),
+    // 需要权限 purchase:write
+    updatePurchaseOrder: <T = unknown>(id: string, data: PurchaseOrderUpdateBody) =>
+      request<T>({ method: 'PUT', url: `/api/purchase-orders/${id}`, data }),
+    // 需要权限 purchase:write
+    deletePurchaseOrder: <T = unknown>(id: string) =>
+      request<T>({ method: 'DELETE', url: `/api/purchase-orders/${id}` }),
+    // 需要权限 purchase:write
+    updatePurchaseOrderStatus: <T = unknown>(id: string, data: PurchaseOrderStatusBody) =>
+      request<T>({ method: 'PUT', url: `/api/purchase-orders/${id}/status`, data }),
+    // 商品分类
+    getCategoryTree: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/categories' }),
+    // 需要权限 product:write
+    createCategory: <T = unknown>(data: CategoryBody) =>
+      request<T>({ method: 'POST', url: '/api/categories', data }),
+    // 需要权限 product:write
+    updateCategory: <T = unknown>(id: string, data: CategoryBody) =>
+      request<T>({ method: 'PUT', url: `/api/categories/${id}`, data }),
+    // 需要权限 product:write
+    deleteCategory: <T = unknown>(id: string) =>
+      request<T>({ method: 'DELETE', url: `/api/categories/${id}` }),
+    // 用户
+    getCurrentUser: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/users/me' }),
+    getRoles: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/users/roles' }),
+    // 需要权限 user:manage
+    getUsers: <T = unknown>(query?: GetUsersQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/users', query }),
+    // 需要权限 user:manage
+    createUser: <T = unknown>(data: UserBody) =>
+      request<T>({ method: 'POST', url: '/api/users', data }),
+    // 需要权限 user:manage
+    updateUser: <T = unknown>(id: string, data: UserUpdateBody) =>
+      request<T>({ method: 'PUT', url: `/api/users/${id}`, data }),
+    // 需要权限 user:manage
+    deleteUser: <T = unknown>(id: string) =>
+      request<T>({ method: 'DELETE', url: `/api/users/${id}` }),
+    // 系统配置
+    getOrderWorkflow: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/config/order-workflow' }),
+    // 需要权限 config:write
+    updateOrderWorkflow: <T = unknown>(data: OrderWorkflowBody) =>
+      request<T>({ method: 'PUT', url: '/api/config/order-workflow', data }),
+    getOrderNumberPattern: <T = unknown>() =>
+      request<T>({ method: 'GET', url: '/api/config/order-number' }),
+    // 需要权限 config:write
+    updateOrderNumberPattern: <T = unknown>(data: OrderNumberPatternBody) =>
+      request<T>({ method: 'PUT', url: '/api/config/order-number', data }),
+    // 数据导入
+    // 需要权限 import:write
+    importExcel: <T = unknown>(filePaths: string[], data?: {
+      dryRun?: boolean
+      year?: number
+      checksum?: string
+    }) =>
+      request<T>({ method: 'POST', url: '/api/import/excel', files: { name: 'files', filePaths }, data }),
+    getImportBatches: <T = unknown>(query?: GetImportBatchesQuery) =>
+      request<PageResponse<T>>({ method: 'GET', url: '/api/import/batches', query }),
+    // 需要权限 import:write
+    rollbackImportBatch: <T = unknown>(id: string) =>
+      request<T>({ method: 'POST', url: `/api/import/batches/${id}/rollback` }),
+    // 需要权限 import:write
+    getReconciliation: <T = unknown>(query?: GetReconciliationQuery) =>
+      request<T>({ method: 'GET', url: '/api/import/reconciliation', query })
+  }
+}
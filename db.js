@@ -1,34 +1,64 @@
+const fs = require("fs");
+const path = require("path");
 const { Sequelize } = require("sequelize");
 
 // 从环境变量中读取数据库配置，如果没有则使用默认值
+// DB_DIALECT=sqlite 时使用本地 SQLite（SQLITE_STORAGE 为文件路径，:memory: 为内存数据库），用于离线开发和自动化测试
 const { 
+  DB_DIALECT = "mysql",
+  SQLITE_STORAGE = path.join(__dirname, "data", "order_dev.sqlite"),
   MYSQL_USERNAME = "root", 
   MYSQL_PASSWORD = "zR6xkrxS", 
   MYSQL_ADDRESS = "sh-cynosdbmysql-grp-79rkmnq0.sql.tencentcdb.com:24757",
   NODE_ENV = "development"
 } = process.env;
 
-const [host, port] = MYSQL_ADDRESS.split(":");
-
-const sequelize = new Sequelize("order_dev", MYSQL_USERNAME, MYSQL_PASSWORD, {
-  host,
-  port,
-  dialect: "mysql",
-  logging: NODE_ENV === "development" ? console.log : false,
-  pool: {
-    max: 20,
-    min: 0,
-    acquire: 30000,
-    idle: 10000
-  },
-  define: {
-    freezeTableName: true,
-    underscored: true,
-    charset: "utf8mb4",
-    collate: "utf8mb4_general_ci"
-  },
-  timezone: "+00:00" // UTC时区
-});
+const define = {
+  freezeTableName: true,
+  underscored: true,
+  charset: "utf8mb4",
+  collate: "utf8mb4_general_ci"
+};
+
+const logging = NODE_ENV === "development" ? console.log : false;
+
+// 按 DB_DIALECT 创建数据库连接
+function createSequelize() {
+  if (DB_DIALECT === "sqlite") {
+    if (SQLITE_STORAGE !== ":memory:") {
+      fs.mkdirSync(path.dirname(SQLITE_STORAGE), { recursive: true });
+    }
+    return new Sequelize({
+      dialect: "sqlite",
+      storage: SQLITE_STORAGE,
+      logging,
+      define
+    });
+  }
+
+  const [host, port] = MYSQL_ADDRESS.split(":");
+  return new Sequelize("order_dev", MYSQL_USERNAME, MYSQL_PASSWORD, {
+    host,
+    port,
+    dialect: "mysql",
+    logging,
+    pool: {
+      max: 20,
+      min: 0,
+      acquire: 30000,
+      idle: 10000
+    },
+    define,
+    timezone: "+00:00" // UTC时区
+  });
+}
+
+const sequelize = createSequelize();
+
+// 是否为 SQLite 内存数据库
+function isMemoryDatabase() {
+  return DB_DIALECT === "sqlite" && SQLITE_STORAGE === ":memory:";
+}
 
 // 测试数据库连接
 async function testConnection() {
@@ -47,9 +77,17 @@ async function init() {
   // 导入所有模型以建立关系
   require("./src/models");
   
-  // 同步数据库表结构
-  await sequelize.sync({ alter: true });
-  console.log("数据库表结构已同步");
+  // 表结构由迁移维护（npm run migrate），存在未执行的迁移时拒绝启动
+  // 内存数据库每次启动都是空库，直接执行迁移
+  const { getPending, migrate } = require("./migrator");
+  if (isMemoryDatabase()) {
+    await migrate();
+  }
+  const pending = await getPending();
+  if (pending.length > 0) {
+    throw new Error(`存在未执行的数据库迁移，请先运行 npm run migrate:\n${pending.join("\n")}`);
+  }
+  console.log("数据库表结构已是最新版本");
 }
 
 // 导出sequelize实例和初始化方法
@@ -2,6 +2,7 @@ const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const morgan = require("morgan");
+const swaggerUiDist = require("swagger-ui-dist");
 const { init: initDB } = require("./db");
 const routes = require("./src/routes");
 const { errorHandler, notFoundHandler } = require("./src/middlewares/errorHandler");
@@ -14,10 +15,14 @@ const app = express();
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json({ limit: "10mb" }));
 app.use(cors());
-app.use(logger);
+if (process.env.NODE_ENV !== "test") {
+  app.use(logger);
+}
 
 // 静态文件服务
 app.use(express.static(path.join(__dirname, "public")));
+// 接口文档页面使用的 Swagger UI 资源
+app.use("/swagger-ui", express.static(swaggerUiDist.getAbsoluteFSPath()));
 
 // 小程序调用，获取微信 Open ID
 app.get("/api/wx_openid", (req, res) => {
@@ -66,4 +71,9 @@ async function bootstrap() {
   }
 }
 
-bootstrap();
+// 直接运行时启动服务；被测试等模块引用时只导出 app，由调用方初始化数据库
+if (require.main === module) {
+  bootstrap();
+}
+
+module.exports = { app, bootstrap };
@@ -0,0 +1,392 @@
+/**
+ * 基线迁移：创建接入迁移前（sequelize.sync 时期）的原始表结构
+ * 商品、客户、订单、订单项、客户专属价格、订单历史和系统配置表，字段与当时的模型定义一致；
+ * 之后新增的表、字段和索引由后续迁移逐个添加。
+ * 已由 sequelize.sync 建好的原始表直接跳过，便于已有数据库接入迁移
+ */
+
+const TABLES = [
+  {
+    name: "products",
+    comment: "商品表",
+    columns: Sequelize => ({
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "商品ID"
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "商品名称"
+      },
+      global_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "默认售价"
+      },
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "个",
+        comment: "计价单位"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }),
+    indexes: [
+      { name: "products_name", fields: ["name"] }
+    ]
+  },
+  {
+    name: "customers",
+    comment: "客户表",
+    columns: Sequelize => ({
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "客户ID"
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: "客户姓名"
+      },
+      phone: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: "联系电话"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }),
+    indexes: [
+      { name: "customers_name", fields: ["name"] },
+      { name: "customers_phone", fields: ["phone"] }
+    ]
+  },
+  {
+    name: "orders",
+    comment: "订单表",
+    columns: Sequelize => ({
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "订单ID"
+      },
+      order_no: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: "订单号"
+      },
+      customer_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "customers", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "客户ID"
+      },
+      total_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "订单总金额"
+      },
+      status: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: "draft",
+        comment: "订单状态"
+      },
+      remark: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "备注信息"
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "创建人"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }),
+    indexes: [
+      { name: "orders_order_no", fields: ["order_no"] },
+      { name: "orders_customer_id", fields: ["customer_id"] },
+      { name: "orders_status", fields: ["status"] },
+      { name: "orders_created_at", fields: ["created_at"] },
+      { name: "orders_created_by", fields: ["created_by"] }
+    ]
+  },
+  {
+    name: "order_items",
+    comment: "订单项表",
+    columns: Sequelize => ({
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "订单项ID"
+      },
+      order_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "orders", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "订单ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "商品ID"
+      },
+      product_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "商品名称（冗余存储）"
+      },
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "计价单位（冗余存储）"
+      },
+      quantity: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "数量"
+      },
+      unit_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "单价"
+      },
+      total_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "小计"
+      },
+      remark: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "备注"
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "排序顺序"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }),
+    indexes: [
+      { name: "order_items_order_id", fields: ["order_id"] },
+      { name: "order_items_product_id", fields: ["product_id"] }
+    ]
+  },
+  {
+    name: "customer_prices",
+    comment: "客户专属价格表",
+    columns: Sequelize => ({
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "客户专属价格ID"
+      },
+      customer_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "customers", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "客户ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "商品ID"
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "专属价格"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }),
+    indexes: [
+      { name: "customer_prices_customer_id_product_id", fields: ["customer_id", "product_id"], unique: true },
+      { name: "customer_prices_customer_id", fields: ["customer_id"] },
+      { name: "customer_prices_product_id", fields: ["product_id"] }
+    ]
+  },
+  {
+    name: "order_histories",
+    comment: "订单历史记录表",
+    columns: Sequelize => ({
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "历史记录ID"
+      },
+      order_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "orders", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "订单ID"
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: "操作类型"
+      },
+      description: {
+        type: Sequelize.STRING(200),
+        allowNull: true,
+        comment: "操作描述"
+      },
+      operator: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "操作人"
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: "变更详情"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }),
+    indexes: [
+      { name: "order_histories_order_id", fields: ["order_id"] },
+      { name: "order_histories_action", fields: ["action"] },
+      { name: "order_histories_created_at", fields: ["created_at"] }
+    ]
+  },
+  {
+    name: "system_configs",
+    comment: "系统配置表",
+    columns: Sequelize => ({
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "配置ID"
+      },
+      config_key: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true,
+        comment: "配置键"
+      },
+      config_value: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "配置值"
+      },
+      description: {
+        type: Sequelize.STRING(200),
+        allowNull: true,
+        comment: "配置描述"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }),
+    indexes: [
+      { name: "system_configs_config_key", fields: ["config_key"] }
+    ]
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      if (await queryInterface.tableExists(table.name)) {
+        continue;
+      }
+
+      await queryInterface.createTable(table.name, table.columns(Sequelize), {
+        comment: table.comment,
+        charset: "utf8mb4",
+        collate: "utf8mb4_general_ci"
+      });
+      for (const index of table.indexes) {
+        await queryInterface.addIndex(table.name, index.fields, {
+          name: index.name,
+          unique: index.unique || false
+        });
+      }
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of [...TABLES].reverse()) {
+      await queryInterface.dropTable(table.name);
+    }
+  }
+};
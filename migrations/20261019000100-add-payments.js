@@ -0,0 +1,84 @@
+/**
+ * 收款记录：新增收款记录表（按订单登记收款，用于计算已收和未收金额）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("payments", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "收款记录ID"
+      },
+      order_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "orders", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "订单ID"
+      },
+      customer_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "customers", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "客户ID（冗余存储）"
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "收款金额"
+      },
+      method: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "cash",
+        comment: "收款方式"
+      },
+      paid_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "收款时间"
+      },
+      remark: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "备注"
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "登记人"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "收款记录表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("payments", ["order_id"], {
+      name: "payments_order_id"
+    });
+    await queryInterface.addIndex("payments", ["customer_id"], {
+      name: "payments_customer_id"
+    });
+    await queryInterface.addIndex("payments", ["paid_at"], {
+      name: "payments_paid_at"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("payments");
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * 销售退货：新增退货单表和退货明细表（退款或抵扣欠款）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("order_returns", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "退货单ID"
+      },
+      return_no: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        unique: true,
+        comment: "退货单号"
+      },
+      order_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "orders", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "原订单ID"
+      },
+      customer_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "customers", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "客户ID（冗余存储）"
+      },
+      total_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "退货商品总金额"
+      },
+      refund_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "refund",
+        comment: "退款方式：refund退款，credit冲抵欠款"
+      },
+      refund_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "退款/冲抵金额"
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "退货原因"
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "创建人"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "退货单表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("order_returns", ["return_no"], {
+      name: "order_returns_return_no"
+    });
+    await queryInterface.addIndex("order_returns", ["order_id"], {
+      name: "order_returns_order_id"
+    });
+    await queryInterface.addIndex("order_returns", ["customer_id"], {
+      name: "order_returns_customer_id"
+    });
+    await queryInterface.addIndex("order_returns", ["created_at"], {
+      name: "order_returns_created_at"
+    });
+
+    await queryInterface.createTable("order_return_items", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "退货项ID"
+      },
+      return_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "order_returns", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "退货单ID"
+      },
+      order_item_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "order_items", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "原订单项ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "商品ID"
+      },
+      product_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "商品名称（冗余存储）"
+      },
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "计价单位（冗余存储）"
+      },
+      quantity: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "退货数量"
+      },
+      unit_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "单价（取原订单项单价）"
+      },
+      total_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "小计"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "退货项表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("order_return_items", ["return_id"], {
+      name: "order_return_items_return_id"
+    });
+    await queryInterface.addIndex("order_return_items", ["order_item_id"], {
+      name: "order_return_items_order_item_id"
+    });
+    await queryInterface.addIndex("order_return_items", ["product_id"], {
+      name: "order_return_items_product_id"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("order_return_items");
+    await queryInterface.dropTable("order_returns");
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * 库存管理：商品新增库存数量，新增库存流水表（随订单状态出库、退货入库和手动调整）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("products", "stock_quantity", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: "当前库存数量"
+    });
+
+    await queryInterface.createTable("stock_movements", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "库存流水ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "商品ID"
+      },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "变动类型：purchase-采购入库，sale-销售出库，return-退货入库，adjustment-盘点调整"
+      },
+      quantity: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "变动数量（入库为正，出库为负）"
+      },
+      balance: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "变动后结存数量"
+      },
+      order_id: {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+        references: { model: "orders", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+        comment: "关联订单ID"
+      },
+      reference_id: {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+        comment: "关联单据ID（退货单、采购单等）"
+      },
+      remark: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "备注"
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "操作人"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "库存流水表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("stock_movements", ["product_id"], {
+      name: "stock_movements_product_id"
+    });
+    await queryInterface.addIndex("stock_movements", ["order_id"], {
+      name: "stock_movements_order_id"
+    });
+    await queryInterface.addIndex("stock_movements", ["type"], {
+      name: "stock_movements_type"
+    });
+    await queryInterface.addIndex("stock_movements", ["created_at"], {
+      name: "stock_movements_created_at"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("stock_movements");
+    await queryInterface.removeColumn("products", "stock_quantity");
+  }
+};
@@ -0,0 +1,228 @@
+/**
+ * 采购管理：新增供应商、采购单和采购明细表，库存流水记录采购入库的单位成本
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("suppliers", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "供应商ID"
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "供应商名称（厂家）"
+      },
+      contact: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "联系人"
+      },
+      phone: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: "联系电话"
+      },
+      address: {
+        type: Sequelize.STRING(200),
+        allowNull: true,
+        comment: "地址"
+      },
+      remark: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "备注"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "供应商表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("suppliers", ["name"], {
+      name: "suppliers_name"
+    });
+    await queryInterface.addIndex("suppliers", ["phone"], {
+      name: "suppliers_phone"
+    });
+
+    await queryInterface.createTable("purchase_orders", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "采购单ID"
+      },
+      purchase_no: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        unique: true,
+        comment: "采购单号"
+      },
+      supplier_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "suppliers", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "供应商ID"
+      },
+      total_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "采购总金额"
+      },
+      status: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: "draft",
+        comment: "采购单状态"
+      },
+      ordered_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "下单时间"
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "到货入库时间"
+      },
+      remark: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "备注信息"
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "创建人"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "采购单表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("purchase_orders", ["purchase_no"], {
+      name: "purchase_orders_purchase_no"
+    });
+    await queryInterface.addIndex("purchase_orders", ["supplier_id"], {
+      name: "purchase_orders_supplier_id"
+    });
+    await queryInterface.addIndex("purchase_orders", ["status"], {
+      name: "purchase_orders_status"
+    });
+    await queryInterface.addIndex("purchase_orders", ["created_at"], {
+      name: "purchase_orders_created_at"
+    });
+
+    await queryInterface.createTable("purchase_order_items", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "采购项ID"
+      },
+      purchase_order_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "purchase_orders", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "采购单ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+        comment: "商品ID"
+      },
+      product_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "商品名称（冗余存储）"
+      },
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "计量单位（冗余存储）"
+      },
+      quantity: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "采购数量"
+      },
+      unit_cost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "采购单价（进价）"
+      },
+      total_cost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "小计"
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "排序顺序"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "采购项表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("purchase_order_items", ["purchase_order_id"], {
+      name: "purchase_order_items_purchase_order_id"
+    });
+    await queryInterface.addIndex("purchase_order_items", ["product_id"], {
+      name: "purchase_order_items_product_id"
+    });
+
+    await queryInterface.addColumn("stock_movements", "unit_cost", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "单位成本（采购入库时记录进价）"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("stock_movements", "unit_cost");
+    await queryInterface.dropTable("purchase_order_items");
+    await queryInterface.dropTable("purchase_orders");
+    await queryInterface.dropTable("suppliers");
+  }
+};
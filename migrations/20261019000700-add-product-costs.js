@@ -0,0 +1,93 @@
+/**
+ * 成本核算：商品新增成本价，订单项记录下单时的成本快照，新增成本价变更记录表
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("products", "cost_price", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: "成本价（进价）"
+    });
+    await queryInterface.addColumn("order_items", "unit_cost", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "成本单价（下单时的商品成本价快照）"
+    });
+    await queryInterface.addColumn("order_items", "total_cost", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "成本小计"
+    });
+
+    await queryInterface.createTable("product_cost_histories", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "成本价记录ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "商品ID"
+      },
+      cost_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "成本价"
+      },
+      previous_cost_price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: "调整前成本价"
+      },
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "manual",
+        comment: "来源：manual-手工调整，purchase-采购到货"
+      },
+      reference_id: {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+        comment: "关联单据ID（采购单等）"
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "操作人"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "商品成本价历史表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("product_cost_histories", ["product_id"], {
+      name: "product_cost_histories_product_id"
+    });
+    await queryInterface.addIndex("product_cost_histories", ["created_at"], {
+      name: "product_cost_histories_created_at"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("product_cost_histories");
+    await queryInterface.removeColumn("order_items", "total_cost");
+    await queryInterface.removeColumn("order_items", "unit_cost");
+    await queryInterface.removeColumn("products", "cost_price");
+  }
+};
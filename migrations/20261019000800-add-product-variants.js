@@ -0,0 +1,117 @@
+/**
+ * 商品规格：新增商品规格表，订单项记录规格，
+ * 客户专属价格按规格区分（唯一索引由 客户+商品 改为 客户+商品+规格）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("product_variants", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "规格ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "商品ID"
+      },
+      specification: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "型号规格，如 3.6m"
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "规格售价"
+      },
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "个",
+        comment: "计价单位"
+      },
+      barcode: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "条形码"
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "排序顺序"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "商品规格表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("product_variants", ["product_id", "specification"], {
+      name: "product_variants_product_id_specification",
+      unique: true
+    });
+    await queryInterface.addIndex("product_variants", ["barcode"], {
+      name: "product_variants_barcode"
+    });
+
+    await queryInterface.addColumn("order_items", "variant_id", {
+      type: Sequelize.STRING(36),
+      allowNull: true,
+      references: { model: "product_variants", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+      comment: "规格ID"
+    });
+    await queryInterface.addColumn("order_items", "specification", {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: "型号规格（冗余存储）"
+    });
+    await queryInterface.addIndex("order_items", ["variant_id"], {
+      name: "order_items_variant_id"
+    });
+
+    await queryInterface.addColumn("customer_prices", "variant_id", {
+      type: Sequelize.STRING(36),
+      allowNull: false,
+      defaultValue: "",
+      comment: "规格ID（空字符串表示商品级价格）"
+    });
+    await queryInterface.removeIndex("customer_prices", "customer_prices_customer_id_product_id");
+    await queryInterface.addIndex("customer_prices", ["customer_id", "product_id", "variant_id"], {
+      name: "customer_prices_customer_id_product_id_variant_id",
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // 规格级专属价格在回滚后无法表示，先删除再恢复 客户+商品 唯一索引
+    await queryInterface.removeIndex("customer_prices", "customer_prices_customer_id_product_id_variant_id");
+    await queryInterface.bulkDelete("customer_prices", { variant_id: { [Sequelize.Op.ne]: "" } });
+    await queryInterface.removeColumn("customer_prices", "variant_id");
+    await queryInterface.addIndex("customer_prices", ["customer_id", "product_id"], {
+      name: "customer_prices_customer_id_product_id",
+      unique: true
+    });
+
+    await queryInterface.removeIndex("order_items", "order_items_variant_id");
+    await queryInterface.removeColumn("order_items", "specification");
+    await queryInterface.removeColumn("order_items", "variant_id");
+    await queryInterface.dropTable("product_variants");
+  }
+};
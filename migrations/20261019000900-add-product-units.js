@@ -0,0 +1,82 @@
+/**
+ * 包装单位：新增商品包装单位表，订单项和退货明细记录下单单位的换算系数
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("product_units", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "包装单位ID"
+      },
+      product_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "商品ID"
+      },
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "包装单位，如 包、盒、箱"
+      },
+      conversion_factor: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: false,
+        defaultValue: 1,
+        comment: "换算系数（1个包装单位折合多少基本单位）"
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "该单位售价"
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "排序顺序"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "商品包装单位表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("product_units", ["product_id", "unit"], {
+      name: "product_units_product_id_unit",
+      unique: true
+    });
+
+    await queryInterface.addColumn("order_items", "conversion_factor", {
+      type: Sequelize.DECIMAL(10, 3),
+      allowNull: false,
+      defaultValue: 1,
+      comment: "换算系数（下单单位折合多少基本单位）"
+    });
+    await queryInterface.addColumn("order_return_items", "conversion_factor", {
+      type: Sequelize.DECIMAL(10, 3),
+      allowNull: false,
+      defaultValue: 1,
+      comment: "换算系数（取原订单项换算系数）"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("order_return_items", "conversion_factor");
+    await queryInterface.removeColumn("order_items", "conversion_factor");
+    await queryInterface.dropTable("product_units");
+  }
+};
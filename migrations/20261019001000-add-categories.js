@@ -0,0 +1,81 @@
+/**
+ * 商品分类：新增分类表（支持多级），商品新增分类和品牌
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("categories", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "分类ID"
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: "分类名称，如 竿、线、钩、饵、配件"
+      },
+      parent_id: {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+        references: { model: "categories", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+        comment: "上级分类ID（一级分类为空）"
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "排序顺序"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "商品分类表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("categories", ["parent_id"], {
+      name: "categories_parent_id"
+    });
+    await queryInterface.addIndex("categories", ["name"], {
+      name: "categories_name"
+    });
+
+    await queryInterface.addColumn("products", "category_id", {
+      type: Sequelize.STRING(36),
+      allowNull: true,
+      references: { model: "categories", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+      comment: "商品分类ID"
+    });
+    await queryInterface.addColumn("products", "brand", {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: "品牌"
+    });
+    await queryInterface.addIndex("products", ["category_id"], {
+      name: "products_category_id"
+    });
+    await queryInterface.addIndex("products", ["brand"], {
+      name: "products_brand"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("products", "products_brand");
+    await queryInterface.removeIndex("products", "products_category_id");
+    await queryInterface.removeColumn("products", "brand");
+    await queryInterface.removeColumn("products", "category_id");
+    await queryInterface.dropTable("categories");
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * 用户和角色：新增用户表（按微信 openid 识别用户和角色）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("users", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "用户ID"
+      },
+      openid: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: "微信OpenID（x-wx-openid）"
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "姓名"
+      },
+      phone: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: "联系电话"
+      },
+      role: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "viewer",
+        comment: "角色：owner 老板，clerk 店员，driver 送货员，viewer 只读"
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: "是否启用"
+      },
+      last_active_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "最近访问时间"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "用户表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("users", ["openid"], {
+      name: "users_openid",
+      unique: true
+    });
+    await queryInterface.addIndex("users", ["role"], {
+      name: "users_role"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("users");
+  }
+};
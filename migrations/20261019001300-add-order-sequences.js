@@ -0,0 +1,47 @@
+/**
+ * 订单号序号：新增订单号序号表（按日期分配递增序号）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("order_sequences", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "序号ID"
+      },
+      sequence_date: {
+        type: Sequelize.STRING(8),
+        allowNull: false,
+        comment: "序号日期（YYYYMMDD）"
+      },
+      current_value: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "当日已分配的最大序号"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "订单号每日序号表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("order_sequences", ["sequence_date"], {
+      name: "order_sequences_sequence_date",
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("order_sequences");
+  }
+};
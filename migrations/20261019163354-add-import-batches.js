@@ -0,0 +1,76 @@
+/**
+ * 新增数据导入批次表（Excel 上传导入记录）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("import_batches", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "导入批次ID"
+      },
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "导入来源：excel-上传Excel，csv-CSV脚本"
+      },
+      file_names: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: "源文件名列表"
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "processing",
+        comment: "状态：processing-导入中，completed-已完成，failed-失败"
+      },
+      stats: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: "导入统计"
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "失败原因"
+      },
+      operator: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "操作人"
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "开始时间"
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "完成时间"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "数据导入批次表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("import_batches", ["started_at"], {
+      name: "import_batches_started_at"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("import_batches");
+  }
+};
@@ -0,0 +1,110 @@
+/**
+ * 数据导入来源追踪：
+ * 导入创建的客户、商品、规格、专属价格、订单和订单项记录导入批次ID，
+ * 导入批次记录文件校验码和回滚信息，新增导入变更表记录导入修改前的价格（用于回滚）
+ */
+
+// 记录导入批次ID的表
+const TAGGED_TABLES = ["customers", "products", "product_variants", "customer_prices", "orders", "order_items"];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TAGGED_TABLES) {
+      await queryInterface.addColumn(table, "import_batch_id", {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+        comment: "导入批次ID（由数据导入创建时记录）"
+      });
+      await queryInterface.addIndex(table, ["import_batch_id"], {
+        name: `${table}_import_batch_id`
+      });
+    }
+
+    await queryInterface.addColumn("import_batches", "checksums", {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: "源文件校验码（文件名 -> SHA-256）"
+    });
+    await queryInterface.addColumn("import_batches", "rolled_back_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: "回滚时间"
+    });
+    await queryInterface.addColumn("import_batches", "rolled_back_by", {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: "回滚操作人"
+    });
+    await queryInterface.addColumn("import_batches", "rollback_stats", {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: "回滚统计"
+    });
+
+    await queryInterface.createTable("import_batch_changes", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "变更记录ID"
+      },
+      batch_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        references: { model: "import_batches", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "导入批次ID"
+      },
+      target_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "变更对象类型：product-商品，customer_price-客户专属价格"
+      },
+      target_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        comment: "变更对象ID"
+      },
+      old_values: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: "导入前的值"
+      },
+      new_values: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: "导入后的值"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "数据导入变更记录表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("import_batch_changes", ["batch_id"], {
+      name: "import_batch_changes_batch_id"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("import_batch_changes");
+
+    await queryInterface.removeColumn("import_batches", "rollback_stats");
+    await queryInterface.removeColumn("import_batches", "rolled_back_by");
+    await queryInterface.removeColumn("import_batches", "rolled_back_at");
+    await queryInterface.removeColumn("import_batches", "checksums");
+
+    for (const table of TAGGED_TABLES) {
+      await queryInterface.removeIndex(table, `${table}_import_batch_id`);
+      await queryInterface.removeColumn(table, "import_batch_id");
+    }
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * 客户/商品合并：
+ * 新增客户别名表和商品别名表（合并后记录被合并的旧名称，导入和搜索时映射到保留的记录），
+ * 新增合并记录表记录每次合并的来源、目标、价格冲突处理方式和改写统计
+ */
+
+// 别名表：表名 -> 关联表、关联字段和名称长度（与客户名称、商品名称长度一致）
+const ALIAS_TABLES = {
+  customer_aliases: { owner: "customers", ownerKey: "customer_id", length: 50, comment: "客户别名表" },
+  product_aliases: { owner: "products", ownerKey: "product_id", length: 100, comment: "商品别名表" }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, { owner, ownerKey, length, comment }] of Object.entries(ALIAS_TABLES)) {
+      await queryInterface.createTable(table, {
+        id: {
+          type: Sequelize.STRING(36),
+          primaryKey: true,
+          allowNull: false,
+          comment: "别名ID"
+        },
+        [ownerKey]: {
+          type: Sequelize.STRING(36),
+          allowNull: false,
+          references: { model: owner, key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+          comment: "关联记录ID"
+        },
+        alias: {
+          type: Sequelize.STRING(length),
+          allowNull: false,
+          comment: "别名"
+        },
+        source: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: "manual",
+          comment: "来源：merge-合并，manual-手动添加"
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      }, {
+        comment,
+        charset: "utf8mb4",
+        collate: "utf8mb4_general_ci"
+      });
+      await queryInterface.addIndex(table, ["alias"], {
+        name: `${table}_alias`,
+        unique: true
+      });
+      await queryInterface.addIndex(table, [ownerKey], {
+        name: `${table}_${ownerKey}`
+      });
+    }
+
+    await queryInterface.createTable("merge_records", {
+      id: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+        comment: "合并记录ID"
+      },
+      target_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "合并对象类型：customer-客户，product-商品"
+      },
+      source_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        comment: "被合并记录ID（合并后已删除）"
+      },
+      source_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "被合并记录名称"
+      },
+      target_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        comment: "保留记录ID"
+      },
+      target_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: "保留记录名称"
+      },
+      price_policy: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: "专属价格冲突处理方式"
+      },
+      source_snapshot: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: "被合并记录合并前的数据"
+      },
+      stats: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: "改写统计"
+      },
+      price_conflicts: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: "专属价格冲突及处理结果"
+      },
+      operator: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "操作人"
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      comment: "客户/商品合并记录表",
+      charset: "utf8mb4",
+      collate: "utf8mb4_general_ci"
+    });
+    await queryInterface.addIndex("merge_records", ["target_type", "target_id"], {
+      name: "merge_records_target_type_target_id"
+    });
+    await queryInterface.addIndex("merge_records", ["created_at"], {
+      name: "merge_records_created_at"
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("merge_records");
+    for (const table of Object.keys(ALIAS_TABLES)) {
+      await queryInterface.dropTable(table);
+    }
+  }
+};
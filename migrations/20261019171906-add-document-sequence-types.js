@@ -0,0 +1,31 @@
+/**
+ * 单据序号：每日序号按单据类型（订单、退货单、采购单）分别计数，
+ * 唯一索引由 日期 改为 类型+日期，已有序号均为订单序号
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("order_sequences", "sequence_type", {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: "order",
+      comment: "单据类型：order-订单，return-退货单，purchase-采购单"
+    });
+    await queryInterface.removeIndex("order_sequences", "order_sequences_sequence_date");
+    await queryInterface.addIndex("order_sequences", ["sequence_type", "sequence_date"], {
+      name: "order_sequences_sequence_type_sequence_date",
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // 回滚后只保留订单序号
+    await queryInterface.removeIndex("order_sequences", "order_sequences_sequence_type_sequence_date");
+    await queryInterface.bulkDelete("order_sequences", { sequence_type: { [Sequelize.Op.ne]: "order" } });
+    await queryInterface.removeColumn("order_sequences", "sequence_type");
+    await queryInterface.addIndex("order_sequences", ["sequence_date"], {
+      name: "order_sequences_sequence_date",
+      unique: true
+    });
+  }
+};
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { Sequelize } = require("sequelize");
+const { sequelize } = require("./db");
+
+// 迁移文件目录，文件名格式：YYYYMMDDHHmmss-描述.js
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// 迁移记录表
+const MIGRATION_TABLE = "schema_migrations";
+
+/**
+ * 创建迁移记录表（不存在时）
+ */
+async function ensureMigrationTable() {
+  const queryInterface = sequelize.getQueryInterface();
+  if (await queryInterface.tableExists(MIGRATION_TABLE)) {
+    return;
+  }
+
+  await queryInterface.createTable(MIGRATION_TABLE, {
+    name: {
+      type: Sequelize.STRING(255),
+      primaryKey: true,
+      allowNull: false,
+      comment: "迁移文件名"
+    },
+    executed_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      comment: "执行时间"
+    }
+  }, {
+    comment: "数据库迁移记录表"
+  });
+}
+
+/**
+ * 获取全部迁移文件名（按版本号排序）
+ * @returns {Array<string>} 迁移文件名列表
+ */
+function getMigrationFiles() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{14}-.+\.js$/.test(file))
+    .sort();
+}
+
+/**
+ * 获取已执行的迁移
+ * @returns {Promise<Array>} 迁移记录 [{ name, executedAt }]
+ */
+async function getExecuted() {
+  await ensureMigrationTable();
+
+  const rows = await sequelize.query(
+    `SELECT name, executed_at FROM ${MIGRATION_TABLE} ORDER BY name ASC`,
+    { type: Sequelize.QueryTypes.SELECT }
+  );
+  return rows.map(row => ({ name: row.name, executedAt: row.executed_at }));
+}
+
+/**
+ * 获取待执行的迁移
+ * @returns {Promise<Array<string>>} 迁移文件名列表
+ */
+async function getPending() {
+  const executed = new Set((await getExecuted()).map(row => row.name));
+  return getMigrationFiles().filter(file => !executed.has(file));
+}
+
+/**
+ * 获取迁移状态
+ * @returns {Promise<Array>} [{ name, executed, executedAt, missing }]
+ */
+async function getStatus() {
+  const files = getMigrationFiles();
+  const executed = await getExecuted();
+  const executedMap = new Map(executed.map(row => [row.name, row.executedAt]));
+  const names = new Set([...files, ...executedMap.keys()]);
+
+  // missing 表示数据库中有记录但迁移文件已不存在
+  return [...names].sort().map(name => ({
+    name,
+    executed: executedMap.has(name),
+    executedAt: executedMap.get(name) || null,
+    missing: !files.includes(name)
+  }));
+}
+
+/**
+ * 加载迁移文件
+ * @param {string} name 迁移文件名
+ * @returns {Object} { up, down }
+ */
+function loadMigration(name) {
+  const migration = require(path.join(MIGRATIONS_DIR, name));
+  if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+    throw new Error(`迁移文件 ${name} 必须导出 up 和 down 方法`);
+  }
+  return migration;
+}
+
+/**
+ * 执行全部待执行的迁移
+ * @returns {Promise<Array<string>>} 本次执行的迁移
+ */
+async function migrate() {
+  const queryInterface = sequelize.getQueryInterface();
+  const pending = await getPending();
+
+  for (const name of pending) {
+    const migration = loadMigration(name);
+    console.log(`执行迁移: ${name}`);
+    await migration.up(queryInterface, Sequelize);
+    await sequelize.query(
+      `INSERT INTO ${MIGRATION_TABLE} (name, executed_at) VALUES (?, ?)`,
+      { replacements: [name, new Date()] }
+    );
+  }
+
+  return pending;
+}
+
+/**
+ * 回滚最近执行的迁移
+ * @param {number} steps 回滚数量
+ * @returns {Promise<Array<string>>} 本次回滚的迁移
+ */
+async function rollback(steps = 1) {
+  const queryInterface = sequelize.getQueryInterface();
+  const executed = await getExecuted();
+  const targets = executed.map(row => row.name).reverse().slice(0, steps);
+
+  for (const name of targets) {
+    const migration = loadMigration(name);
+    console.log(`回滚迁移: ${name}`);
+    await migration.down(queryInterface, Sequelize);
+    await sequelize.query(
+      `DELETE FROM ${MIGRATION_TABLE} WHERE name = ?`,
+      { replacements: [name] }
+    );
+  }
+
+  return targets;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  getPending,
+  getStatus,
+  migrate,
+  rollback
+};
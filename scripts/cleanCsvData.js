@@ -25,6 +25,7 @@ class CsvDataCleaner {
     this.stats = {
       customersMerged: 0,
       productsMerged: 0,
+      productVariantsUpdated: 0,
       ordersUpdated: 0,
       orderItemsUpdated: 0,
       customerPricesUpdated: 0,
@@ -98,16 +99,20 @@ class CsvDataCleaner {
       console.log('\n=== 第二步：清理商品数据 ===');
       await this.cleanProductsData();
       
-      // 第三步：更新订单数据
-      console.log('\n=== 第三步：更新订单数据 ===');
+      // 第三步：更新商品规格数据
+      console.log('\n=== 第三步：更新商品规格数据 ===');
+      await this.updateProductVariantsData();
+      
+      // 第四步：更新订单数据
+      console.log('\n=== 第四步：更新订单数据 ===');
       await this.updateOrdersData();
       
-      // 第四步：更新订单项数据
-      console.log('\n=== 第四步：更新订单项数据 ===');
+      // 第五步：更新订单项数据
+      console.log('\n=== 第五步：更新订单项数据 ===');
       await this.updateOrderItemsData();
       
-      // 第五步：更新客户价格数据
-      console.log('\n=== 第五步：更新客户价格数据 ===');
+      // 第六步：更新客户价格数据
+      console.log('\n=== 第六步：更新客户价格数据 ===');
       await this.updateCustomerPricesData();
       
       console.log('\n=== 数据清理完成 ===');
@@ -171,6 +176,37 @@ class CsvDataCleaner {
     console.log(`✓ 商品数据清理完成: 原始 ${originalCount} 条，合并后 ${products.length} 条，合并了 ${mergedCount} 条`);
   }
 
+  /**
+   * 更新商品规格数据
+   * 商品合并后，同一商品下相同规格的记录只保留最后一条
+   */
+  async updateProductVariantsData() {
+    const productVariantsPath = path.join(this.csvDir, 'product_variants.csv');
+    if (!fs.existsSync(productVariantsPath)) {
+      console.log('⚠ product_variants.csv 文件不存在，跳过');
+      return;
+    }
+    
+    const productVariants = this.parseCsvFile(productVariantsPath);
+    const mergedVariants = new Map();
+    let updatedCount = 0;
+    
+    // 应用商品名称更新
+    productVariants.forEach(variant => {
+      const newProductName = this.getMergedProductName(variant.product_name);
+      if (newProductName !== variant.product_name) {
+        updatedCount++;
+      }
+      mergedVariants.set(`${newProductName}_${variant.specification}`, { ...variant, product_name: newProductName });
+    });
+    
+    // 写回文件
+    this.writeCsvFile(productVariantsPath, Array.from(mergedVariants.values()), ['id', 'product_name', 'specification', 'price', 'unit']);
+    
+    this.stats.productVariantsUpdated += updatedCount;
+    console.log(`✓ 商品规格数据更新完成: 更新了 ${updatedCount} 条记录，合并后 ${mergedVariants.size} 条`);
+  }
+
   /**
    * 更新订单数据
    */
@@ -225,7 +261,7 @@ class CsvDataCleaner {
     });
     
     // 写回文件
-    this.writeCsvFile(orderItemsPath, orderItems, ['id', 'order_no', 'product_name', 'unit', 'quantity', 'unit_price', 'total_price', 'remark']);
+    this.writeCsvFile(orderItemsPath, orderItems, ['id', 'order_no', 'product_name', 'specification', 'unit', 'quantity', 'unit_price', 'total_price', 'remark']);
     
     this.stats.orderItemsUpdated += updatedCount;
     console.log(`✓ 订单项数据更新完成: 更新了 ${updatedCount} 条记录`);
@@ -267,7 +303,7 @@ class CsvDataCleaner {
     });
     
     // 写回文件
-    this.writeCsvFile(customerPricesPath, customerPrices, ['id', 'customer_name', 'product_name', 'price']);
+    this.writeCsvFile(customerPricesPath, customerPrices, ['id', 'customer_name', 'product_name', 'specification', 'price']);
     
     this.stats.customerPricesUpdated += updatedCount;
     console.log(`✓ 客户价格数据更新完成: 更新了 ${updatedCount} 条记录`);
@@ -464,6 +500,7 @@ async function main() {
     console.log('\n=== 清理统计 ===');
     console.log(`客户合并: ${stats.customersMerged} 条`);
     console.log(`商品合并: ${stats.productsMerged} 条`);
+    console.log(`商品规格更新: ${stats.productVariantsUpdated} 条`);
     console.log(`订单更新: ${stats.ordersUpdated} 条`);
     console.log(`订单项更新: ${stats.orderItemsUpdated} 条`);
     console.log(`客户价格更新: ${stats.customerPricesUpdated} 条`);
@@ -11,6 +11,17 @@ class ExcelImporter {
     this.headerColumns = [
       '日期', '单号', '货品名称', '型号规格', '单位', '数量', '单价', '金额', '备注'
     ];
+    
+    // 日期格式：[正则, 是否包含年份]，不含年份时使用年份目录（或上传时指定）的年份
+    this.datePatterns = [
+      [/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/, true], // 2024-03-05、2024/3/5、2024年3月5日
+      [/^(\d{4})(\d{2})(\d{2})$/, true],                      // 20240305
+      [/^(\d{1,2})[-/.月](\d{1,2})日?$/, false]                // 03-05、3/5、3月5日
+    ];
+    
+    // 有效的订单年份范围（超出范围的多为误填的数字）
+    this.minYear = 2000;
+    this.maxYear = 2100;
   }
 
   /**
@@ -21,7 +32,7 @@ class ExcelImporter {
   parseExcelFile(filePath) {
     try {
       // 从文件路径提取客户名称和年份
-      const fileName = path.basename(filePath, '.xls');
+      const fileName = path.basename(filePath, path.extname(filePath));
       const customerName = fileName;
       
       // 从路径中提取年份
@@ -31,19 +42,13 @@ class ExcelImporter {
 
       // 读取Excel文件
       const workbook = XLSX.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // 转换为JSON格式
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-      
-      // 解析数据
-      const orders = this.parseData(jsonData);
+      const { orders, dateErrors } = this.parseWorkbook(workbook, year);
       
       return {
         customerName,
         year,
         orders,
+        dateErrors,
         filePath
       };
       
@@ -52,13 +57,80 @@ class ExcelImporter {
     }
   }
 
+  /**
+   * 解析上传的Excel文件内容
+   * @param {Buffer} buffer - 文件内容
+   * @param {string} fileName - 文件名（文件名即客户名称）
+   * @param {number} year - 年份（上传的文件没有年份目录，由调用方指定）
+   * @returns {Object} 解析结果
+   */
+  parseExcelBuffer(buffer, fileName, year) {
+    try {
+      const customerName = path.basename(fileName, path.extname(fileName));
+      const workbook = XLSX.read(buffer, { type: 'buffer' });
+      const orderYear = year || new Date().getFullYear();
+      const { orders, dateErrors } = this.parseWorkbook(workbook, orderYear);
+      
+      return {
+        customerName,
+        year: orderYear,
+        orders,
+        dateErrors,
+        filePath: fileName
+      };
+      
+    } catch (error) {
+      throw new Error(`解析Excel文件失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析工作簿的所有工作表（没有明细表头的工作表，如说明页，跳过）
+   * @param {Object} workbook - XLSX工作簿
+   * @param {number} year - 不含年份的日期使用的年份
+   * @returns {Object} { orders, dateErrors: [{ sheet, row, value }] }
+   */
+  parseWorkbook(workbook, year) {
+    const orders = [];
+    const dateErrors = [];
+    let parsedSheets = 0;
+    
+    workbook.SheetNames.forEach(sheetName => {
+      const worksheet = workbook.Sheets[sheetName];
+      
+      // 转换为JSON格式
+      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+      if (!jsonData.some(row => this.isHeaderRow(row))) {
+        return;
+      }
+      
+      // 工作表不一定从第1行开始，日期错误按Excel行号报告
+      const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
+      
+      // 解析数据
+      const result = this.parseData(jsonData, year, firstRow);
+      orders.push(...result.orders);
+      result.dateErrors.forEach(error => dateErrors.push({ sheet: sheetName, ...error }));
+      parsedSheets++;
+    });
+    
+    if (parsedSheets === 0) {
+      throw new Error('未找到表头行');
+    }
+    
+    return { orders, dateErrors };
+  }
+
   /**
    * 解析Excel数据
    * @param {Array} jsonData - Excel转换的JSON数据
-   * @returns {Array} 订单数据数组
+   * @param {number} year - 不含年份的日期使用的年份
+   * @param {number} firstRow - 第一行数据的Excel行号
+   * @returns {Object} { orders: 订单数据数组, dateErrors: 日期无法解析的行 [{ row, value }] }
    */
-  parseData(jsonData) {
+  parseData(jsonData, year, firstRow = 1) {
     const orders = [];
+    const dateErrors = [];
     
     // 查找表头行
     let headerRowIndex = -1;
@@ -82,14 +154,80 @@ class ExcelImporter {
         break;
       }
       
-      // 解析订单数据
-      const orderData = this.parseOrderRow(row);
-      if (orderData) {
-        orders.push(orderData);
+      // 解析订单数据（日期无法解析的行不导入，报告给调用方）
+      const orderData = this.parseOrderRow(row, year);
+      if (!orderData) {
+        continue;
+      }
+      if (!orderData.orderDate) {
+        dateErrors.push({ row: firstRow + i, value: row[0] });
+        continue;
       }
+      orders.push(orderData);
     }
     
-    return orders;
+    return { orders, dateErrors };
+  }
+
+  /**
+   * 日期错误的说明文字
+   * @param {Array} dateErrors - 日期无法解析的行
+   * @returns {Array} 错误说明
+   */
+  describeDateErrors(dateErrors) {
+    return (dateErrors || []).map(error => `${error.sheet} 第${error.row}行日期无法解析: ${error.value}`);
+  }
+
+  /**
+   * 按年月日生成日期（UTC零点，导出CSV时 toISOString 取到的就是该日期）
+   * @param {number} year - 年
+   * @param {number} month - 月（1-12）
+   * @param {number} day - 日
+   * @returns {Date|null} 日期，不是有效日期时返回null
+   */
+  buildDate(year, month, day) {
+    if (year < this.minYear || year > this.maxYear) {
+      return null;
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // 2月30日等会被顺延到下个月，视为无效
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * 解析日期单元格
+   * 支持Excel日期序列号和 datePatterns 中的文本格式，不含年份的日期使用指定的年份
+   * @param {*} value - 单元格的值
+   * @param {number} year - 不含年份的日期使用的年份
+   * @returns {Date|null} 订单日期，无法解析时返回null
+   */
+  parseDate(value, year) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : this.buildDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+    
+    // 数字单元格：8位数字按 YYYYMMDD，其他按Excel日期序列号
+    if (typeof value === 'number') {
+      if (Number.isInteger(value) && value >= 10000000 && value <= 99999999) {
+        return this.parseDate(value.toString(), year);
+      }
+      const parsed = value > 0 ? XLSX.SSF.parse_date_code(value) : null;
+      return parsed ? this.buildDate(parsed.y, parsed.m, parsed.d) : null;
+    }
+    
+    const text = (value || '').toString().trim();
+    for (const [pattern, hasYear] of this.datePatterns) {
+      const match = text.match(pattern);
+      if (!match) continue;
+      const parts = match.slice(1).map(part => parseInt(part, 10));
+      return hasYear
+        ? this.buildDate(parts[0], parts[1], parts[2])
+        : this.buildDate(year || new Date().getFullYear(), parts[0], parts[1]);
+    }
+    return null;
   }
 
   /**
@@ -122,9 +260,10 @@ class ExcelImporter {
   /**
    * 解析订单行数据
    * @param {Array} row - 行数据
-   * @returns {Object|null} 订单数据
+   * @param {number} year - 不含年份的日期使用的年份
+   * @returns {Object|null} 订单数据（日期无法解析时 orderDate 为null）
    */
-  parseOrderRow(row) {
+  parseOrderRow(row, year) {
     if (!row || row.length < 8) return null;
     
     try {
@@ -145,28 +284,7 @@ class ExcelImporter {
       }
       
       // 解析日期
-      let orderDate;
-      try {
-        // 尝试多种日期格式
-        if (dateStr.includes('/')) {
-          orderDate = new Date(dateStr.replace(/(\d{4})\/(\d{1,2})\/(\d{1,2})/, '$1-$2-$3'));
-        } else if (dateStr.includes('-')) {
-          orderDate = new Date(dateStr);
-        } else {
-          // 纯数字格式，如20240101
-          const year = dateStr.substring(0, 4);
-          const month = dateStr.substring(4, 6);
-          const day = dateStr.substring(6, 8);
-          orderDate = new Date(`${year}-${month}-${day}`);
-        }
-        
-        if (isNaN(orderDate.getTime())) {
-          throw new Error('无效日期格式');
-        }
-      } catch (error) {
-        console.warn(`日期解析失败: ${dateStr}, 使用当前日期`);
-        orderDate = new Date();
-      }
+      const orderDate = this.parseDate(row[0], year);
       
       return {
         orderDate,
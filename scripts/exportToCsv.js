@@ -24,14 +24,16 @@ class CsvExporter {
     // 数据收集
     this.customers = new Map(); // name -> { name, phone }
     this.products = new Map();  // name -> { name, unit, globalPrice }
+    this.productVariants = new Map(); // `${productName}_${specification}` -> { productName, specification, unit, price }
     this.orders = [];           // 所有订单数据
-    this.customerPrices = new Map(); // `${customerName}_${productName}` -> { customerName, productName, price }
+    this.customerPrices = new Map(); // `${customerName}_${productName}_${specification}` -> { customerName, productName, specification, price }
     
     // 统计信息
     this.stats = {
       filesProcessed: 0,
       customersFound: 0,
       productsFound: 0,
+      productVariantsFound: 0,
       ordersFound: 0,
       customerPricesFound: 0,
       errors: []
@@ -90,51 +92,12 @@ class CsvExporter {
         console.log(`分析文件 ${i + 1}/${excelFiles.length}: ${fileName}`);
         
         const result = this.excelImporter.parseExcelFile(filePath);
+        this.collectResult(result);
         
-        // 收集客户信息
-        this.customers.set(result.customerName, {
-          name: result.customerName,
-          phone: null
-        });
-        
-        // 收集商品信息和客户专属价格
-        result.orders.forEach(order => {
-          // 收集商品信息（如果已存在则更新价格）
-          const existingProduct = this.products.get(order.productName);
-          if (!existingProduct || existingProduct.globalPrice !== order.unitPrice) {
-            this.products.set(order.productName, {
-              name: order.productName,
-              unit: order.unit,
-              globalPrice: order.unitPrice
-            });
-          }
-          
-          // 收集客户专属价格（取最新的价格）
-          const priceKey = `${result.customerName}_${order.productName}`;
-          this.customerPrices.set(priceKey, {
-            customerName: result.customerName,
-            productName: order.productName,
-            price: order.unitPrice
-          });
-        });
-        
-        // 收集订单数据
-        const orderGroups = new Map();
-        result.orders.forEach(orderItem => {
-          if (!orderGroups.has(orderItem.orderNo)) {
-            orderGroups.set(orderItem.orderNo, {
-              customerName: result.customerName,
-              orderNo: orderItem.orderNo,
-              orderDate: orderItem.orderDate,
-              items: []
-            });
-          }
-          orderGroups.get(orderItem.orderNo).items.push(orderItem);
-        });
-        
-        // 添加到订单列表
-        orderGroups.forEach(order => {
-          this.orders.push(order);
+        // 日期无法解析的行未导出，记录到错误中
+        this.excelImporter.describeDateErrors(result.dateErrors).forEach(error => {
+          console.warn(`  ⚠️  ${error}`);
+          this.stats.errors.push({ file: fileName, error });
         });
         
         this.stats.filesProcessed++;
@@ -151,6 +114,7 @@ class CsvExporter {
     // 更新统计信息
     this.stats.customersFound = this.customers.size;
     this.stats.productsFound = this.products.size;
+    this.stats.productVariantsFound = this.productVariants.size;
     this.stats.ordersFound = this.orders.length;
     this.stats.customerPricesFound = this.customerPrices.size;
     
@@ -158,10 +122,74 @@ class CsvExporter {
     console.log(`- 处理文件: ${this.stats.filesProcessed}/${excelFiles.length}`);
     console.log(`- 客户数量: ${this.stats.customersFound}`);
     console.log(`- 商品数量: ${this.stats.productsFound}`);
+    console.log(`- 商品规格数量: ${this.stats.productVariantsFound}`);
     console.log(`- 订单数量: ${this.stats.ordersFound}`);
     console.log(`- 客户价格数量: ${this.stats.customerPricesFound}`);
   }
 
+  /**
+   * 收集单个Excel文件的解析结果（客户、商品、规格、专属价格、订单）
+   * @param {Object} result - ExcelImporter 的解析结果
+   */
+  collectResult(result) {
+    // 收集客户信息
+    this.customers.set(result.customerName, {
+      name: result.customerName,
+      phone: null
+    });
+    
+    // 收集商品信息和客户专属价格
+    result.orders.forEach(order => {
+      // 收集商品信息（如果已存在则更新价格）
+      const existingProduct = this.products.get(order.productName);
+      if (!existingProduct || existingProduct.globalPrice !== order.unitPrice) {
+        this.products.set(order.productName, {
+          name: order.productName,
+          unit: order.unit,
+          globalPrice: order.unitPrice
+        });
+      }
+      
+      // 收集商品规格（型号规格不为空时，取最新的价格）
+      if (order.specification) {
+        this.productVariants.set(`${order.productName}_${order.specification}`, {
+          productName: order.productName,
+          specification: order.specification,
+          unit: order.unit,
+          price: order.unitPrice
+        });
+      }
+      
+      // 收集客户专属价格（按规格区分，取最新的价格）
+      const priceKey = `${result.customerName}_${order.productName}_${order.specification}`;
+      this.customerPrices.set(priceKey, {
+        customerName: result.customerName,
+        productName: order.productName,
+        specification: order.specification,
+        price: order.unitPrice
+      });
+    });
+    
+    // 收集订单数据
+    const orderGroups = new Map();
+    result.orders.forEach(orderItem => {
+      if (!orderGroups.has(orderItem.orderNo)) {
+        orderGroups.set(orderItem.orderNo, {
+          customerName: result.customerName,
+          orderNo: orderItem.orderNo,
+          orderDate: orderItem.orderDate,
+          items: []
+        });
+      }
+      orderGroups.get(orderItem.orderNo).items.push(orderItem);
+    });
+    
+    // 添加到订单列表
+    orderGroups.forEach(order => {
+      this.orders.push(order);
+    });
+  }
+
   /**
    * 生成CSV文件
    */
@@ -172,17 +200,25 @@ class CsvExporter {
       console.log(`✓ 创建输出目录: ${this.outputDir}`);
     }
     
+    const csvData = this.buildCsvData();
+    
     // 导出客户数据
-    await this.exportCustomersToCsv();
+    await this.exportCustomersToCsv(csvData.customers);
     
     // 导出商品数据
-    await this.exportProductsToCsv();
+    await this.exportProductsToCsv(csvData.products);
+    
+    // 导出商品规格数据
+    await this.exportProductVariantsToCsv(csvData.productVariants);
     
     // 导出客户价格数据
-    await this.exportCustomerPricesToCsv();
+    await this.exportCustomerPricesToCsv(csvData.customerPrices);
     
     // 导出订单数据
-    await this.exportOrdersToCsv();
+    await this.exportOrdersToCsv(csvData.orders);
+    
+    // 导出订单项数据
+    await this.exportOrderItemsToCsv(csvData.orderItems);
     
     console.log(`\n✓ 所有CSV文件已生成到: ${this.outputDir}`);
   }
@@ -198,134 +234,172 @@ class CsvExporter {
   }
 
   /**
-   * 导出客户数据到CSV
+   * 清理文本：去除换行符、制表符，去除首尾空格，压缩中间多个空格为单个空格
+   * @param {string} value - 原始文本
+   * @returns {string} 清理后的文本
    */
-  async exportCustomersToCsv() {
-    const csvPath = path.join(this.outputDir, 'customers.csv');
-    let csvContent = 'id,name,phone\n';
-    
-    let id = 1;
-    for (const customer of this.customers.values()) {
-      // 清理客户名称：去除换行符、制表符，去除首尾空格，压缩中间多个空格为单个空格
-      const cleanName = customer.name
-        .replace(/[\r\n\t]/g, ' ')           // 替换换行符、制表符为空格
-        .replace(/\s+/g, ' ')                // 压缩多个连续空格为单个空格
-        .trim();                             // 去除首尾空格
-      
-      // 清理电话号码：同样的处理方式
-      const cleanPhone = (customer.phone || '')
-        .replace(/[\r\n\t]/g, ' ')           // 替换换行符、制表符为空格
-        .replace(/\s+/g, ' ')                // 压缩多个连续空格为单个空格
-        .trim();                             // 去除首尾空格
-      
-      csvContent += `${id},"${cleanName}","${cleanPhone}"\n`;
-      id++;
-    }
+  cleanText(value) {
+    return (value || '')
+      .replace(/[\r\n\t]/g, ' ')           // 替换换行符、制表符为空格
+      .replace(/\s+/g, ' ')                // 压缩多个连续空格为单个空格
+      .trim();                             // 去除首尾空格
+  }
+
+  /**
+   * 将收集的数据整理为CSV行（字段与CSV表头一致，CsvImporter 可直接导入）
+   * @returns {Object} 各CSV文件的行数据
+   */
+  buildCsvData() {
+    const customers = [...this.customers.values()].map((customer, index) => ({
+      id: index + 1,
+      name: this.cleanText(customer.name),
+      phone: this.cleanText(customer.phone)
+    }));
     
-    fs.writeFileSync(csvPath, csvContent, 'utf8');
-    console.log(`✓ 客户数据已导出: ${csvPath} (${this.customers.size}条记录)`);
+    // 特殊处理：修复被分割的商品名称
+    const products = [...this.products.values()].map((product, index) => ({
+      id: index + 1,
+      name: this.fixSplitProductNames(this.cleanText(product.name)),
+      global_price: product.globalPrice,
+      unit: this.cleanText(product.unit || '个') || '个'
+    }));
+    
+    // 商品名称与 products.csv 使用相同的清理规则，保证能关联到商品
+    const productVariants = [...this.productVariants.values()].map((variant, index) => ({
+      id: index + 1,
+      product_name: this.fixSplitProductNames(this.cleanText(variant.productName)),
+      specification: this.cleanText(variant.specification),
+      price: variant.price,
+      unit: this.cleanText(variant.unit || '个') || '个'
+    }));
+    
+    const customerPrices = [...this.customerPrices.values()].map((priceData, index) => ({
+      id: index + 1,
+      customer_name: this.cleanText(priceData.customerName),
+      product_name: this.cleanText(priceData.productName),
+      specification: this.cleanText(priceData.specification),
+      price: priceData.price
+    }));
+    
+    const orders = this.orders.map((order, index) => ({
+      id: index + 1,
+      order_no: order.orderNo,
+      customer_name: this.cleanText(order.customerName),
+      total_amount: order.items.reduce((sum, item) => sum + item.amount, 0),
+      status: 'completed',
+      order_date: order.orderDate.toISOString().split('T')[0]
+    }));
+    
+    const orderItems = [];
+    this.orders.forEach(order => {
+      order.items.forEach(item => {
+        orderItems.push({
+          id: orderItems.length + 1,
+          order_no: order.orderNo,
+          product_name: item.productName,
+          specification: item.specification || '',
+          unit: item.unit,
+          quantity: item.quantity,
+          unit_price: item.unitPrice,
+          total_price: item.amount,
+          remark: item.remark || ''
+        });
+      });
+    });
+    
+    return { customers, products, productVariants, customerPrices, orders, orderItems };
   }
 
   /**
-   * 导出商品数据到CSV
+   * 写入CSV文件
+   * @param {string} fileName - 文件名
+   * @param {Array} columns - 列定义，[字段名, 是否加引号]
+   * @param {Array} rows - 行数据
+   * @returns {string} 文件路径
    */
-  async exportProductsToCsv() {
-    const csvPath = path.join(this.outputDir, 'products.csv');
-    let csvContent = 'id,name,global_price,unit\n';
-    
-    let id = 1;
-    for (const product of this.products.values()) {
-      // 清理商品名称：去除换行符、制表符，去除首尾空格，压缩中间多个空格为单个空格
-      let cleanName = product.name
-        .replace(/[\r\n\t]/g, ' ')           // 替换换行符、制表符为空格
-        .replace(/\s+/g, ' ')                // 压缩多个连续空格为单个空格
-        .trim();                             // 去除首尾空格
-      
-      // 特殊处理：修复被分割的商品名称
-      cleanName = this.fixSplitProductNames(cleanName);
-      
-      // 清理单位：同样的处理方式
-      const cleanUnit = (product.unit || '个')
-        .replace(/[\r\n\t]/g, ' ')           // 替换换行符、制表符为空格
-        .replace(/\s+/g, ' ')                // 压缩多个连续空格为单个空格
-        .trim() || '个';                     // 去除首尾空格，默认值为'个'
-      
-      csvContent += `${id},"${cleanName}",${product.globalPrice},"${cleanUnit}"\n`;
-      id++;
-    }
+  writeCsvFile(fileName, columns, rows) {
+    const csvPath = path.join(this.outputDir, fileName);
+    let csvContent = `${columns.map(([name]) => name).join(',')}\n`;
+    
+    rows.forEach(row => {
+      csvContent += `${columns.map(([name, quoted]) => quoted ? `"${row[name]}"` : row[name]).join(',')}\n`;
+    });
     
     fs.writeFileSync(csvPath, csvContent, 'utf8');
-    console.log(`✓ 商品数据已导出: ${csvPath} (${this.products.size}条记录)`);
+    return csvPath;
+  }
+
+  /**
+   * 导出客户数据到CSV
+   * @param {Array} rows - 客户行数据
+   */
+  async exportCustomersToCsv(rows) {
+    const csvPath = this.writeCsvFile('customers.csv', [['id'], ['name', true], ['phone', true]], rows);
+    console.log(`✓ 客户数据已导出: ${csvPath} (${rows.length}条记录)`);
+  }
+
+  /**
+   * 导出商品数据到CSV
+   * @param {Array} rows - 商品行数据
+   */
+  async exportProductsToCsv(rows) {
+    const csvPath = this.writeCsvFile('products.csv', [['id'], ['name', true], ['global_price'], ['unit', true]], rows);
+    console.log(`✓ 商品数据已导出: ${csvPath} (${rows.length}条记录)`);
+  }
+
+  /**
+   * 导出商品规格数据到CSV
+   * @param {Array} rows - 商品规格行数据
+   */
+  async exportProductVariantsToCsv(rows) {
+    const csvPath = this.writeCsvFile(
+      'product_variants.csv',
+      [['id'], ['product_name', true], ['specification', true], ['price'], ['unit', true]],
+      rows
+    );
+    console.log(`✓ 商品规格数据已导出: ${csvPath} (${rows.length}条记录)`);
   }
 
   /**
    * 导出客户价格数据到CSV
+   * @param {Array} rows - 客户价格行数据
    */
-  async exportCustomerPricesToCsv() {
-    const csvPath = path.join(this.outputDir, 'customer_prices.csv');
-    let csvContent = 'id,customer_name,product_name,price\n';
-    
-    let id = 1;
-    for (const priceData of this.customerPrices.values()) {
-      // 清理客户名称和商品名称
-      const cleanCustomerName = priceData.customerName
-        .replace(/[\r\n\t]/g, ' ')           // 替换换行符、制表符为空格
-        .replace(/\s+/g, ' ')                // 压缩多个连续空格为单个空格
-        .trim();                             // 去除首尾空格
-      
-      const cleanProductName = priceData.productName
-        .replace(/[\r\n\t]/g, ' ')           // 替换换行符、制表符为空格
-        .replace(/\s+/g, ' ')                // 压缩多个连续空格为单个空格
-        .trim();                             // 去除首尾空格
-      
-      csvContent += `${id},"${cleanCustomerName}","${cleanProductName}",${priceData.price}\n`;
-      id++;
-    }
-    
-    fs.writeFileSync(csvPath, csvContent, 'utf8');
-    console.log(`✓ 客户价格数据已导出: ${csvPath} (${this.customerPrices.size}条记录)`);
+  async exportCustomerPricesToCsv(rows) {
+    const csvPath = this.writeCsvFile(
+      'customer_prices.csv',
+      [['id'], ['customer_name', true], ['product_name', true], ['specification', true], ['price']],
+      rows
+    );
+    console.log(`✓ 客户价格数据已导出: ${csvPath} (${rows.length}条记录)`);
   }
 
   /**
    * 导出订单数据到CSV
+   * @param {Array} rows - 订单行数据
    */
-  async exportOrdersToCsv() {
-    const csvPath = path.join(this.outputDir, 'orders.csv');
-    let csvContent = 'id,order_no,customer_name,total_amount,status,order_date\n';
-    
-    let id = 1;
-    for (const order of this.orders) {
-      const totalAmount = order.items.reduce((sum, item) => sum + item.amount, 0);
-      const orderDate = order.orderDate.toISOString().split('T')[0];
-      csvContent += `${id},"${order.orderNo}","${order.customerName}",${totalAmount},"completed","${orderDate}"\n`;
-      id++;
-    }
-    
-    fs.writeFileSync(csvPath, csvContent, 'utf8');
-    console.log(`✓ 订单数据已导出: ${csvPath} (${this.orders.length}条记录)`);
-    
-    // 导出订单项数据
-    await this.exportOrderItemsToCsv();
+  async exportOrdersToCsv(rows) {
+    const csvPath = this.writeCsvFile(
+      'orders.csv',
+      [['id'], ['order_no', true], ['customer_name', true], ['total_amount'], ['status', true], ['order_date', true]],
+      rows
+    );
+    console.log(`✓ 订单数据已导出: ${csvPath} (${rows.length}条记录)`);
   }
 
   /**
    * 导出订单项数据到CSV
+   * @param {Array} rows - 订单项行数据
    */
-  async exportOrderItemsToCsv() {
-    const csvPath = path.join(this.outputDir, 'order_items.csv');
-    let csvContent = 'id,order_no,product_name,unit,quantity,unit_price,total_price,remark\n';
-    
-    let id = 1;
-    for (const order of this.orders) {
-      for (const item of order.items) {
-        csvContent += `${id},"${order.orderNo}","${item.productName}","${item.unit}",${item.quantity},${item.unitPrice},${item.amount},"${item.remark || ''}"\n`;
-        id++;
-      }
-    }
-    
-    fs.writeFileSync(csvPath, csvContent, 'utf8');
-    const itemCount = this.orders.reduce((sum, order) => sum + order.items.length, 0);
-    console.log(`✓ 订单项数据已导出: ${csvPath} (${itemCount}条记录)`);
+  async exportOrderItemsToCsv(rows) {
+    const csvPath = this.writeCsvFile(
+      'order_items.csv',
+      [
+        ['id'], ['order_no', true], ['product_name', true], ['specification', true], ['unit', true],
+        ['quantity'], ['unit_price'], ['total_price'], ['remark', true]
+      ],
+      rows
+    );
+    console.log(`✓ 订单项数据已导出: ${csvPath} (${rows.length}条记录)`);
   }
 
 }
@@ -365,6 +439,7 @@ async function main() {
     console.log(`处理文件: ${stats.filesProcessed}`);
     console.log(`客户数量: ${stats.customersFound}`);
     console.log(`商品数量: ${stats.productsFound}`);
+    console.log(`商品规格数量: ${stats.productVariantsFound}`);
     console.log(`订单数量: ${stats.ordersFound}`);
     console.log(`客户价格数量: ${stats.customerPricesFound}`);
     
@@ -387,19 +462,19 @@ async function main() {
   }
 }
 
-// 处理未捕获的异常
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('未处理的Promise拒绝:', reason);
-  process.exit(1);
-});
+// 运行主函数（直接运行时才注册全局异常处理，被服务端引用时不影响进程）
+if (require.main === module) {
+  // 处理未捕获的异常
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('未处理的Promise拒绝:', reason);
+    process.exit(1);
+  });
 
-process.on('uncaughtException', (error) => {
-  console.error('未捕获的异常:', error);
-  process.exit(1);
-});
+  process.on('uncaughtException', (error) => {
+    console.error('未捕获的异常:', error);
+    process.exit(1);
+  });
 
-// 运行主函数
-if (require.main === module) {
   main();
 }
 
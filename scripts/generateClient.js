@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { ROUTE_TABLE } = require('../src/routes');
+const openApiService = require('../src/services/openApiService');
+const validationSchemas = require('../src/utils/validation');
+
+/**
+ * 小程序接口客户端生成脚本
+ * 根据 OpenAPI 文档（由路由表和 Joi 验证模式生成）输出带类型的接口客户端，
+ * 并检查 types.ts 中的请求类型是否与服务端验证模式一致
+ *
+ * 使用方法:
+ *   node scripts/generateClient.js           生成 client/api.ts
+ *   node scripts/generateClient.js --check   检查 client/api.ts 和 types.ts 是否过期（不一致时退出码为1）
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUT_FILE = path.join(ROOT_DIR, 'client', 'api.ts');
+const TYPES_FILE = path.join(ROOT_DIR, 'types.ts');
+
+// types.ts 中的请求类型与服务端验证模式的对应关系
+const TYPES_SCHEMA_MAP = {
+  CreateProductData: 'productSchema',
+  ProductListParams: 'productQuerySchema',
+  CreateCategoryData: 'categorySchema',
+  CreateProductVariantData: 'productVariantSchema',
+  CreateProductUnitData: 'productUnitSchema',
+  CreateCustomerData: 'customerSchema',
+  CreateOrderData: 'orderSchema',
+  CreateStockMovementData: 'stockMovementSchema',
+  CreateSupplierData: 'supplierSchema',
+  CreatePurchaseOrderData: 'purchaseOrderSchema',
+  CreatePaymentData: 'paymentSchema',
+  CreateOrderReturnData: 'orderReturnSchema',
+  CreateUserData: 'userSchema',
+  UpdateUserData: 'userUpdateSchema',
+  OrderWorkflow: 'orderWorkflowSchema'
+};
+
+// 动态枚举对应的类型名称
+const ENUM_SOURCE_TYPES = {
+  orderStatus: 'OrderStatus'
+};
+
+class ClientGenerator {
+  constructor() {
+    this.document = openApiService.buildDocument(ROUTE_TABLE);
+  }
+
+  /**
+   * 首字母大写
+   * @param {string} name 名称
+   * @returns {string} 转换后的名称
+   */
+  pascalCase(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  /**
+   * 请求体组件对应的类型名称（Product -> ProductBody）
+   * @param {string} ref 组件引用
+   * @returns {string} 类型名称
+   */
+  bodyTypeName(ref) {
+    return `${ref.split('/').pop()}Body`;
+  }
+
+  /**
+   * 将 JSON Schema 转换为 TypeScript 类型
+   * @param {Object} schema JSON Schema
+   * @param {string} indent 当前缩进
+   * @returns {string} TypeScript 类型
+   */
+  toTsType(schema, indent = '') {
+    let type;
+    if (schema.$ref) {
+      type = this.bodyTypeName(schema.$ref);
+    } else if (schema['x-enum-source']) {
+      type = ENUM_SOURCE_TYPES[schema['x-enum-source']] || 'string';
+      if (schema.enum.includes('')) {
+        type += ' | \'\'';
+      }
+    } else if (schema.enum) {
+      type = schema.enum.map(value => typeof value === 'string' ? `'${value}'` : String(value)).join(' | ');
+    } else if (schema.type === 'object') {
+      type = this.renderObject(schema, indent);
+    } else if (schema.type === 'array') {
+      const itemType = this.toTsType(schema.items || {}, indent);
+      type = /^[\w']+$/.test(itemType) ? `${itemType}[]` : `Array<${itemType}>`;
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+      type = 'number';
+    } else if (schema.type === 'string' || schema.type === 'boolean') {
+      type = schema.type;
+    } else {
+      type = 'unknown';
+    }
+
+    if (schema.nullable) {
+      type += ' | null';
+    }
+    return type;
+  }
+
+  /**
+   * 输出对象类型（字段按验证模式中的顺序）
+   * @param {Object} schema 对象 JSON Schema
+   * @param {string} indent 当前缩进
+   * @returns {string} TypeScript 对象类型
+   */
+  renderObject(schema, indent) {
+    const required = schema.required || [];
+    const fields = Object.entries(schema.properties || {}).map(([key, property]) => {
+      const optional = required.includes(key) ? '' : '?';
+      return `${indent}  ${key}${optional}: ${this.toTsType(property, `${indent}  `)}`;
+    });
+    return `{\n${fields.join('\n')}\n${indent}}`;
+  }
+
+  /**
+   * 收集全部接口（按文档中的顺序）
+   * @returns {Array} 接口列表
+   */
+  getOperations() {
+    const operations = [];
+    Object.entries(this.document.paths).forEach(([apiPath, methods]) => {
+      Object.entries(methods).forEach(([method, operation]) => {
+        operations.push({ path: apiPath, method, ...operation });
+      });
+    });
+    return operations;
+  }
+
+  /**
+   * 生成客户端代码
+   * @returns {string} client/api.ts 内容
+   */
+  generate() {
+    const lines = [
+      '// 此文件由 scripts/generateClient.js 根据 /api/openapi.json 生成，请勿手动修改',
+      '// 重新生成: npm run client:generate',
+      '',
+      '// 统一响应格式',
+      'export interface ApiResponse<T = unknown> {',
+      '  success: boolean',
+      '  code: number',
+      '  message: string',
+      '  data: T',
+      '  timestamp: string',
+      '}',
+      '',
+      'export interface PageResponse<T = unknown> {',
+      '  list: T[]',
+      '  total: number',
+      '  page: number',
+      '  pageSize: number',
+      '  totalPages: number',
+      '}',
+      '',
+      '// 订单状态（可选值由订单流程配置决定）',
+      'export type OrderStatus = string',
+      '',
+      'export type HttpMethod = \'GET\' | \'POST\' | \'PUT\' | \'DELETE\'',
+      '',
+      'export interface RequestOptions {',
+      '  method: HttpMethod',
+      '  url: string',
+      '  data?: unknown',
+      '  query?: object',
+      '  // 上传的文件（data 作为表单字段一同提交）',
+      '  files?: UploadFiles',
+      '}',
+      '',
+      'export interface UploadFiles {',
+      '  name: string',
+      '  filePaths: string[]',
+      '}',
+      '',
+      '// 请求发送方法（由调用方基于 wx.request / wx.cloud.callContainer 实现，有 files 时使用 wx.uploadFile，需携带 x-wx-openid）',
+      'export type Requester = <T>(options: RequestOptions) => Promise<ApiResponse<T>>',
+      '',
+      '// 请求体'
+    ];
+
+    Object.entries(this.document.components.schemas)
+      .filter(([name]) => !name.endsWith('Response'))
+      .forEach(([name, schema]) => {
+        lines.push(`export interface ${name}Body ${this.renderObject(schema, '')}`, '');
+      });
+
+    const operations = this.getOperations();
+    lines.push('// 查询参数');
+    operations.forEach(operation => {
+      const queryParameters = operation.parameters.filter(parameter => parameter.in === 'query');
+      if (queryParameters.length === 0) {
+        return;
+      }
+      const schema = {
+        type: 'object',
+        properties: Object.fromEntries(queryParameters.map(parameter => [parameter.name, parameter.schema])),
+        required: queryParameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+      };
+      lines.push(`export interface ${this.pascalCase(operation.operationId)}Query ${this.renderObject(schema, '')}`, '');
+    });
+
+    lines.push('export function createApiClient(request: Requester) {', '  return {');
+    let currentTag = null;
+    operations.forEach((operation, index) => {
+      if (operation.tags[0] !== currentTag) {
+        currentTag = operation.tags[0];
+        lines.push(`    // ${currentTag}`);
+      }
+      const separator = index < operations.length - 1 ? ',' : '';
+      lines.push(`${this.renderFunction(operation)}${separator}`);
+    });
+    lines.push('  }', '}', '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 生成单个接口的请求方法
+   * @param {Object} operation 接口文档
+   * @returns {string} 请求方法代码
+   */
+  renderFunction(operation) {
+    const args = operation.parameters
+      .filter(parameter => parameter.in === 'path')
+      .map(parameter => `${parameter.name}: string`);
+    const options = [`method: '${operation.method.toUpperCase()}'`];
+
+    const url = operation.path.replace(/\{(\w+)\}/g, '${$1}');
+    options.push(url.includes('${') ? `url: \`${url}\`` : `url: '${url}'`);
+
+    if (operation.requestBody && operation.requestBody.content['multipart/form-data']) {
+      // 上传接口：文件字段单独传入本地文件路径，其余为表单字段
+      const schema = operation.requestBody.content['multipart/form-data'].schema;
+      const [fileField, ...formFields] = Object.keys(schema.properties);
+      const formSchema = {
+        type: 'object',
+        properties: Object.fromEntries(formFields.map(field => [field, schema.properties[field]])),
+        required: schema.required.filter(field => field !== fileField)
+      };
+      args.push('filePaths: string[]');
+      options.push(`files: { name: '${fileField}', filePaths }`);
+      if (formFields.length > 0) {
+        args.push(`data${formSchema.required.length > 0 ? '' : '?'}: ${this.toTsType(formSchema, '    ')}`);
+        options.push('data');
+      }
+    } else if (operation.requestBody) {
+      const schema = operation.requestBody.content['application/json'].schema;
+      args.push(`data: ${this.toTsType(schema)}`);
+      options.push('data');
+    }
+
+    const queryParameters = operation.parameters.filter(parameter => parameter.in === 'query');
+    if (queryParameters.length > 0) {
+      const optional = queryParameters.some(parameter => parameter.required) ? '' : '?';
+      args.push(`query${optional}: ${this.pascalCase(operation.operationId)}Query`);
+      options.push('query');
+    }
+
+    const successResponse = operation.responses[200] || operation.responses[201];
+    const paginated = successResponse.content['application/json'].schema.$ref.endsWith('/PaginationResponse');
+    const dataType = paginated ? 'PageResponse<T>' : 'T';
+    const comment = operation['x-permission'] ? `    // 需要权限 ${operation['x-permission']}\n` : '';
+
+    return `${comment}    ${operation.operationId}: <T = unknown>(${args.join(', ')}) =>\n` +
+      `      request<${dataType}>({ ${options.join(', ')} })`;
+  }
+
+  /**
+   * 解析 TypeScript 接口字段（支持 Array<{ ... }> 形式的内联对象）
+   * @param {Array} lines 接口体的行
+   * @returns {Object} 字段名 -> { optional, children }
+   */
+  parseFields(lines) {
+    const fields = {};
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(/^\s*(\w+)(\?)?:\s*(.*)$/);
+      if (!match) {
+        continue;
+      }
+
+      const field = { optional: Boolean(match[2]), children: null };
+      // 内联对象：收集到对应的右括号为止
+      if (match[3].includes('{') && !match[3].includes('}')) {
+        const childLines = [];
+        let depth = 1;
+        while (depth > 0 && ++i < lines.length) {
+          depth += (lines[i].match(/\{/g) || []).length - (lines[i].match(/\}/g) || []).length;
+          if (depth > 0) {
+            childLines.push(lines[i]);
+          }
+        }
+        field.children = this.parseFields(childLines);
+      }
+      fields[match[1]] = field;
+    }
+    return fields;
+  }
+
+  /**
+   * 读取 types.ts 中的接口定义（合并 extends 的父接口字段）
+   * @returns {Object} 接口名 -> 字段
+   */
+  readTypeDefinitions() {
+    const content = fs.readFileSync(TYPES_FILE, 'utf8');
+    const interfaces = {};
+    const pattern = /^export interface (\w+)(?:<[^>]*>)?(?: extends (\w+))? \{\n([\s\S]*?)^\}/gm;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      interfaces[match[1]] = { parent: match[2], fields: this.parseFields(match[3].split('\n')) };
+    }
+
+    const resolve = name => {
+      const definition = interfaces[name];
+      if (!definition) {
+        return null;
+      }
+      return { ...(definition.parent ? resolve(definition.parent) : {}), ...definition.fields };
+    };
+    return Object.fromEntries(Object.keys(interfaces).map(name => [name, resolve(name)]));
+  }
+
+  /**
+   * 比较 types.ts 字段与验证模式
+   * @param {Object} fields types.ts 字段
+   * @param {Object} schema JSON Schema
+   * @param {string} prefix 字段路径前缀
+   * @returns {Array} 不一致说明
+   */
+  compareFields(fields, schema, prefix) {
+    const problems = [];
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+
+    Object.entries(fields).forEach(([key, field]) => {
+      const property = properties[key];
+      if (!property) {
+        problems.push(`${prefix}.${key} 不在服务端验证模式中，提交后会被丢弃`);
+        return;
+      }
+      if (field.optional && required.includes(key)) {
+        problems.push(`${prefix}.${key} 在服务端为必填字段`);
+      }
+
+      const childSchema = property.type === 'array' ? property.items : property;
+      if (field.children && childSchema && childSchema.type === 'object') {
+        problems.push(...this.compareFields(field.children, childSchema, `${prefix}.${key}`));
+      }
+    });
+
+    Object.keys(properties)
+      .filter(key => !fields[key])
+      .forEach(key => {
+        const state = required.includes(key) ? '必填' : '可选';
+        problems.push(`${prefix} 缺少服务端${state}字段 ${key}`);
+      });
+
+    return problems;
+  }
+
+  /**
+   * 检查 types.ts 中的请求类型与服务端验证模式是否一致
+   * @returns {Array} 不一致说明
+   */
+  checkTypes() {
+    const definitions = this.readTypeDefinitions();
+    const problems = [];
+
+    Object.entries(TYPES_SCHEMA_MAP).forEach(([typeName, schemaName]) => {
+      if (!definitions[typeName]) {
+        problems.push(`types.ts 缺少类型 ${typeName}（对应 ${schemaName}）`);
+        return;
+      }
+      const schema = openApiService.toJsonSchema(validationSchemas[schemaName].describe());
+      problems.push(...this.compareFields(definitions[typeName], schema, typeName));
+    });
+
+    return problems;
+  }
+
+  /**
+   * 写入客户端文件
+   */
+  write() {
+    fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+    fs.writeFileSync(OUTPUT_FILE, this.generate());
+    console.log(`已生成: ${path.relative(ROOT_DIR, OUTPUT_FILE)}`);
+  }
+
+  /**
+   * 检查生成文件和 types.ts 是否过期
+   * @returns {boolean} 是否一致
+   */
+  check() {
+    const problems = [];
+
+    const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : null;
+    if (current !== this.generate()) {
+      problems.push('client/api.ts 已过期，请执行 npm run client:generate');
+    }
+    problems.push(...this.checkTypes());
+
+    if (problems.length === 0) {
+      console.log('✅ client/api.ts 和 types.ts 与服务端验证模式一致');
+      return true;
+    }
+
+    console.error('❌ 接口类型与服务端验证模式不一致:');
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    return false;
+  }
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  const generator = new ClientGenerator();
+
+  if (process.argv.includes('--check')) {
+    process.exit(generator.check() ? 0 : 1);
+  }
+  generator.write();
+  process.exit(0);
+}
+
+// 运行主函数
+if (require.main === module) {
+  main();
+}
+
+module.exports = { ClientGenerator, main };
@@ -2,8 +2,11 @@
 
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const { init } = require('./dbConfig');
 const models = require('../src/models');
+const importBatchService = require('../src/services/importBatchService');
+const aliasService = require('../src/services/aliasService');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -17,10 +20,35 @@ const { v4: uuidv4 } = require('uuid');
  *   CSV目录路径 - CSV文件所在目录，默认为 ./csv_export
  */
 
+// 静默日志：不输出进度信息，只输出错误
+const SILENT_LOGGER = {
+  log: () => {},
+  warn: () => {},
+  error: (...args) => console.error(...args)
+};
+
 class CsvImporter {
   constructor(options = {}) {
     this.csvDir = options.csvDir || path.join(__dirname, '..', 'csv_export');
     
+    // 数据库事务（服务端上传导入时整批在同一事务中执行）
+    this.transaction = options.transaction || null;
+    
+    // 是否导入历史订单（命令行导入默认跳过订单）
+    this.importOrders = options.importOrders || false;
+    
+    // 操作人（导入批次的操作人、导入订单的创建人）
+    this.operator = options.operator || 'import';
+    
+    // 导入批次（导入创建的数据记录批次ID，修改的价格记录到导入变更表，用于回滚）
+    this.batch = options.batch || null;
+    
+    // 日志输出（服务端导入时设置 silent，不输出命令行进度信息）
+    this.logger = options.logger || (options.silent ? SILENT_LOGGER : console);
+    
+    // 已读取的CSV文件（记录到导入批次）
+    this.sourceFiles = [];
+    
     // 批量插入配置
     this.batchSize = 1000;
     
@@ -30,10 +58,13 @@ class CsvImporter {
       customersUpdated: 0,
       productsCreated: 0,
       productsUpdated: 0,
+      productVariantsCreated: 0,
       ordersCreated: 0,
       ordersSkipped: 0,
+      orderItemsCreated: 0,
       customerPricesCreated: 0,
       customerPricesUpdated: 0,
+      aliasesResolved: 0,
       errors: []
     };
     
@@ -41,8 +72,16 @@ class CsvImporter {
     this.cache = {
       customers: new Map(), // name -> customerId
       products: new Map(),  // name -> productId
-      existingOrders: new Set() // orderNo -> true
+      productValues: new Map(), // name -> { id, globalPrice, unit }
+      productVariants: new Map(), // productId_specification -> variantId
+      existingOrders: new Set(), // orderNo -> true
+      customerPrices: new Map(), // customerId_productId_variantId -> { id, price }（预览和记录导入批次时加载）
+      customerAliases: new Map(), // 别名 -> 客户当前名称
+      productAliases: new Map() // 别名 -> 商品当前名称
     };
+    
+    // 按别名映射到已有记录的名称（预览时展示）
+    this.resolvedAliases = [];
   }
 
   /**
@@ -52,77 +91,160 @@ class CsvImporter {
    */
   async importAllData(csvDir) {
     try {
-      console.log('=== CSV数据导入到MySQL ===\n');
+      this.logger.log('=== CSV数据导入到MySQL ===\n');
       
       // 检查CSV目录是否存在
       if (!fs.existsSync(csvDir)) {
         throw new Error(`CSV目录不存在: ${csvDir}`);
       }
       
-      // 第一步：加载已存在的数据库数据
-      console.log('=== 第一步：加载已存在的数据库数据 ===');
-      await this.loadExistingData();
-      
-      // 第二步：读取CSV数据
-      console.log('\n=== 第二步：读取CSV数据 ===');
+      // 读取CSV数据
+      this.logger.log('=== 读取CSV数据 ===');
       const csvData = await this.readCsvData(csvDir);
       
-      // 第三步：本地数据处理和去重
-      console.log('\n=== 第三步：本地数据处理和去重 ===');
-      const processedData = this.processDataLocally(csvData);
-      
-      // 第四步：批量插入所有数据
-      console.log('\n=== 第四步：批量插入所有数据 ===');
-      await this.batchInsertAllData(processedData);
+      // 记录导入批次（中途失败时批次标记为失败，已写入的数据仍可按批次回滚）
+      this.batch = await importBatchService.start({
+        source: importBatchService.SOURCE.CSV,
+        files: this.sourceFiles.map(filePath => ({ name: path.basename(filePath), buffer: fs.readFileSync(filePath) })),
+        operator: this.operator
+      });
+      this.logger.log(`✓ 导入批次: ${this.batch.id}`);
       
-      console.log('\n=== 导入完成 ===');
-      return this.stats;
+      const stats = await this.importData(csvData);
+      await importBatchService.finish(this.batch, stats);
+      return stats;
       
     } catch (error) {
-      console.error('导入过程中发生错误:', error.message);
+      this.logger.error('导入过程中发生错误:', error.message);
       this.stats.errors.push({
         file: 'all',
         error: error.message
       });
+      if (this.batch) {
+        await importBatchService.fail(this.batch, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * 导入数据（CSV文件读取结果，或 CsvExporter.buildCsvData 整理的Excel数据）
+   * @param {Object} csvData - 与 readCsvData 结构相同的数据
+   * @returns {Object} 导入统计信息
+   */
+  async importData(csvData) {
+    // 第一步：加载已存在的数据库数据
+    this.logger.log('\n=== 第一步：加载已存在的数据库数据 ===');
+    await this.loadExistingData();
+    if (this.batch) {
+      await this.loadExistingCustomerPrices();
+    }
+    
+    // 第二步：本地数据处理和去重
+    this.logger.log('\n=== 第二步：本地数据处理和去重 ===');
+    const processedData = this.processDataLocally(csvData);
+    
+    // 第三步：批量插入所有数据
+    this.logger.log('\n=== 第三步：批量插入所有数据 ===');
+    await this.batchInsertAllData(processedData);
+    
+    this.logger.log('\n=== 导入完成 ===');
+    return this.stats;
+  }
+
+  /**
+   * 预览导入结果（只读取数据库，不写入）
+   * @param {Object} csvData - 与 readCsvData 结构相同的数据
+   * @returns {Object} 预览结果
+   */
+  async previewData(csvData) {
+    await this.loadExistingData();
+    await this.loadExistingCustomerPrices();
+    const processedData = this.processDataLocally(csvData);
+    return this.buildPreview(processedData);
+  }
+
   /**
    * 加载已存在的数据库数据
    */
   async loadExistingData() {
-    console.log('加载已存在的数据库数据...');
+    this.logger.log('加载已存在的数据库数据...');
     
     // 获取已存在的客户
     const existingCustomers = await models.Customer.findAll({
       attributes: ['id', 'name'],
-      raw: true
+      raw: true,
+      transaction: this.transaction
     });
     existingCustomers.forEach(customer => {
       this.cache.customers.set(customer.name, customer.id);
     });
-    console.log(`✓ 已加载 ${existingCustomers.length} 个客户`);
+    this.logger.log(`✓ 已加载 ${existingCustomers.length} 个客户`);
     
     // 获取已存在的商品
     const existingProducts = await models.Product.findAll({
-      attributes: ['id', 'name'],
-      raw: true
+      attributes: ['id', 'name', 'globalPrice', 'unit'],
+      raw: true,
+      transaction: this.transaction
     });
     existingProducts.forEach(product => {
       this.cache.products.set(product.name, product.id);
+      this.cache.productValues.set(product.name, {
+        id: product.id,
+        globalPrice: parseFloat(product.globalPrice),
+        unit: product.unit
+      });
     });
-    console.log(`✓ 已加载 ${existingProducts.length} 个商品`);
+    this.logger.log(`✓ 已加载 ${existingProducts.length} 个商品`);
+    
+    // 获取已存在的商品规格
+    const existingVariants = await models.ProductVariant.findAll({
+      attributes: ['id', 'productId', 'specification'],
+      raw: true,
+      transaction: this.transaction
+    });
+    existingVariants.forEach(variant => {
+      this.cache.productVariants.set(`${variant.productId}_${variant.specification}`, variant.id);
+    });
+    this.logger.log(`✓ 已加载 ${existingVariants.length} 个商品规格`);
+    
+    // 获取客户和商品别名（合并或改名前的旧名称）
+    const [customerAliases, productAliases] = await Promise.all([
+      aliasService.getAliasMap(aliasService.TYPE.CUSTOMER, this.transaction),
+      aliasService.getAliasMap(aliasService.TYPE.PRODUCT, this.transaction)
+    ]);
+    customerAliases.forEach((owner, alias) => this.cache.customerAliases.set(alias, owner.name));
+    productAliases.forEach((owner, alias) => this.cache.productAliases.set(alias, owner.name));
+    this.logger.log(`✓ 已加载 ${customerAliases.size} 个客户别名，${productAliases.size} 个商品别名`);
     
     // 获取已存在的订单号
     const existingOrders = await models.Order.findAll({
       attributes: ['orderNo'],
-      raw: true
+      raw: true,
+      transaction: this.transaction
     });
     existingOrders.forEach(order => {
       this.cache.existingOrders.add(order.orderNo);
     });
-    console.log(`✓ 已加载 ${existingOrders.length} 个已存在订单`);
+    this.logger.log(`✓ 已加载 ${existingOrders.length} 个已存在订单`);
+  }
+
+  /**
+   * 加载已存在的客户专属价格（用于预览价格变化）
+   */
+  async loadExistingCustomerPrices() {
+    const existingPrices = await models.CustomerPrice.findAll({
+      attributes: ['id', 'customerId', 'productId', 'variantId', 'price'],
+      raw: true,
+      transaction: this.transaction
+    });
+    existingPrices.forEach(price => {
+      this.cache.customerPrices.set(`${price.customerId}_${price.productId}_${price.variantId}`, {
+        id: price.id,
+        price: parseFloat(price.price)
+      });
+    });
+    this.logger.log(`✓ 已加载 ${existingPrices.length} 个客户专属价格`);
   }
 
   /**
@@ -134,6 +256,7 @@ class CsvImporter {
     const csvData = {
       customers: [],
       products: [],
+      productVariants: [],
       orders: [],
       orderItems: [],
       customerPrices: []
@@ -143,27 +266,50 @@ class CsvImporter {
     const customersPath = path.join(csvDir, 'customers.csv');
     if (fs.existsSync(customersPath)) {
       csvData.customers = this.parseCsvFile(customersPath);
-      console.log(`✓ 读取客户数据: ${csvData.customers.length}条`);
+      this.logger.log(`✓ 读取客户数据: ${csvData.customers.length}条`);
     }
     
     // 读取商品数据
     const productsPath = path.join(csvDir, 'products.csv');
     if (fs.existsSync(productsPath)) {
       csvData.products = this.parseCsvFile(productsPath);
-      console.log(`✓ 读取商品数据: ${csvData.products.length}条`);
+      this.logger.log(`✓ 读取商品数据: ${csvData.products.length}条`);
     }
     
-    // 跳过订单数据导入
-    console.log(`⚠ 跳过订单数据导入`);
+    // 读取商品规格数据
+    const productVariantsPath = path.join(csvDir, 'product_variants.csv');
+    if (fs.existsSync(productVariantsPath)) {
+      csvData.productVariants = this.parseCsvFile(productVariantsPath);
+      this.logger.log(`✓ 读取商品规格数据: ${csvData.productVariants.length}条`);
+    }
     
-    // 跳过订单项数据导入
-    console.log(`⚠ 跳过订单项数据导入`);
+    if (this.importOrders) {
+      // 读取订单数据
+      const ordersPath = path.join(csvDir, 'orders.csv');
+      if (fs.existsSync(ordersPath)) {
+        csvData.orders = this.parseCsvFile(ordersPath);
+        this.logger.log(`✓ 读取订单数据: ${csvData.orders.length}条`);
+      }
+      
+      // 读取订单项数据
+      const orderItemsPath = path.join(csvDir, 'order_items.csv');
+      if (fs.existsSync(orderItemsPath)) {
+        csvData.orderItems = this.parseCsvFile(orderItemsPath);
+        this.logger.log(`✓ 读取订单项数据: ${csvData.orderItems.length}条`);
+      }
+    } else {
+      // 跳过订单数据导入
+      this.logger.log(`⚠ 跳过订单数据导入`);
+      
+      // 跳过订单项数据导入
+      this.logger.log(`⚠ 跳过订单项数据导入`);
+    }
     
     // 读取客户价格数据
     const customerPricesPath = path.join(csvDir, 'customer_prices.csv');
     if (fs.existsSync(customerPricesPath)) {
       csvData.customerPrices = this.parseCsvFile(customerPricesPath);
-      console.log(`✓ 读取客户价格数据: ${csvData.customerPrices.length}条`);
+      this.logger.log(`✓ 读取客户价格数据: ${csvData.customerPrices.length}条`);
     }
     
     return csvData;
@@ -175,6 +321,7 @@ class CsvImporter {
    * @returns {Array} 解析后的数据
    */
   parseCsvFile(filePath) {
+    this.sourceFiles.push(filePath);
     const content = fs.readFileSync(filePath, 'utf8');
     const lines = content.split('\n').filter(line => line.trim());
     
@@ -230,15 +377,20 @@ class CsvImporter {
    * @returns {Object} 处理后的数据
    */
   processDataLocally(csvData) {
-    console.log('本地数据处理和去重...');
+    this.logger.log('本地数据处理和去重...');
+    
+    // 旧名称按别名映射到已有的客户和商品
+    this.resolveAliases(csvData);
     
     const processedData = {
       newCustomers: [],
       updatedCustomers: [],
       newProducts: [],
       updatedProducts: [],
+      productVariants: [],
       newOrders: [],
       newOrderItems: [],
+      skippedOrders: [],
       newCustomerPrices: [],
       updatedCustomerPrices: []
     };
@@ -261,30 +413,183 @@ class CsvImporter {
       }
     });
     
-    // 跳过订单数据处理
-    console.log('⚠ 跳过订单数据处理');
+    // 处理商品规格（商品ID在插入商品后才能确定，插入时再去重）
+    processedData.productVariants = csvData.productVariants.filter(variant => variant.specification);
     
-    // 跳过订单项数据处理
-    console.log('⚠ 跳过订单项数据处理');
+    if (this.importOrders) {
+      this.processOrders(csvData, processedData);
+    } else {
+      // 跳过订单数据处理
+      this.logger.log('⚠ 跳过订单数据处理');
+      
+      // 跳过订单项数据处理
+      this.logger.log('⚠ 跳过订单项数据处理');
+    }
     
     // 处理客户专属价格
     csvData.customerPrices.forEach(price => {
       processedData.newCustomerPrices.push(price);
     });
     
-    console.log(`✓ 数据处理完成:`);
-    console.log(`  - 新客户: ${processedData.newCustomers.length}`);
-    console.log(`  - 更新客户: ${processedData.updatedCustomers.length}`);
-    console.log(`  - 新商品: ${processedData.newProducts.length}`);
-    console.log(`  - 更新商品: ${processedData.updatedProducts.length}`);
-    console.log(`  - 新订单: ${processedData.newOrders.length}`);
-    console.log(`  - 跳过订单: ${this.stats.ordersSkipped}`);
-    console.log(`  - 新订单项: ${processedData.newOrderItems.length}`);
-    console.log(`  - 客户价格: ${processedData.newCustomerPrices.length}`);
+    this.logger.log(`✓ 数据处理完成:`);
+    this.logger.log(`  - 新客户: ${processedData.newCustomers.length}`);
+    this.logger.log(`  - 更新客户: ${processedData.updatedCustomers.length}`);
+    this.logger.log(`  - 新商品: ${processedData.newProducts.length}`);
+    this.logger.log(`  - 更新商品: ${processedData.updatedProducts.length}`);
+    this.logger.log(`  - 商品规格: ${processedData.productVariants.length}`);
+    this.logger.log(`  - 新订单: ${processedData.newOrders.length}`);
+    this.logger.log(`  - 跳过订单: ${this.stats.ordersSkipped}`);
+    this.logger.log(`  - 新订单项: ${processedData.newOrderItems.length}`);
+    this.logger.log(`  - 客户价格: ${processedData.newCustomerPrices.length}`);
     
     return processedData;
   }
 
+  /**
+   * 将CSV中的客户、商品名称按别名替换为已有记录的当前名称（名称本身就是已有记录时不替换）
+   * @param {Object} csvData - CSV数据
+   */
+  resolveAliases(csvData) {
+    const resolved = new Map();
+    const resolveName = (type, name) => {
+      const names = type === 'customer' ? this.cache.customers : this.cache.products;
+      const aliases = type === 'customer' ? this.cache.customerAliases : this.cache.productAliases;
+      if (!name || names.has(name) || !aliases.has(name)) {
+        return name;
+      }
+      const canonicalName = aliases.get(name);
+      resolved.set(`${type}|${name}`, { type, alias: name, name: canonicalName });
+      this.stats.aliasesResolved++;
+      return canonicalName;
+    };
+    
+    const renameField = (rows, field, type) => {
+      (rows || []).forEach(row => {
+        row[field] = resolveName(type, row[field]);
+      });
+    };
+    renameField(csvData.customers, 'name', 'customer');
+    renameField(csvData.orders, 'customer_name', 'customer');
+    renameField(csvData.customerPrices, 'customer_name', 'customer');
+    renameField(csvData.products, 'name', 'product');
+    renameField(csvData.productVariants, 'product_name', 'product');
+    renameField(csvData.orderItems, 'product_name', 'product');
+    renameField(csvData.customerPrices, 'product_name', 'product');
+    
+    this.resolvedAliases = [...resolved.values()];
+    if (this.resolvedAliases.length > 0) {
+      this.logger.log(`✓ 按别名映射 ${this.resolvedAliases.length} 个名称到已有记录`);
+    }
+  }
+
+  /**
+   * 处理订单数据（已存在的订单号跳过，同一批数据中重复的订单号只导入第一个）
+   * @param {Object} csvData - CSV数据
+   * @param {Object} processedData - 处理后的数据
+   */
+  processOrders(csvData, processedData) {
+    const itemsByOrderNo = new Map();
+    (csvData.orderItems || []).forEach(item => {
+      if (!itemsByOrderNo.has(item.order_no)) {
+        itemsByOrderNo.set(item.order_no, []);
+      }
+      itemsByOrderNo.get(item.order_no).push(item);
+    });
+    
+    const importedOrderNos = new Set();
+    (csvData.orders || []).forEach(order => {
+      let reason = null;
+      if (this.cache.existingOrders.has(order.order_no)) {
+        reason = '订单号已存在';
+      } else if (importedOrderNos.has(order.order_no)) {
+        reason = '订单号重复';
+      }
+      
+      if (reason) {
+        processedData.skippedOrders.push({ ...order, reason });
+        this.stats.ordersSkipped++;
+        return;
+      }
+      
+      importedOrderNos.add(order.order_no);
+      processedData.newOrders.push(order);
+      processedData.newOrderItems.push(...(itemsByOrderNo.get(order.order_no) || []));
+    });
+  }
+
+  /**
+   * 根据处理后的数据生成预览（新客户、新商品、待创建订单、跳过的订单、价格变化）
+   * @param {Object} processedData - 处理后的数据
+   * @returns {Object} 预览结果
+   */
+  buildPreview(processedData) {
+    const itemCounts = new Map();
+    processedData.newOrderItems.forEach(item => {
+      itemCounts.set(item.order_no, (itemCounts.get(item.order_no) || 0) + 1);
+    });
+    
+    // 商品统一售价变化
+    const productPriceChanges = processedData.updatedProducts
+      .map(product => ({
+        name: product.name,
+        oldPrice: this.cache.productValues.get(product.name).globalPrice,
+        newPrice: parseFloat(product.global_price) || 0
+      }))
+      .filter(change => change.oldPrice !== change.newPrice);
+    
+    // 客户专属价格变化（新客户、新商品的价格 oldPrice 为 null）
+    const customerPriceChanges = [];
+    processedData.newCustomerPrices.forEach(price => {
+      const customerId = this.cache.customers.get(price.customer_name);
+      const productId = this.cache.products.get(price.product_name);
+      const variantId = price.specification
+        ? this.cache.productVariants.get(`${productId}_${price.specification}`)
+        : '';
+      const existingPrice = customerId && productId && variantId !== undefined
+        ? this.cache.customerPrices.get(`${customerId}_${productId}_${variantId}`)
+        : undefined;
+      const oldPrice = existingPrice ? existingPrice.price : undefined;
+      const newPrice = parseFloat(price.price);
+      
+      if (oldPrice !== newPrice) {
+        customerPriceChanges.push({
+          customerName: price.customer_name,
+          productName: price.product_name,
+          specification: price.specification || '',
+          oldPrice: oldPrice === undefined ? null : oldPrice,
+          newPrice
+        });
+      }
+    });
+    
+    return {
+      newCustomers: processedData.newCustomers.map(customer => customer.name),
+      newProducts: processedData.newProducts.map(product => ({
+        name: product.name,
+        unit: product.unit || '个',
+        globalPrice: parseFloat(product.global_price) || 0
+      })),
+      ordersToCreate: processedData.newOrders.map(order => ({
+        orderNo: order.order_no,
+        customerName: order.customer_name,
+        orderDate: order.order_date,
+        itemCount: itemCounts.get(order.order_no) || 0,
+        totalAmount: parseFloat(order.total_amount) || 0
+      })),
+      skippedOrders: processedData.skippedOrders.map(order => ({
+        orderNo: order.order_no,
+        customerName: order.customer_name,
+        orderDate: order.order_date,
+        reason: order.reason
+      })),
+      priceChanges: {
+        products: productPriceChanges,
+        customerPrices: customerPriceChanges
+      },
+      resolvedAliases: this.resolvedAliases
+    };
+  }
+
 
   /**
    * 批量插入所有数据
@@ -293,11 +598,12 @@ class CsvImporter {
   async batchInsertAllData(processedData) {
     // 第一步：批量插入新客户
     if (processedData.newCustomers.length > 0) {
-      console.log(`批量插入 ${processedData.newCustomers.length} 个新客户...`);
+      this.logger.log(`批量插入 ${processedData.newCustomers.length} 个新客户...`);
       const customerData = processedData.newCustomers.map(customer => ({
         id: uuidv4(),
         name: customer.name,
-        phone: customer.phone || null
+        phone: customer.phone || null,
+        importBatchId: this.getBatchId()
       }));
       await this.batchInsert(models.Customer, customerData);
       this.stats.customersCreated += customerData.length;
@@ -310,12 +616,13 @@ class CsvImporter {
     
     // 第二步：批量插入新商品
     if (processedData.newProducts.length > 0) {
-      console.log(`批量插入 ${processedData.newProducts.length} 个新商品...`);
+      this.logger.log(`批量插入 ${processedData.newProducts.length} 个新商品...`);
       const productData = processedData.newProducts.map(product => ({
         id: uuidv4(),
         name: product.name,
         globalPrice: parseFloat(product.global_price) || 0,
-        unit: product.unit || '个'
+        unit: product.unit || '个',
+        importBatchId: this.getBatchId()
       }));
       await this.batchInsert(models.Product, productData);
       this.stats.productsCreated += productData.length;
@@ -328,25 +635,37 @@ class CsvImporter {
     
     // 第三步：批量更新商品价格
     if (processedData.updatedProducts.length > 0) {
-      console.log(`批量更新 ${processedData.updatedProducts.length} 个商品价格...`);
+      this.logger.log(`批量更新 ${processedData.updatedProducts.length} 个商品价格...`);
       await this.batchUpdateProductPrices(processedData.updatedProducts);
       this.stats.productsUpdated += processedData.updatedProducts.length;
     }
     
-    // 跳过订单批量插入
-    console.log('⚠ 跳过订单批量插入');
+    // 第四步：批量插入新商品规格
+    if (processedData.productVariants.length > 0) {
+      await this.batchInsertProductVariants(processedData.productVariants);
+    }
     
-    // 跳过订单项批量插入
-    console.log('⚠ 跳过订单项批量插入');
+    // 第五步：批量插入历史订单和订单项
+    if (this.importOrders) {
+      if (processedData.newOrders.length > 0) {
+        await this.batchInsertOrders(processedData.newOrders, processedData.newOrderItems);
+      }
+    } else {
+      // 跳过订单批量插入
+      this.logger.log('⚠ 跳过订单批量插入');
+      
+      // 跳过订单项批量插入
+      this.logger.log('⚠ 跳过订单项批量插入');
+    }
     
     // 第六步：批量插入客户专属价格
     if (processedData.newCustomerPrices.length > 0) {
-      console.log(`批量插入 ${processedData.newCustomerPrices.length} 个客户专属价格...`);
+      this.logger.log(`批量插入 ${processedData.newCustomerPrices.length} 个客户专属价格...`);
       await this.batchInsertCustomerPrices(processedData.newCustomerPrices);
       this.stats.customerPricesCreated += processedData.newCustomerPrices.length;
     }
     
-    console.log('\n✓ 所有数据批量插入完成');
+    this.logger.log('\n✓ 所有数据批量插入完成');
   }
 
   /**
@@ -359,7 +678,8 @@ class CsvImporter {
       const batch = data.slice(i, i + this.batchSize);
       await Model.bulkCreate(batch, {
         ignoreDuplicates: true,
-        validate: false
+        validate: false,
+        transaction: this.transaction
       });
     }
   }
@@ -369,26 +689,176 @@ class CsvImporter {
    * @param {Array} products - 商品数据
    */
   async batchUpdateProductPrices(products) {
-    const { sequelize } = require('../db');
+    // 记录价格或单位有变化的商品的原值（同名商品按顺序更新，以最后一条为准）
+    const finalValues = new Map();
+    products.forEach(product => {
+      finalValues.set(product.name, { globalPrice: parseFloat(product.global_price), unit: product.unit });
+    });
+    const changes = [];
+    finalValues.forEach((newValues, name) => {
+      const existing = this.cache.productValues.get(name);
+      if (existing && (existing.globalPrice !== newValues.globalPrice || existing.unit !== newValues.unit)) {
+        changes.push({
+          targetType: importBatchService.TARGET_TYPE.PRODUCT,
+          targetId: existing.id,
+          oldValues: { globalPrice: existing.globalPrice, unit: existing.unit },
+          newValues
+        });
+      }
+    });
+    await this.recordChanges(changes);
     
     for (let i = 0; i < products.length; i += this.batchSize) {
       const batch = products.slice(i, i + this.batchSize);
       
       for (const product of batch) {
-        await sequelize.query(
-          'UPDATE products SET global_price = :price, unit = :unit, updated_at = NOW() WHERE name = :name',
+        await models.Product.update(
           {
-            replacements: {
-              price: parseFloat(product.global_price),
-              unit: product.unit,
-              name: product.name
-            }
+            globalPrice: parseFloat(product.global_price),
+            unit: product.unit
+          },
+          {
+            where: { name: product.name },
+            transaction: this.transaction
           }
         );
       }
     }
   }
 
+  /**
+   * 批量插入商品规格（已存在的规格跳过）
+   * @param {Array} productVariants - 商品规格数据
+   */
+  async batchInsertProductVariants(productVariants) {
+    const variantData = [];
+    
+    productVariants.forEach(variant => {
+      const productId = this.cache.products.get(variant.product_name);
+      const key = `${productId}_${variant.specification}`;
+      
+      if (productId && !this.cache.productVariants.has(key)) {
+        const id = uuidv4();
+        variantData.push({
+          id,
+          productId,
+          specification: variant.specification,
+          price: parseFloat(variant.price) || 0,
+          unit: variant.unit || '个',
+          importBatchId: this.getBatchId()
+        });
+        this.cache.productVariants.set(key, id);
+      }
+    });
+    
+    if (variantData.length > 0) {
+      this.logger.log(`批量插入 ${variantData.length} 个新商品规格...`);
+      await this.batchInsert(models.ProductVariant, variantData);
+      this.stats.productVariantsCreated += variantData.length;
+    }
+  }
+
+  /**
+   * 当前导入批次ID（未记录导入批次时为 null）
+   * @returns {string|null} 导入批次ID
+   */
+  getBatchId() {
+    return this.batch ? this.batch.id : null;
+  }
+
+  /**
+   * 记录导入修改的数据原值（用于按批次回滚）
+   * @param {Array} changes - 变更记录 [{ targetType, targetId, oldValues, newValues }]
+   */
+  async recordChanges(changes) {
+    if (!this.batch || changes.length === 0) {
+      return;
+    }
+    
+    const changeData = changes.map(change => ({ id: uuidv4(), batchId: this.batch.id, ...change }));
+    await this.batchInsert(models.ImportBatchChange, changeData);
+  }
+
+  /**
+   * 查找商品ID（订单项中的商品名称未做分割修复，找不到时按去除空格后的名称再查一次）
+   * @param {string} productName - 商品名称
+   * @returns {string|undefined} 商品ID
+   */
+  findProductId(productName) {
+    return this.cache.products.get(productName) || this.cache.products.get(productName.replace(/\s+/g, ''));
+  }
+
+  /**
+   * 批量插入历史订单和订单项（订单按订单日期记录创建时间）
+   * @param {Array} orders - 订单数据
+   * @param {Array} orderItems - 订单项数据
+   */
+  async batchInsertOrders(orders, orderItems) {
+    const orderIds = new Map();
+    const orderData = [];
+    
+    orders.forEach(order => {
+      const customerId = this.cache.customers.get(order.customer_name);
+      if (!customerId) {
+        this.stats.errors.push({ file: order.order_no, error: `客户不存在: ${order.customer_name}` });
+        return;
+      }
+      
+      const id = uuidv4();
+      const orderDate = new Date(order.order_date);
+      orderIds.set(order.order_no, id);
+      orderData.push({
+        id,
+        orderNo: order.order_no,
+        customerId,
+        totalAmount: parseFloat(order.total_amount) || 0,
+        status: order.status || 'completed',
+        createdBy: this.operator,
+        importBatchId: this.getBatchId(),
+        createdAt: orderDate,
+        updatedAt: orderDate
+      });
+    });
+    
+    const itemData = [];
+    const sortOrders = new Map();
+    orderItems.forEach(item => {
+      const orderId = orderIds.get(item.order_no);
+      const productId = this.findProductId(item.product_name);
+      if (!orderId) {
+        return;
+      }
+      if (!productId) {
+        this.stats.errors.push({ file: item.order_no, error: `商品不存在: ${item.product_name}` });
+        return;
+      }
+      
+      const sortOrder = (sortOrders.get(orderId) || 0) + 1;
+      sortOrders.set(orderId, sortOrder);
+      itemData.push({
+        id: uuidv4(),
+        orderId,
+        productId,
+        variantId: item.specification ? this.cache.productVariants.get(`${productId}_${item.specification}`) || null : null,
+        productName: item.product_name,
+        specification: item.specification || null,
+        unit: item.unit || '个',
+        quantity: parseFloat(item.quantity) || 0,
+        unitPrice: parseFloat(item.unit_price) || 0,
+        totalPrice: parseFloat(item.total_price) || 0,
+        remark: item.remark || null,
+        sortOrder,
+        importBatchId: this.getBatchId()
+      });
+    });
+    
+    this.logger.log(`批量插入 ${orderData.length} 个历史订单、${itemData.length} 个订单项...`);
+    await this.batchInsert(models.Order, orderData);
+    await this.batchInsert(models.OrderItem, itemData);
+    this.stats.ordersCreated += orderData.length;
+    this.stats.orderItemsCreated += itemData.length;
+  }
+
   /**
    * 批量插入客户价格
    * @param {Array} customerPrices - 客户价格数据
@@ -396,42 +866,55 @@ class CsvImporter {
   async batchInsertCustomerPrices(customerPrices) {
     // 准备客户价格数据
     const customerPriceData = [];
+    const changes = [];
     
     customerPrices.forEach(price => {
       const customerId = this.cache.customers.get(price.customer_name);
       const productId = this.cache.products.get(price.product_name);
       
+      // 带规格的价格对应到商品规格，找不到规格时跳过
+      let variantId = '';
+      if (price.specification) {
+        variantId = this.cache.productVariants.get(`${productId}_${price.specification}`);
+        if (!variantId) {
+          return;
+        }
+      }
+      
       if (customerId && productId) {
+        const newPrice = parseFloat(price.price);
         customerPriceData.push({
           id: uuidv4(),
           customerId: customerId,
           productId: productId,
-          price: parseFloat(price.price),
-          createdAt: new Date().toISOString().slice(0, 19).replace('T', ' '),
-          updatedAt: new Date().toISOString().slice(0, 19).replace('T', ' ')
+          variantId: variantId,
+          price: newPrice,
+          importBatchId: this.getBatchId()
         });
+        
+        // 已存在的专属价格被覆盖时记录原价格（upsert 不会修改原记录的导入批次ID）
+        const existingPrice = this.cache.customerPrices.get(`${customerId}_${productId}_${variantId}`);
+        if (existingPrice && existingPrice.price !== newPrice) {
+          changes.push({
+            targetType: importBatchService.TARGET_TYPE.CUSTOMER_PRICE,
+            targetId: existingPrice.id,
+            oldValues: { price: existingPrice.price },
+            newValues: { price: newPrice }
+          });
+        }
       }
     });
+    await this.recordChanges(changes);
     
-    // 使用原生SQL进行批量upsert
-    const { sequelize } = require('../db');
-    
+    // 批量upsert（MySQL 使用 ON DUPLICATE KEY UPDATE，SQLite 使用 ON CONFLICT）
     for (let i = 0; i < customerPriceData.length; i += this.batchSize) {
       const batch = customerPriceData.slice(i, i + this.batchSize);
       
-      const values = batch.map(item => 
-        `('${item.id}', '${item.customerId}', '${item.productId}', ${item.price}, '${item.createdAt}', '${item.updatedAt}')`
-      ).join(',');
-      
-      const sql = `
-        INSERT INTO customer_prices (id, customer_id, product_id, price, created_at, updated_at)
-        VALUES ${values}
-        ON DUPLICATE KEY UPDATE
-        price = VALUES(price),
-        updated_at = VALUES(updated_at)
-      `;
-      
-      await sequelize.query(sql);
+      await models.CustomerPrice.bulkCreate(batch, {
+        updateOnDuplicate: ['price', 'updatedAt'],
+        validate: false,
+        transaction: this.transaction
+      });
     }
   }
 }
@@ -454,8 +937,8 @@ async function main() {
     await init();
     console.log('数据库连接成功\n');
     
-    // 创建导入器实例
-    const importer = new CsvImporter({ csvDir });
+    // 创建导入器实例（操作人记录为当前系统用户）
+    const importer = new CsvImporter({ csvDir, operator: os.userInfo().username });
     
     // 执行导入
     const stats = await importer.importAllData(csvDir);
@@ -464,6 +947,7 @@ async function main() {
     console.log('\n=== 最终统计 ===');
     console.log(`客户处理: 创建 ${stats.customersCreated}, 更新 ${stats.customersUpdated}`);
     console.log(`商品处理: 创建 ${stats.productsCreated}, 更新 ${stats.productsUpdated}`);
+    console.log(`商品规格: 创建 ${stats.productVariantsCreated}`);
     console.log(`订单处理: 创建 ${stats.ordersCreated}, 跳过 ${stats.ordersSkipped}`);
     console.log(`客户价格: 创建/更新 ${stats.customerPricesCreated}`);
     
@@ -487,19 +971,19 @@ async function main() {
   }
 }
 
-// 处理未捕获的异常
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('未处理的Promise拒绝:', reason);
-  process.exit(1);
-});
+// 运行主函数（直接运行时才注册全局异常处理，被服务端引用时不影响进程）
+if (require.main === module) {
+  // 处理未捕获的异常
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('未处理的Promise拒绝:', reason);
+    process.exit(1);
+  });
 
-process.on('uncaughtException', (error) => {
-  console.error('未捕获的异常:', error);
-  process.exit(1);
-});
+  process.on('uncaughtException', (error) => {
+    console.error('未捕获的异常:', error);
+    process.exit(1);
+  });
 
-// 运行主函数
-if (require.main === module) {
   main();
 }
 
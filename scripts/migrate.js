@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../db');
+const migrator = require('../migrator');
+
+/**
+ * 数据库迁移脚本
+ * 迁移文件位于 migrations 目录，执行记录保存在 schema_migrations 表
+ * 
+ * 使用方法: 
+ *   node scripts/migrate.js up                执行全部待执行的迁移
+ *   node scripts/migrate.js status            查看迁移状态
+ *   node scripts/migrate.js rollback [--steps N]  回滚最近 N 个迁移（默认1个）
+ *   node scripts/migrate.js create <描述>      创建新的迁移文件
+ */
+
+class MigrationRunner {
+  /**
+   * 执行待执行的迁移
+   */
+  async up() {
+    await sequelize.authenticate();
+    const executed = await migrator.migrate();
+    if (executed.length === 0) {
+      console.log('没有待执行的迁移');
+    } else {
+      console.log(`\n✅ 已执行 ${executed.length} 个迁移`);
+    }
+  }
+
+  /**
+   * 输出迁移状态
+   */
+  async status() {
+    await sequelize.authenticate();
+    const rows = await migrator.getStatus();
+    if (rows.length === 0) {
+      console.log('没有迁移文件');
+      return;
+    }
+
+    rows.forEach(row => {
+      let state = row.executed ? '已执行' : '待执行';
+      if (row.missing) {
+        state = '文件缺失';
+      }
+      const executedAt = row.executedAt ? new Date(row.executedAt).toISOString() : '';
+      console.log(`[${state}] ${row.name} ${executedAt}`);
+    });
+
+    const pendingCount = rows.filter(row => !row.executed).length;
+    console.log(`\n共 ${rows.length} 个迁移，待执行 ${pendingCount} 个`);
+  }
+
+  /**
+   * 回滚最近执行的迁移
+   * @param {number} steps 回滚数量
+   */
+  async rollback(steps) {
+    await sequelize.authenticate();
+    const rolledBack = await migrator.rollback(steps);
+    if (rolledBack.length === 0) {
+      console.log('没有可回滚的迁移');
+    } else {
+      console.log(`\n✅ 已回滚 ${rolledBack.length} 个迁移`);
+    }
+  }
+
+  /**
+   * 创建新的迁移文件
+   * @param {string} description 迁移描述（英文、数字、-）
+   */
+  create(description) {
+    if (!description || !/^[a-z0-9-]+$/i.test(description)) {
+      throw new Error('请提供迁移描述（只能包含字母、数字和-），如: add-order-remark');
+    }
+
+    const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const fileName = `${timestamp}-${description}.js`;
+    const template = `module.exports = {
+  async up(queryInterface, Sequelize) {
+  },
+
+  async down(queryInterface, Sequelize) {
+  }
+};
+`;
+
+    fs.mkdirSync(migrator.MIGRATIONS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(migrator.MIGRATIONS_DIR, fileName), template);
+    console.log(`已创建迁移文件: migrations/${fileName}`);
+  }
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'status';
+  const runner = new MigrationRunner();
+  let exitCode = 0;
+
+  try {
+    if (command === 'up') {
+      await runner.up();
+    } else if (command === 'status') {
+      await runner.status();
+    } else if (command === 'rollback') {
+      const stepsIndex = args.indexOf('--steps');
+      const steps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1]) : 1;
+      if (!steps || steps < 1) {
+        throw new Error('--steps 必须是正整数');
+      }
+      await runner.rollback(steps);
+    } else if (command === 'create') {
+      runner.create(args[1]);
+    } else {
+      throw new Error(`未知命令: ${command}，可用命令: up、status、rollback、create`);
+    }
+  } catch (error) {
+    console.error('\n迁移失败:', error.message);
+    exitCode = 1;
+  } finally {
+    await sequelize.close();
+    process.exit(exitCode);
+  }
+}
+
+// 运行主函数
+if (require.main === module) {
+  main();
+}
+
+module.exports = { MigrationRunner, main };
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { init, sequelize } = require('../db');
+const reconciliationService = require('../src/services/reconciliationService');
+
+/**
+ * 归档对账脚本
+ * 重新解析archive目录下的对账单Excel，按客户/年份/单号与数据库中的订单金额和订单项金额核对，
+ * 输出缺失订单、金额不一致订单、数量×单价≠金额的行
+ *
+ * 使用方法:
+ *   node scripts/reconcileArchive.js [archive目录路径] [输出目录路径]
+ *
+ * 参数说明:
+ *   archive目录路径 - Excel文件所在目录，默认为 ./archive（或 ARCHIVE_DIR 环境变量）
+ *   输出目录路径   - 报告输出目录，默认为 ./reconciliation，生成 reconciliation.json 和 reconciliation.xlsx
+ */
+
+class ArchiveReconciler {
+  constructor(options = {}) {
+    this.archiveDir = options.archiveDir || reconciliationService.getArchiveDir();
+    this.outputDir = options.outputDir || path.join(__dirname, '..', 'reconciliation');
+  }
+
+  /**
+   * 生成对账报告并写入文件
+   * @returns {Object} 对账报告
+   */
+  async run() {
+    if (!fs.existsSync(this.archiveDir)) {
+      throw new Error(`archive目录不存在: ${this.archiveDir}`);
+    }
+
+    console.log(`解析archive目录: ${this.archiveDir}`);
+    const report = await reconciliationService.reconcile(this.archiveDir);
+
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+    const jsonPath = path.join(this.outputDir, 'reconciliation.json');
+    const xlsxPath = path.join(this.outputDir, 'reconciliation.xlsx');
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+    fs.writeFileSync(xlsxPath, reconciliationService.buildWorkbook(report));
+
+    this.printSummary(report);
+    console.log(`\n✓ 对账报告已生成: ${jsonPath}`);
+    console.log(`✓ 对账报告已生成: ${xlsxPath}`);
+    return report;
+  }
+
+  /**
+   * 输出对账汇总
+   * @param {Object} report - 对账报告
+   */
+  printSummary(report) {
+    const { summary } = report;
+    console.log('\n=== 对账汇总 ===');
+    console.log(`归档文件: ${summary.files}（解析错误 ${summary.parseErrors}）`);
+    console.log(`Excel订单: ${summary.excelOrders}，已匹配 ${summary.matchedOrders}`);
+    console.log(`缺失订单: ${summary.missingOrders}`);
+    console.log(`金额不一致订单: ${summary.amountMismatches}`);
+    console.log(`数量×单价≠金额的行: ${summary.rowMismatches}`);
+    console.log(`Excel金额合计: ${summary.excelAmount}，已匹配订单数据库金额合计: ${summary.databaseAmount}`);
+  }
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const reconciler = new ArchiveReconciler({ archiveDir: args[0], outputDir: args[1] });
+  let exitCode = 0;
+
+  try {
+    await init();
+    const report = await reconciler.run();
+
+    // 存在差异时退出码为1，便于在迁移流程中检查
+    const { missingOrders, amountMismatches, rowMismatches, parseErrors } = report.summary;
+    if (missingOrders + amountMismatches + rowMismatches + parseErrors > 0) {
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n对账失败:', error.message);
+    exitCode = 1;
+  } finally {
+    await sequelize.close();
+    process.exit(exitCode);
+  }
+}
+
+// 运行主函数
+if (require.main === module) {
+  main();
+}
+
+module.exports = { ArchiveReconciler, main };
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+const os = require('os');
+const { init, sequelize } = require('../db');
+const { ImportBatch } = require('../src/models');
+const importBatchService = require('../src/services/importBatchService');
+
+/**
+ * 导入批次回滚脚本
+ * 删除导入批次创建的客户、商品、规格、专属价格、订单和订单项，恢复导入修改的价格
+ *
+ * 使用方法:
+ *   node scripts/rollbackImport.js            列出最近的导入批次
+ *   node scripts/rollbackImport.js <批次ID>   回滚指定的导入批次
+ */
+
+class ImportRollback {
+  /**
+   * 列出最近的导入批次
+   * @param {number} limit - 数量
+   */
+  async listBatches(limit = 20) {
+    const { rows } = await importBatchService.getBatches({ page: 1, pageSize: limit });
+    if (rows.length === 0) {
+      console.log('暂无导入批次');
+      return;
+    }
+
+    console.log('最近的导入批次:');
+    rows.forEach(batch => {
+      const stats = batch.stats || {};
+      console.log(`${batch.id}  ${batch.startedAt.toISOString()}  ${batch.source}  ${batch.status}  ${batch.operator || ''}`);
+      console.log(`  文件: ${(batch.fileNames || []).join(', ')}`);
+      if (batch.stats) {
+        console.log(`  客户 ${stats.customersCreated || 0}，商品 ${stats.productsCreated || 0}，订单 ${stats.ordersCreated || 0}，专属价格 ${stats.customerPricesCreated || 0}`);
+      }
+    });
+  }
+
+  /**
+   * 回滚导入批次
+   * @param {string} batchId - 导入批次ID
+   * @param {string} operator - 操作人
+   */
+  async rollback(batchId, operator) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const batch = await ImportBatch.findByPk(batchId, { transaction });
+      if (!batch) {
+        throw new Error(`导入批次不存在: ${batchId}`);
+      }
+
+      const { errors } = await importBatchService.rollback(batch, operator, transaction);
+      if (errors.length > 0) {
+        throw new Error(`不能回滚:\n${errors.join('\n')}`);
+      }
+
+      await transaction.commit();
+
+      const { deleted, reverted, skipped } = batch.rollbackStats;
+      console.log(`✓ 导入批次已回滚: ${batch.id}`);
+      console.log(`- 删除客户: ${deleted.customers}`);
+      console.log(`- 删除商品: ${deleted.products}`);
+      console.log(`- 删除商品规格: ${deleted.productVariants}`);
+      console.log(`- 删除专属价格: ${deleted.customerPrices}`);
+      console.log(`- 删除订单: ${deleted.orders}，订单项: ${deleted.orderItems}`);
+      console.log(`- 恢复价格: ${reverted}`);
+      skipped.forEach(item => {
+        console.log(`⚠ 未恢复 ${item.targetType} ${item.targetId}: ${item.reason}`);
+      });
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const batchId = process.argv[2];
+  const rollback = new ImportRollback();
+  let exitCode = 0;
+
+  try {
+    await init();
+
+    if (batchId) {
+      await rollback.rollback(batchId, os.userInfo().username);
+    } else {
+      await rollback.listBatches();
+    }
+  } catch (error) {
+    console.error('\n回滚失败:', error.message);
+    exitCode = 1;
+  } finally {
+    await sequelize.close();
+    process.exit(exitCode);
+  }
+}
+
+// 运行主函数
+if (require.main === module) {
+  main();
+}
+
+module.exports = { ImportRollback, main };
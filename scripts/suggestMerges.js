@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const fs = require('fs');
+const { pinyin } = require('pinyin-pro');
+const { fn, col } = require('sequelize');
+const { init, sequelize } = require('../db');
+const { Customer, Product, Order, OrderItem } = require('../src/models');
+const { CsvDataCleaner } = require('./cleanCsvData');
+
+/**
+ * 重复客户/商品合并建议脚本
+ * 按编辑距离、拼音相似度和常见后缀（渔具/渔具店/老板等）找出疑似重复的名称，
+ * 生成带置信度的合并分组；确认后写入 cleanConfig.json，由 cleanCsvData.js 执行合并
+ *
+ * 使用方法:
+ *   node scripts/suggestMerges.js [CSV目录路径] [--db] [--threshold 0.8] [--output 建议文件路径]
+ *   node scripts/suggestMerges.js --apply [建议文件路径] [--min-confidence 0.95] [--config 配置文件路径]
+ *
+ * 参数说明:
+ *   CSV目录路径       - 扫描 customers.csv / products.csv，默认为 ./csv_export
+ *   --db              - 改为扫描数据库中的客户和商品
+ *   --threshold       - 相似度阈值，默认为 0.8
+ *   --output          - 建议文件路径，默认为 ./merge_suggestions.json
+ *   --apply           - 将建议文件中 accept 为 true 的分组写入配置文件
+ *   --min-confidence  - 与 --apply 一起使用，置信度不低于该值的分组视为已接受
+ *   --config          - 配置文件路径，默认为 ./scripts/cleanConfig.json
+ */
+
+class MergeSuggester {
+  constructor(options = {}) {
+    this.csvDir = options.csvDir || path.join(__dirname, '..', 'csv_export');
+    this.configPath = options.configPath || path.join(__dirname, 'cleanConfig.json');
+    this.threshold = options.threshold || 0.8;
+
+    // 比较前去掉的称呼和店铺后缀（按长度优先匹配）
+    this.SUFFIXES = {
+      customer: ['渔具店', '渔具行', '渔具', '老板', '经理', '先生', '老师', '总', '店'],
+      product: []
+    };
+
+    // 区分不同商品的规格用词，出现的用词不同时不视为重复
+    this.QUALIFIERS = ['大号', '中号', '小号', '有刺', '无刺', '原味', '果味'];
+
+    // 配置文件中的规则分组
+    this.CONFIG_KEYS = {
+      customer: 'customerMerges',
+      product: 'productMerges'
+    };
+  }
+
+  /**
+   * 加载合并配置（不存在时返回空配置，不创建默认配置）
+   * @returns {Object} { customerMerges, productMerges }
+   */
+  loadConfig() {
+    if (!fs.existsSync(this.configPath)) {
+      return { customerMerges: [], productMerges: [] };
+    }
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    return { customerMerges: [], productMerges: [], ...config };
+  }
+
+  /**
+   * 从CSV文件读取客户和商品名称及使用次数
+   * @returns {Object} { customer: Map<名称, 次数>, product: Map<名称, 次数> }
+   */
+  loadFromCsv() {
+    if (!fs.existsSync(this.csvDir)) {
+      throw new Error(`CSV目录不存在: ${this.csvDir}`);
+    }
+
+    const cleaner = new CsvDataCleaner({ csvDir: this.csvDir, configPath: this.configPath });
+    const readCsv = fileName => {
+      const filePath = path.join(this.csvDir, fileName);
+      return fs.existsSync(filePath) ? cleaner.parseCsvFile(filePath) : [];
+    };
+
+    const countNames = (names, usedNames) => {
+      const counts = new Map(names.filter(Boolean).map(name => [name, 0]));
+      usedNames.forEach(name => {
+        if (counts.has(name)) {
+          counts.set(name, counts.get(name) + 1);
+        }
+      });
+      return counts;
+    };
+
+    return {
+      customer: countNames(
+        readCsv('customers.csv').map(row => row.name),
+        readCsv('orders.csv').map(row => row.customer_name)
+      ),
+      product: countNames(
+        readCsv('products.csv').map(row => row.name),
+        readCsv('order_items.csv').map(row => row.product_name)
+      )
+    };
+  }
+
+  /**
+   * 从数据库读取客户和商品名称及使用次数（客户按订单数，商品按订单项数）
+   * @returns {Promise<Object>} { customer: Map<名称, 次数>, product: Map<名称, 次数> }
+   */
+  async loadFromDatabase() {
+    const [customers, products, orderCounts, itemCounts] = await Promise.all([
+      Customer.findAll({ attributes: ['id', 'name'], raw: true }),
+      Product.findAll({ attributes: ['id', 'name'], raw: true }),
+      Order.findAll({ attributes: ['customerId', [fn('COUNT', col('id')), 'count']], group: ['customerId'], raw: true }),
+      OrderItem.findAll({ attributes: ['productId', [fn('COUNT', col('id')), 'count']], group: ['productId'], raw: true })
+    ]);
+
+    const orderCountMap = new Map(orderCounts.map(row => [row.customerId, parseInt(row.count)]));
+    const itemCountMap = new Map(itemCounts.map(row => [row.productId, parseInt(row.count)]));
+    const countNames = (rows, countMap) => {
+      const counts = new Map();
+      rows.forEach(row => {
+        counts.set(row.name, (counts.get(row.name) || 0) + (countMap.get(row.id) || 0));
+      });
+      return counts;
+    };
+
+    return {
+      customer: countNames(customers, orderCountMap),
+      product: countNames(products, itemCountMap)
+    };
+  }
+
+  /**
+   * 标准化名称：全角转半角、去掉空白和标点、转小写
+   * @param {string} name - 名称
+   * @returns {string} 标准化后的名称
+   */
+  normalize(name) {
+    return String(name)
+      .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+      .replace(/[\s　.,，。、·\-_()（）]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * 去掉称呼和店铺后缀（至少保留一个字）
+   * @param {string} name - 标准化后的名称
+   * @param {string} type - customer/product
+   * @returns {string} 主干名称
+   */
+  stripSuffix(name, type) {
+    const suffix = this.SUFFIXES[type].find(item => name.endsWith(item) && name.length > item.length);
+    return suffix ? name.slice(0, -suffix.length) : name;
+  }
+
+  /**
+   * 编辑距离（字符串按字符，数组按元素）
+   * @param {string|Array} a
+   * @param {string|Array} b
+   * @returns {number}
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * 相似度（1 - 编辑距离 / 较长长度）
+   * @param {string|Array} a
+   * @param {string|Array} b
+   * @returns {number} 0~1
+   */
+  similarity(a, b) {
+    const maxLength = Math.max(a.length, b.length);
+    return maxLength === 0 ? 1 : 1 - this.editDistance(a, b) / maxLength;
+  }
+
+  /**
+   * 计算比较用的名称特征
+   * @param {string} name - 名称
+   * @param {string} type - customer/product
+   * @returns {Object} { name, core, pinyin, digits, qualifiers }
+   */
+  buildEntry(name, type) {
+    const core = this.stripSuffix(this.normalize(name), type);
+    return {
+      name,
+      core,
+      pinyin: pinyin(core, { toneType: 'none', type: 'array' }),
+      digits: (core.match(/\d+/g) || []).join(','),
+      qualifiers: this.QUALIFIERS.filter(word => core.includes(word)).join(',')
+    };
+  }
+
+  /**
+   * 计算两个名称的重复置信度
+   * @param {Object} a - buildEntry 的结果
+   * @param {Object} b - buildEntry 的结果
+   * @returns {Object} { score, reason }
+   */
+  scorePair(a, b) {
+    // 数字或规格用词不同（如 3号钩/5号钩、6孔/8孔、有刺/无刺）视为不同商品
+    if (a.digits !== b.digits || a.qualifiers !== b.qualifiers) {
+      return { score: 0, reason: '' };
+    }
+
+    if (a.core === b.core) {
+      return { score: a.core.length >= 2 ? 0.95 : 0.85, reason: '去掉后缀后相同' };
+    }
+
+    // 单字主干（如 陈/程）只比较是否完全相同
+    if (Math.min(a.core.length, b.core.length) < 2) {
+      return { score: 0, reason: '' };
+    }
+
+    if (a.pinyin.join('') === b.pinyin.join('')) {
+      return { score: 0.9, reason: '拼音相同' };
+    }
+
+    const textScore = this.similarity(a.core, b.core);
+    const pinyinScore = this.similarity(a.pinyin, b.pinyin) * 0.9;
+    return textScore >= pinyinScore
+      ? { score: Math.round(textScore * 100) / 100, reason: '编辑距离' }
+      : { score: Math.round(pinyinScore * 100) / 100, reason: '拼音相似' };
+  }
+
+  /**
+   * 生成合并建议分组
+   * @param {Map} counts - 名称 -> 使用次数
+   * @param {string} type - customer/product
+   * @param {Array} rules - 已有的合并规则 [{ keep, merge }]
+   * @returns {Array} [{ keep, merge, confidence, accept, usage, pairs }]
+   */
+  suggest(counts, type, rules = []) {
+    // 已有规则合并到同一名称的不再建议
+    const ruleKeep = new Map();
+    rules.forEach(rule => {
+      ruleKeep.set(rule.keep, rule.keep);
+      rule.merge.forEach(name => ruleKeep.set(name, rule.keep));
+    });
+    const resolve = name => ruleKeep.get(name) || name;
+
+    const entries = [...counts.keys()].sort().map(name => this.buildEntry(name, type));
+    const parent = new Map(entries.map(entry => [entry.name, entry.name]));
+    const find = name => {
+      while (parent.get(name) !== name) {
+        parent.set(name, parent.get(parent.get(name)));
+        name = parent.get(name);
+      }
+      return name;
+    };
+
+    const pairs = [];
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = entries[i];
+        const b = entries[j];
+        if (resolve(a.name) === resolve(b.name)) {
+          continue;
+        }
+        const { score, reason } = this.scorePair(a, b);
+        if (score >= this.threshold) {
+          pairs.push({ a: a.name, b: b.name, score, reason });
+          parent.set(find(a.name), find(b.name));
+        }
+      }
+    }
+
+    const groups = new Map();
+    pairs.forEach(pair => {
+      const root = find(pair.a);
+      if (!groups.has(root)) {
+        groups.set(root, { names: new Set(), pairs: [] });
+      }
+      const group = groups.get(root);
+      group.names.add(pair.a);
+      group.names.add(pair.b);
+      group.pairs.push(pair);
+    });
+
+    return [...groups.values()]
+      .map(group => {
+        const names = [...group.names];
+        const usage = Object.fromEntries(names.map(name => [name, counts.get(name) || 0]));
+        // 优先保留已有规则中的名称，其次保留使用次数最多的名称
+        const keep = names.find(name => ruleKeep.get(name) === name) ||
+          names.slice().sort((a, b) => usage[b] - usage[a] || a.localeCompare(b))[0];
+        return {
+          keep,
+          // 已有规则合并到保留名称的不再列出
+          merge: names.filter(name => name !== keep && ruleKeep.get(name) !== keep).sort(),
+          confidence: Math.min(...group.pairs.map(pair => pair.score)),
+          accept: false,
+          usage,
+          pairs: group.pairs
+        };
+      })
+      .filter(group => group.merge.length > 0)
+      .sort((a, b) => b.confidence - a.confidence || a.keep.localeCompare(b.keep));
+  }
+
+  /**
+   * 扫描CSV或数据库，生成客户和商品的合并建议
+   * @param {string} source - csv/db
+   * @returns {Promise<Object>} 建议文件内容
+   */
+  async buildSuggestions(source = 'csv') {
+    const counts = source === 'db' ? await this.loadFromDatabase() : this.loadFromCsv();
+    const config = this.loadConfig();
+
+    return {
+      generatedAt: new Date().toISOString(),
+      source: source === 'db' ? 'database' : this.csvDir,
+      threshold: this.threshold,
+      customerMerges: this.suggest(counts.customer, 'customer', config.customerMerges),
+      productMerges: this.suggest(counts.product, 'product', config.productMerges)
+    };
+  }
+
+  /**
+   * 将接受的合并建议写入配置文件
+   * 与已有规则有重叠的分组并入该规则，其余分组追加为新规则
+   * @param {Object} suggestions - 建议文件内容
+   * @param {number} minConfidence - 置信度不低于该值的分组视为已接受（不传则只写入 accept 为 true 的分组）
+   * @returns {Object} { customer: 写入分组数, product: 写入分组数 }
+   */
+  applySuggestions(suggestions, minConfidence) {
+    const config = this.loadConfig();
+    const applied = { customer: 0, product: 0 };
+
+    Object.entries(this.CONFIG_KEYS).forEach(([type, key]) => {
+      const rules = config[key];
+      (suggestions[key] || [])
+        .filter(group => group.accept === true || (minConfidence !== undefined && group.confidence >= minConfidence))
+        .forEach(group => {
+          const names = [group.keep, ...group.merge];
+          const rule = rules.find(item => names.includes(item.keep) || item.merge.some(name => names.includes(name)));
+          if (rule) {
+            names.forEach(name => {
+              if (name !== rule.keep && !rule.merge.includes(name)) {
+                rule.merge.push(name);
+              }
+            });
+          } else {
+            rules.push({ keep: group.keep, merge: [...group.merge] });
+          }
+          applied[type]++;
+        });
+    });
+
+    fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+    return applied;
+  }
+
+  /**
+   * 输出合并建议
+   * @param {Object} suggestions - 建议文件内容
+   */
+  printSuggestions(suggestions) {
+    [['客户', suggestions.customerMerges], ['商品', suggestions.productMerges]].forEach(([label, groups]) => {
+      console.log(`\n=== ${label}合并建议（${groups.length} 组）===`);
+      groups.forEach(group => {
+        const names = [group.keep, ...group.merge].map(name => `${name}(${group.usage[name]})`);
+        console.log(`[${group.confidence.toFixed(2)}] 保留 ${names[0]} ← ${names.slice(1).join('、')}`);
+      });
+    });
+  }
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const options = {};
+  let source = 'csv';
+  let apply = false;
+  let filePath = path.join(__dirname, '..', 'merge_suggestions.json');
+  let minConfidence;
+  let exitCode = 0;
+
+  // 解析参数
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--db') {
+      source = 'db';
+    } else if (arg === '--apply') {
+      apply = true;
+    } else if (arg === '--threshold' && i + 1 < args.length) {
+      options.threshold = parseFloat(args[++i]);
+    } else if (arg === '--min-confidence' && i + 1 < args.length) {
+      minConfidence = parseFloat(args[++i]);
+    } else if (arg === '--config' && i + 1 < args.length) {
+      options.configPath = args[++i];
+    } else if (arg === '--output' && i + 1 < args.length) {
+      filePath = args[++i];
+    } else if (!arg.startsWith('--')) {
+      // --apply 时为建议文件路径，否则为CSV目录
+      if (apply) {
+        filePath = arg;
+      } else {
+        options.csvDir = arg;
+      }
+    }
+  }
+
+  const suggester = new MergeSuggester(options);
+
+  try {
+    if (apply) {
+      const suggestions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const applied = suggester.applySuggestions(suggestions, minConfidence);
+      console.log(`✓ 已写入配置文件: ${suggester.configPath}`);
+      console.log(`- 客户合并分组: ${applied.customer}`);
+      console.log(`- 商品合并分组: ${applied.product}`);
+      console.log('\n执行 node scripts/cleanCsvData.js 按配置合并CSV数据');
+    } else {
+      if (source === 'db') {
+        await init();
+      }
+      const suggestions = await suggester.buildSuggestions(source);
+      fs.writeFileSync(filePath, JSON.stringify(suggestions, null, 2), 'utf8');
+      suggester.printSuggestions(suggestions);
+      console.log(`\n✓ 合并建议已生成: ${filePath}`);
+      console.log('将需要合并的分组 accept 改为 true 后执行 --apply 写入配置文件');
+    }
+  } catch (error) {
+    console.error('\n生成合并建议失败:', error.message);
+    exitCode = 1;
+  } finally {
+    if (source === 'db') {
+      await sequelize.close();
+    }
+    process.exit(exitCode);
+  }
+}
+
+// 运行主函数
+if (require.main === module) {
+  main();
+}
+
+module.exports = { MergeSuggester, main };
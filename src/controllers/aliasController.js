@@ -0,0 +1,95 @@
+const { success, notFound, badRequest, serverError } = require("../utils/response");
+const aliasService = require("../services/aliasService");
+
+/**
+ * 获取别名列表
+ * @param {string} type 对象类型（customer/product）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getAliases(type, req, res) {
+  const { Owner, label } = aliasService.MODELS[type];
+
+  try {
+    const { id } = req.params;
+
+    const owner = await Owner.findByPk(id);
+    if (!owner) {
+      return res.status(404).json(notFound(`${label}不存在`));
+    }
+
+    const aliases = await aliasService.getAliases(type, id);
+
+    res.json(success(aliases));
+  } catch (error) {
+    console.error(`获取${label}别名失败:`, error);
+    res.status(500).json(serverError(`获取${label}别名失败`));
+  }
+}
+
+/**
+ * 添加别名
+ * @param {string} type 对象类型（customer/product）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createAlias(type, req, res) {
+  const { Owner, label } = aliasService.MODELS[type];
+
+  try {
+    const { id } = req.params;
+    const { alias } = req.body;
+
+    const owner = await Owner.findByPk(id);
+    if (!owner) {
+      return res.status(404).json(notFound(`${label}不存在`));
+    }
+
+    const result = await aliasService.addAlias(type, owner, alias);
+    if (result.errors.length > 0) {
+      return res.status(400).json(badRequest(result.errors.join("\n")));
+    }
+
+    res.status(201).json(success(result.alias, "别名添加成功"));
+  } catch (error) {
+    console.error(`添加${label}别名失败:`, error);
+    res.status(500).json(serverError(`添加${label}别名失败`));
+  }
+}
+
+/**
+ * 删除别名
+ * @param {string} type 对象类型（customer/product）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deleteAlias(type, req, res) {
+  const { Alias, ownerKey, label } = aliasService.MODELS[type];
+
+  try {
+    const { id, aliasId } = req.params;
+
+    const alias = await Alias.findOne({
+      where: { id: aliasId, [ownerKey]: id }
+    });
+    if (!alias) {
+      return res.status(404).json(notFound("别名不存在"));
+    }
+
+    await alias.destroy();
+
+    res.json(success(null, "别名删除成功"));
+  } catch (error) {
+    console.error(`删除${label}别名失败:`, error);
+    res.status(500).json(serverError(`删除${label}别名失败`));
+  }
+}
+
+module.exports = {
+  getCustomerAliases: (req, res) => getAliases(aliasService.TYPE.CUSTOMER, req, res),
+  createCustomerAlias: (req, res) => createAlias(aliasService.TYPE.CUSTOMER, req, res),
+  deleteCustomerAlias: (req, res) => deleteAlias(aliasService.TYPE.CUSTOMER, req, res),
+  getProductAliases: (req, res) => getAliases(aliasService.TYPE.PRODUCT, req, res),
+  createProductAlias: (req, res) => createAlias(aliasService.TYPE.PRODUCT, req, res),
+  deleteProductAlias: (req, res) => deleteAlias(aliasService.TYPE.PRODUCT, req, res)
+};
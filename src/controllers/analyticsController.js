@@ -1,7 +1,10 @@
-const { Order, OrderItem, Customer, Product } = require("../models");
+const { Order, OrderItem, Customer, Product, OrderReturn, OrderReturnItem } = require("../models");
 const { success, serverError } = require("../utils/response");
 const { Op } = require("sequelize");
 const { literal } = require("sequelize");
+const categoryService = require("../services/categoryService");
+const { periodExpression } = require("../utils/sqlDialect");
+const orderStatusService = require("../services/orderStatusService");
 
 /**
  * 销售概览
@@ -36,6 +39,16 @@ async function getSalesOverview(req, res) {
       raw: true
     });
     
+    // 获取退货统计（退货按负销售额计入）
+    const returnStats = await OrderReturn.findAll({
+      where,
+      attributes: [
+        [literal("COUNT(*)"), "totalReturns"],
+        [literal("SUM(total_amount)"), "returnAmount"]
+      ],
+      raw: true
+    });
+    
     // 获取客户统计
     const customerStats = await Customer.count({
       where: startDate || endDate ? {
@@ -46,9 +59,15 @@ async function getSalesOverview(req, res) {
       } : {}
     });
     
+    const grossAmount = parseFloat(orderStats[0]?.totalAmount || 0);
+    const returnAmount = parseFloat(returnStats[0]?.returnAmount || 0);
+    
     const result = {
       totalOrders: parseInt(orderStats[0]?.totalOrders || 0),
-      totalAmount: parseFloat(orderStats[0]?.totalAmount || 0),
+      totalAmount: Math.round((grossAmount - returnAmount) * 100) / 100,
+      grossAmount,
+      returnAmount,
+      totalReturns: parseInt(returnStats[0]?.totalReturns || 0),
       totalCustomers: customerStats,
       averageOrderAmount: parseFloat(orderStats[0]?.averageOrderAmount || 0)
     };
@@ -82,29 +101,17 @@ async function getSalesTrend(req, res) {
       }
     }
     
-    let dateFormat;
-    switch (period) {
-      case "daily":
-        dateFormat = "%Y-%m-%d";
-        break;
-      case "weekly":
-        dateFormat = "%Y-%u";
-        break;
-      case "monthly":
-        dateFormat = "%Y-%m";
-        break;
-      default:
-        dateFormat = "%Y-%m-%d";
-    }
+    // 按统计周期分组（日期表达式按数据库类型生成）
+    const periodColumn = periodExpression("created_at", period);
     
     const trends = await Order.findAll({
       where,
       attributes: [
-        [literal(`DATE_FORMAT(created_at, '${dateFormat}')`), "period"],
+        [periodColumn, "period"],
         [literal("COUNT(*)"), "orderCount"],
         [literal("SUM(total_amount)"), "totalAmount"]
       ],
-      group: [literal(`DATE_FORMAT(created_at, '${dateFormat}')`)],
+      group: [periodColumn],
       order: [[literal("period"), "ASC"]],
       raw: true
     });
@@ -123,13 +130,47 @@ async function getSalesTrend(req, res) {
 }
 
 /**
- * 热销商品排行
+ * 按一级分类汇总商品销售额
+ * @param {Array} products 商品销售统计
+ * @param {number} limit 返回数量
+ * @returns {Promise<Array>} 分类销售统计（按净销售额倒序）
+ */
+async function aggregateByRootCategory(products, limit) {
+  const rootMap = await categoryService.getRootCategoryMap();
+  const categoryStats = new Map();
+  
+  products.forEach(product => {
+    const root = product.categoryId ? rootMap.get(product.categoryId) : null;
+    const key = root ? root.id : "";
+    if (!categoryStats.has(key)) {
+      categoryStats.set(key, {
+        categoryId: root ? root.id : null,
+        categoryName: root ? root.name : "未分类",
+        totalAmount: 0,
+        returnAmount: 0,
+        productCount: 0
+      });
+    }
+    const stats = categoryStats.get(key);
+    stats.totalAmount = Math.round((stats.totalAmount + product.totalAmount) * 100) / 100;
+    stats.returnAmount = Math.round((stats.returnAmount + product.returnAmount) * 100) / 100;
+    stats.productCount += 1;
+  });
+  
+  return Array.from(categoryStats.values())
+    .sort((a, b) => b.totalAmount - a.totalAmount)
+    .slice(0, limit);
+}
+
+/**
+ * 热销商品排行（数量按基本单位汇总）
+ * groupBy=category 时按一级分类汇总金额，categoryId 可筛选分类（含子分类）
  * @param {object} req 请求对象
  * @param {object} res 响应对象
  */
 async function getTopProducts(req, res) {
   try {
-    const { startDate, endDate, limit = 10 } = req.query;
+    const { startDate, endDate, limit = 10, categoryId, groupBy } = req.query;
     
     const where = {};
     
@@ -155,29 +196,97 @@ async function getTopProducts(req, res) {
         {
           model: Product,
           as: "product",
-          attributes: ["id", "name", "unit"]
+          attributes: ["id", "name", "unit", "categoryId"]
         }
       ],
       attributes: [
         "productId",
-        [literal("SUM(quantity)"), "totalQuantity"],
+        [literal("SUM(quantity * conversion_factor)"), "totalQuantity"],
         [literal("SUM(total_price)"), "totalAmount"],
         [literal("COUNT(DISTINCT order_id)"), "orderCount"]
       ],
       group: ["productId"],
       order: [[literal("totalQuantity"), "DESC"]],
-      limit: parseInt(limit),
       raw: false
     });
     
-    const result = topProducts.map(item => ({
-      productId: item.productId,
-      productName: item.product.name,
-      unit: item.product.unit,
-      totalQuantity: parseFloat(item.dataValues.totalQuantity),
-      totalAmount: parseFloat(item.dataValues.totalAmount),
-      orderCount: parseInt(item.dataValues.orderCount)
-    }));
+    // 退货按负销售计入
+    const returnedProducts = await OrderReturnItem.findAll({
+      include: [
+        {
+          model: OrderReturn,
+          as: "orderReturn",
+          where,
+          attributes: []
+        },
+        {
+          model: Product,
+          as: "product",
+          attributes: ["id", "name", "unit", "categoryId"]
+        }
+      ],
+      attributes: [
+        "productId",
+        [literal("SUM(quantity * conversion_factor)"), "returnQuantity"],
+        [literal("SUM(total_price)"), "returnAmount"]
+      ],
+      group: ["productId"],
+      raw: false
+    });
+    
+    const productMap = new Map();
+    topProducts.forEach(item => {
+      productMap.set(item.productId, {
+        productId: item.productId,
+        productName: item.product.name,
+        unit: item.product.unit,
+        categoryId: item.product.categoryId,
+        totalQuantity: parseFloat(item.dataValues.totalQuantity),
+        totalAmount: parseFloat(item.dataValues.totalAmount),
+        returnQuantity: 0,
+        returnAmount: 0,
+        orderCount: parseInt(item.dataValues.orderCount)
+      });
+    });
+    
+    returnedProducts.forEach(item => {
+      if (!productMap.has(item.productId)) {
+        productMap.set(item.productId, {
+          productId: item.productId,
+          productName: item.product ? item.product.name : "",
+          unit: item.product ? item.product.unit : "",
+          categoryId: item.product ? item.product.categoryId : null,
+          totalQuantity: 0,
+          totalAmount: 0,
+          returnQuantity: 0,
+          returnAmount: 0,
+          orderCount: 0
+        });
+      }
+      const product = productMap.get(item.productId);
+      product.returnQuantity = parseFloat(item.dataValues.returnQuantity);
+      product.returnAmount = parseFloat(item.dataValues.returnAmount);
+      product.totalQuantity = Math.round((product.totalQuantity - product.returnQuantity) * 100) / 100;
+      product.totalAmount = Math.round((product.totalAmount - product.returnAmount) * 100) / 100;
+    });
+    
+    let products = Array.from(productMap.values());
+    
+    // 分类筛选（含子分类）
+    if (categoryId) {
+      const categoryIds = await categoryService.getDescendantIds(categoryId);
+      products = products.filter(product => categoryIds.includes(product.categoryId));
+    }
+    
+    // 按一级分类汇总（不同商品的基本单位不同，只汇总金额）
+    if (groupBy === "category") {
+      res.json(success(await aggregateByRootCategory(products, parseInt(limit))));
+      return;
+    }
+    
+    const result = products
+      .sort((a, b) => b.totalQuantity - a.totalQuantity)
+      .slice(0, parseInt(limit));
     
     res.json(success(result));
   } catch (error) {
@@ -281,6 +390,7 @@ async function getOrderStatusStats(req, res) {
     
     const result = statusStats.map(stat => ({
       status: stat.status,
+      statusDesc: orderStatusService.getStatusDescription(stat.status),
       count: parseInt(stat.count),
       totalAmount: parseFloat(stat.totalAmount)
     }));
@@ -292,10 +402,214 @@ async function getOrderStatusStats(req, res) {
   }
 }
 
+/**
+ * 按统计周期格式化日期（与 getSalesTrend 的 periodExpression 格式一致）
+ * @param {Date} date 日期
+ * @param {string} period 统计周期 daily/weekly/monthly
+ * @returns {string} 周期标识
+ */
+function formatPeriod(date, period) {
+  const value = new Date(date);
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, "0");
+  const day = String(value.getDate()).padStart(2, "0");
+  
+  switch (period) {
+    case "monthly":
+      return `${year}-${month}`;
+    case "weekly": {
+      // 周一为每周第一天，包含1月4日的那一周为第1周（同 MySQL %u）
+      const jan4 = new Date(year, 0, 4);
+      const firstMonday = new Date(year, 0, 4 - ((jan4.getDay() + 6) % 7));
+      const current = new Date(year, value.getMonth(), value.getDate());
+      const week = Math.max(Math.floor(Math.round((current - firstMonday) / 86400000) / 7) + 1, 0);
+      return `${year}-${String(week).padStart(2, "0")}`;
+    }
+    default:
+      return `${year}-${month}-${day}`;
+  }
+}
+
+/**
+ * 累加毛利统计
+ * @param {Map} statsMap 统计映射
+ * @param {string} key 统计键
+ * @param {Object} base 统计对象的基础字段
+ * @param {Object} values { revenue, cost, returnAmount, returnCost }
+ */
+function addProfitStats(statsMap, key, base, values) {
+  if (!statsMap.has(key)) {
+    statsMap.set(key, {
+      ...base,
+      revenue: 0,
+      cost: 0,
+      returnAmount: 0,
+      returnCost: 0
+    });
+  }
+  const stats = statsMap.get(key);
+  stats.revenue += values.revenue || 0;
+  stats.cost += values.cost || 0;
+  stats.returnAmount += values.returnAmount || 0;
+  stats.returnCost += values.returnCost || 0;
+}
+
+/**
+ * 计算毛利和毛利率（退货冲减收入和成本）
+ * @param {Object} stats 统计对象
+ * @returns {Object} 统计结果
+ */
+function buildProfitResult(stats) {
+  const round = value => Math.round(value * 100) / 100;
+  const revenue = round(stats.revenue - stats.returnAmount);
+  const cost = round(stats.cost - stats.returnCost);
+  const grossProfit = round(revenue - cost);
+  
+  return {
+    ...stats,
+    revenue,
+    cost,
+    returnAmount: round(stats.returnAmount),
+    returnCost: round(stats.returnCost),
+    grossProfit,
+    margin: revenue > 0 ? round(grossProfit / revenue * 100) : 0
+  };
+}
+
+/**
+ * 毛利分析（按周期、商品、客户）
+ * 只统计已确认（处理中、已完成）的订单，成本取下单时快照的成本价
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getProfitAnalytics(req, res) {
+  try {
+    const { period = "daily", startDate, endDate } = req.query;
+    
+    const where = {};
+    
+    // 日期范围筛选
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) {
+        where.created_at[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        where.created_at[Op.lte] = new Date(endDate);
+      }
+    }
+    
+    const orderItems = await OrderItem.findAll({
+      include: [
+        {
+          model: Order,
+          as: "order",
+          where: {
+            ...where,
+            status: {
+              [Op.in]: orderStatusService.getConfirmedStatuses()
+            }
+          },
+          attributes: ["id", "customerId", "createdAt"],
+          include: [
+            {
+              model: Customer,
+              as: "customer",
+              attributes: ["id", "name"]
+            }
+          ]
+        }
+      ],
+      attributes: ["id", "productId", "productName", "unit", "quantity", "totalPrice", "unitCost", "totalCost"]
+    });
+    
+    const returnItems = await OrderReturnItem.findAll({
+      include: [
+        {
+          model: OrderReturn,
+          as: "orderReturn",
+          where,
+          attributes: ["id", "customerId", "createdAt"],
+          include: [
+            {
+              model: Customer,
+              as: "customer",
+              attributes: ["id", "name"]
+            }
+          ]
+        },
+        {
+          model: OrderItem,
+          as: "orderItem",
+          attributes: ["id", "unitCost"]
+        }
+      ],
+      attributes: ["id", "productId", "productName", "unit", "quantity", "totalPrice"]
+    });
+    
+    const summary = new Map();
+    const periodMap = new Map();
+    const productMap = new Map();
+    const customerMap = new Map();
+    let missingCostItems = 0;
+    
+    const collect = (customerId, date, item, customer, values) => {
+      addProfitStats(summary, "all", {}, values);
+      addProfitStats(periodMap, formatPeriod(date, period), { period: formatPeriod(date, period) }, values);
+      addProfitStats(productMap, item.productId, {
+        productId: item.productId,
+        productName: item.productName,
+        unit: item.unit
+      }, values);
+      addProfitStats(customerMap, customerId, {
+        customerId,
+        customerName: customer ? customer.name : ""
+      }, values);
+    };
+    
+    orderItems.forEach(item => {
+      if (item.unitCost === null) {
+        missingCostItems++;
+      }
+      collect(item.order.customerId, item.order.createdAt, item, item.order.customer, {
+        revenue: parseFloat(item.totalPrice),
+        cost: parseFloat(item.totalCost || 0)
+      });
+    });
+    
+    returnItems.forEach(item => {
+      const unitCost = item.orderItem ? parseFloat(item.orderItem.unitCost || 0) : 0;
+      collect(item.orderReturn.customerId, item.orderReturn.createdAt, item, item.orderReturn.customer, {
+        returnAmount: parseFloat(item.totalPrice),
+        returnCost: parseFloat(item.quantity) * unitCost
+      });
+    });
+    
+    const byProfit = (a, b) => b.grossProfit - a.grossProfit;
+    const totals = buildProfitResult(summary.get("all") || { revenue: 0, cost: 0, returnAmount: 0, returnCost: 0 });
+    
+    res.json(success({
+      summary: {
+        ...totals,
+        missingCostItems
+      },
+      byPeriod: Array.from(periodMap.values())
+        .map(buildProfitResult)
+        .sort((a, b) => a.period.localeCompare(b.period)),
+      byProduct: Array.from(productMap.values()).map(buildProfitResult).sort(byProfit),
+      byCustomer: Array.from(customerMap.values()).map(buildProfitResult).sort(byProfit)
+    }));
+  } catch (error) {
+    console.error("获取毛利分析失败:", error);
+    res.status(500).json(serverError("获取毛利分析失败"));
+  }
+}
+
 module.exports = {
   getSalesOverview,
   getSalesTrend,
   getTopProducts,
   getCustomerAnalytics,
-  getOrderStatusStats
+  getOrderStatusStats,
+  getProfitAnalytics
 };
@@ -0,0 +1,149 @@
+const { Category, Product } = require("../models");
+const { success, notFound, badRequest, serverError } = require("../utils/response");
+const { Op } = require("sequelize");
+const categoryService = require("../services/categoryService");
+
+/**
+ * 获取分类树
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getCategoryTree(req, res) {
+  try {
+    const categories = await categoryService.getAllCategories();
+
+    res.json(success(categoryService.buildTree(categories)));
+  } catch (error) {
+    console.error("获取分类树失败:", error);
+    res.status(500).json(serverError("获取分类树失败"));
+  }
+}
+
+/**
+ * 创建分类
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createCategory(req, res) {
+  try {
+    const { name, parentId, sortOrder } = req.body;
+
+    // 检查上级分类是否存在
+    if (parentId) {
+      const parent = await Category.findByPk(parentId);
+      if (!parent) {
+        return res.status(400).json(badRequest("上级分类不存在"));
+      }
+    }
+
+    // 同一上级下分类名称不能重复
+    const existing = await Category.findOne({
+      where: { name, parentId: parentId || null }
+    });
+    if (existing) {
+      return res.status(400).json(badRequest(`分类已存在: ${name}`));
+    }
+
+    const category = await Category.create({
+      name,
+      parentId: parentId || null,
+      sortOrder
+    });
+
+    res.status(201).json(success(category, "分类创建成功"));
+  } catch (error) {
+    console.error("创建分类失败:", error);
+    res.status(500).json(serverError("创建分类失败"));
+  }
+}
+
+/**
+ * 更新分类
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updateCategory(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, parentId, sortOrder } = req.body;
+
+    const category = await Category.findByPk(id);
+    if (!category) {
+      return res.status(404).json(notFound("分类不存在"));
+    }
+
+    // 检查上级分类是否存在，且不能移动到自身或子分类下
+    if (parentId) {
+      const parent = await Category.findByPk(parentId);
+      if (!parent) {
+        return res.status(400).json(badRequest("上级分类不存在"));
+      }
+      if (await categoryService.isCircularParent(id, parentId)) {
+        return res.status(400).json(badRequest("不能将分类移动到自身或其子分类下"));
+      }
+    }
+
+    // 同一上级下分类名称不能重复
+    const duplicate = await Category.findOne({
+      where: {
+        name,
+        parentId: parentId || null,
+        id: { [Op.ne]: id }
+      }
+    });
+    if (duplicate) {
+      return res.status(400).json(badRequest(`分类已存在: ${name}`));
+    }
+
+    await category.update({
+      name,
+      parentId: parentId || null,
+      sortOrder
+    });
+
+    res.json(success(category, "分类更新成功"));
+  } catch (error) {
+    console.error("更新分类失败:", error);
+    res.status(500).json(serverError("更新分类失败"));
+  }
+}
+
+/**
+ * 删除分类（存在子分类或商品时不允许删除）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deleteCategory(req, res) {
+  try {
+    const { id } = req.params;
+
+    const category = await Category.findByPk(id);
+    if (!category) {
+      return res.status(404).json(notFound("分类不存在"));
+    }
+
+    const childCount = await Category.count({ where: { parentId: id } });
+    if (childCount > 0) {
+      return res.status(400).json(badRequest("该分类下存在子分类，无法删除"));
+    }
+
+    const productCount = await Product.count({ where: { categoryId: id } });
+    if (productCount > 0) {
+      return res.status(400).json(badRequest("该分类下存在商品，无法删除"));
+    }
+
+    await category.destroy();
+
+    res.json(success(null, "分类删除成功"));
+  } catch (error) {
+    console.error("删除分类失败:", error);
+    res.status(500).json(serverError("删除分类失败"));
+  }
+}
+
+module.exports = {
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,98 @@
+const { SystemConfig } = require("../models");
+const { success, badRequest, serverError } = require("../utils/response");
+const orderWorkflowService = require("../services/orderWorkflowService");
+const orderNumberService = require("../services/orderNumberService");
+
+/**
+ * 获取订单流程配置
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getOrderWorkflow(req, res) {
+  try {
+    const workflow = await orderWorkflowService.load();
+
+    res.json(success(workflow));
+  } catch (error) {
+    console.error("获取订单流程配置失败:", error);
+    res.status(500).json(serverError("获取订单流程配置失败"));
+  }
+}
+
+/**
+ * 更新订单流程配置
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updateOrderWorkflow(req, res) {
+  const transaction = await SystemConfig.sequelize.transaction();
+
+  try {
+    const { errors, workflow } = await orderWorkflowService.saveWorkflow(req.body, transaction);
+    if (errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(errors.join("\n")));
+    }
+
+    await transaction.commit();
+    orderWorkflowService.apply(workflow);
+
+    res.json(success(workflow, "订单流程配置更新成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("更新订单流程配置失败:", error);
+    res.status(500).json(serverError("更新订单流程配置失败"));
+  }
+}
+
+/**
+ * 获取订单号规则（含下一个订单号预览）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getOrderNumberPattern(req, res) {
+  try {
+    const pattern = await orderNumberService.getPattern();
+    const nextOrderNo = await orderNumberService.previewOrderNumber(pattern);
+
+    res.json(success({ ...pattern, nextOrderNo }));
+  } catch (error) {
+    console.error("获取订单号规则失败:", error);
+    res.status(500).json(serverError("获取订单号规则失败"));
+  }
+}
+
+/**
+ * 更新订单号规则
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updateOrderNumberPattern(req, res) {
+  const transaction = await SystemConfig.sequelize.transaction();
+
+  try {
+    const errors = await orderNumberService.savePattern(req.body, transaction);
+    if (errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(errors.join("\n")));
+    }
+
+    await transaction.commit();
+
+    const pattern = await orderNumberService.getPattern();
+    const nextOrderNo = await orderNumberService.previewOrderNumber(pattern);
+
+    res.json(success({ ...pattern, nextOrderNo }, "订单号规则更新成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("更新订单号规则失败:", error);
+    res.status(500).json(serverError("更新订单号规则失败"));
+  }
+}
+
+module.exports = {
+  getOrderWorkflow,
+  updateOrderWorkflow,
+  getOrderNumberPattern,
+  updateOrderNumberPattern
+};
@@ -1,6 +1,9 @@
-const { Customer, CustomerPrice, Product } = require("../models");
-const { success, pagination, notFound, serverError } = require("../utils/response");
+const { Customer, CustomerPrice, Product, ProductVariant, ProductUnit, Category } = require("../models");
+const { success, pagination, notFound, badRequest, serverError } = require("../utils/response");
 const { Op } = require("sequelize");
+const categoryService = require("../services/categoryService");
+const mergeService = require("../services/mergeService");
+const aliasService = require("../services/aliasService");
 
 /**
  * 创建客户
@@ -35,10 +38,10 @@ async function getCustomers(req, res) {
     const offset = (page - 1) * pageSize;
     const where = {};
     
-    // 关键词搜索
+    // 关键词搜索（名称、别名、电话）
     if (keyword) {
       where[Op.or] = [
-        { name: { [Op.like]: `%${keyword}%` } },
+        ...await aliasService.buildKeywordConditions(aliasService.TYPE.CUSTOMER, keyword),
         { phone: { [Op.like]: `%${keyword}%` } }
       ];
     }
@@ -85,23 +88,39 @@ async function getCustomerById(req, res) {
  * @param {object} res 响应对象
  */
 async function updateCustomer(req, res) {
+  const transaction = await Customer.sequelize.transaction();
+  
   try {
     const { id } = req.params;
     const { name, phone } = req.body;
     
-    const customer = await Customer.findByPk(id);
+    const customer = await Customer.findByPk(id, { transaction });
     
     if (!customer) {
+      await transaction.rollback();
       return res.status(404).json(notFound("客户不存在"));
     }
     
+    const errors = await aliasService.checkRename(aliasService.TYPE.CUSTOMER, customer, name, transaction);
+    if (errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(errors.join("\n")));
+    }
+    
+    const oldName = customer.name;
     await customer.update({
       name,
       phone
-    });
+    }, { transaction });
+    
+    // 改名后旧名称记录为别名，后续导入和搜索仍能找到该客户
+    await aliasService.recordRename(aliasService.TYPE.CUSTOMER, customer, oldName, transaction);
+    
+    await transaction.commit();
     
     res.json(success(customer, "客户更新成功"));
   } catch (error) {
+    await transaction.rollback();
     console.error("更新客户失败:", error);
     res.status(500).json(serverError("更新客户失败"));
   }
@@ -159,7 +178,7 @@ async function getAllCustomers(req, res) {
 async function getCustomerProducts(req, res) {
   try {
     const { customerId } = req.params;
-    const { page = 1, pageSize = 20, keyword } = req.query;
+    const { page = 1, pageSize = 20, keyword, categoryId, brand } = req.query;
     
     // 检查客户是否存在
     const customer = await Customer.findByPk(customerId);
@@ -170,23 +189,51 @@ async function getCustomerProducts(req, res) {
     const offset = (page - 1) * pageSize;
     const where = {};
     
-    // 关键词搜索
+    // 关键词搜索（名称、别名）
     if (keyword) {
-      where.name = {
-        [Op.like]: `%${keyword}%`
-      };
+      where[Op.or] = await aliasService.buildKeywordConditions(aliasService.TYPE.PRODUCT, keyword);
     }
     
+    // 分类和品牌筛选
+    await categoryService.applyProductFilter(where, { categoryId, brand });
+    
     // 获取商品列表
     const { count, rows } = await Product.findAndCountAll({
       where,
+      include: [
+        {
+          model: Category,
+          as: "category",
+          attributes: ["id", "name", "parentId"]
+        }
+      ],
       limit: parseInt(pageSize),
       offset,
       order: [["name", "ASC"]]
     });
     
-    // 批量获取客户专属价格
+    // 批量获取商品规格
     const productIds = rows.map(product => product.id);
+    const variants = await ProductVariant.findAll({
+      where: {
+        productId: {
+          [Op.in]: productIds
+        }
+      },
+      order: [["sort_order", "ASC"], ["specification", "ASC"]]
+    });
+    
+    // 批量获取商品包装单位
+    const units = await ProductUnit.findAll({
+      where: {
+        productId: {
+          [Op.in]: productIds
+        }
+      },
+      order: [["sort_order", "ASC"], ["conversion_factor", "ASC"]]
+    });
+    
+    // 批量获取客户专属价格
     const customerPrices = await CustomerPrice.findAll({
       where: {
         customerId,
@@ -196,23 +243,63 @@ async function getCustomerProducts(req, res) {
       }
     });
     
-    // 创建价格映射
+    // 创建价格映射（商品级价格的规格ID为空字符串）
     const priceMap = {};
     customerPrices.forEach(cp => {
-      priceMap[cp.productId] = cp.price;
+      priceMap[`${cp.productId}:${cp.variantId || ""}`] = cp.price;
+    });
+    
+    // 按商品分组规格
+    const variantMap = {};
+    variants.forEach(variant => {
+      const customPrice = priceMap[`${variant.productId}:${variant.id}`];
+      if (!variantMap[variant.productId]) {
+        variantMap[variant.productId] = [];
+      }
+      variantMap[variant.productId].push({
+        id: variant.id,
+        specification: variant.specification,
+        unit: variant.unit,
+        barcode: variant.barcode,
+        globalPrice: variant.price,
+        price: customPrice || variant.price,
+        isCustomPrice: !!customPrice
+      });
+    });
+    
+    // 按商品分组包装单位（专属价格按基本单位，包装单位使用单位售价）
+    const unitMap = {};
+    units.forEach(item => {
+      if (!unitMap[item.productId]) {
+        unitMap[item.productId] = [];
+      }
+      unitMap[item.productId].push({
+        id: item.id,
+        unit: item.unit,
+        conversionFactor: item.conversionFactor,
+        price: item.price
+      });
     });
     
     // 组装最终结果
-    const productsWithPrices = rows.map(product => ({
-      id: product.id,
-      name: product.name,
-      globalPrice: product.globalPrice,
-      unit: product.unit,
-      price: priceMap[product.id] || product.globalPrice,
-      isCustomPrice: !!priceMap[product.id],
-      createdAt: product.createdAt,
-      updatedAt: product.updatedAt
-    }));
+    const productsWithPrices = rows.map(product => {
+      const customPrice = priceMap[`${product.id}:`];
+      return {
+        id: product.id,
+        name: product.name,
+        globalPrice: product.globalPrice,
+        unit: product.unit,
+        categoryId: product.categoryId,
+        category: product.category,
+        brand: product.brand,
+        price: customPrice || product.globalPrice,
+        isCustomPrice: !!customPrice,
+        variants: variantMap[product.id] || [],
+        units: unitMap[product.id] || [],
+        createdAt: product.createdAt,
+        updatedAt: product.updatedAt
+      };
+    });
     
     res.json(pagination(productsWithPrices, count, page, pageSize));
   } catch (error) {
@@ -221,6 +308,45 @@ async function getCustomerProducts(req, res) {
   }
 }
 
+/**
+ * 合并客户（被合并客户的订单、专属价格等改到保留的客户，记录别名和合并记录）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function mergeCustomers(req, res) {
+  const transaction = await Customer.sequelize.transaction();
+
+  try {
+    const { sourceIds, targetId, pricePolicy } = req.body;
+
+    // 自动获取操作人信息
+    const operator = req.headers["x-wx-openid"] || "system";
+
+    const result = await mergeService.merge(mergeService.TARGET_TYPE.CUSTOMER, {
+      sourceIds,
+      targetId,
+      pricePolicy,
+      operator
+    }, transaction);
+    if (result.notFound) {
+      await transaction.rollback();
+      return res.status(404).json(notFound(result.notFound));
+    }
+    if (result.errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(result.errors.join("\n")));
+    }
+
+    await transaction.commit();
+
+    res.json(success({ target: result.target, records: result.records }, "客户合并成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("合并客户失败:", error);
+    res.status(500).json(serverError("合并客户失败"));
+  }
+}
+
 module.exports = {
   createCustomer,
   getCustomers,
@@ -228,5 +354,6 @@ module.exports = {
   updateCustomer,
   deleteCustomer,
   getAllCustomers,
-  getCustomerProducts
+  getCustomerProducts,
+  mergeCustomers
 };
@@ -0,0 +1,45 @@
+const { notFound, badRequest, serverError } = require("../utils/response");
+const deliveryNoteService = require("../services/deliveryNoteService");
+
+/**
+ * 打印订单送货单（format=pdf 时返回PDF文件，默认返回可打印的HTML页面）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function printDeliveryNote(req, res) {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+
+    const order = await deliveryNoteService.loadOrder(id);
+    if (!order) {
+      return res.status(404).json(notFound("订单不存在"));
+    }
+
+    // 检查订单状态是否允许打印
+    const canPrint = deliveryNoteService.canPrint(order);
+    if (!canPrint.canPrint) {
+      return res.status(400).json(badRequest(canPrint.reason));
+    }
+
+    const operator = req.headers["x-wx-openid"] || "system";
+    const note = await deliveryNoteService.buildDeliveryNote(order, operator);
+
+    if (format === "pdf") {
+      const buffer = await deliveryNoteService.renderPdf(note);
+      res.attachment(`送货单_${note.orderNo}.pdf`);
+      res.type("application/pdf");
+      return res.send(buffer);
+    }
+
+    res.type("html");
+    res.send(deliveryNoteService.renderHtml(note));
+  } catch (error) {
+    console.error("打印送货单失败:", error);
+    res.status(500).json(serverError(error.message || "打印送货单失败"));
+  }
+}
+
+module.exports = {
+  printDeliveryNote
+};
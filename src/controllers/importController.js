@@ -0,0 +1,152 @@
+const fs = require("fs");
+const { ImportBatch } = require("../models");
+const { success, pagination, badRequest, notFound, serverError } = require("../utils/response");
+const excelImportService = require("../services/excelImportService");
+const importBatchService = require("../services/importBatchService");
+const reconciliationService = require("../services/reconciliationService");
+
+/**
+ * 上传Excel导入历史数据
+ * 默认只预览（新客户、新商品、待创建订单、重复跳过的订单、价格变化），
+ * dryRun 为 false 时需提供预览返回的校验码，确认后在事务中导入并记录导入批次
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function importExcel(req, res) {
+  const files = req.files || [];
+  const { dryRun, year, checksum } = req.body;
+
+  if (files.length === 0) {
+    return res.status(400).json(badRequest("请上传Excel文件"));
+  }
+
+  if (dryRun) {
+    try {
+      const { errors, preview } = await excelImportService.preview(files, year);
+      if (errors.length > 0) {
+        return res.status(400).json(badRequest(errors.join("\n")));
+      }
+
+      return res.json(success(preview));
+    } catch (error) {
+      console.error("预览Excel导入失败:", error);
+      return res.status(500).json(serverError("预览Excel导入失败"));
+    }
+  }
+
+  if (checksum !== excelImportService.getChecksum(files)) {
+    return res.status(400).json(badRequest("上传的文件与预览时不一致，请重新预览"));
+  }
+
+  const operator = req.headers["x-wx-openid"] || "system";
+  const startedAt = new Date();
+  const transaction = await ImportBatch.sequelize.transaction();
+
+  try {
+    const { errors, batch } = await excelImportService.commit(files, { year, operator }, transaction);
+    if (errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(errors.join("\n")));
+    }
+
+    await transaction.commit();
+
+    res.status(201).json(success(batch, "导入成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Excel导入失败:", error);
+
+    try {
+      await excelImportService.recordFailure(files, operator, startedAt, error);
+    } catch (recordError) {
+      console.error("记录导入批次失败:", recordError);
+    }
+    res.status(500).json(serverError("Excel导入失败"));
+  }
+}
+
+/**
+ * 获取导入批次列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getImportBatches(req, res) {
+  try {
+    const { page, pageSize } = req.query;
+    const { rows, count } = await importBatchService.getBatches(req.query);
+
+    res.json(pagination(rows, count, page, pageSize));
+  } catch (error) {
+    console.error("获取导入批次列表失败:", error);
+    res.status(500).json(serverError("获取导入批次列表失败"));
+  }
+}
+
+/**
+ * 回滚导入批次
+ * 删除批次创建的客户、商品、规格、专属价格、订单和订单项，恢复批次修改的价格；
+ * 批次创建的数据已被其他数据引用时不能回滚
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function rollbackImportBatch(req, res) {
+  const transaction = await ImportBatch.sequelize.transaction();
+
+  try {
+    const batch = await ImportBatch.findByPk(req.params.id, { transaction });
+    if (!batch) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("导入批次不存在"));
+    }
+
+    const operator = req.headers["x-wx-openid"] || "system";
+    const { errors } = await importBatchService.rollback(batch, operator, transaction);
+    if (errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(errors.join("\n")));
+    }
+
+    await transaction.commit();
+
+    res.json(success(batch, "导入批次已回滚"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("回滚导入批次失败:", error);
+    res.status(500).json(serverError("回滚导入批次失败"));
+  }
+}
+
+/**
+ * 获取归档对账报告（format=xlsx 时下载 Excel 文件）
+ * 重新解析 archive 目录下的对账单，与数据库中的订单金额核对
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getReconciliation(req, res) {
+  try {
+    const archiveDir = reconciliationService.getArchiveDir();
+    if (!fs.existsSync(archiveDir)) {
+      return res.status(400).json(badRequest("归档目录不存在"));
+    }
+
+    const report = await reconciliationService.reconcile(archiveDir);
+
+    if (req.query.format !== "xlsx") {
+      return res.json(success(report));
+    }
+
+    res.attachment(`归档对账报告_${report.generatedAt.slice(0, 10)}.xlsx`);
+    res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.send(reconciliationService.buildWorkbook(report));
+  } catch (error) {
+    console.error("生成归档对账报告失败:", error);
+    res.status(500).json(serverError("生成归档对账报告失败"));
+  }
+}
+
+module.exports = {
+  importExcel,
+  getImportBatches,
+  rollbackImportBatch,
+  getReconciliation
+};
@@ -0,0 +1,179 @@
+const { Product, Order, StockMovement } = require("../models");
+const { success, pagination, notFound, serverError } = require("../utils/response");
+const { Op, literal } = require("sequelize");
+const inventoryService = require("../services/inventoryService");
+const productCostService = require("../services/productCostService");
+
+/**
+ * 获取商品库存（当前库存、按类型汇总及最近流水）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getProductStock(req, res) {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findByPk(id, {
+      attributes: ["id", "name", "unit", "stockQuantity"]
+    });
+    if (!product) {
+      return res.status(404).json(notFound("商品不存在"));
+    }
+
+    const typeStats = await StockMovement.findAll({
+      where: { productId: id },
+      attributes: [
+        "type",
+        [literal("SUM(quantity)"), "totalQuantity"]
+      ],
+      group: ["type"],
+      raw: true
+    });
+
+    const summary = {};
+    Object.values(inventoryService.MOVEMENT_TYPE).forEach(type => {
+      summary[type] = 0;
+    });
+    typeStats.forEach(row => {
+      summary[row.type] = inventoryService.round(row.totalQuantity);
+    });
+
+    const recentMovements = await StockMovement.findAll({
+      where: { productId: id },
+      attributes: { exclude: productCostService.getHiddenFields(req.user, productCostService.COST_FIELDS.STOCK_MOVEMENT) },
+      include: [
+        {
+          model: Order,
+          as: "order",
+          attributes: ["id", "orderNo"]
+        }
+      ],
+      order: [["created_at", "DESC"]],
+      limit: 20
+    });
+
+    res.json(success({
+      productId: product.id,
+      productName: product.name,
+      unit: product.unit,
+      stockQuantity: inventoryService.round(product.stockQuantity),
+      rejectInsufficient: await inventoryService.isRejectInsufficient(),
+      summary,
+      recentMovements
+    }));
+  } catch (error) {
+    console.error("获取商品库存失败:", error);
+    res.status(500).json(serverError("获取商品库存失败"));
+  }
+}
+
+/**
+ * 获取库存流水列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getStockMovements(req, res) {
+  try {
+    const { page = 1, pageSize = 20, productId, orderId, type, startDate, endDate } = req.query;
+
+    const offset = (page - 1) * pageSize;
+    const where = {};
+
+    if (productId) {
+      where.productId = productId;
+    }
+
+    if (orderId) {
+      where.orderId = orderId;
+    }
+
+    if (type) {
+      where.type = type;
+    }
+
+    // 日期范围筛选
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) {
+        where.created_at[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        where.created_at[Op.lte] = new Date(endDate);
+      }
+    }
+
+    const { count, rows } = await StockMovement.findAndCountAll({
+      where,
+      attributes: { exclude: productCostService.getHiddenFields(req.user, productCostService.COST_FIELDS.STOCK_MOVEMENT) },
+      include: [
+        {
+          model: Product,
+          as: "product",
+          attributes: ["id", "name", "unit"]
+        },
+        {
+          model: Order,
+          as: "order",
+          attributes: ["id", "orderNo"]
+        }
+      ],
+      limit: parseInt(pageSize),
+      offset,
+      order: [["created_at", "DESC"]]
+    });
+
+    const list = rows.map(movement => ({
+      ...movement.toJSON(),
+      typeDesc: inventoryService.getMovementTypeDescription(movement.type)
+    }));
+
+    res.json(pagination(list, count, page, pageSize));
+  } catch (error) {
+    console.error("获取库存流水失败:", error);
+    res.status(500).json(serverError("获取库存流水失败"));
+  }
+}
+
+/**
+ * 手工登记库存流水（采购入库、盘点调整）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createStockMovement(req, res) {
+  const transaction = await StockMovement.sequelize.transaction();
+
+  try {
+    const { productId, type, quantity, remark } = req.body;
+
+    // 自动获取操作人信息
+    const operator = req.headers["x-wx-openid"] || "system";
+
+    const product = await Product.findByPk(productId, { transaction });
+    if (!product) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("商品不存在"));
+    }
+
+    const movement = await inventoryService.recordMovement({
+      productId,
+      type,
+      quantity,
+      remark,
+      operator
+    }, transaction);
+
+    await transaction.commit();
+
+    res.status(201).json(success(movement, "库存登记成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("登记库存流水失败:", error);
+    res.status(500).json(serverError("登记库存流水失败"));
+  }
+}
+
+module.exports = {
+  getProductStock,
+  getStockMovements,
+  createStockMovement
+};
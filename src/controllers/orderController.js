@@ -1,8 +1,68 @@
-const { Order, OrderItem, Customer, Product, CustomerPrice, OrderHistory } = require("../models");
-const { success, pagination, notFound, serverError } = require("../utils/response");
-const { generateOrderNumber } = require("../utils/orderNumber");
+const { Order, OrderItem, Customer, Product, ProductVariant, CustomerPrice, OrderHistory } = require("../models");
+const { success, pagination, notFound, badRequest, serverError } = require("../utils/response");
 const { Op } = require("sequelize");
 const orderStatusService = require("../services/orderStatusService");
+const paymentService = require("../services/paymentService");
+const inventoryService = require("../services/inventoryService");
+const productUnitService = require("../services/productUnitService");
+const orderNumberService = require("../services/orderNumberService");
+const productCostService = require("../services/productCostService");
+
+/**
+ * 获取订单项对应的商品规格
+ * @param {string} productId 商品ID
+ * @param {string} variantId 规格ID
+ * @param {object} transaction 数据库事务
+ * @returns {Promise<Object|null>} 规格对象，未指定规格时返回null
+ */
+async function findItemVariant(productId, variantId, transaction) {
+  if (!variantId) {
+    return null;
+  }
+  
+  const variant = await ProductVariant.findOne({
+    where: {
+      id: variantId,
+      productId
+    },
+    transaction
+  });
+  if (!variant) {
+    throw new Error(`商品规格不存在: ${variantId}`);
+  }
+  return variant;
+}
+
+/**
+ * 检查订单项的单位是否为商品已定义的单位
+ * 商品或规格不存在的订单项跳过，由后续逻辑处理
+ * @param {Array} items 订单项数组
+ * @param {object} transaction 数据库事务
+ * @returns {Promise<Array>} 错误信息列表
+ */
+async function checkItemUnits(items, transaction) {
+  const errors = [];
+  for (const item of items) {
+    const product = await Product.findByPk(item.productId, { transaction });
+    if (!product) {
+      continue;
+    }
+    
+    const variant = item.variantId
+      ? await ProductVariant.findOne({ where: { id: item.variantId, productId: item.productId }, transaction })
+      : null;
+    if (item.variantId && !variant) {
+      continue;
+    }
+    
+    try {
+      await productUnitService.resolveUnit(product, variant, item.unit, transaction);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return errors;
+}
 
 /**
  * 批量更新客户专属价格
@@ -12,7 +72,8 @@ const orderStatusService = require("../services/orderStatusService");
  */
 async function batchUpdateCustomerPrices(customerId, items, transaction) {
   for (const item of items) {
-    const { productId, unitPrice } = item;
+    const { productId, unit, unitPrice } = item;
+    const variantId = item.variantId || "";
     
     // 获取商品默认价格
     const product = await Product.findByPk(productId, { transaction });
@@ -20,16 +81,35 @@ async function batchUpdateCustomerPrices(customerId, items, transaction) {
       continue;
     }
     
-    // 如果订单中的价格与商品默认价格不同，则创建或更新专属价格
-    if (parseFloat(unitPrice) !== parseFloat(product.globalPrice)) {
+    // 指定规格时以规格售价为默认价格
+    let defaultPrice = product.globalPrice;
+    let baseUnit = product.unit;
+    if (variantId) {
+      const variant = await ProductVariant.findByPk(variantId, { transaction });
+      if (!variant) {
+        continue;
+      }
+      defaultPrice = variant.price;
+      baseUnit = variant.unit;
+    }
+    
+    // 专属价格按基本单位记录，以包装单位下单时不更新
+    if (unit !== baseUnit) {
+      continue;
+    }
+    
+    // 如果订单中的价格与默认价格不同，则创建或更新专属价格
+    if (parseFloat(unitPrice) !== parseFloat(defaultPrice)) {
       await CustomerPrice.findOrCreate({
         where: {
           customerId,
-          productId
+          productId,
+          variantId
         },
         defaults: {
           customerId,
           productId,
+          variantId,
           price: unitPrice
         },
         transaction
@@ -47,7 +127,8 @@ async function batchUpdateCustomerPrices(customerId, items, transaction) {
       await CustomerPrice.destroy({
         where: {
           customerId,
-          productId
+          productId,
+          variantId
         },
         transaction
       });
@@ -73,25 +154,30 @@ async function createOrder(req, res) {
       return res.status(404).json(notFound("客户不存在"));
     }
     
-    // 生成订单号
-    const orderNo = generateOrderNumber();
+    // 检查订单项单位
+    const unitErrors = await checkItemUnits(items, transaction);
+    if (unitErrors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(unitErrors.join("\n")));
+    }
     
-    // 创建订单
-    const order = await Order.create({
+    // 分配当日订单号并创建订单
+    const order = await orderNumberService.createWithOrderNumber(orderNo => Order.create({
       orderNo,
       customerId,
       totalAmount: 0,
-      status: "draft",
+      status: orderStatusService.getInitialStatus(),
       remark,
       createdBy: req.headers["x-wx-openid"] || "system"
-    }, { transaction });
+    }, { transaction }), transaction);
     
     let totalAmount = 0;
+    const orderItems = [];
     
     // 创建订单项
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
-      const { productId, quantity, unit, unitPrice } = item;
+      const { productId, variantId, quantity, unit, unitPrice } = item;
       
       // 获取商品信息
       const product = await Product.findByPk(productId);
@@ -100,19 +186,47 @@ async function createOrder(req, res) {
         return res.status(404).json(notFound(`商品不存在: ${productId}`));
       }
       
+      // 获取规格信息
+      const variant = variantId
+        ? await ProductVariant.findOne({ where: { id: variantId, productId } })
+        : null;
+      if (variantId && !variant) {
+        await transaction.rollback();
+        return res.status(404).json(notFound(`商品规格不存在: ${variantId}`));
+      }
+      
+      // 包装单位换算信息
+      const unitOption = await productUnitService.resolveUnit(product, variant, unit, transaction);
+      
       const totalPrice = quantity * unitPrice;
       totalAmount += totalPrice;
       
-      await OrderItem.create({
+      // 快照下单时的商品成本价（成本价按基本单位，折算到下单单位）
+      const unitCost = product.costPrice * unitOption.conversionFactor;
+      
+      const orderItem = await OrderItem.create({
         orderId: order.id,
         productId,
+        variantId: variant ? variant.id : null,
         productName: product.name,
+        specification: variant ? variant.specification : null,
         unit,
+        conversionFactor: unitOption.conversionFactor,
         quantity,
         unitPrice,
         totalPrice,
+        unitCost,
+        totalCost: quantity * unitCost,
         sortOrder: i + 1
       }, { transaction });
+      orderItems.push(orderItem);
+    }
+    
+    // 检查库存（按基本单位，根据系统配置提示或拒绝）
+    const stockWarnings = await inventoryService.checkAvailability(orderItems, transaction);
+    if (stockWarnings.length > 0 && await inventoryService.isRejectInsufficient(transaction)) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(inventoryService.formatShortages(stockWarnings)));
     }
     
     // 更新订单总金额
@@ -143,6 +257,7 @@ async function createOrder(req, res) {
         {
           model: OrderItem,
           as: "items",
+          attributes: { exclude: productCostService.getHiddenFields(req.user, productCostService.COST_FIELDS.ORDER_ITEM) },
           order: [["sort_order", "ASC"]],
           include: [
             {
@@ -168,7 +283,8 @@ async function createOrder(req, res) {
       createdAt: orderData.createdAt,
       updatedAt: orderData.updatedAt,
       customer: orderData.customer,
-      items: orderData.items
+      items: orderData.items,
+      stockWarnings
     };
     
     res.status(201).json(success(cleanResult, "订单创建成功"));
@@ -242,7 +358,14 @@ async function getOrders(req, res) {
       order: [["created_at", "DESC"]]
     });
     
-    res.json(pagination(rows, count, page, pageSize));
+    // 批量附加已收/未收金额
+    const summaryMap = await paymentService.getPaymentSummaryMap(rows);
+    const list = rows.map(order => ({
+      ...order.toJSON(),
+      ...summaryMap[order.id]
+    }));
+    
+    res.json(pagination(list, count, page, pageSize));
   } catch (error) {
     console.error("获取订单列表失败:", error);
     res.status(500).json(serverError("获取订单列表失败"));
@@ -267,6 +390,7 @@ async function getOrderById(req, res) {
       {
         model: OrderItem,
         as: "items",
+        attributes: { exclude: productCostService.getHiddenFields(req.user, productCostService.COST_FIELDS.ORDER_ITEM) },
         order: [["sort_order", "ASC"]],
         include: [
           {
@@ -295,13 +419,18 @@ async function getOrderById(req, res) {
       currentStatusDesc: orderStatusService.getStatusDescription(order.status),
       availableTransitions: orderStatusService.getAvailableTransitions(order.status).map(status => ({
         status,
-        description: orderStatusService.getStatusDescription(status)
+        description: orderStatusService.getStatusDescription(status),
+        permitted: orderStatusService.hasPermission(req.user.role, status, order.status)
       })),
       canCancel: orderStatusService.canCancelOrder(order)
     };
     
     const statusFlows = await orderStatusService.getStatusFlowHistory(id);
     
+    // 获取收款信息
+    const summaryMap = await paymentService.getPaymentSummaryMap([order]);
+    const paymentInfo = summaryMap[order.id];
+    
     // 构建完整的订单详情响应
     const orderData = order.toJSON();
     const orderDetail = {
@@ -309,6 +438,7 @@ async function getOrderById(req, res) {
       orderNo: orderData.orderNo,
       customerId: orderData.customerId,
       totalAmount: orderData.totalAmount,
+      ...paymentInfo,
       status: orderData.status,
       remark: orderData.remark,
       createdBy: orderData.createdBy,
@@ -357,12 +487,12 @@ async function updateOrder(req, res) {
       return res.status(404).json(notFound("订单不存在"));
     }
     
-    // 检查订单状态是否允许修改（只有草稿状态可以修改）
-    if (order.status !== "draft") {
+    // 检查订单状态是否允许修改（由订单流程配置决定，默认只有草稿状态可以修改）
+    if (!orderStatusService.isEditable(order.status)) {
       await transaction.rollback();
       return res.status(400).json({
         success: false,
-        message: "只有草稿状态的订单可以修改"
+        message: `订单状态为 ${orderStatusService.getStatusDescription(order.status)}，不允许修改`
       });
     }
     
@@ -377,6 +507,12 @@ async function updateOrder(req, res) {
     
     // 更新订单项（直接替换所有订单项）
     if (items && items.length > 0) {
+      const unitErrors = await checkItemUnits(items, transaction);
+      if (unitErrors.length > 0) {
+        await transaction.rollback();
+        return res.status(400).json(badRequest(unitErrors.join("\n")));
+      }
+      
       await handleReplaceItems(id, items, changes, transaction);
       
       // 批量更新客户专属价格
@@ -434,7 +570,7 @@ async function handleReplaceItems(orderId, items, changes, transaction) {
   // 创建新的订单项
   for (let i = 0; i < items.length; i++) {
     const item = items[i];
-    const { productId, quantity, unit, unitPrice } = item;
+    const { productId, variantId, quantity, unit, unitPrice } = item;
     
     // 获取商品信息
     const product = await Product.findByPk(productId, { transaction });
@@ -442,16 +578,30 @@ async function handleReplaceItems(orderId, items, changes, transaction) {
       throw new Error(`商品不存在: ${productId}`);
     }
     
+    // 获取规格信息
+    const variant = await findItemVariant(productId, variantId, transaction);
+    
+    // 包装单位换算信息
+    const unitOption = await productUnitService.resolveUnit(product, variant, unit, transaction);
+    
     const totalPrice = quantity * unitPrice;
     
+    // 快照当前的商品成本价（成本价按基本单位，折算到下单单位）
+    const unitCost = product.costPrice * unitOption.conversionFactor;
+    
     await OrderItem.create({
       orderId,
       productId,
+      variantId: variant ? variant.id : null,
       productName: product.name,
+      specification: variant ? variant.specification : null,
       unit,
+      conversionFactor: unitOption.conversionFactor,
       quantity,
       unitPrice,
       totalPrice,
+      unitCost,
+      totalCost: quantity * unitCost,
       sortOrder: i + 1
     }, { transaction });
   }
@@ -474,7 +624,7 @@ async function updateOrderStatus(req, res) {
     
     // 自动获取操作人信息
     const operator = req.headers["x-wx-openid"] || "unknown";
-    const role = "admin";
+    const { role } = req.user;
     
     // 使用状态管理服务执行状态流转
     const result = await orderStatusService.transitionStatus(
@@ -517,12 +667,12 @@ async function cancelOrder(req, res) {
     
     // 自动获取操作人信息
     const operator = req.headers["x-wx-openid"] || "unknown";
-    const role = "admin";
+    const { role } = req.user;
     
     const result = await orderStatusService.transitionStatus(
       id,
       req.cancellationValidation.order.status,
-      orderStatusService.STATUS.CANCELLED,
+      orderStatusService.getCancelStatus(),
       operator,
       role,
       remark || "订单取消",
@@ -0,0 +1,294 @@
+const { Order, OrderItem, OrderReturn, OrderReturnItem, OrderHistory, Customer } = require("../models");
+const { success, pagination, notFound, badRequest, serverError } = require("../utils/response");
+const { Op } = require("sequelize");
+const orderReturnService = require("../services/orderReturnService");
+const paymentService = require("../services/paymentService");
+const inventoryService = require("../services/inventoryService");
+const productUnitService = require("../services/productUnitService");
+const orderNumberService = require("../services/orderNumberService");
+
+/**
+ * 创建退货单（针对已完成订单）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createOrderReturn(req, res) {
+  const transaction = await Order.sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { items, refundType, refundAmount, reason } = req.body;
+
+    // 自动获取操作人信息
+    const operator = req.headers["x-wx-openid"] || "system";
+
+    const order = await Order.findByPk(id, {
+      include: [{ model: OrderItem, as: "items" }],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!order) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("订单不存在"));
+    }
+
+    // 检查订单状态是否允许退货
+    const canReturn = orderReturnService.canReturnOrder(order);
+    if (!canReturn.canReturn) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(canReturn.reason));
+    }
+
+    // 校验退货数量不超过可退数量
+    const returnedMap = await orderReturnService.getReturnedQuantityMap(
+      order.items.map(item => item.id),
+      transaction
+    );
+    const returnData = orderReturnService.buildReturnItems(order.items, items, returnedMap);
+    if (returnData.errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(returnData.errors.join("\n")));
+    }
+
+    // 退款金额默认为退货商品金额
+    const finalRefundAmount = refundAmount === undefined
+      ? returnData.totalAmount
+      : paymentService.round(refundAmount);
+    if (finalRefundAmount > returnData.totalAmount) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(`退款金额不能超过退货商品金额 ${returnData.totalAmount}`));
+    }
+
+    // 冲抵欠款不能超过订单未收金额
+    if (refundType === orderReturnService.REFUND_TYPE.CREDIT) {
+      const summaryMap = await paymentService.getPaymentSummaryMap([order], transaction);
+      const { outstandingAmount } = summaryMap[order.id];
+      if (finalRefundAmount > outstandingAmount) {
+        await transaction.rollback();
+        return res.status(400).json(badRequest(`冲抵金额超过订单未收金额 ${outstandingAmount}，请使用退款方式`));
+      }
+    }
+
+    // 分配当日退货单号并创建退货单
+    const orderReturn = await orderNumberService.createWithNumber(orderNumberService.SEQUENCE_TYPE.RETURN, returnNo => OrderReturn.create({
+      returnNo,
+      orderId: order.id,
+      customerId: order.customerId,
+      totalAmount: returnData.totalAmount,
+      refundType,
+      refundAmount: finalRefundAmount,
+      reason,
+      createdBy: operator
+    }, { transaction }), transaction);
+
+    await OrderReturnItem.bulkCreate(returnData.items.map(item => ({
+      ...item,
+      returnId: orderReturn.id
+    })), { transaction });
+
+    // 退货商品重新入库（按基本单位）
+    for (const item of returnData.items) {
+      await inventoryService.recordMovement({
+        productId: item.productId,
+        type: inventoryService.MOVEMENT_TYPE.RETURN,
+        quantity: productUnitService.toBaseQuantity(item.quantity, item.conversionFactor),
+        orderId: order.id,
+        referenceId: orderReturn.id,
+        remark: `退货单 ${orderReturn.returnNo}`,
+        operator
+      }, transaction);
+    }
+
+    // 记录订单历史
+    await OrderHistory.create({
+      orderId: order.id,
+      action: "returned",
+      description: `退货 ${returnData.totalAmount} 元，${orderReturnService.getRefundTypeDescription(refundType)} ${finalRefundAmount} 元`,
+      operator,
+      changes: {
+        returnId: orderReturn.id,
+        returnNo: orderReturn.returnNo,
+        items: returnData.items.map(item => ({
+          orderItemId: item.orderItemId,
+          productName: item.productName,
+          quantity: item.quantity,
+          totalPrice: item.totalPrice
+        })),
+        totalAmount: returnData.totalAmount,
+        refundType,
+        refundAmount: finalRefundAmount,
+        reason
+      }
+    }, { transaction });
+
+    await transaction.commit();
+
+    const result = await OrderReturn.findByPk(orderReturn.id, {
+      include: [{ model: OrderReturnItem, as: "items" }]
+    });
+
+    res.status(201).json(success(result, "退货单创建成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("创建退货单失败:", error);
+    res.status(500).json(serverError("创建退货单失败"));
+  }
+}
+
+/**
+ * 获取订单的退货单及可退数量
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getOrderReturns(req, res) {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findByPk(id, {
+      include: [{ model: OrderItem, as: "items" }]
+    });
+    if (!order) {
+      return res.status(404).json(notFound("订单不存在"));
+    }
+
+    const returns = await OrderReturn.findAll({
+      where: { orderId: id },
+      include: [{ model: OrderReturnItem, as: "items" }],
+      order: [["created_at", "ASC"]]
+    });
+
+    const returnedMap = await orderReturnService.getReturnedQuantityMap(order.items.map(item => item.id));
+    const returnableItems = order.items.map(item => {
+      const returnedQuantity = returnedMap[item.id] || 0;
+      return {
+        orderItemId: item.id,
+        productId: item.productId,
+        productName: item.productName,
+        unit: item.unit,
+        unitPrice: item.unitPrice,
+        soldQuantity: parseFloat(item.quantity),
+        returnedQuantity,
+        returnableQuantity: Math.round((parseFloat(item.quantity) - returnedQuantity) * 100) / 100
+      };
+    });
+
+    res.json(success({
+      orderId: order.id,
+      orderNo: order.orderNo,
+      canReturn: orderReturnService.canReturnOrder(order),
+      returnableItems,
+      returns
+    }));
+  } catch (error) {
+    console.error("获取订单退货单失败:", error);
+    res.status(500).json(serverError("获取订单退货单失败"));
+  }
+}
+
+/**
+ * 获取退货单列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getReturns(req, res) {
+  try {
+    const { page = 1, pageSize = 20, customerId, startDate, endDate, keyword } = req.query;
+
+    const offset = (page - 1) * pageSize;
+    const where = {};
+
+    // 客户筛选
+    if (customerId) {
+      where.customerId = customerId;
+    }
+
+    // 日期范围筛选
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) {
+        where.created_at[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        where.created_at[Op.lte] = new Date(endDate);
+      }
+    }
+
+    // 关键词搜索（退货单号、客户名称）
+    if (keyword) {
+      where[Op.or] = [
+        { returnNo: { [Op.like]: `%${keyword}%` } },
+        { "$customer.name$": { [Op.like]: `%${keyword}%` } }
+      ];
+    }
+
+    const { count, rows } = await OrderReturn.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Customer,
+          as: "customer",
+          attributes: ["id", "name", "phone"]
+        },
+        {
+          model: Order,
+          as: "order",
+          attributes: ["id", "orderNo"]
+        }
+      ],
+      limit: parseInt(pageSize),
+      offset,
+      order: [["created_at", "DESC"]]
+    });
+
+    res.json(pagination(rows, count, page, pageSize));
+  } catch (error) {
+    console.error("获取退货单列表失败:", error);
+    res.status(500).json(serverError("获取退货单列表失败"));
+  }
+}
+
+/**
+ * 获取退货单详情
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getReturnById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const orderReturn = await OrderReturn.findByPk(id, {
+      include: [
+        {
+          model: Customer,
+          as: "customer",
+          attributes: ["id", "name", "phone"]
+        },
+        {
+          model: Order,
+          as: "order",
+          attributes: ["id", "orderNo", "totalAmount", "status", "createdAt"]
+        },
+        {
+          model: OrderReturnItem,
+          as: "items"
+        }
+      ]
+    });
+
+    if (!orderReturn) {
+      return res.status(404).json(notFound("退货单不存在"));
+    }
+
+    res.json(success(orderReturn));
+  } catch (error) {
+    console.error("获取退货单详情失败:", error);
+    res.status(500).json(serverError("获取退货单详情失败"));
+  }
+}
+
+module.exports = {
+  createOrderReturn,
+  getOrderReturns,
+  getReturns,
+  getReturnById
+};
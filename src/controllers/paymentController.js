@@ -0,0 +1,212 @@
+const { Order, Customer, Payment, OrderHistory } = require("../models");
+const { success, notFound, badRequest, serverError } = require("../utils/response");
+const paymentService = require("../services/paymentService");
+
+/**
+ * 获取订单收款记录
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getOrderPayments(req, res) {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findByPk(id);
+    if (!order) {
+      return res.status(404).json(notFound("订单不存在"));
+    }
+
+    const payments = await Payment.findAll({
+      where: { orderId: id },
+      order: [["paid_at", "ASC"]]
+    });
+
+    const summaryMap = await paymentService.getPaymentSummaryMap([order]);
+
+    res.json(success({
+      orderId: order.id,
+      orderNo: order.orderNo,
+      totalAmount: order.totalAmount,
+      ...summaryMap[id],
+      payments
+    }));
+  } catch (error) {
+    console.error("获取收款记录失败:", error);
+    res.status(500).json(serverError("获取收款记录失败"));
+  }
+}
+
+/**
+ * 登记订单收款（支持部分收款）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createPayment(req, res) {
+  const transaction = await Order.sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { amount, method, paidAt, remark } = req.body;
+
+    // 自动获取操作人信息
+    const operator = req.headers["x-wx-openid"] || "system";
+
+    const order = await Order.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("订单不存在"));
+    }
+
+    // 检查订单状态是否允许收款
+    const canReceive = paymentService.canReceivePayment(order);
+    if (!canReceive.canReceive) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(canReceive.reason));
+    }
+
+    // 检查收款金额是否超过未收金额
+    const paidAmount = await paymentService.getPaidAmount(id, transaction);
+    const creditMap = await paymentService.getCreditAmountMap([id], transaction);
+    const refundedMap = await paymentService.getRefundedAmountMap([id], transaction);
+    const { outstandingAmount } = paymentService.buildPaymentSummary(order, paidAmount, creditMap[id], refundedMap[id]);
+    if (paymentService.round(amount) > outstandingAmount) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(`收款金额超过未收金额 ${outstandingAmount}`));
+    }
+
+    const payment = await Payment.create({
+      orderId: id,
+      customerId: order.customerId,
+      amount,
+      method,
+      paidAt: paidAt || new Date(),
+      remark,
+      createdBy: operator
+    }, { transaction });
+
+    const summary = paymentService.buildPaymentSummary(order, paidAmount + paymentService.round(amount), creditMap[id], refundedMap[id]);
+
+    // 记录订单历史
+    await OrderHistory.create({
+      orderId: id,
+      action: "payment_recorded",
+      description: `登记收款 ${paymentService.round(amount)} 元（${paymentService.PAYMENT_METHODS[method] || method}）`,
+      operator,
+      changes: {
+        paymentId: payment.id,
+        amount: paymentService.round(amount),
+        method,
+        paidAmount: { from: paidAmount, to: summary.paidAmount },
+        paymentStatus: summary.paymentStatus
+      }
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.status(201).json(success({
+      payment,
+      ...summary
+    }, "收款登记成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("登记收款失败:", error);
+    res.status(500).json(serverError("登记收款失败"));
+  }
+}
+
+/**
+ * 删除收款记录（用于冲正误登记的收款）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deletePayment(req, res) {
+  const transaction = await Order.sequelize.transaction();
+
+  try {
+    const { id, paymentId } = req.params;
+
+    // 自动获取操作人信息
+    const operator = req.headers["x-wx-openid"] || "unknown";
+
+    const order = await Order.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("订单不存在"));
+    }
+
+    const payment = await Payment.findOne({
+      where: { id: paymentId, orderId: id },
+      transaction
+    });
+    if (!payment) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("收款记录不存在"));
+    }
+
+    // 检查订单状态是否允许删除收款（已取消、已退货的订单收款已结算）
+    const canDelete = await paymentService.canDeletePayment(order, transaction);
+    if (!canDelete.canDelete) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(canDelete.reason));
+    }
+
+    await payment.destroy({ transaction });
+
+    // 记录订单历史
+    await OrderHistory.create({
+      orderId: id,
+      action: "payment_deleted",
+      description: `删除收款 ${paymentService.round(payment.amount)} 元`,
+      operator,
+      changes: {
+        paymentId: payment.id,
+        amount: paymentService.round(payment.amount),
+        method: payment.method,
+        paidAt: payment.paidAt
+      }
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.json(success(null, "收款记录删除成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("删除收款记录失败:", error);
+    res.status(500).json(serverError("删除收款记录失败"));
+  }
+}
+
+/**
+ * 获取客户应收余额
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getCustomerBalance(req, res) {
+  try {
+    const { id } = req.params;
+
+    const customer = await Customer.findByPk(id, {
+      attributes: ["id", "name", "phone"]
+    });
+    if (!customer) {
+      return res.status(404).json(notFound("客户不存在"));
+    }
+
+    const balance = await paymentService.getCustomerBalance(id);
+
+    res.json(success({
+      customer,
+      ...balance
+    }));
+  } catch (error) {
+    console.error("获取客户应收余额失败:", error);
+    res.status(500).json(serverError("获取客户应收余额失败"));
+  }
+}
+
+module.exports = {
+  getOrderPayments,
+  createPayment,
+  deletePayment,
+  getCustomerBalance
+};
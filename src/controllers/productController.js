@@ -1,6 +1,10 @@
-const { Product } = require("../models");
-const { success, pagination, notFound, serverError } = require("../utils/response");
+const { Product, ProductVariant, ProductUnit, Category } = require("../models");
+const { success, pagination, notFound, badRequest, serverError } = require("../utils/response");
 const { Op } = require("sequelize");
+const productCostService = require("../services/productCostService");
+const categoryService = require("../services/categoryService");
+const mergeService = require("../services/mergeService");
+const aliasService = require("../services/aliasService");
 
 /**
  * 创建商品
@@ -8,17 +12,37 @@ const { Op } = require("sequelize");
  * @param {object} res 响应对象
  */
 async function createProduct(req, res) {
+  const transaction = await Product.sequelize.transaction();
+  
   try {
-    const { name, globalPrice, unit } = req.body;
+    const { name, globalPrice, costPrice, unit, categoryId, brand } = req.body;
+    
+    // 检查分类是否存在
+    if (categoryId && !await Category.findByPk(categoryId, { transaction })) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest("商品分类不存在"));
+    }
     
     const product = await Product.create({
       name,
       globalPrice,
-      unit
-    });
+      unit,
+      categoryId: categoryId || null,
+      brand: brand || null
+    }, { transaction });
     
-    res.status(201).json(success(product, "商品创建成功"));
+    // 记录初始成本价
+    if (costPrice !== undefined) {
+      await productCostService.updateCostPrice(product, costPrice, {
+        operator: req.headers["x-wx-openid"] || "system"
+      }, transaction);
+    }
+    
+    await transaction.commit();
+    
+    res.status(201).json(success(productCostService.omitCostFields(product.toJSON(), req.user, productCostService.COST_FIELDS.PRODUCT), "商品创建成功"));
   } catch (error) {
+    await transaction.rollback();
     console.error("创建商品失败:", error);
     res.status(500).json(serverError("创建商品失败"));
   }
@@ -31,20 +55,29 @@ async function createProduct(req, res) {
  */
 async function getProducts(req, res) {
   try {
-    const { page = 1, pageSize = 20, keyword } = req.query;
+    const { page = 1, pageSize = 20, keyword, categoryId, brand } = req.query;
     
     const offset = (page - 1) * pageSize;
     const where = {};
     
-    // 关键词搜索
+    // 关键词搜索（名称、别名）
     if (keyword) {
-      where.name = {
-        [Op.like]: `%${keyword}%`
-      };
+      where[Op.or] = await aliasService.buildKeywordConditions(aliasService.TYPE.PRODUCT, keyword);
     }
     
+    // 分类和品牌筛选
+    await categoryService.applyProductFilter(where, { categoryId, brand });
+    
     const { count, rows } = await Product.findAndCountAll({
       where,
+      attributes: { exclude: productCostService.getHiddenFields(req.user, productCostService.COST_FIELDS.PRODUCT) },
+      include: [
+        {
+          model: Category,
+          as: "category",
+          attributes: ["id", "name", "parentId"]
+        }
+      ],
       limit: parseInt(pageSize),
       offset,
       order: [["created_at", "DESC"]]
@@ -66,7 +99,28 @@ async function getProductById(req, res) {
   try {
     const { id } = req.params;
     
-    const product = await Product.findByPk(id);
+    const product = await Product.findByPk(id, {
+      attributes: { exclude: productCostService.getHiddenFields(req.user, productCostService.COST_FIELDS.PRODUCT) },
+      include: [
+        {
+          model: ProductVariant,
+          as: "variants"
+        },
+        {
+          model: ProductUnit,
+          as: "units"
+        },
+        {
+          model: Category,
+          as: "category",
+          attributes: ["id", "name", "parentId"]
+        }
+      ],
+      order: [
+        [{ model: ProductVariant, as: "variants" }, "sort_order", "ASC"],
+        [{ model: ProductUnit, as: "units" }, "sort_order", "ASC"]
+      ]
+    });
     
     if (!product) {
       return res.status(404).json(notFound("商品不存在"));
@@ -85,24 +139,63 @@ async function getProductById(req, res) {
  * @param {object} res 响应对象
  */
 async function updateProduct(req, res) {
+  const transaction = await Product.sequelize.transaction();
+  
   try {
     const { id } = req.params;
-    const { name, globalPrice, unit } = req.body;
+    const { name, globalPrice, costPrice, unit, categoryId, brand } = req.body;
     
-    const product = await Product.findByPk(id);
+    const product = await Product.findByPk(id, { transaction });
     
     if (!product) {
+      await transaction.rollback();
       return res.status(404).json(notFound("商品不存在"));
     }
     
-    await product.update({
+    // 检查分类是否存在
+    if (categoryId && !await Category.findByPk(categoryId, { transaction })) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest("商品分类不存在"));
+    }
+    
+    const updateData = {
       name,
       globalPrice,
       unit
-    });
+    };
     
-    res.json(success(product, "商品更新成功"));
+    // 未传分类或品牌时保持不变
+    if (categoryId !== undefined) {
+      updateData.categoryId = categoryId || null;
+    }
+    if (brand !== undefined) {
+      updateData.brand = brand || null;
+    }
+    
+    const errors = await aliasService.checkRename(aliasService.TYPE.PRODUCT, product, name, transaction);
+    if (errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(errors.join("\n")));
+    }
+    
+    const oldName = product.name;
+    await product.update(updateData, { transaction });
+    
+    // 改名后旧名称记录为别名，后续导入和搜索仍能找到该商品
+    await aliasService.recordRename(aliasService.TYPE.PRODUCT, product, oldName, transaction);
+    
+    // 成本价有变化时记录历史
+    if (costPrice !== undefined) {
+      await productCostService.updateCostPrice(product, costPrice, {
+        operator: req.headers["x-wx-openid"] || "system"
+      }, transaction);
+    }
+    
+    await transaction.commit();
+    
+    res.json(success(productCostService.omitCostFields(product.toJSON(), req.user, productCostService.COST_FIELDS.PRODUCT), "商品更新成功"));
   } catch (error) {
+    await transaction.rollback();
     console.error("更新商品失败:", error);
     res.status(500).json(serverError("更新商品失败"));
   }
@@ -139,9 +232,23 @@ async function deleteProduct(req, res) {
  */
 async function getAllProducts(req, res) {
   try {
+    const { categoryId, brand } = req.query;
+    const where = {};
+    
+    // 分类和品牌筛选
+    await categoryService.applyProductFilter(where, { categoryId, brand });
+    
     const products = await Product.findAll({
-      attributes: ["id", "name", "globalPrice", "unit"],
-      order: [["name", "ASC"]]
+      where,
+      attributes: ["id", "name", "globalPrice", "unit", "categoryId", "brand"],
+      include: [
+        {
+          model: ProductUnit,
+          as: "units",
+          attributes: ["id", "unit", "conversionFactor", "price"]
+        }
+      ],
+      order: [["name", "ASC"], [{ model: ProductUnit, as: "units" }, "sort_order", "ASC"]]
     });
     
     res.json(success(products));
@@ -151,11 +258,81 @@ async function getAllProducts(req, res) {
   }
 }
 
+/**
+ * 获取商品成本价历史
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getProductCostHistory(req, res) {
+  try {
+    const { id } = req.params;
+    
+    const product = await Product.findByPk(id, {
+      attributes: ["id", "name", "unit", "costPrice"]
+    });
+    
+    if (!product) {
+      return res.status(404).json(notFound("商品不存在"));
+    }
+    
+    const histories = await productCostService.getCostHistory(id);
+    
+    res.json(success({
+      product,
+      histories
+    }));
+  } catch (error) {
+    console.error("获取商品成本价历史失败:", error);
+    res.status(500).json(serverError("获取商品成本价历史失败"));
+  }
+}
+
+/**
+ * 合并商品（被合并商品的订单、专属价格等改到保留的商品，记录别名和合并记录）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function mergeProducts(req, res) {
+  const transaction = await Product.sequelize.transaction();
+
+  try {
+    const { sourceIds, targetId, pricePolicy } = req.body;
+
+    // 自动获取操作人信息
+    const operator = req.headers["x-wx-openid"] || "system";
+
+    const result = await mergeService.merge(mergeService.TARGET_TYPE.PRODUCT, {
+      sourceIds,
+      targetId,
+      pricePolicy,
+      operator
+    }, transaction);
+    if (result.notFound) {
+      await transaction.rollback();
+      return res.status(404).json(notFound(result.notFound));
+    }
+    if (result.errors.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest(result.errors.join("\n")));
+    }
+
+    await transaction.commit();
+
+    res.json(success({ target: result.target, records: result.records }, "商品合并成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("合并商品失败:", error);
+    res.status(500).json(serverError("合并商品失败"));
+  }
+}
+
 module.exports = {
   createProduct,
   getProducts,
   getProductById,
   updateProduct,
   deleteProduct,
-  getAllProducts
+  getAllProducts,
+  getProductCostHistory,
+  mergeProducts
 };
@@ -0,0 +1,152 @@
+const { Product, ProductUnit } = require("../models");
+const { success, notFound, badRequest, serverError } = require("../utils/response");
+const { Op } = require("sequelize");
+
+/**
+ * 获取商品包装单位列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getProductUnits(req, res) {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findByPk(id);
+    if (!product) {
+      return res.status(404).json(notFound("商品不存在"));
+    }
+
+    const units = await ProductUnit.findAll({
+      where: { productId: id },
+      order: [["sort_order", "ASC"], ["conversion_factor", "ASC"]]
+    });
+
+    res.json(success({
+      baseUnit: product.unit,
+      units
+    }));
+  } catch (error) {
+    console.error("获取商品包装单位失败:", error);
+    res.status(500).json(serverError("获取商品包装单位失败"));
+  }
+}
+
+/**
+ * 创建商品包装单位
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createProductUnit(req, res) {
+  try {
+    const { id } = req.params;
+    const { unit, conversionFactor, price, sortOrder } = req.body;
+
+    const product = await Product.findByPk(id);
+    if (!product) {
+      return res.status(404).json(notFound("商品不存在"));
+    }
+
+    // 包装单位不能与基本单位或已有单位重复
+    if (unit === product.unit) {
+      return res.status(400).json(badRequest(`${unit} 是商品的基本单位`));
+    }
+    const existing = await ProductUnit.findOne({
+      where: { productId: id, unit }
+    });
+    if (existing) {
+      return res.status(400).json(badRequest(`单位已存在: ${unit}`));
+    }
+
+    const productUnit = await ProductUnit.create({
+      productId: id,
+      unit,
+      conversionFactor,
+      price,
+      sortOrder
+    });
+
+    res.status(201).json(success(productUnit, "商品包装单位创建成功"));
+  } catch (error) {
+    console.error("创建商品包装单位失败:", error);
+    res.status(500).json(serverError("创建商品包装单位失败"));
+  }
+}
+
+/**
+ * 更新商品包装单位
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updateProductUnit(req, res) {
+  try {
+    const { id, unitId } = req.params;
+    const { unit, conversionFactor, price, sortOrder } = req.body;
+
+    const productUnit = await ProductUnit.findOne({
+      where: { id: unitId, productId: id },
+      include: [{ model: Product, as: "product" }]
+    });
+    if (!productUnit) {
+      return res.status(404).json(notFound("商品包装单位不存在"));
+    }
+
+    // 包装单位不能与基本单位或已有单位重复
+    if (unit === productUnit.product.unit) {
+      return res.status(400).json(badRequest(`${unit} 是商品的基本单位`));
+    }
+    const duplicate = await ProductUnit.findOne({
+      where: {
+        productId: id,
+        unit,
+        id: { [Op.ne]: unitId }
+      }
+    });
+    if (duplicate) {
+      return res.status(400).json(badRequest(`单位已存在: ${unit}`));
+    }
+
+    await productUnit.update({
+      unit,
+      conversionFactor,
+      price,
+      sortOrder
+    });
+
+    res.json(success(productUnit, "商品包装单位更新成功"));
+  } catch (error) {
+    console.error("更新商品包装单位失败:", error);
+    res.status(500).json(serverError("更新商品包装单位失败"));
+  }
+}
+
+/**
+ * 删除商品包装单位（历史订单项保留单位和换算系数快照）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deleteProductUnit(req, res) {
+  try {
+    const { id, unitId } = req.params;
+
+    const productUnit = await ProductUnit.findOne({
+      where: { id: unitId, productId: id }
+    });
+    if (!productUnit) {
+      return res.status(404).json(notFound("商品包装单位不存在"));
+    }
+
+    await productUnit.destroy();
+
+    res.json(success(null, "商品包装单位删除成功"));
+  } catch (error) {
+    console.error("删除商品包装单位失败:", error);
+    res.status(500).json(serverError("删除商品包装单位失败"));
+  }
+}
+
+module.exports = {
+  getProductUnits,
+  createProductUnit,
+  updateProductUnit,
+  deleteProductUnit
+};
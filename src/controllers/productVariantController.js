@@ -0,0 +1,155 @@
+const { Product, ProductVariant, CustomerPrice } = require("../models");
+const { success, notFound, badRequest, serverError } = require("../utils/response");
+const { Op } = require("sequelize");
+
+/**
+ * 获取商品规格列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getProductVariants(req, res) {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findByPk(id);
+    if (!product) {
+      return res.status(404).json(notFound("商品不存在"));
+    }
+
+    const variants = await ProductVariant.findAll({
+      where: { productId: id },
+      order: [["sort_order", "ASC"], ["specification", "ASC"]]
+    });
+
+    res.json(success(variants));
+  } catch (error) {
+    console.error("获取商品规格失败:", error);
+    res.status(500).json(serverError("获取商品规格失败"));
+  }
+}
+
+/**
+ * 创建商品规格
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createProductVariant(req, res) {
+  try {
+    const { id } = req.params;
+    const { specification, price, unit, barcode, sortOrder } = req.body;
+
+    const product = await Product.findByPk(id);
+    if (!product) {
+      return res.status(404).json(notFound("商品不存在"));
+    }
+
+    // 同一商品下规格不能重复
+    const existing = await ProductVariant.findOne({
+      where: { productId: id, specification }
+    });
+    if (existing) {
+      return res.status(400).json(badRequest(`规格已存在: ${specification}`));
+    }
+
+    const variant = await ProductVariant.create({
+      productId: id,
+      specification,
+      price,
+      unit,
+      barcode: barcode || null,
+      sortOrder
+    });
+
+    res.status(201).json(success(variant, "商品规格创建成功"));
+  } catch (error) {
+    console.error("创建商品规格失败:", error);
+    res.status(500).json(serverError("创建商品规格失败"));
+  }
+}
+
+/**
+ * 更新商品规格
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updateProductVariant(req, res) {
+  try {
+    const { id, variantId } = req.params;
+    const { specification, price, unit, barcode, sortOrder } = req.body;
+
+    const variant = await ProductVariant.findOne({
+      where: { id: variantId, productId: id }
+    });
+    if (!variant) {
+      return res.status(404).json(notFound("商品规格不存在"));
+    }
+
+    // 同一商品下规格不能重复
+    const duplicate = await ProductVariant.findOne({
+      where: {
+        productId: id,
+        specification,
+        id: { [Op.ne]: variantId }
+      }
+    });
+    if (duplicate) {
+      return res.status(400).json(badRequest(`规格已存在: ${specification}`));
+    }
+
+    await variant.update({
+      specification,
+      price,
+      unit,
+      barcode: barcode || null,
+      sortOrder
+    });
+
+    res.json(success(variant, "商品规格更新成功"));
+  } catch (error) {
+    console.error("更新商品规格失败:", error);
+    res.status(500).json(serverError("更新商品规格失败"));
+  }
+}
+
+/**
+ * 删除商品规格（同时删除该规格的客户专属价格，历史订单项保留规格快照）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deleteProductVariant(req, res) {
+  const transaction = await ProductVariant.sequelize.transaction();
+
+  try {
+    const { id, variantId } = req.params;
+
+    const variant = await ProductVariant.findOne({
+      where: { id: variantId, productId: id },
+      transaction
+    });
+    if (!variant) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("商品规格不存在"));
+    }
+
+    await CustomerPrice.destroy({
+      where: { variantId },
+      transaction
+    });
+    await variant.destroy({ transaction });
+
+    await transaction.commit();
+
+    res.json(success(null, "商品规格删除成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("删除商品规格失败:", error);
+    res.status(500).json(serverError("删除商品规格失败"));
+  }
+}
+
+module.exports = {
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant
+};
@@ -0,0 +1,364 @@
+const { PurchaseOrder, PurchaseOrderItem, Supplier, Product } = require("../models");
+const { success, pagination, notFound, badRequest, serverError } = require("../utils/response");
+const { Op } = require("sequelize");
+const purchaseOrderStatusService = require("../services/purchaseOrderStatusService");
+const orderNumberService = require("../services/orderNumberService");
+
+/**
+ * 创建采购项并返回采购总金额
+ * @param {string} purchaseOrderId 采购单ID
+ * @param {Array} items 采购项数组
+ * @param {object} transaction 数据库事务
+ * @returns {Promise<number>} 采购总金额
+ */
+async function createPurchaseItems(purchaseOrderId, items, transaction) {
+  let totalAmount = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    const { productId, quantity, unit, unitCost } = items[i];
+
+    // 获取商品信息
+    const product = await Product.findByPk(productId, { transaction });
+    if (!product) {
+      throw new Error(`商品不存在: ${productId}`);
+    }
+
+    const totalCost = Math.round(quantity * unitCost * 100) / 100;
+    totalAmount += totalCost;
+
+    await PurchaseOrderItem.create({
+      purchaseOrderId,
+      productId,
+      productName: product.name,
+      unit: unit || product.unit,
+      quantity,
+      unitCost,
+      totalCost,
+      sortOrder: i + 1
+    }, { transaction });
+  }
+
+  return Math.round(totalAmount * 100) / 100;
+}
+
+/**
+ * 查询采购单详情
+ * @param {string} id 采购单ID
+ * @returns {Promise<Object>} 采购单
+ */
+function findPurchaseOrder(id) {
+  return PurchaseOrder.findByPk(id, {
+    include: [
+      {
+        model: Supplier,
+        as: "supplier",
+        attributes: ["id", "name", "contact", "phone"]
+      },
+      {
+        model: PurchaseOrderItem,
+        as: "items",
+        include: [
+          {
+            model: Product,
+            as: "product",
+            attributes: ["id", "name", "unit", "stockQuantity"]
+          }
+        ]
+      }
+    ],
+    order: [[{ model: PurchaseOrderItem, as: "items" }, "sort_order", "ASC"]]
+  });
+}
+
+/**
+ * 创建采购单
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createPurchaseOrder(req, res) {
+  const transaction = await PurchaseOrder.sequelize.transaction();
+
+  try {
+    const { supplierId, items, remark } = req.body;
+
+    // 检查供应商是否存在
+    const supplier = await Supplier.findByPk(supplierId, { transaction });
+    if (!supplier) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("供应商不存在"));
+    }
+
+    // 分配当日采购单号并创建采购单
+    const purchaseOrder = await orderNumberService.createWithNumber(orderNumberService.SEQUENCE_TYPE.PURCHASE, purchaseNo => PurchaseOrder.create({
+      purchaseNo,
+      supplierId,
+      totalAmount: 0,
+      status: purchaseOrderStatusService.STATUS.DRAFT,
+      remark,
+      createdBy: req.headers["x-wx-openid"] || "system"
+    }, { transaction }), transaction);
+
+    const totalAmount = await createPurchaseItems(purchaseOrder.id, items, transaction);
+    await purchaseOrder.update({ totalAmount }, { transaction });
+
+    await transaction.commit();
+
+    const result = await findPurchaseOrder(purchaseOrder.id);
+
+    res.status(201).json(success(result, "采购单创建成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("创建采购单失败:", error);
+    res.status(500).json(serverError("创建采购单失败"));
+  }
+}
+
+/**
+ * 获取采购单列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getPurchaseOrders(req, res) {
+  try {
+    const { page = 1, pageSize = 20, status, supplierId, startDate, endDate, keyword } = req.query;
+
+    const offset = (page - 1) * pageSize;
+    const where = {};
+
+    // 状态筛选
+    if (status) {
+      where.status = status;
+    }
+
+    // 供应商筛选
+    if (supplierId) {
+      where.supplierId = supplierId;
+    }
+
+    // 日期范围筛选
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) {
+        where.created_at[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        where.created_at[Op.lte] = new Date(endDate);
+      }
+    }
+
+    // 关键词搜索（采购单号、供应商名称）
+    if (keyword) {
+      where[Op.or] = [
+        { purchaseNo: { [Op.like]: `%${keyword}%` } },
+        { "$supplier.name$": { [Op.like]: `%${keyword}%` } }
+      ];
+    }
+
+    const { count, rows } = await PurchaseOrder.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Supplier,
+          as: "supplier",
+          attributes: ["id", "name", "phone"]
+        }
+      ],
+      limit: parseInt(pageSize),
+      offset,
+      order: [["created_at", "DESC"]]
+    });
+
+    const list = rows.map(purchaseOrder => ({
+      ...purchaseOrder.toJSON(),
+      statusDesc: purchaseOrderStatusService.getStatusDescription(purchaseOrder.status)
+    }));
+
+    res.json(pagination(list, count, page, pageSize));
+  } catch (error) {
+    console.error("获取采购单列表失败:", error);
+    res.status(500).json(serverError("获取采购单列表失败"));
+  }
+}
+
+/**
+ * 获取采购单详情
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getPurchaseOrderById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const purchaseOrder = await findPurchaseOrder(id);
+    if (!purchaseOrder) {
+      return res.status(404).json(notFound("采购单不存在"));
+    }
+
+    res.json(success({
+      ...purchaseOrder.toJSON(),
+      statusInfo: {
+        current: purchaseOrder.status,
+        currentDesc: purchaseOrderStatusService.getStatusDescription(purchaseOrder.status),
+        availableTransitions: purchaseOrderStatusService.getAvailableTransitions(purchaseOrder.status).map(status => ({
+          status,
+          description: purchaseOrderStatusService.getStatusDescription(status)
+        }))
+      }
+    }));
+  } catch (error) {
+    console.error("获取采购单详情失败:", error);
+    res.status(500).json(serverError("获取采购单详情失败"));
+  }
+}
+
+/**
+ * 更新采购单（只有草稿状态可以修改）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updatePurchaseOrder(req, res) {
+  const transaction = await PurchaseOrder.sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { supplierId, items, remark } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!purchaseOrder) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("采购单不存在"));
+    }
+
+    if (purchaseOrder.status !== purchaseOrderStatusService.STATUS.DRAFT) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest("只有草稿状态的采购单可以修改"));
+    }
+
+    const updateData = {};
+
+    if (supplierId && supplierId !== purchaseOrder.supplierId) {
+      const supplier = await Supplier.findByPk(supplierId, { transaction });
+      if (!supplier) {
+        await transaction.rollback();
+        return res.status(404).json(notFound("供应商不存在"));
+      }
+      updateData.supplierId = supplierId;
+    }
+
+    if (remark !== undefined) {
+      updateData.remark = remark;
+    }
+
+    // 替换所有采购项
+    if (items && items.length > 0) {
+      await PurchaseOrderItem.destroy({
+        where: { purchaseOrderId: id },
+        transaction
+      });
+      updateData.totalAmount = await createPurchaseItems(id, items, transaction);
+    }
+
+    await purchaseOrder.update(updateData, { transaction });
+
+    await transaction.commit();
+
+    const result = await findPurchaseOrder(id);
+
+    res.json(success(result, "采购单更新成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("更新采购单失败:", error);
+    res.status(500).json(serverError("更新采购单失败"));
+  }
+}
+
+/**
+ * 删除采购单（只有草稿状态可以删除）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deletePurchaseOrder(req, res) {
+  const transaction = await PurchaseOrder.sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+
+    const purchaseOrder = await PurchaseOrder.findByPk(id, { transaction });
+    if (!purchaseOrder) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("采购单不存在"));
+    }
+
+    if (purchaseOrder.status !== purchaseOrderStatusService.STATUS.DRAFT) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest("只有草稿状态的采购单可以删除，其他状态请取消"));
+    }
+
+    await PurchaseOrderItem.destroy({
+      where: { purchaseOrderId: id },
+      transaction
+    });
+    await purchaseOrder.destroy({ transaction });
+
+    await transaction.commit();
+
+    res.json(success(null, "采购单删除成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("删除采购单失败:", error);
+    res.status(500).json(serverError("删除采购单失败"));
+  }
+}
+
+/**
+ * 更新采购单状态（下单、到货入库、取消）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updatePurchaseOrderStatus(req, res) {
+  const transaction = await PurchaseOrder.sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    // 自动获取操作人信息
+    const operator = req.headers["x-wx-openid"] || "unknown";
+
+    const purchaseOrder = await PurchaseOrder.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!purchaseOrder) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("采购单不存在"));
+    }
+
+    const result = await purchaseOrderStatusService.transitionStatus(
+      purchaseOrder,
+      status,
+      operator,
+      transaction
+    );
+
+    await transaction.commit();
+
+    res.json(success(result, "采购单状态更新成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("更新采购单状态失败:", error);
+    res.status(400).json(badRequest(error.message || "更新采购单状态失败"));
+  }
+}
+
+module.exports = {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  updatePurchaseOrderStatus
+};
@@ -0,0 +1,40 @@
+const { Customer } = require("../models");
+const { success, notFound, serverError } = require("../utils/response");
+const statementService = require("../services/statementService");
+
+/**
+ * 获取客户对账单（format=xlsx 时下载与 archive 版式一致的 Excel 文件）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getCustomerStatement(req, res) {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate, format } = req.query;
+
+    const customer = await Customer.findByPk(id);
+    if (!customer) {
+      return res.status(404).json(notFound("客户不存在"));
+    }
+
+    const statement = await statementService.buildStatement(customer, { startDate, endDate });
+
+    if (format !== "xlsx") {
+      return res.json(success(statement));
+    }
+
+    const operator = req.headers["x-wx-openid"] || "system";
+    const buffer = await statementService.buildWorkbook(statement, operator);
+
+    res.attachment(`${customer.name}_${statement.startDate}_${statement.endDate}.xlsx`);
+    res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.send(buffer);
+  } catch (error) {
+    console.error("生成客户对账单失败:", error);
+    res.status(500).json(serverError("生成客户对账单失败"));
+  }
+}
+
+module.exports = {
+  getCustomerStatement
+};
@@ -0,0 +1,172 @@
+const { Supplier, PurchaseOrder } = require("../models");
+const { success, pagination, notFound, badRequest, serverError } = require("../utils/response");
+const { Op } = require("sequelize");
+
+/**
+ * 创建供应商
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createSupplier(req, res) {
+  try {
+    const { name, contact, phone, address, remark } = req.body;
+
+    const supplier = await Supplier.create({
+      name,
+      contact,
+      phone,
+      address,
+      remark
+    });
+
+    res.status(201).json(success(supplier, "供应商创建成功"));
+  } catch (error) {
+    console.error("创建供应商失败:", error);
+    res.status(500).json(serverError("创建供应商失败"));
+  }
+}
+
+/**
+ * 获取供应商列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getSuppliers(req, res) {
+  try {
+    const { page = 1, pageSize = 20, keyword } = req.query;
+
+    const offset = (page - 1) * pageSize;
+    const where = {};
+
+    // 关键词搜索
+    if (keyword) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${keyword}%` } },
+        { contact: { [Op.like]: `%${keyword}%` } },
+        { phone: { [Op.like]: `%${keyword}%` } }
+      ];
+    }
+
+    const { count, rows } = await Supplier.findAndCountAll({
+      where,
+      limit: parseInt(pageSize),
+      offset,
+      order: [["created_at", "DESC"]]
+    });
+
+    res.json(pagination(rows, count, page, pageSize));
+  } catch (error) {
+    console.error("获取供应商列表失败:", error);
+    res.status(500).json(serverError("获取供应商列表失败"));
+  }
+}
+
+/**
+ * 获取供应商详情
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getSupplierById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const supplier = await Supplier.findByPk(id);
+
+    if (!supplier) {
+      return res.status(404).json(notFound("供应商不存在"));
+    }
+
+    res.json(success(supplier));
+  } catch (error) {
+    console.error("获取供应商详情失败:", error);
+    res.status(500).json(serverError("获取供应商详情失败"));
+  }
+}
+
+/**
+ * 更新供应商
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updateSupplier(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, contact, phone, address, remark } = req.body;
+
+    const supplier = await Supplier.findByPk(id);
+
+    if (!supplier) {
+      return res.status(404).json(notFound("供应商不存在"));
+    }
+
+    await supplier.update({
+      name,
+      contact,
+      phone,
+      address,
+      remark
+    });
+
+    res.json(success(supplier, "供应商更新成功"));
+  } catch (error) {
+    console.error("更新供应商失败:", error);
+    res.status(500).json(serverError("更新供应商失败"));
+  }
+}
+
+/**
+ * 删除供应商（存在采购单的供应商不能删除）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deleteSupplier(req, res) {
+  try {
+    const { id } = req.params;
+
+    const supplier = await Supplier.findByPk(id);
+
+    if (!supplier) {
+      return res.status(404).json(notFound("供应商不存在"));
+    }
+
+    const purchaseOrderCount = await PurchaseOrder.count({ where: { supplierId: id } });
+    if (purchaseOrderCount > 0) {
+      return res.status(400).json(badRequest("该供应商存在采购单，无法删除"));
+    }
+
+    await supplier.destroy();
+
+    res.json(success(null, "供应商删除成功"));
+  } catch (error) {
+    console.error("删除供应商失败:", error);
+    res.status(500).json(serverError("删除供应商失败"));
+  }
+}
+
+/**
+ * 获取所有供应商（用于下拉选择）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getAllSuppliers(req, res) {
+  try {
+    const suppliers = await Supplier.findAll({
+      attributes: ["id", "name", "contact", "phone"],
+      order: [["name", "ASC"]]
+    });
+
+    res.json(success(suppliers));
+  } catch (error) {
+    console.error("获取所有供应商失败:", error);
+    res.status(500).json(serverError("获取所有供应商失败"));
+  }
+}
+
+module.exports = {
+  createSupplier,
+  getSuppliers,
+  getSupplierById,
+  updateSupplier,
+  deleteSupplier,
+  getAllSuppliers
+};
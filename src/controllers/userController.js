@@ -0,0 +1,197 @@
+const { User } = require("../models");
+const { success, pagination, notFound, badRequest, serverError } = require("../utils/response");
+const { Op } = require("sequelize");
+const userService = require("../services/userService");
+
+/**
+ * 获取当前用户信息（含角色权限）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getCurrentUser(req, res) {
+  try {
+    res.json(success(userService.formatUser(req.user)));
+  } catch (error) {
+    console.error("获取当前用户失败:", error);
+    res.status(500).json(serverError("获取当前用户失败"));
+  }
+}
+
+/**
+ * 获取角色列表（含各角色权限）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getRoles(req, res) {
+  try {
+    const roles = Object.values(userService.ROLE).map(role => ({
+      role,
+      description: userService.getRoleDescription(role),
+      permissions: userService.ROLE_PERMISSIONS[role]
+    }));
+
+    res.json(success(roles));
+  } catch (error) {
+    console.error("获取角色列表失败:", error);
+    res.status(500).json(serverError("获取角色列表失败"));
+  }
+}
+
+/**
+ * 获取用户列表
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function getUsers(req, res) {
+  try {
+    const { page = 1, pageSize = 20, keyword, role } = req.query;
+
+    const offset = (page - 1) * pageSize;
+    const where = {};
+
+    // 关键词搜索
+    if (keyword) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${keyword}%` } },
+        { phone: { [Op.like]: `%${keyword}%` } },
+        { openid: { [Op.like]: `%${keyword}%` } }
+      ];
+    }
+
+    // 角色筛选
+    if (role) {
+      where.role = role;
+    }
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      limit: parseInt(pageSize),
+      offset,
+      order: [["created_at", "DESC"]]
+    });
+
+    res.json(pagination(rows.map(user => userService.formatUser(user)), count, page, pageSize));
+  } catch (error) {
+    console.error("获取用户列表失败:", error);
+    res.status(500).json(serverError("获取用户列表失败"));
+  }
+}
+
+/**
+ * 创建用户（预先为OpenID分配角色）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function createUser(req, res) {
+  try {
+    const { openid, name, phone, role } = req.body;
+
+    const existing = await User.findOne({ where: { openid } });
+    if (existing) {
+      return res.status(400).json(badRequest("该OpenID的用户已存在"));
+    }
+
+    const user = await User.create({
+      openid,
+      name,
+      phone,
+      role
+    });
+
+    res.status(201).json(success(userService.formatUser(user), "用户创建成功"));
+  } catch (error) {
+    console.error("创建用户失败:", error);
+    res.status(500).json(serverError("创建用户失败"));
+  }
+}
+
+/**
+ * 更新用户（修改角色或停用）
+ * 不能停用或降级最后一个启用的老板
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function updateUser(req, res) {
+  const transaction = await User.sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { name, phone, role, isActive } = req.body;
+
+    const user = await User.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!user) {
+      await transaction.rollback();
+      return res.status(404).json(notFound("用户不存在"));
+    }
+
+    const losingOwner = user.role === userService.ROLE.OWNER && user.isActive &&
+      ((role !== undefined && role !== userService.ROLE.OWNER) || isActive === false);
+    if (losingOwner && await userService.countActiveOwners(transaction) <= 1) {
+      await transaction.rollback();
+      return res.status(400).json(badRequest("至少需要保留一个启用的老板账号"));
+    }
+
+    const updateData = {};
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+    if (phone !== undefined) {
+      updateData.phone = phone;
+    }
+    if (role !== undefined) {
+      updateData.role = role;
+    }
+    if (isActive !== undefined) {
+      updateData.isActive = isActive;
+    }
+
+    await user.update(updateData, { transaction });
+
+    await transaction.commit();
+
+    res.json(success(userService.formatUser(user), "用户更新成功"));
+  } catch (error) {
+    await transaction.rollback();
+    console.error("更新用户失败:", error);
+    res.status(500).json(serverError("更新用户失败"));
+  }
+}
+
+/**
+ * 删除用户（不能删除自己）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ */
+async function deleteUser(req, res) {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json(notFound("用户不存在"));
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json(badRequest("不能删除当前登录的用户"));
+    }
+
+    await user.destroy();
+
+    res.json(success(null, "用户删除成功"));
+  } catch (error) {
+    console.error("删除用户失败:", error);
+    res.status(500).json(serverError("删除用户失败"));
+  }
+}
+
+module.exports = {
+  getCurrentUser,
+  getRoles,
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser
+};
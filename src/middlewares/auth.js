@@ -0,0 +1,51 @@
+const userService = require("../services/userService");
+const { unauthorized, forbidden, serverError } = require("../utils/response");
+
+/**
+ * 用户认证中间件
+ * 根据微信云托管注入的 x-wx-openid 加载当前用户（首次访问自动注册）
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ * @param {function} next 下一个中间件
+ */
+async function authenticate(req, res, next) {
+  try {
+    const openid = req.headers["x-wx-openid"];
+    if (!openid) {
+      return res.status(401).json(unauthorized("未获取到微信用户身份"));
+    }
+
+    const user = await userService.findOrRegister(openid);
+    if (!user.isActive) {
+      return res.status(403).json(forbidden("用户已被停用"));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("用户认证失败:", error);
+    res.status(500).json(serverError("用户认证失败"));
+  }
+}
+
+/**
+ * 接口权限验证中间件工厂函数
+ * @param {string} permission 所需权限
+ * @returns {function} Express中间件
+ */
+function authorize(permission) {
+  const middleware = (req, res, next) => {
+    if (!req.user || !userService.hasPermission(req.user.role, permission)) {
+      return res.status(403).json(forbidden("没有权限执行该操作"));
+    }
+    next();
+  };
+  // 记录所需权限，供生成 OpenAPI 文档时读取
+  middleware.permission = permission;
+  return middleware;
+}
+
+module.exports = {
+  authenticate,
+  authorize
+};
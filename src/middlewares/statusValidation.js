@@ -1,11 +1,32 @@
 const orderStatusService = require("../services/orderStatusService");
-const { badRequest } = require("../utils/response");
+const orderWorkflowService = require("../services/orderWorkflowService");
+const { badRequest, forbidden } = require("../utils/response");
 
 /**
  * 订单状态流转验证中间件
- * 验证状态流转的合法性和用户权限
+ * 验证状态流转的合法性和用户权限（依赖 authenticate 中间件加载的 req.user）
  */
 class StatusValidationMiddleware {
+  /**
+   * 加载订单流程配置（缓存过期时从数据库重新读取）
+   * @param {Object} req 请求对象
+   * @param {Object} res 响应对象
+   * @param {Function} next 下一个中间件
+   */
+  static async loadWorkflow(req, res, next) {
+    try {
+      await orderWorkflowService.ensureLoaded();
+      next();
+    } catch (error) {
+      console.error("加载订单流程配置失败:", error);
+      res.status(500).json({
+        success: false,
+        message: "加载订单流程配置失败",
+        error: error.message
+      });
+    }
+  }
+
   /**
    * 验证状态流转请求
    * @param {Object} req 请求对象
@@ -44,10 +65,10 @@ class StatusValidationMiddleware {
         ));
       }
 
-      // 验证用户权限（固定为admin角色）
-      if (!orderStatusService.hasPermission("admin", status)) {
-        return res.status(403).json(badRequest(
-          `没有权限将状态变更为 ${orderStatusService.getStatusDescription(status)}`
+      // 验证当前用户角色的权限
+      if (!orderStatusService.hasPermission(req.user.role, status, order.status)) {
+        return res.status(403).json(forbidden(
+          `没有权限将${orderStatusService.getStatusDescription(order.status)}订单变更为${orderStatusService.getStatusDescription(status)}`
         ));
       }
 
@@ -98,10 +119,10 @@ class StatusValidationMiddleware {
         return res.status(400).json(badRequest(canCancel.reason));
       }
 
-      // 验证用户权限（固定为admin角色）
-      if (!orderStatusService.hasPermission("admin", orderStatusService.STATUS.CANCELLED)) {
-        return res.status(403).json(badRequest(
-          `没有权限取消订单`
+      // 验证当前用户角色的权限
+      if (!orderStatusService.hasPermission(req.user.role, orderStatusService.getCancelStatus(), order.status)) {
+        return res.status(403).json(forbidden(
+          `没有权限取消${orderStatusService.getStatusDescription(order.status)}订单`
         ));
       }
 
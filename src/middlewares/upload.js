@@ -0,0 +1,46 @@
+const multer = require("multer");
+const { badRequest } = require("../utils/response");
+
+// 上传限制
+const UPLOAD_LIMITS = {
+  fileSize: 10 * 1024 * 1024, // 单个文件最大10MB
+  files: 20                   // 单次最多20个文件
+};
+
+/**
+ * 文件上传中间件工厂函数（文件保存在内存中，不落盘）
+ * @param {string} field 文件字段名
+ * @param {function} fileFilter 文件过滤函数，返回 false 时拒绝该文件
+ * @param {string} filterMessage 文件被拒绝时的提示
+ * @returns {function} Express中间件
+ */
+function uploadFiles(field, fileFilter, filterMessage) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: UPLOAD_LIMITS,
+    // 文件名按 UTF-8 解码（客户名称为中文文件名）
+    defParamCharset: "utf8",
+    fileFilter: (req, file, callback) => {
+      if (!fileFilter(file)) {
+        return callback(new Error(`${filterMessage}: ${file.originalname}`));
+      }
+      callback(null, true);
+    }
+  }).array(field, UPLOAD_LIMITS.files);
+
+  const middleware = (req, res, next) => {
+    upload(req, res, error => {
+      if (error) {
+        return res.status(400).json(badRequest(error instanceof multer.MulterError ? `文件上传失败: ${error.message}` : error.message));
+      }
+      next();
+    });
+  };
+  // 记录文件字段，供生成 OpenAPI 文档时读取
+  middleware.upload = { field };
+  return middleware;
+}
+
+module.exports = {
+  uploadFiles
+};
@@ -1,13 +1,25 @@
 const { validate } = require("../utils/validation");
 const { badRequest } = require("../utils/response");
 
+/**
+ * 在中间件上记录验证的参数位置和模式，供生成 OpenAPI 文档时读取
+ * @param {function} middleware Express中间件
+ * @param {string} source 参数位置（body/query/params）
+ * @param {object} schema Joi验证模式
+ * @returns {function} Express中间件
+ */
+function describeMiddleware(middleware, source, schema) {
+  middleware.validation = { source, schema };
+  return middleware;
+}
+
 /**
  * 验证中间件工厂函数
  * @param {object} schema Joi验证模式
  * @returns {function} Express中间件
  */
 function validateRequest(schema) {
-  return (req, res, next) => {
+  return describeMiddleware((req, res, next) => {
     const validation = validate(req.body, schema);
     
     if (!validation.isValid) {
@@ -16,7 +28,7 @@ function validateRequest(schema) {
     
     req.body = validation.data;
     next();
-  };
+  }, "body", schema);
 }
 
 /**
@@ -25,7 +37,7 @@ function validateRequest(schema) {
  * @returns {function} Express中间件
  */
 function validateQuery(schema) {
-  return (req, res, next) => {
+  return describeMiddleware((req, res, next) => {
     const validation = validate(req.query, schema);
     
     if (!validation.isValid) {
@@ -34,7 +46,7 @@ function validateQuery(schema) {
     
     req.query = validation.data;
     next();
-  };
+  }, "query", schema);
 }
 
 /**
@@ -43,7 +55,7 @@ function validateQuery(schema) {
  * @returns {function} Express中间件
  */
 function validateParams(schema) {
-  return (req, res, next) => {
+  return describeMiddleware((req, res, next) => {
     const validation = validate(req.params, schema);
     
     if (!validation.isValid) {
@@ -52,7 +64,7 @@ function validateParams(schema) {
     
     req.params = validation.data;
     next();
-  };
+  }, "params", schema);
 }
 
 module.exports = {
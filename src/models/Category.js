@@ -0,0 +1,42 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const Category = sequelize.define("Category", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "分类ID"
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: "分类名称，如 竿、线、钩、饵、配件"
+  },
+  parentId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "上级分类ID（一级分类为空）",
+    field: "parent_id"
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: "排序顺序",
+    field: "sort_order"
+  }
+}, {
+  tableName: "categories",
+  comment: "商品分类表",
+  indexes: [
+    {
+      fields: ["parent_id"]
+    },
+    {
+      fields: ["name"]
+    }
+  ]
+});
+
+module.exports = Category;
@@ -17,6 +17,12 @@ const Customer = sequelize.define("Customer", {
     type: DataTypes.STRING(20),
     allowNull: true,
     comment: "联系电话"
+  },
+  importBatchId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "导入批次ID（由数据导入创建时记录）",
+    field: "import_batch_id"
   }
 }, {
   tableName: "customers",
@@ -27,6 +33,9 @@ const Customer = sequelize.define("Customer", {
     },
     {
       fields: ["phone"]
+    },
+    {
+      fields: ["import_batch_id"]
     }
   ]
 });
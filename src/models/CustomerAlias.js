@@ -0,0 +1,42 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const CustomerAlias = sequelize.define("CustomerAlias", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "客户别名ID"
+  },
+  customerId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "客户ID",
+    field: "customer_id"
+  },
+  alias: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: "别名"
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "manual",
+    comment: "来源：merge-合并，rename-改名，manual-手动添加"
+  }
+}, {
+  tableName: "customer_aliases",
+  comment: "客户别名表",
+  indexes: [
+    {
+      unique: true,
+      fields: ["alias"]
+    },
+    {
+      fields: ["customer_id"]
+    }
+  ]
+});
+
+module.exports = CustomerAlias;
@@ -20,11 +20,24 @@ const CustomerPrice = sequelize.define("CustomerPrice", {
     comment: "商品ID",
     field: "product_id"
   },
+  variantId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    defaultValue: "",
+    comment: "规格ID（空字符串表示商品级价格）",
+    field: "variant_id"
+  },
   price: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
     defaultValue: 0.00,
     comment: "专属价格"
+  },
+  importBatchId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "导入批次ID（由数据导入创建时记录）",
+    field: "import_batch_id"
   }
 }, {
   tableName: "customer_prices",
@@ -32,13 +45,16 @@ const CustomerPrice = sequelize.define("CustomerPrice", {
   indexes: [
     {
       unique: true,
-      fields: ["customer_id", "product_id"]
+      fields: ["customer_id", "product_id", "variant_id"]
     },
     {
       fields: ["customer_id"]
     },
     {
       fields: ["product_id"]
+    },
+    {
+      fields: ["import_batch_id"]
     }
   ]
 });
@@ -0,0 +1,89 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const ImportBatch = sequelize.define("ImportBatch", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "导入批次ID"
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "导入来源：excel-上传Excel，csv-CSV脚本"
+  },
+  fileNames: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: "源文件名列表",
+    field: "file_names"
+  },
+  checksums: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: "源文件校验码（文件名 -> SHA-256）"
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "processing",
+    comment: "状态：processing-导入中，completed-已完成，failed-失败，rolled_back-已回滚"
+  },
+  stats: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: "导入统计"
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: "失败原因",
+    field: "error_message"
+  },
+  operator: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "操作人"
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: "开始时间",
+    field: "started_at"
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "完成时间",
+    field: "finished_at"
+  },
+  rolledBackAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "回滚时间",
+    field: "rolled_back_at"
+  },
+  rolledBackBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "回滚操作人",
+    field: "rolled_back_by"
+  },
+  rollbackStats: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: "回滚统计",
+    field: "rollback_stats"
+  }
+}, {
+  tableName: "import_batches",
+  comment: "数据导入批次表",
+  indexes: [
+    {
+      fields: ["started_at"]
+    }
+  ]
+});
+
+module.exports = ImportBatch;
@@ -0,0 +1,51 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const ImportBatchChange = sequelize.define("ImportBatchChange", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "变更记录ID"
+  },
+  batchId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "导入批次ID",
+    field: "batch_id"
+  },
+  targetType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "变更对象类型：product-商品，customer_price-客户专属价格",
+    field: "target_type"
+  },
+  targetId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "变更对象ID",
+    field: "target_id"
+  },
+  oldValues: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: "导入前的值",
+    field: "old_values"
+  },
+  newValues: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: "导入后的值",
+    field: "new_values"
+  }
+}, {
+  tableName: "import_batch_changes",
+  comment: "数据导入变更记录表",
+  indexes: [
+    {
+      fields: ["batch_id"]
+    }
+  ]
+});
+
+module.exports = ImportBatchChange;
@@ -0,0 +1,82 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const MergeRecord = sequelize.define("MergeRecord", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "合并记录ID"
+  },
+  targetType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "合并对象类型：customer-客户，product-商品",
+    field: "target_type"
+  },
+  sourceId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "被合并记录ID（合并后已删除）",
+    field: "source_id"
+  },
+  sourceName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: "被合并记录名称",
+    field: "source_name"
+  },
+  targetId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "保留记录ID",
+    field: "target_id"
+  },
+  targetName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: "保留记录名称",
+    field: "target_name"
+  },
+  pricePolicy: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "专属价格冲突处理方式",
+    field: "price_policy"
+  },
+  sourceSnapshot: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: "被合并记录合并前的数据",
+    field: "source_snapshot"
+  },
+  stats: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: "改写统计"
+  },
+  priceConflicts: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: "专属价格冲突及处理结果",
+    field: "price_conflicts"
+  },
+  operator: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "操作人"
+  }
+}, {
+  tableName: "merge_records",
+  comment: "客户/商品合并记录表",
+  indexes: [
+    {
+      fields: ["target_type", "target_id"]
+    },
+    {
+      fields: ["created_at"]
+    }
+  ]
+});
+
+module.exports = MergeRecord;
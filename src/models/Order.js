@@ -44,6 +44,12 @@ const Order = sequelize.define("Order", {
     allowNull: true,
     comment: "创建人",
     field: "created_by"
+  },
+  importBatchId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "导入批次ID（由数据导入创建时记录）",
+    field: "import_batch_id"
   }
 }, {
   tableName: "orders",
@@ -63,6 +69,9 @@ const Order = sequelize.define("Order", {
     },
     {
       fields: ["created_by"]
+    },
+    {
+      fields: ["import_batch_id"]
     }
   ]
 });
@@ -20,17 +20,35 @@ const OrderItem = sequelize.define("OrderItem", {
     comment: "商品ID",
     field: "product_id"
   },
+  variantId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "规格ID",
+    field: "variant_id"
+  },
   productName: {
     type: DataTypes.STRING(100),
     allowNull: false,
     comment: "商品名称（冗余存储）",
     field: "product_name"
   },
+  specification: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: "型号规格（冗余存储）"
+  },
   unit: {
     type: DataTypes.STRING(20),
     allowNull: false,
     comment: "计价单位（冗余存储）"
   },
+  conversionFactor: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 1,
+    comment: "换算系数（下单单位折合多少基本单位）",
+    field: "conversion_factor"
+  },
   quantity: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -51,6 +69,18 @@ const OrderItem = sequelize.define("OrderItem", {
     comment: "小计",
     field: "total_price"
   },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: "成本单价（下单时的商品成本价快照）",
+    field: "unit_cost"
+  },
+  totalCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: "成本小计",
+    field: "total_cost"
+  },
   remark: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -62,6 +92,12 @@ const OrderItem = sequelize.define("OrderItem", {
     defaultValue: 0,
     comment: "排序顺序",
     field: "sort_order"
+  },
+  importBatchId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "导入批次ID（由数据导入创建时记录）",
+    field: "import_batch_id"
   }
 }, {
   tableName: "order_items",
@@ -72,6 +108,12 @@ const OrderItem = sequelize.define("OrderItem", {
     },
     {
       fields: ["product_id"]
+    },
+    {
+      fields: ["variant_id"]
+    },
+    {
+      fields: ["import_batch_id"]
     }
   ]
 });
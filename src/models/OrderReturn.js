@@ -0,0 +1,81 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const OrderReturn = sequelize.define("OrderReturn", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "退货单ID"
+  },
+  returnNo: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true,
+    comment: "退货单号",
+    field: "return_no"
+  },
+  orderId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "原订单ID",
+    field: "order_id"
+  },
+  customerId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "客户ID（冗余存储）",
+    field: "customer_id"
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "退货商品总金额",
+    field: "total_amount"
+  },
+  refundType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "refund",
+    comment: "退款方式：refund退款，credit冲抵欠款",
+    field: "refund_type"
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "退款/冲抵金额",
+    field: "refund_amount"
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: "退货原因"
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "创建人",
+    field: "created_by"
+  }
+}, {
+  tableName: "order_returns",
+  comment: "退货单表",
+  indexes: [
+    {
+      fields: ["return_no"]
+    },
+    {
+      fields: ["order_id"]
+    },
+    {
+      fields: ["customer_id"]
+    },
+    {
+      fields: ["created_at"]
+    }
+  ]
+});
+
+module.exports = OrderReturn;
@@ -0,0 +1,83 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const OrderReturnItem = sequelize.define("OrderReturnItem", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "退货项ID"
+  },
+  returnId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "退货单ID",
+    field: "return_id"
+  },
+  orderItemId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "原订单项ID",
+    field: "order_item_id"
+  },
+  productId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "商品ID",
+    field: "product_id"
+  },
+  productName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: "商品名称（冗余存储）",
+    field: "product_name"
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "计价单位（冗余存储）"
+  },
+  conversionFactor: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 1,
+    comment: "换算系数（取原订单项换算系数）",
+    field: "conversion_factor"
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: "退货数量"
+  },
+  unitPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "单价（取原订单项单价）",
+    field: "unit_price"
+  },
+  totalPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "小计",
+    field: "total_price"
+  }
+}, {
+  tableName: "order_return_items",
+  comment: "退货项表",
+  indexes: [
+    {
+      fields: ["return_id"]
+    },
+    {
+      fields: ["order_item_id"]
+    },
+    {
+      fields: ["product_id"]
+    }
+  ]
+});
+
+module.exports = OrderReturnItem;
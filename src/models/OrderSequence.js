@@ -0,0 +1,42 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const OrderSequence = sequelize.define("OrderSequence", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "序号ID"
+  },
+  sequenceType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "order",
+    comment: "单据类型：order-订单，return-退货单，purchase-采购单",
+    field: "sequence_type"
+  },
+  sequenceDate: {
+    type: DataTypes.STRING(8),
+    allowNull: false,
+    comment: "序号日期（YYYYMMDD）",
+    field: "sequence_date"
+  },
+  currentValue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: "当日已分配的最大序号",
+    field: "current_value"
+  }
+}, {
+  tableName: "order_sequences",
+  comment: "订单号每日序号表",
+  indexes: [
+    {
+      unique: true,
+      fields: ["sequence_type", "sequence_date"]
+    }
+  ]
+});
+
+module.exports = OrderSequence;
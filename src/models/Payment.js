@@ -0,0 +1,69 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const Payment = sequelize.define("Payment", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "收款记录ID"
+  },
+  orderId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "订单ID",
+    field: "order_id"
+  },
+  customerId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "客户ID（冗余存储）",
+    field: "customer_id"
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "收款金额"
+  },
+  method: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "cash",
+    comment: "收款方式"
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: "收款时间",
+    field: "paid_at"
+  },
+  remark: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: "备注"
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "登记人",
+    field: "created_by"
+  }
+}, {
+  tableName: "payments",
+  comment: "收款记录表",
+  indexes: [
+    {
+      fields: ["order_id"]
+    },
+    {
+      fields: ["customer_id"]
+    },
+    {
+      fields: ["paid_at"]
+    }
+  ]
+});
+
+module.exports = Payment;
@@ -13,6 +13,17 @@ const Product = sequelize.define("Product", {
     allowNull: false,
     comment: "商品名称"
   },
+  categoryId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "商品分类ID",
+    field: "category_id"
+  },
+  brand: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "品牌"
+  },
   globalPrice: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -20,11 +31,31 @@ const Product = sequelize.define("Product", {
     comment: "默认售价",
     field: "global_price"
   },
+  costPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "成本价（进价）",
+    field: "cost_price"
+  },
   unit: {
     type: DataTypes.STRING(20),
     allowNull: false,
     defaultValue: "个",
     comment: "计价单位"
+  },
+  stockQuantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: "当前库存数量",
+    field: "stock_quantity"
+  },
+  importBatchId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "导入批次ID（由数据导入创建时记录）",
+    field: "import_batch_id"
   }
 }, {
   tableName: "products",
@@ -32,6 +63,15 @@ const Product = sequelize.define("Product", {
   indexes: [
     {
       fields: ["name"]
+    },
+    {
+      fields: ["category_id"]
+    },
+    {
+      fields: ["brand"]
+    },
+    {
+      fields: ["import_batch_id"]
     }
   ]
 });
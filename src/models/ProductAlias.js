@@ -0,0 +1,42 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const ProductAlias = sequelize.define("ProductAlias", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "商品别名ID"
+  },
+  productId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "商品ID",
+    field: "product_id"
+  },
+  alias: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: "别名"
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "manual",
+    comment: "来源：merge-合并，rename-改名，manual-手动添加"
+  }
+}, {
+  tableName: "product_aliases",
+  comment: "商品别名表",
+  indexes: [
+    {
+      unique: true,
+      fields: ["alias"]
+    },
+    {
+      fields: ["product_id"]
+    }
+  ]
+});
+
+module.exports = ProductAlias;
@@ -0,0 +1,61 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const ProductCostHistory = sequelize.define("ProductCostHistory", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "成本价记录ID"
+  },
+  productId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "商品ID",
+    field: "product_id"
+  },
+  costPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "成本价",
+    field: "cost_price"
+  },
+  previousCostPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: "调整前成本价",
+    field: "previous_cost_price"
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "manual",
+    comment: "来源：manual-手工调整，purchase-采购到货"
+  },
+  referenceId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "关联单据ID（采购单等）",
+    field: "reference_id"
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "操作人",
+    field: "created_by"
+  }
+}, {
+  tableName: "product_cost_histories",
+  comment: "商品成本价历史表",
+  indexes: [
+    {
+      fields: ["product_id"]
+    },
+    {
+      fields: ["created_at"]
+    }
+  ]
+});
+
+module.exports = ProductCostHistory;
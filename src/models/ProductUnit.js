@@ -0,0 +1,53 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const ProductUnit = sequelize.define("ProductUnit", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "包装单位ID"
+  },
+  productId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "商品ID",
+    field: "product_id"
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "包装单位，如 包、盒、箱"
+  },
+  conversionFactor: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 1,
+    comment: "换算系数（1个包装单位折合多少基本单位）",
+    field: "conversion_factor"
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "该单位售价"
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: "排序顺序",
+    field: "sort_order"
+  }
+}, {
+  tableName: "product_units",
+  comment: "商品包装单位表",
+  indexes: [
+    {
+      unique: true,
+      fields: ["product_id", "unit"]
+    }
+  ]
+});
+
+module.exports = ProductUnit;
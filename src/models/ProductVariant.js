@@ -0,0 +1,69 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const ProductVariant = sequelize.define("ProductVariant", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "规格ID"
+  },
+  productId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "商品ID",
+    field: "product_id"
+  },
+  specification: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: "型号规格，如 3.6m"
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "规格售价"
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "个",
+    comment: "计价单位"
+  },
+  barcode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "条形码"
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: "排序顺序",
+    field: "sort_order"
+  },
+  importBatchId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "导入批次ID（由数据导入创建时记录）",
+    field: "import_batch_id"
+  }
+}, {
+  tableName: "product_variants",
+  comment: "商品规格表",
+  indexes: [
+    {
+      unique: true,
+      fields: ["product_id", "specification"]
+    },
+    {
+      fields: ["barcode"]
+    },
+    {
+      fields: ["import_batch_id"]
+    }
+  ]
+});
+
+module.exports = ProductVariant;
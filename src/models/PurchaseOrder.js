@@ -0,0 +1,79 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const PurchaseOrder = sequelize.define("PurchaseOrder", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "采购单ID"
+  },
+  purchaseNo: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true,
+    comment: "采购单号",
+    field: "purchase_no"
+  },
+  supplierId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "供应商ID",
+    field: "supplier_id"
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "采购总金额",
+    field: "total_amount"
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: "draft",
+    comment: "采购单状态"
+  },
+  orderedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "下单时间",
+    field: "ordered_at"
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "到货入库时间",
+    field: "received_at"
+  },
+  remark: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: "备注信息"
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "创建人",
+    field: "created_by"
+  }
+}, {
+  tableName: "purchase_orders",
+  comment: "采购单表",
+  indexes: [
+    {
+      fields: ["purchase_no"]
+    },
+    {
+      fields: ["supplier_id"]
+    },
+    {
+      fields: ["status"]
+    },
+    {
+      fields: ["created_at"]
+    }
+  ]
+});
+
+module.exports = PurchaseOrder;
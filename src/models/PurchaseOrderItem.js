@@ -0,0 +1,74 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const PurchaseOrderItem = sequelize.define("PurchaseOrderItem", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "采购项ID"
+  },
+  purchaseOrderId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "采购单ID",
+    field: "purchase_order_id"
+  },
+  productId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "商品ID",
+    field: "product_id"
+  },
+  productName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: "商品名称（冗余存储）",
+    field: "product_name"
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "计量单位（冗余存储）"
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: "采购数量"
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "采购单价（进价）",
+    field: "unit_cost"
+  },
+  totalCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: "小计",
+    field: "total_cost"
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: "排序顺序",
+    field: "sort_order"
+  }
+}, {
+  tableName: "purchase_order_items",
+  comment: "采购项表",
+  indexes: [
+    {
+      fields: ["purchase_order_id"]
+    },
+    {
+      fields: ["product_id"]
+    }
+  ]
+});
+
+module.exports = PurchaseOrderItem;
@@ -0,0 +1,82 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const StockMovement = sequelize.define("StockMovement", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "库存流水ID"
+  },
+  productId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: "商品ID",
+    field: "product_id"
+  },
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: "变动类型：purchase-采购入库，sale-销售出库，return-退货入库，adjustment-盘点调整"
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: "变动数量（入库为正，出库为负）"
+  },
+  balance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: "变动后结存数量"
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: "单位成本（采购入库时记录进价）",
+    field: "unit_cost"
+  },
+  orderId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "关联订单ID",
+    field: "order_id"
+  },
+  referenceId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: "关联单据ID（退货单、采购单等）",
+    field: "reference_id"
+  },
+  remark: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: "备注"
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "操作人",
+    field: "created_by"
+  }
+}, {
+  tableName: "stock_movements",
+  comment: "库存流水表",
+  indexes: [
+    {
+      fields: ["product_id"]
+    },
+    {
+      fields: ["order_id"]
+    },
+    {
+      fields: ["type"]
+    },
+    {
+      fields: ["created_at"]
+    }
+  ]
+});
+
+module.exports = StockMovement;
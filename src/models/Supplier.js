@@ -0,0 +1,49 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const Supplier = sequelize.define("Supplier", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "供应商ID"
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: "供应商名称（厂家）"
+  },
+  contact: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "联系人"
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: "联系电话"
+  },
+  address: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    comment: "地址"
+  },
+  remark: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: "备注"
+  }
+}, {
+  tableName: "suppliers",
+  comment: "供应商表",
+  indexes: [
+    {
+      fields: ["name"]
+    },
+    {
+      fields: ["phone"]
+    }
+  ]
+});
+
+module.exports = Supplier;
@@ -0,0 +1,59 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../../db");
+
+const User = sequelize.define("User", {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: "用户ID"
+  },
+  openid: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: "微信OpenID（x-wx-openid）"
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: "姓名"
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: "联系电话"
+  },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: "viewer",
+    comment: "角色：owner 老板，clerk 店员，driver 送货员，viewer 只读"
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: "是否启用",
+    field: "is_active"
+  },
+  lastActiveAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "最近访问时间",
+    field: "last_active_at"
+  }
+}, {
+  tableName: "users",
+  comment: "用户表",
+  indexes: [
+    {
+      unique: true,
+      fields: ["openid"]
+    },
+    {
+      fields: ["role"]
+    }
+  ]
+});
+
+module.exports = User;
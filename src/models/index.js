@@ -5,6 +5,24 @@ const OrderItem = require("./OrderItem");
 const CustomerPrice = require("./CustomerPrice");
 const OrderHistory = require("./OrderHistory");
 const SystemConfig = require("./SystemConfig");
+const Payment = require("./Payment");
+const OrderReturn = require("./OrderReturn");
+const OrderReturnItem = require("./OrderReturnItem");
+const StockMovement = require("./StockMovement");
+const Supplier = require("./Supplier");
+const PurchaseOrder = require("./PurchaseOrder");
+const PurchaseOrderItem = require("./PurchaseOrderItem");
+const ProductCostHistory = require("./ProductCostHistory");
+const ProductVariant = require("./ProductVariant");
+const ProductUnit = require("./ProductUnit");
+const Category = require("./Category");
+const User = require("./User");
+const OrderSequence = require("./OrderSequence");
+const ImportBatch = require("./ImportBatch");
+const ImportBatchChange = require("./ImportBatchChange");
+const CustomerAlias = require("./CustomerAlias");
+const ProductAlias = require("./ProductAlias");
+const MergeRecord = require("./MergeRecord");
 
 // 定义模型关系
 // 客户与订单：一对多
@@ -31,6 +49,90 @@ CustomerPrice.belongsTo(Product, { foreignKey: "product_id", as: "product" });
 Order.hasMany(OrderHistory, { foreignKey: "order_id", as: "histories" });
 OrderHistory.belongsTo(Order, { foreignKey: "order_id", as: "order" });
 
+// 订单与收款记录：一对多
+Order.hasMany(Payment, { foreignKey: "order_id", as: "payments" });
+Payment.belongsTo(Order, { foreignKey: "order_id", as: "order" });
+
+// 客户与收款记录：一对多
+Customer.hasMany(Payment, { foreignKey: "customer_id", as: "payments" });
+Payment.belongsTo(Customer, { foreignKey: "customer_id", as: "customer" });
+
+// 订单与退货单：一对多
+Order.hasMany(OrderReturn, { foreignKey: "order_id", as: "returns" });
+OrderReturn.belongsTo(Order, { foreignKey: "order_id", as: "order" });
+
+// 客户与退货单：一对多
+Customer.hasMany(OrderReturn, { foreignKey: "customer_id", as: "returns" });
+OrderReturn.belongsTo(Customer, { foreignKey: "customer_id", as: "customer" });
+
+// 退货单与退货项：一对多
+OrderReturn.hasMany(OrderReturnItem, { foreignKey: "return_id", as: "items" });
+OrderReturnItem.belongsTo(OrderReturn, { foreignKey: "return_id", as: "orderReturn" });
+
+// 订单项与退货项：一对多
+OrderItem.hasMany(OrderReturnItem, { foreignKey: "order_item_id", as: "returnItems" });
+OrderReturnItem.belongsTo(OrderItem, { foreignKey: "order_item_id", as: "orderItem" });
+
+// 商品与退货项：一对多
+Product.hasMany(OrderReturnItem, { foreignKey: "product_id", as: "returnItems" });
+OrderReturnItem.belongsTo(Product, { foreignKey: "product_id", as: "product" });
+
+// 商品与库存流水：一对多
+Product.hasMany(StockMovement, { foreignKey: "product_id", as: "stockMovements" });
+StockMovement.belongsTo(Product, { foreignKey: "product_id", as: "product" });
+
+// 订单与库存流水：一对多
+Order.hasMany(StockMovement, { foreignKey: "order_id", as: "stockMovements" });
+StockMovement.belongsTo(Order, { foreignKey: "order_id", as: "order" });
+
+// 供应商与采购单：一对多
+Supplier.hasMany(PurchaseOrder, { foreignKey: "supplier_id", as: "purchaseOrders" });
+PurchaseOrder.belongsTo(Supplier, { foreignKey: "supplier_id", as: "supplier" });
+
+// 采购单与采购项：一对多
+PurchaseOrder.hasMany(PurchaseOrderItem, { foreignKey: "purchase_order_id", as: "items" });
+PurchaseOrderItem.belongsTo(PurchaseOrder, { foreignKey: "purchase_order_id", as: "purchaseOrder" });
+
+// 商品与采购项：一对多
+Product.hasMany(PurchaseOrderItem, { foreignKey: "product_id", as: "purchaseItems" });
+PurchaseOrderItem.belongsTo(Product, { foreignKey: "product_id", as: "product" });
+
+// 商品与成本价历史：一对多
+Product.hasMany(ProductCostHistory, { foreignKey: "product_id", as: "costHistories" });
+ProductCostHistory.belongsTo(Product, { foreignKey: "product_id", as: "product" });
+
+// 商品与规格：一对多
+Product.hasMany(ProductVariant, { foreignKey: "product_id", as: "variants" });
+ProductVariant.belongsTo(Product, { foreignKey: "product_id", as: "product" });
+
+// 规格与订单项：一对多
+ProductVariant.hasMany(OrderItem, { foreignKey: "variant_id", as: "orderItems" });
+OrderItem.belongsTo(ProductVariant, { foreignKey: "variant_id", as: "variant" });
+
+// 商品与包装单位：一对多
+Product.hasMany(ProductUnit, { foreignKey: "product_id", as: "units" });
+ProductUnit.belongsTo(Product, { foreignKey: "product_id", as: "product" });
+
+// 分类与子分类：一对多
+Category.hasMany(Category, { foreignKey: "parent_id", as: "children" });
+Category.belongsTo(Category, { foreignKey: "parent_id", as: "parent" });
+
+// 分类与商品：一对多
+Category.hasMany(Product, { foreignKey: "category_id", as: "products" });
+Product.belongsTo(Category, { foreignKey: "category_id", as: "category" });
+
+// 导入批次与导入变更记录：一对多
+ImportBatch.hasMany(ImportBatchChange, { foreignKey: "batch_id", as: "changes" });
+ImportBatchChange.belongsTo(ImportBatch, { foreignKey: "batch_id", as: "batch" });
+
+// 客户与别名：一对多
+Customer.hasMany(CustomerAlias, { foreignKey: "customer_id", as: "aliases" });
+CustomerAlias.belongsTo(Customer, { foreignKey: "customer_id", as: "customer" });
+
+// 商品与别名：一对多
+Product.hasMany(ProductAlias, { foreignKey: "product_id", as: "aliases" });
+ProductAlias.belongsTo(Product, { foreignKey: "product_id", as: "product" });
+
 module.exports = {
   Product,
   Customer,
@@ -38,5 +140,23 @@ module.exports = {
   OrderItem,
   CustomerPrice,
   OrderHistory,
-  SystemConfig
+  SystemConfig,
+  Payment,
+  OrderReturn,
+  OrderReturnItem,
+  StockMovement,
+  Supplier,
+  PurchaseOrder,
+  PurchaseOrderItem,
+  ProductCostHistory,
+  ProductVariant,
+  ProductUnit,
+  Category,
+  User,
+  OrderSequence,
+  ImportBatch,
+  ImportBatchChange,
+  CustomerAlias,
+  ProductAlias,
+  MergeRecord
 };
@@ -5,8 +5,11 @@ const {
   getSalesTrend,
   getTopProducts,
   getCustomerAnalytics,
-  getOrderStatusStats
+  getOrderStatusStats,
+  getProfitAnalytics
 } = require("../controllers/analyticsController");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
 
 // 销售概览
 router.get("/overview", getSalesOverview);
@@ -23,4 +26,7 @@ router.get("/customers", getCustomerAnalytics);
 // 订单状态统计
 router.get("/order-status", getOrderStatusStats);
 
+// 毛利分析
+router.get("/profit", authorize(PERMISSION.COST_READ), getProfitAnalytics);
+
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require("../controllers/categoryController");
+const { validateRequest } = require("../middlewares/validation");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
+const { categorySchema } = require("../utils/validation");
+
+// 获取分类树
+router.get("/", getCategoryTree);
+
+// 创建分类
+router.post("/", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(categorySchema), createCategory);
+
+// 更新分类
+router.put("/:id", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(categorySchema), updateCategory);
+
+// 删除分类
+router.delete("/:id", authorize(PERMISSION.PRODUCT_WRITE), deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getOrderWorkflow,
+  updateOrderWorkflow,
+  getOrderNumberPattern,
+  updateOrderNumberPattern
+} = require("../controllers/configController");
+const { validateRequest } = require("../middlewares/validation");
+const { authorize } = require("../middlewares/auth");
+const { orderWorkflowSchema, orderNumberPatternSchema } = require("../utils/validation");
+const { PERMISSION } = require("../services/userService");
+
+// 获取订单流程配置
+router.get("/order-workflow", getOrderWorkflow);
+
+// 更新订单流程配置
+router.put("/order-workflow", authorize(PERMISSION.CONFIG_WRITE), validateRequest(orderWorkflowSchema), updateOrderWorkflow);
+
+// 获取订单号规则
+router.get("/order-number", getOrderNumberPattern);
+
+// 更新订单号规则
+router.put("/order-number", authorize(PERMISSION.CONFIG_WRITE), validateRequest(orderNumberPatternSchema), updateOrderNumberPattern);
+
+module.exports = router;
@@ -7,13 +7,22 @@ const {
   updateCustomer,
   deleteCustomer,
   getAllCustomers,
-  getCustomerProducts
+  getCustomerProducts,
+  mergeCustomers
 } = require("../controllers/customerController");
+const { getCustomerBalance } = require("../controllers/paymentController");
+const { getCustomerStatement } = require("../controllers/statementController");
+const { getCustomerAliases, createCustomerAlias, deleteCustomerAlias } = require("../controllers/aliasController");
 const { validateRequest, validateQuery } = require("../middlewares/validation");
-const { customerSchema, paginationSchema } = require("../utils/validation");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
+const { customerSchema, paginationSchema, productQuerySchema, statementQuerySchema, mergeSchema, customerAliasSchema } = require("../utils/validation");
 
 // 创建客户
-router.post("/", validateRequest(customerSchema), createCustomer);
+router.post("/", authorize(PERMISSION.CUSTOMER_WRITE), validateRequest(customerSchema), createCustomer);
+
+// 合并客户
+router.post("/merge", authorize(PERMISSION.MERGE_WRITE), validateRequest(mergeSchema), mergeCustomers);
 
 // 获取客户列表
 router.get("/", validateQuery(paginationSchema), getCustomers);
@@ -22,15 +31,30 @@ router.get("/", validateQuery(paginationSchema), getCustomers);
 router.get("/all", getAllCustomers);
 
 // 获取客户维度的商品列表（返回客户专属价格）
-router.get("/:customerId/products", validateQuery(paginationSchema), getCustomerProducts);
+router.get("/:customerId/products", validateQuery(productQuerySchema), getCustomerProducts);
+
+// 获取客户应收余额
+router.get("/:id/balance", getCustomerBalance);
+
+// 获取客户对账单
+router.get("/:id/statement", validateQuery(statementQuerySchema), getCustomerStatement);
+
+// 获取客户别名列表
+router.get("/:id/aliases", getCustomerAliases);
+
+// 添加客户别名
+router.post("/:id/aliases", authorize(PERMISSION.CUSTOMER_WRITE), validateRequest(customerAliasSchema), createCustomerAlias);
+
+// 删除客户别名
+router.delete("/:id/aliases/:aliasId", authorize(PERMISSION.CUSTOMER_WRITE), deleteCustomerAlias);
 
 // 获取客户详情
 router.get("/:id", getCustomerById);
 
 // 更新客户
-router.put("/:id", validateRequest(customerSchema), updateCustomer);
+router.put("/:id", authorize(PERMISSION.CUSTOMER_WRITE), validateRequest(customerSchema), updateCustomer);
 
 // 删除客户
-router.delete("/:id", deleteCustomer);
+router.delete("/:id", authorize(PERMISSION.CUSTOMER_WRITE), deleteCustomer);
 
 module.exports = router;
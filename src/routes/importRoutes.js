@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const {
+  importExcel,
+  getImportBatches,
+  rollbackImportBatch,
+  getReconciliation
+} = require("../controllers/importController");
+const { validateRequest, validateQuery } = require("../middlewares/validation");
+const { authorize } = require("../middlewares/auth");
+const { uploadFiles } = require("../middlewares/upload");
+const { importExcelSchema, importBatchQuerySchema, reconciliationQuerySchema } = require("../utils/validation");
+const { PERMISSION } = require("../services/userService");
+const excelImportService = require("../services/excelImportService");
+
+// 只接收Excel文件
+const uploadExcelFiles = uploadFiles("files", file => excelImportService.isExcelFile(file.originalname), "只支持上传 .xls 或 .xlsx 文件");
+
+// 上传Excel导入历史数据（文件名即客户名称，先预览再确认导入）
+router.post("/excel", authorize(PERMISSION.IMPORT_WRITE), uploadExcelFiles, validateRequest(importExcelSchema), importExcel);
+
+// 获取导入批次列表
+router.get("/batches", validateQuery(importBatchQuerySchema), getImportBatches);
+
+// 回滚导入批次
+router.post("/batches/:id/rollback", authorize(PERMISSION.IMPORT_WRITE), rollbackImportBatch);
+
+// 归档对账报告（archive 目录的对账单与数据库订单金额核对）
+router.get("/reconciliation", authorize(PERMISSION.IMPORT_WRITE), validateQuery(reconciliationQuerySchema), getReconciliation);
+
+module.exports = router;
@@ -6,12 +6,35 @@ const productRoutes = require("./productRoutes");
 const customerRoutes = require("./customerRoutes");
 const orderRoutes = require("./orderRoutes");
 const analyticsRoutes = require("./analyticsRoutes");
+const returnRoutes = require("./returnRoutes");
+const inventoryRoutes = require("./inventoryRoutes");
+const supplierRoutes = require("./supplierRoutes");
+const purchaseOrderRoutes = require("./purchaseOrderRoutes");
+const categoryRoutes = require("./categoryRoutes");
+const userRoutes = require("./userRoutes");
+const configRoutes = require("./configRoutes");
+const importRoutes = require("./importRoutes");
+const { authenticate } = require("../middlewares/auth");
+const { loadWorkflow } = require("../middlewares/statusValidation");
+const openApiService = require("../services/openApiService");
+const orderWorkflowService = require("../services/orderWorkflowService");
+const { serverError } = require("../utils/response");
 
-// 注册路由
-router.use("/products", productRoutes);
-router.use("/customers", customerRoutes);
-router.use("/orders", orderRoutes);
-router.use("/analytics", analyticsRoutes);
+// 路由表（挂载路径、路由模块、文档分组名称）
+const ROUTE_TABLE = [
+  { path: "/products", router: productRoutes, tag: "商品" },
+  { path: "/customers", router: customerRoutes, tag: "客户" },
+  { path: "/orders", router: orderRoutes, tag: "订单" },
+  { path: "/analytics", router: analyticsRoutes, tag: "统计分析" },
+  { path: "/returns", router: returnRoutes, tag: "退货" },
+  { path: "/inventory", router: inventoryRoutes, tag: "库存" },
+  { path: "/suppliers", router: supplierRoutes, tag: "供应商" },
+  { path: "/purchase-orders", router: purchaseOrderRoutes, tag: "采购单" },
+  { path: "/categories", router: categoryRoutes, tag: "商品分类" },
+  { path: "/users", router: userRoutes, tag: "用户" },
+  { path: "/config", router: configRoutes, tag: "系统配置" },
+  { path: "/import", router: importRoutes, tag: "数据导入" }
+];
 
 // 健康检查接口
 router.get("/health", (req, res) => {
@@ -26,4 +49,27 @@ router.get("/health", (req, res) => {
   });
 });
 
+// OpenAPI 接口文档（根据路由表和 Joi 验证模式生成，订单状态取自当前订单流程配置）
+router.get("/openapi.json", async (req, res) => {
+  try {
+    await orderWorkflowService.ensureLoaded();
+    res.json(openApiService.buildDocument(ROUTE_TABLE));
+  } catch (error) {
+    console.error("生成接口文档失败:", error);
+    res.status(500).json(serverError("生成接口文档失败"));
+  }
+});
+
+// 以下接口需要识别微信用户身份
+router.use(authenticate);
+
+// 订单状态相关的校验依赖订单流程配置
+router.use(loadWorkflow);
+
+// 注册路由
+ROUTE_TABLE.forEach(({ path, router: moduleRouter }) => {
+  router.use(path, moduleRouter);
+});
+
 module.exports = router;
+module.exports.ROUTE_TABLE = ROUTE_TABLE;
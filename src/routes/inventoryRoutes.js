@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getStockMovements,
+  createStockMovement
+} = require("../controllers/inventoryController");
+const { validateRequest, validateQuery } = require("../middlewares/validation");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
+const { stockMovementSchema, stockMovementQuerySchema } = require("../utils/validation");
+
+// 获取库存流水列表
+router.get("/movements", validateQuery(stockMovementQuerySchema), getStockMovements);
+
+// 手工登记库存流水（采购入库、盘点调整）
+router.post("/movements", authorize(PERMISSION.INVENTORY_WRITE), validateRequest(stockMovementSchema), createStockMovement);
+
+module.exports = router;
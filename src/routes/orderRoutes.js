@@ -8,21 +8,33 @@ const {
   updateOrderStatus,
   cancelOrder
 } = require("../controllers/orderController");
+const {
+  getOrderPayments,
+  createPayment,
+  deletePayment
+} = require("../controllers/paymentController");
+const { printDeliveryNote } = require("../controllers/deliveryNoteController");
+const { createOrderReturn, getOrderReturns } = require("../controllers/orderReturnController");
 const { validateRequest, validateQuery } = require("../middlewares/validation");
-const { orderSchema, orderUpdateSchema, orderStatusSchema, paginationSchema } = require("../utils/validation");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
+const { orderSchema, orderUpdateSchema, orderStatusSchema, paginationSchema, paymentSchema, printQuerySchema, orderReturnSchema } = require("../utils/validation");
 const StatusValidationMiddleware = require("../middlewares/statusValidation");
 
 // 创建订单
-router.post("/", validateRequest(orderSchema), createOrder);
+router.post("/", authorize(PERMISSION.ORDER_WRITE), validateRequest(orderSchema), createOrder);
 
 // 获取订单列表
 router.get("/", validateQuery(paginationSchema), getOrders);
 
+// 打印送货单
+router.get("/:id/print", validateQuery(printQuerySchema), printDeliveryNote);
+
 // 获取订单详情
 router.get("/:id", getOrderById);
 
 // 更新订单信息
-router.put("/:id", validateRequest(orderUpdateSchema), updateOrder);
+router.put("/:id", authorize(PERMISSION.ORDER_WRITE), validateRequest(orderUpdateSchema), updateOrder);
 
 // 更新订单状态
 router.put("/:id/status", 
@@ -38,4 +50,19 @@ router.put("/:id/cancel",
   cancelOrder
 );
 
+// 获取订单收款记录
+router.get("/:id/payments", getOrderPayments);
+
+// 登记订单收款
+router.post("/:id/payments", authorize(PERMISSION.PAYMENT_WRITE), validateRequest(paymentSchema), createPayment);
+
+// 删除收款记录
+router.delete("/:id/payments/:paymentId", authorize(PERMISSION.PAYMENT_WRITE), deletePayment);
+
+// 获取订单退货单
+router.get("/:id/returns", getOrderReturns);
+
+// 创建退货单
+router.post("/:id/returns", authorize(PERMISSION.RETURN_WRITE), validateRequest(orderReturnSchema), createOrderReturn);
+
 module.exports = router;
@@ -6,27 +6,87 @@ const {
   getProductById,
   updateProduct,
   deleteProduct,
-  getAllProducts
+  getAllProducts,
+  getProductCostHistory,
+  mergeProducts
 } = require("../controllers/productController");
+const { getProductStock } = require("../controllers/inventoryController");
+const {
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant
+} = require("../controllers/productVariantController");
+const {
+  getProductUnits,
+  createProductUnit,
+  updateProductUnit,
+  deleteProductUnit
+} = require("../controllers/productUnitController");
+const { getProductAliases, createProductAlias, deleteProductAlias } = require("../controllers/aliasController");
 const { validateRequest, validateQuery } = require("../middlewares/validation");
-const { productSchema, paginationSchema } = require("../utils/validation");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
+const { productSchema, productVariantSchema, productUnitSchema, productQuerySchema, mergeSchema, productAliasSchema } = require("../utils/validation");
 
 // 创建商品
-router.post("/", validateRequest(productSchema), createProduct);
+router.post("/", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(productSchema), createProduct);
+
+// 合并商品
+router.post("/merge", authorize(PERMISSION.MERGE_WRITE), validateRequest(mergeSchema), mergeProducts);
 
 // 获取商品列表
-router.get("/", validateQuery(paginationSchema), getProducts);
+router.get("/", validateQuery(productQuerySchema), getProducts);
 
 // 获取所有商品（用于下拉选择）
 router.get("/all", getAllProducts);
 
+// 获取商品规格列表
+router.get("/:id/variants", getProductVariants);
+
+// 创建商品规格
+router.post("/:id/variants", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(productVariantSchema), createProductVariant);
+
+// 更新商品规格
+router.put("/:id/variants/:variantId", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(productVariantSchema), updateProductVariant);
+
+// 删除商品规格
+router.delete("/:id/variants/:variantId", authorize(PERMISSION.PRODUCT_WRITE), deleteProductVariant);
+
+// 获取商品包装单位列表
+router.get("/:id/units", getProductUnits);
+
+// 创建商品包装单位
+router.post("/:id/units", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(productUnitSchema), createProductUnit);
+
+// 更新商品包装单位
+router.put("/:id/units/:unitId", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(productUnitSchema), updateProductUnit);
+
+// 删除商品包装单位
+router.delete("/:id/units/:unitId", authorize(PERMISSION.PRODUCT_WRITE), deleteProductUnit);
+
+// 获取商品别名列表
+router.get("/:id/aliases", getProductAliases);
+
+// 添加商品别名
+router.post("/:id/aliases", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(productAliasSchema), createProductAlias);
+
+// 删除商品别名
+router.delete("/:id/aliases/:aliasId", authorize(PERMISSION.PRODUCT_WRITE), deleteProductAlias);
+
+// 获取商品库存
+router.get("/:id/stock", getProductStock);
+
+// 获取商品成本价历史
+router.get("/:id/cost-history", authorize(PERMISSION.COST_READ), getProductCostHistory);
+
 // 获取商品详情
 router.get("/:id", getProductById);
 
 // 更新商品
-router.put("/:id", validateRequest(productSchema), updateProduct);
+router.put("/:id", authorize(PERMISSION.PRODUCT_WRITE), validateRequest(productSchema), updateProduct);
 
 // 删除商品
-router.delete("/:id", deleteProduct);
+router.delete("/:id", authorize(PERMISSION.PRODUCT_WRITE), deleteProduct);
 
 module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  updatePurchaseOrderStatus
+} = require("../controllers/purchaseOrderController");
+const { validateRequest, validateQuery } = require("../middlewares/validation");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
+const {
+  purchaseOrderSchema,
+  purchaseOrderUpdateSchema,
+  purchaseOrderStatusSchema,
+  purchaseOrderQuerySchema
+} = require("../utils/validation");
+
+// 创建采购单
+router.post("/", authorize(PERMISSION.PURCHASE_WRITE), validateRequest(purchaseOrderSchema), createPurchaseOrder);
+
+// 获取采购单列表
+router.get("/", authorize(PERMISSION.COST_READ), validateQuery(purchaseOrderQuerySchema), getPurchaseOrders);
+
+// 获取采购单详情
+router.get("/:id", authorize(PERMISSION.COST_READ), getPurchaseOrderById);
+
+// 更新采购单
+router.put("/:id", authorize(PERMISSION.PURCHASE_WRITE), validateRequest(purchaseOrderUpdateSchema), updatePurchaseOrder);
+
+// 更新采购单状态（下单、到货入库、取消）
+router.put("/:id/status", authorize(PERMISSION.PURCHASE_WRITE), validateRequest(purchaseOrderStatusSchema), updatePurchaseOrderStatus);
+
+// 删除采购单
+router.delete("/:id", authorize(PERMISSION.PURCHASE_WRITE), deletePurchaseOrder);
+
+module.exports = router;
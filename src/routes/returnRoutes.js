@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getReturns,
+  getReturnById
+} = require("../controllers/orderReturnController");
+const { validateQuery } = require("../middlewares/validation");
+const { returnQuerySchema } = require("../utils/validation");
+
+// 获取退货单列表
+router.get("/", validateQuery(returnQuerySchema), getReturns);
+
+// 获取退货单详情
+router.get("/:id", getReturnById);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createSupplier,
+  getSuppliers,
+  getSupplierById,
+  updateSupplier,
+  deleteSupplier,
+  getAllSuppliers
+} = require("../controllers/supplierController");
+const { validateRequest, validateQuery } = require("../middlewares/validation");
+const { authorize } = require("../middlewares/auth");
+const { PERMISSION } = require("../services/userService");
+const { supplierSchema, paginationSchema } = require("../utils/validation");
+
+// 创建供应商
+router.post("/", authorize(PERMISSION.PURCHASE_WRITE), validateRequest(supplierSchema), createSupplier);
+
+// 获取供应商列表
+router.get("/", validateQuery(paginationSchema), getSuppliers);
+
+// 获取所有供应商（用于下拉选择）
+router.get("/all", getAllSuppliers);
+
+// 获取供应商详情
+router.get("/:id", getSupplierById);
+
+// 更新供应商
+router.put("/:id", authorize(PERMISSION.PURCHASE_WRITE), validateRequest(supplierSchema), updateSupplier);
+
+// 删除供应商
+router.delete("/:id", authorize(PERMISSION.PURCHASE_WRITE), deleteSupplier);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCurrentUser,
+  getRoles,
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser
+} = require("../controllers/userController");
+const { validateRequest, validateQuery } = require("../middlewares/validation");
+const { authorize } = require("../middlewares/auth");
+const { userSchema, userUpdateSchema, userQuerySchema } = require("../utils/validation");
+const { PERMISSION } = require("../services/userService");
+
+// 获取当前用户信息
+router.get("/me", getCurrentUser);
+
+// 获取角色列表
+router.get("/roles", getRoles);
+
+// 获取用户列表
+router.get("/", authorize(PERMISSION.USER_MANAGE), validateQuery(userQuerySchema), getUsers);
+
+// 创建用户
+router.post("/", authorize(PERMISSION.USER_MANAGE), validateRequest(userSchema), createUser);
+
+// 更新用户
+router.put("/:id", authorize(PERMISSION.USER_MANAGE), validateRequest(userUpdateSchema), updateUser);
+
+// 删除用户
+router.delete("/:id", authorize(PERMISSION.USER_MANAGE), deleteUser);
+
+module.exports = router;
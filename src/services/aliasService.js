@@ -0,0 +1,203 @@
+const { Op } = require("sequelize");
+const { Customer, CustomerAlias, Product, ProductAlias } = require("../models");
+
+/**
+ * 客户/商品别名服务
+ * 合并或改名后的旧名称记录为别名，导入时映射到保留的记录，关键词搜索时也匹配别名
+ */
+class AliasService {
+  constructor() {
+    // 别名所属对象类型
+    this.TYPE = {
+      CUSTOMER: "customer",
+      PRODUCT: "product"
+    };
+
+    // 别名来源
+    this.SOURCE = {
+      MERGE: "merge",   // 合并
+      RENAME: "rename", // 改名
+      MANUAL: "manual"  // 手动添加
+    };
+
+    // 对象类型对应的模型
+    this.MODELS = {
+      [this.TYPE.CUSTOMER]: { Owner: Customer, Alias: CustomerAlias, ownerKey: "customerId", label: "客户" },
+      [this.TYPE.PRODUCT]: { Owner: Product, Alias: ProductAlias, ownerKey: "productId", label: "商品" }
+    };
+  }
+
+  /**
+   * 获取别名映射
+   * @param {string} type 对象类型（customer/product）
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Map>} 别名 -> { id, name }（name 为当前名称）
+   */
+  async getAliasMap(type, transaction = null) {
+    const { Owner, Alias, ownerKey } = this.MODELS[type];
+    const aliases = await Alias.findAll({
+      attributes: ["alias", ownerKey],
+      include: [{ model: Owner, as: type, attributes: ["id", "name"] }],
+      transaction
+    });
+    return new Map(aliases.map(item => [item.alias, { id: item[ownerKey], name: item[type].name }]));
+  }
+
+  /**
+   * 按别名关键词查找记录ID（用于关键词搜索）
+   * @param {string} type 对象类型
+   * @param {string} keyword 关键词
+   * @returns {Promise<Array>} 记录ID列表
+   */
+  async findOwnerIds(type, keyword) {
+    const { Alias, ownerKey } = this.MODELS[type];
+    const aliases = await Alias.findAll({
+      attributes: [ownerKey],
+      where: { alias: { [Op.like]: `%${keyword}%` } },
+      raw: true
+    });
+    return [...new Set(aliases.map(item => item[ownerKey]))];
+  }
+
+  /**
+   * 关键词搜索条件：名称匹配或别名匹配
+   * @param {string} type 对象类型
+   * @param {string} keyword 关键词
+   * @returns {Promise<Array>} 可放入 Op.or 的条件列表
+   */
+  async buildKeywordConditions(type, keyword) {
+    const conditions = [{ name: { [Op.like]: `%${keyword}%` } }];
+    const ids = await this.findOwnerIds(type, keyword);
+    if (ids.length > 0) {
+      conditions.push({ id: { [Op.in]: ids } });
+    }
+    return conditions;
+  }
+
+  /**
+   * 获取记录的别名
+   * @param {string} type 对象类型
+   * @param {string} ownerId 记录ID
+   * @returns {Promise<Array>} 别名列表
+   */
+  async getAliases(type, ownerId) {
+    const { Alias, ownerKey } = this.MODELS[type];
+    return Alias.findAll({
+      where: { [ownerKey]: ownerId },
+      order: [["created_at", "ASC"]]
+    });
+  }
+
+  /**
+   * 手动添加别名
+   * @param {string} type 对象类型
+   * @param {object} owner 客户或商品
+   * @param {string} alias 别名
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { errors, alias }
+   */
+  async addAlias(type, owner, alias, transaction = null) {
+    const { Owner, Alias, ownerKey, label } = this.MODELS[type];
+    const errors = [];
+
+    if (alias === owner.name) {
+      errors.push("别名不能与名称相同");
+      return { errors };
+    }
+    if (await Owner.count({ where: { name: alias }, transaction }) > 0) {
+      errors.push(`已有名为 ${alias} 的${label}，请使用合并`);
+      return { errors };
+    }
+    const existing = await Alias.findOne({ where: { alias }, transaction });
+    if (existing) {
+      errors.push(existing[ownerKey] === owner.id ? `别名 ${alias} 已存在` : `别名 ${alias} 已被其他${label}使用`);
+      return { errors };
+    }
+
+    const created = await Alias.create({ [ownerKey]: owner.id, alias, source: this.SOURCE.MANUAL }, { transaction });
+    return { errors, alias: created };
+  }
+
+  /**
+   * 记录别名（合并、改名时使用，别名已属于其他记录时改为属于该记录）
+   * @param {string} type 对象类型
+   * @param {string} ownerId 记录ID
+   * @param {string} alias 别名
+   * @param {string} source 别名来源
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<boolean>} 是否新增了别名
+   */
+  async recordAlias(type, ownerId, alias, source, transaction = null) {
+    const { Alias, ownerKey } = this.MODELS[type];
+    const existing = await Alias.findOne({ where: { alias }, transaction });
+    if (existing) {
+      await existing.update({ [ownerKey]: ownerId, source }, { transaction });
+      return false;
+    }
+    await Alias.create({ [ownerKey]: ownerId, alias, source }, { transaction });
+    return true;
+  }
+
+  /**
+   * 检查新名称能否使用（不能是其他记录的别名，否则按该名称导入的数据会对应到两条记录）
+   * @param {string} type 对象类型
+   * @param {object} owner 要改名的客户或商品
+   * @param {string} name 新名称
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array>} 错误信息
+   */
+  async checkRename(type, owner, name, transaction = null) {
+    const { Alias, ownerKey, label } = this.MODELS[type];
+    if (!name || name === owner.name) {
+      return [];
+    }
+    const existing = await Alias.findOne({ where: { alias: name }, transaction });
+    if (existing && existing[ownerKey] !== owner.id) {
+      return [`名称 ${name} 是其他${label}的别名，请使用合并`];
+    }
+    return [];
+  }
+
+  /**
+   * 改名后旧名称记录为别名，该记录与新名称相同的别名删除
+   * @param {string} type 对象类型
+   * @param {object} owner 改名后的客户或商品
+   * @param {string} oldName 旧名称
+   * @param {object} transaction 数据库事务
+   */
+  async recordRename(type, owner, oldName, transaction = null) {
+    const { Alias, ownerKey } = this.MODELS[type];
+    if (!oldName || oldName === owner.name) {
+      return;
+    }
+    await Alias.destroy({ where: { [ownerKey]: owner.id, alias: owner.name }, transaction });
+    await this.recordAlias(type, owner.id, oldName, this.SOURCE.RENAME, transaction);
+  }
+
+  /**
+   * 合并时被合并记录的名称和别名改为保留记录的别名
+   * @param {string} type 对象类型
+   * @param {object} source 被合并记录
+   * @param {object} target 保留记录
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<number>} 保留记录新增的别名数
+   */
+  async moveAliases(type, source, target, transaction = null) {
+    const { Alias, ownerKey } = this.MODELS[type];
+    const [moved] = await Alias.update(
+      { [ownerKey]: target.id },
+      { where: { [ownerKey]: source.id }, transaction }
+    );
+
+    // 与保留记录同名的别名没有意义
+    await Alias.destroy({ where: { [ownerKey]: target.id, alias: target.name }, transaction });
+
+    if (source.name === target.name) {
+      return moved;
+    }
+    const created = await this.recordAlias(type, target.id, source.name, this.SOURCE.MERGE, transaction);
+    return moved + (created ? 1 : 0);
+  }
+}
+
+module.exports = new AliasService();
@@ -0,0 +1,121 @@
+const { Category } = require("../models");
+const { Op } = require("sequelize");
+
+/**
+ * 商品分类服务
+ * 负责分类树的构建、子分类查找以及一级分类归属
+ */
+class CategoryService {
+  /**
+   * 获取全部分类（按排序顺序）
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array>} 分类列表
+   */
+  async getAllCategories(transaction = null) {
+    return Category.findAll({
+      order: [["sort_order", "ASC"], ["name", "ASC"]],
+      raw: true,
+      transaction
+    });
+  }
+
+  /**
+   * 将分类列表构建为树
+   * @param {Array} categories 分类列表
+   * @returns {Array} 分类树 [{ ...category, children: [] }]
+   */
+  buildTree(categories) {
+    const nodeMap = new Map();
+    categories.forEach(category => {
+      nodeMap.set(category.id, { ...category, children: [] });
+    });
+
+    const roots = [];
+    nodeMap.forEach(node => {
+      const parent = node.parentId ? nodeMap.get(node.parentId) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+    return roots;
+  }
+
+  /**
+   * 获取分类及其所有子分类的ID
+   * @param {string} categoryId 分类ID
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array>} 分类ID列表
+   */
+  async getDescendantIds(categoryId, transaction = null) {
+    const categories = await this.getAllCategories(transaction);
+
+    const ids = [categoryId];
+    for (let i = 0; i < ids.length; i++) {
+      categories.forEach(category => {
+        if (category.parentId === ids[i] && !ids.includes(category.id)) {
+          ids.push(category.id);
+        }
+      });
+    }
+    return ids;
+  }
+
+  /**
+   * 添加商品分类和品牌筛选条件（按分类筛选时包含子分类）
+   * @param {object} where 商品查询条件
+   * @param {object} filters 筛选参数 { categoryId, brand }
+   * @returns {Promise<object>} 查询条件
+   */
+  async applyProductFilter(where, { categoryId, brand } = {}) {
+    if (categoryId) {
+      where.categoryId = {
+        [Op.in]: await this.getDescendantIds(categoryId)
+      };
+    }
+    if (brand) {
+      where.brand = brand;
+    }
+    return where;
+  }
+
+  /**
+   * 判断将分类移动到新上级下是否会形成循环
+   * @param {string} categoryId 分类ID
+   * @param {string} parentId 新上级分类ID
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<boolean>} 是否形成循环
+   */
+  async isCircularParent(categoryId, parentId, transaction = null) {
+    if (!parentId) {
+      return false;
+    }
+    const descendantIds = await this.getDescendantIds(categoryId, transaction);
+    return descendantIds.includes(parentId);
+  }
+
+  /**
+   * 获取每个分类所属的一级分类
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Map>} categoryId -> 一级分类
+   */
+  async getRootCategoryMap(transaction = null) {
+    const categories = await this.getAllCategories(transaction);
+    const categoryMap = new Map(categories.map(category => [category.id, category]));
+
+    const rootMap = new Map();
+    categories.forEach(category => {
+      let root = category;
+      const visited = new Set([root.id]);
+      while (root.parentId && categoryMap.has(root.parentId) && !visited.has(root.parentId)) {
+        root = categoryMap.get(root.parentId);
+        visited.add(root.id);
+      }
+      rootMap.set(category.id, root);
+    });
+    return rootMap;
+  }
+}
+
+module.exports = new CategoryService();
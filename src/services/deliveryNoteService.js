@@ -0,0 +1,365 @@
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const { Order, OrderItem, Customer } = require("../models");
+const orderStatusService = require("./orderStatusService");
+const systemConfigService = require("./systemConfigService");
+const { toChineseAmount } = require("../utils/chineseAmount");
+
+/**
+ * 送货单服务
+ * 负责生成订单送货单的数据、可打印HTML和PDF（本地生成，不依赖外部服务）
+ */
+class DeliveryNoteService {
+  constructor() {
+    // 明细表格列定义（宽度为PDF中的点数）
+    this.COLUMNS = [
+      { key: "index", title: "序号", width: 30, align: "center" },
+      { key: "productName", title: "货品名称", width: 140, align: "left" },
+      { key: "specification", title: "型号规格", width: 70, align: "left" },
+      { key: "unit", title: "单位", width: 35, align: "center" },
+      { key: "quantity", title: "数量", width: 50, align: "right" },
+      { key: "unitPrice", title: "单价", width: 55, align: "right" },
+      { key: "totalPrice", title: "金额", width: 65, align: "right" },
+      { key: "remark", title: "备注", width: 90, align: "left" }
+    ];
+
+    // PDF中文字体候选（可通过 PDF_FONT_PATH / PDF_FONT_FAMILY 环境变量指定）
+    this.FONT_CANDIDATES = [
+      { path: "/usr/share/fonts/noto/NotoSansCJK-Regular.ttc", family: "NotoSansCJKsc-Regular" },
+      { path: "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc", family: "NotoSansCJKsc-Regular" },
+      { path: "/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc", family: "NotoSansCJKsc-Regular" },
+      { path: "/usr/share/fonts/wqy-zenhei/wqy-zenhei.ttc", family: "WenQuanYiZenHei" },
+      { path: "/System/Library/Fonts/PingFang.ttc", family: "PingFangSC-Regular" },
+      { path: "C:\\Windows\\Fonts\\msyh.ttc", family: "MicrosoftYaHei" }
+    ];
+  }
+
+  /**
+   * 格式化日期为 YYYY-MM-DD
+   * @param {Date|string} date 日期
+   * @returns {string} 日期字符串
+   */
+  formatDate(date) {
+    const value = new Date(date);
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * 格式化数字（去掉多余的小数位）
+   * @param {number|string} value 数值
+   * @returns {string} 格式化后的字符串
+   */
+  formatNumber(value) {
+    return String(Math.round((parseFloat(value) || 0) * 100) / 100);
+  }
+
+  /**
+   * 转义HTML特殊字符
+   * @param {*} value 原始值
+   * @returns {string} 转义后的字符串
+   */
+  escapeHtml(value) {
+    return String(value === null || value === undefined ? "" : value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * 检查订单是否可以打印送货单
+   * @param {Object} order 订单对象
+   * @returns {Object} 检查结果
+   */
+  canPrint(order) {
+    // 已取消的订单不可打印送货单
+    if (order.status === orderStatusService.getCancelStatus()) {
+      return {
+        canPrint: false,
+        reason: `订单状态为 ${orderStatusService.getStatusDescription(order.status)}，无法打印送货单`
+      };
+    }
+
+    return {
+      canPrint: true,
+      reason: "订单可以打印送货单"
+    };
+  }
+
+  /**
+   * 生成送货单数据
+   * @param {Object} order 订单对象（需包含 customer 和 items）
+   * @param {string} operator 制单人
+   * @returns {Promise<Object>} 送货单数据
+   */
+  async buildDeliveryNote(order, operator = "system") {
+    const shop = await systemConfigService.getShopInfo();
+    const items = [...order.items]
+      .sort((a, b) => a.sortOrder - b.sortOrder)
+      .map((item, index) => ({
+        index: index + 1,
+        productName: item.productName,
+        specification: item.specification || "",
+        unit: item.unit,
+        quantity: this.formatNumber(item.quantity),
+        unitPrice: this.formatNumber(item.unitPrice),
+        totalPrice: this.formatNumber(item.totalPrice),
+        remark: item.remark || ""
+      }));
+
+    return {
+      shop,
+      orderId: order.id,
+      orderNo: order.orderNo,
+      status: order.status,
+      statusDesc: orderStatusService.getStatusDescription(order.status),
+      orderDate: this.formatDate(order.createdAt),
+      remark: order.remark || "",
+      customer: {
+        name: order.customer ? order.customer.name : "",
+        phone: order.customer ? order.customer.phone || "" : ""
+      },
+      items,
+      totalAmount: this.formatNumber(order.totalAmount),
+      totalAmountInWords: toChineseAmount(order.totalAmount),
+      operator,
+      printedAt: this.formatDate(new Date())
+    };
+  }
+
+  /**
+   * 根据订单ID加载送货单所需的订单数据
+   * @param {string} orderId 订单ID
+   * @returns {Promise<Object|null>} 订单对象
+   */
+  async loadOrder(orderId) {
+    return Order.findByPk(orderId, {
+      include: [
+        {
+          model: Customer,
+          as: "customer",
+          attributes: ["id", "name", "phone"]
+        },
+        {
+          model: OrderItem,
+          as: "items"
+        }
+      ]
+    });
+  }
+
+  /**
+   * 渲染可打印的HTML送货单
+   * @param {Object} note 送货单数据
+   * @returns {string} HTML字符串
+   */
+  renderHtml(note) {
+    const e = value => this.escapeHtml(value);
+    const headerCells = this.COLUMNS
+      .map(column => `<th style="width:${column.width}px">${e(column.title)}</th>`)
+      .join("");
+    const itemRows = note.items
+      .map(item => `<tr>${this.COLUMNS
+        .map(column => `<td class="${column.align}">${e(item[column.key])}</td>`)
+        .join("")}</tr>`)
+      .join("\n          ");
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8">
+  <title>送货单 ${e(note.orderNo)}</title>
+  <style>
+    @page { size: A5 landscape; margin: 10mm; }
+    body { font-family: "PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif; font-size: 12px; color: #000; margin: 0; }
+    .note { max-width: 190mm; margin: 0 auto; }
+    .shop-name { text-align: center; font-size: 20px; font-weight: bold; }
+    .shop-contact { text-align: center; margin: 4px 0; }
+    .title { text-align: center; font-size: 18px; letter-spacing: 8px; margin: 6px 0; }
+    .meta { display: flex; justify-content: space-between; margin: 4px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #000; padding: 3px 4px; }
+    th { font-weight: normal; background: #f2f2f2; }
+    .left { text-align: left; }
+    .center { text-align: center; }
+    .right { text-align: right; }
+    .footer { display: flex; justify-content: space-between; margin-top: 16px; }
+    @media print { .no-print { display: none; } th { background: none; } }
+  </style>
+</head>
+<body>
+  <div class="note">
+    <div class="shop-name">${e(note.shop.name)}</div>
+    <div class="shop-contact">地址：${e(note.shop.address)}　电话：${e(note.shop.phone)}</div>
+    <div class="title">送货单</div>
+    <div class="meta">
+      <span>客户：${e(note.customer.name)}</span>
+      <span>电话：${e(note.customer.phone)}</span>
+      <span>日期：${e(note.orderDate)}</span>
+      <span>单号：${e(note.orderNo)}</span>
+    </div>
+    <table>
+      <thead>
+        <tr>${headerCells}</tr>
+      </thead>
+      <tbody>
+          ${itemRows}
+        <tr>
+          <td class="center">合计</td>
+          <td colspan="5" class="left">大写金额：${e(note.totalAmountInWords)}</td>
+          <td class="right">${e(note.totalAmount)}</td>
+          <td></td>
+        </tr>
+      </tbody>
+    </table>
+    <div class="meta">备注：${e(note.remark)}</div>
+    <div class="footer">
+      <span>制单人：${e(note.operator)}</span>
+      <span>送货人：</span>
+      <span>收货人签字：</span>
+      <span>打印日期：${e(note.printedAt)}</span>
+    </div>
+    <p class="no-print center"><button onclick="window.print()">打印</button></p>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * 查找可用的中文字体
+   * @returns {Object|null} { path, family }
+   */
+  resolveFont() {
+    if (process.env.PDF_FONT_PATH) {
+      return {
+        path: process.env.PDF_FONT_PATH,
+        family: process.env.PDF_FONT_FAMILY || undefined
+      };
+    }
+
+    return this.FONT_CANDIDATES.find(font => fs.existsSync(font.path)) || null;
+  }
+
+  /**
+   * 渲染PDF送货单
+   * @param {Object} note 送货单数据
+   * @returns {Promise<Buffer>} PDF文件内容
+   */
+  renderPdf(note) {
+    const font = this.resolveFont();
+    if (!font) {
+      return Promise.reject(new Error("未找到可用的中文字体，请安装 Noto CJK 字体或设置 PDF_FONT_PATH 环境变量"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A5", layout: "landscape", margin: 28 });
+      const chunks = [];
+      doc.on("data", chunk => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      try {
+        doc.registerFont("cjk", font.path, font.family);
+        doc.font("cjk");
+        this.drawPdf(doc, note);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * 绘制PDF内容
+   * @param {Object} doc PDFDocument实例
+   * @param {Object} note 送货单数据
+   */
+  drawPdf(doc, note) {
+    const left = doc.page.margins.left;
+    const contentWidth = this.COLUMNS.reduce((sum, column) => sum + column.width, 0);
+    const rowHeight = 18;
+
+    // 抬头
+    doc.fontSize(16).text(note.shop.name, left, doc.page.margins.top, { width: contentWidth, align: "center" });
+    doc.fontSize(9).text(`地址：${note.shop.address}　电话：${note.shop.phone}`, { width: contentWidth, align: "center" });
+    doc.moveDown(0.3);
+    doc.fontSize(14).text("送 货 单", { width: contentWidth, align: "center" });
+    doc.moveDown(0.3);
+
+    const metaY = doc.y;
+    const metaWidth = contentWidth / 4;
+    doc.fontSize(9);
+    [
+      `客户：${note.customer.name}`,
+      `电话：${note.customer.phone}`,
+      `日期：${note.orderDate}`,
+      `单号：${note.orderNo}`
+    ].forEach((text, index) => {
+      doc.text(text, left + metaWidth * index, metaY, { width: metaWidth, lineBreak: false });
+    });
+
+    let y = metaY + 16;
+
+    const drawRow = (values, options = {}) => {
+      let x = left;
+      this.COLUMNS.forEach((column, index) => {
+        const span = options.spans && options.spans[index];
+        if (span === 0) {
+          return;
+        }
+        const width = span
+          ? this.COLUMNS.slice(index, index + span).reduce((sum, item) => sum + item.width, 0)
+          : column.width;
+        doc.rect(x, y, width, rowHeight).stroke();
+        doc.text(String(values[index] === undefined ? "" : values[index]), x + 3, y + 5, {
+          width: width - 6,
+          height: rowHeight - 4,
+          align: options.align || column.align,
+          lineBreak: false,
+          ellipsis: true
+        });
+        x += width;
+      });
+      y += rowHeight;
+    };
+
+    const drawHeader = () => drawRow(this.COLUMNS.map(column => column.title), { align: "center" });
+    const bottom = doc.page.height - doc.page.margins.bottom - rowHeight * 3;
+
+    drawHeader();
+    note.items.forEach(item => {
+      // 超出页面时换页并重绘表头
+      if (y > bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+        drawHeader();
+      }
+      drawRow(this.COLUMNS.map(column => item[column.key]));
+    });
+
+    drawRow(
+      ["合计", `大写金额：${note.totalAmountInWords}`, "", "", "", "", note.totalAmount, ""],
+      { spans: [1, 5, 0, 0, 0, 0, 1, 1] }
+    );
+
+    y += 6;
+    doc.text(`备注：${note.remark}`, left, y, { width: contentWidth });
+    y = doc.y + 10;
+
+    const footerWidth = contentWidth / 4;
+    [
+      `制单人：${note.operator}`,
+      "送货人：",
+      "收货人签字：",
+      `打印日期：${note.printedAt}`
+    ].forEach((text, index) => {
+      doc.text(text, left + footerWidth * index, y, { width: footerWidth, lineBreak: false });
+    });
+  }
+}
+
+module.exports = new DeliveryNoteService();
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const path = require("path");
+const importBatchService = require("./importBatchService");
+const ExcelImporter = require("../../scripts/excelImporter");
+const { CsvExporter } = require("../../scripts/exportToCsv");
+const { CsvImporter } = require("../../scripts/importFromCsv");
+
+/**
+ * Excel导入服务
+ * 解析上传的客户对账单Excel，复用命令行脚本的整理（CsvExporter）和导入（CsvImporter）逻辑
+ */
+class ExcelImportService {
+  constructor() {
+    // 支持的文件扩展名
+    this.EXCEL_EXTENSIONS = [".xls", ".xlsx"];
+  }
+
+  /**
+   * 判断是否为Excel文件
+   * @param {string} fileName 文件名
+   * @returns {boolean}
+   */
+  isExcelFile(fileName) {
+    return this.EXCEL_EXTENSIONS.includes(path.extname(fileName || "").toLowerCase());
+  }
+
+  /**
+   * 计算上传文件的校验码
+   * 按文件名排序后计算，确认导入时重新上传预览过的同一批文件即可匹配
+   * @param {Array} files 上传的文件 [{ originalname, buffer }]
+   * @returns {string} SHA-256 校验码
+   */
+  getChecksum(files) {
+    const hash = crypto.createHash("sha256");
+    [...files]
+      .sort((a, b) => a.originalname.localeCompare(b.originalname))
+      .forEach(file => {
+        hash.update(file.originalname);
+        hash.update(file.buffer);
+      });
+    return hash.digest("hex");
+  }
+
+  /**
+   * 解析上传的Excel文件，整理为 CsvImporter 可导入的数据
+   * @param {Array} files 上传的文件
+   * @param {number} year 订单年份
+   * @returns {Object} { csvData, errors }
+   */
+  parseFiles(files, year) {
+    const excelImporter = new ExcelImporter();
+    const exporter = new CsvExporter();
+    const errors = [];
+
+    files.forEach(file => {
+      try {
+        const result = excelImporter.parseExcelBuffer(file.buffer, file.originalname, year);
+        // 日期无法解析时整批不导入，修正文件后重新上传
+        excelImporter.describeDateErrors(result.dateErrors).forEach(error => {
+          errors.push(`${file.originalname}: ${error}`);
+        });
+        exporter.collectResult(result);
+      } catch (error) {
+        errors.push(`${file.originalname}: ${error.message}`);
+      }
+    });
+
+    return { csvData: exporter.buildCsvData(), errors };
+  }
+
+  /**
+   * 预览导入结果（不写入数据库）
+   * @param {Array} files 上传的文件
+   * @param {number} year 订单年份
+   * @returns {Promise<Object>} { errors, preview }
+   */
+  async preview(files, year) {
+    const { csvData, errors } = this.parseFiles(files, year);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const importer = new CsvImporter({ importOrders: true, silent: true });
+    const preview = await importer.previewData(csvData);
+
+    return {
+      errors,
+      preview: {
+        checksum: this.getChecksum(files),
+        fileNames: files.map(file => file.originalname),
+        ...preview
+      }
+    };
+  }
+
+  /**
+   * 确认导入，并记录导入批次
+   * @param {Array} files 上传的文件
+   * @param {Object} options { year, operator }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { errors, batch }
+   */
+  async commit(files, { year, operator }, transaction) {
+    const { csvData, errors } = this.parseFiles(files, year);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const batch = await importBatchService.start({
+      source: importBatchService.SOURCE.EXCEL,
+      files: this.toSourceFiles(files),
+      operator
+    }, transaction);
+
+    const importer = new CsvImporter({ transaction, importOrders: true, operator, batch, silent: true });
+    const stats = await importer.importData(csvData);
+    await importBatchService.finish(batch, stats, transaction);
+
+    return { errors, batch };
+  }
+
+  /**
+   * 记录失败的导入批次（导入事务已回滚，单独写入）
+   * @param {Array} files 上传的文件
+   * @param {string} operator 操作人
+   * @param {Date} startedAt 开始时间
+   * @param {Error} error 错误
+   * @returns {Promise<Object>} 导入批次
+   */
+  async recordFailure(files, operator, startedAt, error) {
+    return importBatchService.recordFailure({
+      source: importBatchService.SOURCE.EXCEL,
+      files: this.toSourceFiles(files),
+      operator,
+      startedAt
+    }, error);
+  }
+
+  /**
+   * 转换为导入批次记录的源文件格式
+   * @param {Array} files 上传的文件
+   * @returns {Array} [{ name, buffer }]
+   */
+  toSourceFiles(files) {
+    return files.map(file => ({ name: file.originalname, buffer: file.buffer }));
+  }
+}
+
+module.exports = new ExcelImportService();
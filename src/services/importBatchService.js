@@ -0,0 +1,309 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const {
+  ImportBatch,
+  ImportBatchChange,
+  Customer,
+  Product,
+  ProductVariant,
+  ProductUnit,
+  ProductCostHistory,
+  CustomerPrice,
+  Order,
+  OrderItem,
+  OrderHistory,
+  Payment,
+  OrderReturn,
+  OrderReturnItem,
+  StockMovement,
+  PurchaseOrderItem
+} = require("../models");
+
+/**
+ * 导入批次服务
+ * 记录每次数据导入的来源文件、校验码、统计和操作人，并支持按批次回滚
+ */
+class ImportBatchService {
+  constructor() {
+    // 导入来源
+    this.SOURCE = {
+      EXCEL: "excel", // 上传Excel
+      CSV: "csv"      // CSV导入脚本
+    };
+
+    // 导入批次状态
+    this.BATCH_STATUS = {
+      PROCESSING: "processing",
+      COMPLETED: "completed",
+      FAILED: "failed",
+      ROLLED_BACK: "rolled_back"
+    };
+
+    // 导入变更对象类型
+    this.TARGET_TYPE = {
+      PRODUCT: "product",
+      CUSTOMER_PRICE: "customer_price"
+    };
+
+    // 变更对象类型对应的模型
+    this.TARGET_MODELS = {
+      [this.TARGET_TYPE.PRODUCT]: Product,
+      [this.TARGET_TYPE.CUSTOMER_PRICE]: CustomerPrice
+    };
+
+    // 回滚时按顺序删除批次创建的数据（先删除引用方）
+    this.CREATED_MODELS = [
+      ["orderItems", OrderItem],
+      ["orders", Order],
+      ["customerPrices", CustomerPrice],
+      ["productVariants", ProductVariant],
+      ["products", Product],
+      ["customers", Customer]
+    ];
+  }
+
+  /**
+   * 计算源文件校验码
+   * @param {Array} files 源文件 [{ name, buffer }]
+   * @returns {Object} 文件名 -> SHA-256
+   */
+  getChecksums(files) {
+    const checksums = {};
+    files.forEach(file => {
+      checksums[file.name] = crypto.createHash("sha256").update(file.buffer).digest("hex");
+    });
+    return checksums;
+  }
+
+  /**
+   * 开始导入批次
+   * @param {Object} data { source, files, operator }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 导入批次
+   */
+  async start({ source, files, operator }, transaction = null) {
+    return ImportBatch.create({
+      source,
+      fileNames: files.map(file => file.name),
+      checksums: this.getChecksums(files),
+      status: this.BATCH_STATUS.PROCESSING,
+      operator,
+      startedAt: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * 完成导入批次
+   * @param {Object} batch 导入批次
+   * @param {Object} stats 导入统计
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 导入批次
+   */
+  async finish(batch, stats, transaction = null) {
+    return batch.update({
+      status: this.BATCH_STATUS.COMPLETED,
+      stats,
+      finishedAt: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * 记录导入失败（不在导入事务中执行）
+   * @param {Object} batch 导入批次
+   * @param {Error} error 错误
+   * @returns {Promise<Object>} 导入批次
+   */
+  async fail(batch, error) {
+    return batch.update({
+      status: this.BATCH_STATUS.FAILED,
+      errorMessage: error.message,
+      finishedAt: new Date()
+    });
+  }
+
+  /**
+   * 记录失败的导入批次（导入事务已回滚，批次本身也未保存时使用）
+   * @param {Object} data { source, files, operator, startedAt }
+   * @param {Error} error 错误
+   * @returns {Promise<Object>} 导入批次
+   */
+  async recordFailure({ source, files, operator, startedAt }, error) {
+    return ImportBatch.create({
+      source,
+      fileNames: files.map(file => file.name),
+      checksums: this.getChecksums(files),
+      status: this.BATCH_STATUS.FAILED,
+      errorMessage: error.message,
+      operator,
+      startedAt,
+      finishedAt: new Date()
+    });
+  }
+
+  /**
+   * 查询导入批次列表（按开始时间倒序）
+   * @param {Object} query { page, pageSize, source, status }
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async getBatches({ page = 1, pageSize = 20, source, status }) {
+    const where = {};
+    if (source) {
+      where.source = source;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    return ImportBatch.findAndCountAll({
+      where,
+      order: [["startedAt", "DESC"]],
+      limit: parseInt(pageSize),
+      offset: (parseInt(page) - 1) * parseInt(pageSize)
+    });
+  }
+
+  /**
+   * 获取批次创建的数据ID
+   * @param {Object} batch 导入批次
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 数据类型 -> ID列表
+   */
+  async getCreatedIds(batch, transaction) {
+    const createdIds = {};
+    for (const [key, Model] of this.CREATED_MODELS) {
+      const rows = await Model.findAll({
+        where: { importBatchId: batch.id },
+        attributes: ["id"],
+        raw: true,
+        transaction
+      });
+      createdIds[key] = rows.map(row => row.id);
+    }
+    return createdIds;
+  }
+
+  /**
+   * 检查批次创建的数据是否已被其他数据引用（被引用时不能回滚）
+   * @param {Object} batch 导入批次
+   * @param {Object} createdIds 批次创建的数据ID
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array<string>>} 错误信息
+   */
+  async checkReferences(batch, createdIds, transaction) {
+    const notInBatch = {
+      [Op.or]: [
+        { importBatchId: null },
+        { importBatchId: { [Op.ne]: batch.id } }
+      ]
+    };
+    const { customers, products, productVariants, orders } = createdIds;
+
+    const checks = [
+      [customers, Order, { customerId: customers, ...notInBatch }, "导入的客户已有其他订单"],
+      [customers, CustomerPrice, { customerId: customers, ...notInBatch }, "导入的客户已有其他专属价格"],
+      [customers, Payment, { customerId: customers }, "导入的客户已有收款记录"],
+      [customers, OrderReturn, { customerId: customers }, "导入的客户已有退货单"],
+      [orders, Payment, { orderId: orders }, "导入的订单已有收款记录"],
+      [orders, OrderReturn, { orderId: orders }, "导入的订单已有退货单"],
+      [orders, OrderHistory, { orderId: orders }, "导入的订单已有操作记录"],
+      [orders, StockMovement, { orderId: orders }, "导入的订单已有库存流水"],
+      [products, OrderItem, { productId: products, ...notInBatch }, "导入的商品已被其他订单使用"],
+      [products, CustomerPrice, { productId: products, ...notInBatch }, "导入的商品已有其他专属价格"],
+      [products, ProductVariant, { productId: products, ...notInBatch }, "导入的商品已有其他规格"],
+      [products, ProductUnit, { productId: products }, "导入的商品已设置多单位"],
+      [products, ProductCostHistory, { productId: products }, "导入的商品已有成本价记录"],
+      [products, StockMovement, { productId: products }, "导入的商品已有库存流水"],
+      [products, PurchaseOrderItem, { productId: products }, "导入的商品已被采购单使用"],
+      [products, OrderReturnItem, { productId: products }, "导入的商品已有退货记录"],
+      [productVariants, OrderItem, { variantId: productVariants, ...notInBatch }, "导入的商品规格已被其他订单使用"]
+    ];
+
+    const errors = [];
+    for (const [ids, Model, where, message] of checks) {
+      if (ids.length === 0) {
+        continue;
+      }
+      const count = await Model.count({ where, transaction });
+      if (count > 0) {
+        errors.push(`${message}（${count}条）`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * 恢复批次修改前的值（当前值已被再次修改的跳过，避免覆盖之后的修改）
+   * @param {Object} batch 导入批次
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { reverted, skipped }
+   */
+  async revertChanges(batch, transaction) {
+    const changes = await ImportBatchChange.findAll({
+      where: { batchId: batch.id },
+      order: [["createdAt", "DESC"]],
+      transaction
+    });
+
+    let reverted = 0;
+    const skipped = [];
+    for (const change of changes) {
+      const Model = this.TARGET_MODELS[change.targetType];
+      const record = Model ? await Model.findByPk(change.targetId, { transaction }) : null;
+      if (!record) {
+        skipped.push({ targetType: change.targetType, targetId: change.targetId, reason: "记录已删除" });
+        continue;
+      }
+
+      // 金额字段读取为字符串（DECIMAL），按数值比较
+      const modified = Object.entries(change.newValues).some(([key, value]) => (
+        typeof value === "number" ? parseFloat(record[key]) !== value : record[key] !== value
+      ));
+      if (modified) {
+        skipped.push({ targetType: change.targetType, targetId: change.targetId, reason: "导入后已被再次修改" });
+        continue;
+      }
+
+      await record.update(change.oldValues, { transaction });
+      reverted++;
+    }
+
+    return { reverted, skipped };
+  }
+
+  /**
+   * 回滚导入批次：删除批次创建的数据，恢复批次修改的价格
+   * @param {Object} batch 导入批次
+   * @param {string} operator 操作人
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { errors, batch }
+   */
+  async rollback(batch, operator, transaction) {
+    if (batch.status === this.BATCH_STATUS.ROLLED_BACK) {
+      return { errors: ["导入批次已回滚"] };
+    }
+
+    const createdIds = await this.getCreatedIds(batch, transaction);
+    const errors = await this.checkReferences(batch, createdIds, transaction);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const deleted = {};
+    for (const [key, Model] of this.CREATED_MODELS) {
+      deleted[key] = await Model.destroy({ where: { importBatchId: batch.id }, transaction });
+    }
+
+    const { reverted, skipped } = await this.revertChanges(batch, transaction);
+
+    await batch.update({
+      status: this.BATCH_STATUS.ROLLED_BACK,
+      rolledBackAt: new Date(),
+      rolledBackBy: operator,
+      rollbackStats: { deleted, reverted, skipped }
+    }, { transaction });
+
+    return { errors: [], batch };
+  }
+}
+
+module.exports = new ImportBatchService();
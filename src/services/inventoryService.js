@@ -0,0 +1,245 @@
+const { Product, OrderItem, StockMovement } = require("../models");
+const { literal } = require("sequelize");
+const systemConfigService = require("./systemConfigService");
+const productUnitService = require("./productUnitService");
+
+/**
+ * 库存服务
+ * 负责库存流水记录、当前库存维护以及下单时的库存检查
+ */
+class InventoryService {
+  constructor() {
+    // 定义库存变动类型
+    this.MOVEMENT_TYPE = {
+      PURCHASE: "purchase",    // 采购入库
+      SALE: "sale",            // 销售出库
+      RETURN: "return",        // 退货入库
+      ADJUSTMENT: "adjustment" // 盘点调整
+    };
+
+    // 定义库存变动类型描述
+    this.MOVEMENT_TYPE_DESCRIPTIONS = {
+      [this.MOVEMENT_TYPE.PURCHASE]: "采购入库",
+      [this.MOVEMENT_TYPE.SALE]: "销售出库",
+      [this.MOVEMENT_TYPE.RETURN]: "退货入库",
+      [this.MOVEMENT_TYPE.ADJUSTMENT]: "盘点调整"
+    };
+  }
+
+  /**
+   * 数量保留两位小数
+   * @param {number|string} value 数量
+   * @returns {number} 数量
+   */
+  round(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * 获取库存变动类型描述
+   * @param {string} type 变动类型
+   * @returns {string} 变动类型描述
+   */
+  getMovementTypeDescription(type) {
+    return this.MOVEMENT_TYPE_DESCRIPTIONS[type] || type;
+  }
+
+  /**
+   * 库存不足时是否拒绝下单（由系统配置决定，默认仅提示）
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<boolean>} 是否拒绝
+   */
+  async isRejectInsufficient(transaction = null) {
+    return systemConfigService.getBoolean(systemConfigService.KEYS.STOCK_REJECT_INSUFFICIENT, transaction);
+  }
+
+  /**
+   * 记录库存流水并更新商品当前库存
+   * @param {Object} movement 流水信息 { productId, type, quantity, unitCost, orderId, referenceId, remark, operator }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 库存流水
+   */
+  async recordMovement(movement, transaction = null) {
+    const { productId, type, quantity, unitCost, orderId, referenceId, remark, operator } = movement;
+
+    const product = await Product.findByPk(productId, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+    if (!product) {
+      throw new Error(`商品不存在: ${productId}`);
+    }
+
+    const balance = this.round(parseFloat(product.stockQuantity) + this.round(quantity));
+    await product.update({ stockQuantity: balance }, { transaction });
+
+    return StockMovement.create({
+      productId,
+      type,
+      quantity: this.round(quantity),
+      balance,
+      unitCost: unitCost === undefined ? null : unitCost,
+      orderId: orderId || null,
+      referenceId: referenceId || null,
+      remark,
+      createdBy: operator || "system"
+    }, { transaction });
+  }
+
+  /**
+   * 按商品汇总数量（按换算系数折算为基本单位）
+   * @param {Array} items 订单项 [{ productId, quantity, conversionFactor }]
+   * @returns {Map} productId -> 基本单位数量
+   */
+  sumQuantityByProduct(items) {
+    const quantityMap = new Map();
+    items.forEach(item => {
+      const quantity = productUnitService.toBaseQuantity(item.quantity, item.conversionFactor);
+      quantityMap.set(item.productId, this.round((quantityMap.get(item.productId) || 0) + quantity));
+    });
+    return quantityMap;
+  }
+
+  /**
+   * 检查订单项的库存是否充足
+   * @param {Array} items 订单项 [{ productId, quantity, conversionFactor }]
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array>} 库存不足的商品列表（数量为基本单位）
+   */
+  async checkAvailability(items, transaction = null) {
+    const quantityMap = this.sumQuantityByProduct(items);
+    if (quantityMap.size === 0) {
+      return [];
+    }
+
+    const products = await Product.findAll({
+      where: { id: Array.from(quantityMap.keys()) },
+      transaction
+    });
+
+    const shortages = [];
+    products.forEach(product => {
+      const requestedQuantity = quantityMap.get(product.id);
+      const availableQuantity = this.round(product.stockQuantity);
+      if (requestedQuantity > availableQuantity) {
+        shortages.push({
+          productId: product.id,
+          productName: product.name,
+          unit: product.unit,
+          requestedQuantity,
+          availableQuantity
+        });
+      }
+    });
+
+    return shortages;
+  }
+
+  /**
+   * 格式化库存不足提示
+   * @param {Array} shortages 库存不足的商品列表
+   * @returns {string} 提示信息
+   */
+  formatShortages(shortages) {
+    return shortages
+      .map(item => `${item.productName} 库存不足：需要 ${item.requestedQuantity}，可用 ${item.availableQuantity}`)
+      .join("\n");
+  }
+
+  /**
+   * 获取订单已出库数量（按商品汇总，出库为正数）
+   * @param {string} orderId 订单ID
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} productId -> 已出库数量
+   */
+  async getOrderDeductedMap(orderId, transaction = null) {
+    const rows = await StockMovement.findAll({
+      where: {
+        orderId,
+        type: this.MOVEMENT_TYPE.SALE
+      },
+      attributes: [
+        "productId",
+        [literal("SUM(quantity)"), "totalQuantity"]
+      ],
+      group: ["productId"],
+      raw: true,
+      transaction
+    });
+
+    const deductedMap = {};
+    rows.forEach(row => {
+      deductedMap[row.productId] = -this.round(row.totalQuantity);
+    });
+    return deductedMap;
+  }
+
+  /**
+   * 订单确认（进入处理中）时扣减库存
+   * 开启"库存不足拒绝下单"时，库存不足会抛出错误
+   * @param {string} orderId 订单ID
+   * @param {string} operator 操作人
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array>} 库存不足的商品列表（仅提示模式下返回）
+   */
+  async deductForOrder(orderId, operator, transaction = null) {
+    const items = await OrderItem.findAll({
+      where: { orderId },
+      transaction
+    });
+
+    const shortages = await this.checkAvailability(items, transaction);
+    if (shortages.length > 0 && await this.isRejectInsufficient(transaction)) {
+      throw new Error(this.formatShortages(shortages));
+    }
+
+    // 已出库的部分不重复扣减
+    const deductedMap = await this.getOrderDeductedMap(orderId, transaction);
+    const quantityMap = this.sumQuantityByProduct(items);
+    for (const [productId, quantity] of quantityMap) {
+      const pendingQuantity = this.round(quantity - (deductedMap[productId] || 0));
+      if (pendingQuantity <= 0) {
+        continue;
+      }
+
+      await this.recordMovement({
+        productId,
+        type: this.MOVEMENT_TYPE.SALE,
+        quantity: -pendingQuantity,
+        orderId,
+        remark: "订单确认出库",
+        operator
+      }, transaction);
+    }
+
+    return shortages;
+  }
+
+  /**
+   * 订单取消时释放已扣减的库存
+   * @param {string} orderId 订单ID
+   * @param {string} operator 操作人
+   * @param {object} transaction 数据库事务
+   */
+  async releaseForOrder(orderId, operator, transaction = null) {
+    const deductedMap = await this.getOrderDeductedMap(orderId, transaction);
+
+    for (const [productId, quantity] of Object.entries(deductedMap)) {
+      if (quantity <= 0) {
+        continue;
+      }
+
+      // 以反向销售流水冲回，保证同一订单的销售流水合计为零
+      await this.recordMovement({
+        productId,
+        type: this.MOVEMENT_TYPE.SALE,
+        quantity,
+        orderId,
+        remark: "订单取消释放库存",
+        operator
+      }, transaction);
+    }
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,313 @@
+const { Op } = require("sequelize");
+const {
+  Customer,
+  CustomerPrice,
+  Order,
+  Payment,
+  OrderReturn,
+  Product,
+  ProductVariant,
+  ProductUnit,
+  ProductCostHistory,
+  OrderItem,
+  OrderReturnItem,
+  PurchaseOrderItem,
+  StockMovement,
+  MergeRecord
+} = require("../models");
+const inventoryService = require("./inventoryService");
+const aliasService = require("./aliasService");
+
+/**
+ * 客户/商品合并服务
+ * 在一个事务中把被合并记录的订单、收款、退货、专属价格等引用改写到保留的记录，
+ * 记录别名（后续导入的旧名称映射到保留的记录）和合并记录
+ */
+class MergeService {
+  constructor() {
+    // 合并对象类型
+    this.TARGET_TYPE = {
+      CUSTOMER: "customer",
+      PRODUCT: "product"
+    };
+
+    // 专属价格冲突（同一客户、商品、规格已有价格）的处理方式
+    this.PRICE_POLICY = {
+      KEEP_TARGET: "keep_target", // 保留目标记录的价格
+      KEEP_SOURCE: "keep_source", // 使用被合并记录的价格
+      HIGHER: "higher",           // 取较高的价格
+      LOWER: "lower"              // 取较低的价格
+    };
+
+    // 合并客户时改写客户ID的表（专属价格单独处理）
+    this.CUSTOMER_REFERENCES = [
+      ["orders", Order],
+      ["payments", Payment],
+      ["orderReturns", OrderReturn]
+    ];
+
+    // 合并商品时改写商品ID的表（规格、包装单位、专属价格单独处理）
+    this.PRODUCT_REFERENCES = [
+      ["orderItems", OrderItem],
+      ["orderReturnItems", OrderReturnItem],
+      ["purchaseOrderItems", PurchaseOrderItem],
+      ["stockMovements", StockMovement],
+      ["costHistories", ProductCostHistory]
+    ];
+  }
+
+  /**
+   * 按冲突处理方式确定合并后的专属价格
+   * @param {number|string} targetPrice 目标记录的价格
+   * @param {number|string} sourcePrice 被合并记录的价格
+   * @param {string} policy 冲突处理方式
+   * @returns {number} 合并后的价格
+   */
+  resolvePrice(targetPrice, sourcePrice, policy) {
+    const target = parseFloat(targetPrice);
+    const source = parseFloat(sourcePrice);
+    switch (policy) {
+      case this.PRICE_POLICY.KEEP_SOURCE:
+        return source;
+      case this.PRICE_POLICY.HIGHER:
+        return Math.max(target, source);
+      case this.PRICE_POLICY.LOWER:
+        return Math.min(target, source);
+      default:
+        return target;
+    }
+  }
+
+  /**
+   * 改写专属价格，同一客户、商品、规格已有价格时按处理方式合并
+   * @param {Array} prices 被合并记录的专属价格
+   * @param {Function} getTargetKey 专属价格 -> 改写后的 { customerId, productId, variantId }
+   * @param {string} policy 冲突处理方式
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { moved, conflicts: [{ customerId, productId, variantId, targetPrice, sourcePrice, price }] }
+   */
+  async mergePrices(prices, getTargetKey, policy, transaction) {
+    const conflicts = [];
+    let moved = 0;
+
+    for (const price of prices) {
+      const key = getTargetKey(price);
+      const existing = await CustomerPrice.findOne({ where: key, transaction });
+      if (!existing) {
+        await price.update(key, { transaction });
+        moved++;
+        continue;
+      }
+
+      const resolved = this.resolvePrice(existing.price, price.price, policy);
+      conflicts.push({
+        ...key,
+        targetPrice: parseFloat(existing.price),
+        sourcePrice: parseFloat(price.price),
+        price: resolved
+      });
+      if (resolved !== parseFloat(existing.price)) {
+        await existing.update({ price: resolved }, { transaction });
+      }
+      await price.destroy({ transaction });
+    }
+
+    return { moved, conflicts };
+  }
+
+  /**
+   * 合并客户：订单、收款、退货和专属价格改到保留的客户，删除被合并的客户
+   * @param {object} source 被合并的客户
+   * @param {object} target 保留的客户
+   * @param {Object} options { pricePolicy, operator }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 合并记录
+   */
+  async mergeCustomer(source, target, { pricePolicy = this.PRICE_POLICY.KEEP_TARGET, operator }, transaction) {
+    const snapshot = source.toJSON();
+    const stats = {};
+
+    for (const [key, Model] of this.CUSTOMER_REFERENCES) {
+      const [count] = await Model.update(
+        { customerId: target.id },
+        { where: { customerId: source.id }, transaction }
+      );
+      stats[key] = count;
+    }
+
+    const prices = await CustomerPrice.findAll({ where: { customerId: source.id }, transaction });
+    const { moved, conflicts } = await this.mergePrices(prices, price => ({
+      customerId: target.id,
+      productId: price.productId,
+      variantId: price.variantId
+    }), pricePolicy, transaction);
+    stats.customerPrices = moved;
+    stats.priceConflicts = conflicts.length;
+
+    // 保留的客户没有电话时使用被合并客户的电话
+    if (!target.phone && source.phone) {
+      await target.update({ phone: source.phone }, { transaction });
+    }
+
+    stats.aliases = await aliasService.moveAliases(aliasService.TYPE.CUSTOMER, source, target, transaction);
+    await source.destroy({ transaction });
+
+    return MergeRecord.create({
+      targetType: this.TARGET_TYPE.CUSTOMER,
+      sourceId: source.id,
+      sourceName: source.name,
+      targetId: target.id,
+      targetName: target.name,
+      pricePolicy,
+      sourceSnapshot: snapshot,
+      stats,
+      priceConflicts: conflicts,
+      operator
+    }, { transaction });
+  }
+
+  /**
+   * 合并商品：订单项、退货项、采购项、库存流水、成本价历史、规格、包装单位和专属价格改到保留的商品，
+   * 被合并商品的库存累加到保留的商品，删除被合并的商品
+   * 同名规格合并为保留商品的规格，同名包装单位保留目标商品的设置
+   * @param {object} source 被合并的商品
+   * @param {object} target 保留的商品
+   * @param {Object} options { pricePolicy, operator }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 合并记录
+   */
+  async mergeProduct(source, target, { pricePolicy = this.PRICE_POLICY.KEEP_TARGET, operator }, transaction) {
+    const snapshot = source.toJSON();
+    const stats = {};
+
+    for (const [key, Model] of this.PRODUCT_REFERENCES) {
+      const [count] = await Model.update(
+        { productId: target.id },
+        { where: { productId: source.id }, transaction }
+      );
+      stats[key] = count;
+    }
+
+    // 规格：目标商品已有同名规格时，订单项和专属价格改用目标规格
+    const [sourceVariants, targetVariants] = await Promise.all([
+      ProductVariant.findAll({ where: { productId: source.id }, transaction }),
+      ProductVariant.findAll({ where: { productId: target.id }, transaction })
+    ]);
+    const targetVariantMap = new Map(targetVariants.map(variant => [variant.specification, variant]));
+    const variantIdMap = new Map();
+    stats.variants = 0;
+    for (const variant of sourceVariants) {
+      const existing = targetVariantMap.get(variant.specification);
+      if (existing) {
+        variantIdMap.set(variant.id, existing.id);
+        await OrderItem.update({ variantId: existing.id }, { where: { variantId: variant.id }, transaction });
+      } else {
+        await variant.update({ productId: target.id }, { transaction });
+        stats.variants++;
+      }
+    }
+
+    const prices = await CustomerPrice.findAll({ where: { productId: source.id }, transaction });
+    const { moved, conflicts } = await this.mergePrices(prices, price => ({
+      customerId: price.customerId,
+      productId: target.id,
+      variantId: variantIdMap.get(price.variantId) || price.variantId
+    }), pricePolicy, transaction);
+    stats.customerPrices = moved;
+    stats.priceConflicts = conflicts.length;
+
+    // 专属价格处理完后再删除同名规格
+    if (variantIdMap.size > 0) {
+      await ProductVariant.destroy({ where: { id: { [Op.in]: [...variantIdMap.keys()] } }, transaction });
+    }
+
+    // 包装单位：目标商品已有同名单位时保留目标商品的设置
+    const targetUnits = await ProductUnit.findAll({ where: { productId: target.id }, attributes: ["unit"], transaction });
+    const unitWhere = { productId: source.id };
+    if (targetUnits.length > 0) {
+      unitWhere.unit = { [Op.notIn]: targetUnits.map(item => item.unit) };
+    }
+    const [units] = await ProductUnit.update({ productId: target.id }, { where: unitWhere, transaction });
+    stats.units = units;
+    await ProductUnit.destroy({ where: { productId: source.id }, transaction });
+
+    // 被合并商品的库存流水已改到保留的商品，库存直接累加（不再记录调整流水，流水合计与库存一致）
+    const stockQuantity = inventoryService.round(source.stockQuantity);
+    if (stockQuantity !== 0) {
+      await target.update({
+        stockQuantity: inventoryService.round(parseFloat(target.stockQuantity) + stockQuantity)
+      }, { transaction });
+    }
+    stats.stockQuantity = stockQuantity;
+
+    stats.aliases = await aliasService.moveAliases(aliasService.TYPE.PRODUCT, source, target, transaction);
+    await source.destroy({ transaction });
+
+    return MergeRecord.create({
+      targetType: this.TARGET_TYPE.PRODUCT,
+      sourceId: source.id,
+      sourceName: source.name,
+      targetId: target.id,
+      targetName: target.name,
+      pricePolicy,
+      sourceSnapshot: snapshot,
+      stats,
+      priceConflicts: conflicts,
+      operator
+    }, { transaction });
+  }
+
+  /**
+   * 合并客户或商品（多个被合并记录依次合并到同一个保留记录）
+   * @param {string} type 合并对象类型（customer/product）
+   * @param {Object} params { sourceIds, targetId, pricePolicy, operator }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { errors, notFound, target, records }
+   */
+  async merge(type, { sourceIds, targetId, pricePolicy, operator }, transaction) {
+    const isCustomer = type === this.TARGET_TYPE.CUSTOMER;
+    const Model = isCustomer ? Customer : Product;
+    const label = isCustomer ? "客户" : "商品";
+
+    if (sourceIds.includes(targetId)) {
+      return { errors: [`不能把${label}合并到自身`] };
+    }
+
+    const ids = [targetId, ...sourceIds];
+    const rows = await Model.findAll({
+      where: { id: { [Op.in]: ids } },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const rowMap = new Map(rows.map(row => [row.id, row]));
+    const missing = ids.filter(id => !rowMap.has(id));
+    if (missing.length > 0) {
+      return { errors: [], notFound: `${label}不存在: ${missing.join(", ")}` };
+    }
+
+    const target = rowMap.get(targetId);
+    // 库存数量按基本单位累加，基本单位不同的商品不能直接合并
+    if (!isCustomer) {
+      const errors = sourceIds
+        .map(id => rowMap.get(id))
+        .filter(source => source.unit !== target.unit)
+        .map(source => `商品 ${source.name} 的单位 ${source.unit} 与保留商品的单位 ${target.unit} 不同，不能合并`);
+      if (errors.length > 0) {
+        return { errors };
+      }
+    }
+
+    const records = [];
+    for (const id of sourceIds) {
+      const source = rowMap.get(id);
+      records.push(isCustomer
+        ? await this.mergeCustomer(source, target, { pricePolicy, operator }, transaction)
+        : await this.mergeProduct(source, target, { pricePolicy, operator }, transaction));
+    }
+
+    await target.reload({ transaction });
+    return { errors: [], target, records };
+  }
+}
+
+module.exports = new MergeService();
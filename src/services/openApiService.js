@@ -0,0 +1,393 @@
+const validationSchemas = require("../utils/validation");
+const orderWorkflowService = require("./orderWorkflowService");
+const { version } = require("../../package.json");
+
+/**
+ * OpenAPI 文档服务
+ * 根据路由表和 Joi 验证模式生成 OpenAPI 3 文档，避免接口文档与校验规则不一致
+ */
+class OpenApiService {
+  constructor() {
+    // 接口统一前缀
+    this.BASE_PATH = "/api";
+
+    // 元数据中的动态枚举来源（值在生成文档时读取）
+    this.ENUM_SOURCES = {
+      orderStatus: () => orderWorkflowService.getStatuses()
+    };
+
+    // 统一响应格式（与 src/utils/response.js 保持一致）
+    this.ENVELOPE_SCHEMAS = {
+      SuccessResponse: {
+        type: "object",
+        description: "成功响应",
+        required: ["success", "code", "message", "data", "timestamp"],
+        properties: {
+          success: { type: "boolean", example: true },
+          code: { type: "integer", example: 200 },
+          message: { type: "string", example: "success" },
+          data: { description: "响应数据", nullable: true },
+          timestamp: { type: "string", format: "date-time" }
+        }
+      },
+      PaginationResponse: {
+        type: "object",
+        description: "分页响应",
+        required: ["success", "code", "message", "data", "timestamp"],
+        properties: {
+          success: { type: "boolean", example: true },
+          code: { type: "integer", example: 200 },
+          message: { type: "string", example: "success" },
+          data: {
+            type: "object",
+            required: ["list", "total", "page", "pageSize", "totalPages"],
+            properties: {
+              list: { type: "array", items: {} },
+              total: { type: "integer", description: "总数量" },
+              page: { type: "integer", description: "当前页码" },
+              pageSize: { type: "integer", description: "每页数量" },
+              totalPages: { type: "integer", description: "总页数" }
+            }
+          },
+          timestamp: { type: "string", format: "date-time" }
+        }
+      },
+      ErrorResponse: {
+        type: "object",
+        description: "错误响应（参数错误时 message 为逐行的字段错误）",
+        required: ["success", "code", "message", "data", "timestamp"],
+        properties: {
+          success: { type: "boolean", example: false },
+          code: { type: "integer", example: 400 },
+          message: { type: "string", example: "customerId: 客户ID格式不正确" },
+          data: { nullable: true },
+          timestamp: { type: "string", format: "date-time" }
+        }
+      }
+    };
+  }
+
+  /**
+   * 生成 OpenAPI 文档
+   * @param {Array} routeTable 路由表 [{ path, router, tag }]
+   * @returns {Object} OpenAPI 文档
+   */
+  buildDocument(routeTable) {
+    const schemaNames = this.getSchemaNames();
+    const components = { ...this.ENVELOPE_SCHEMAS };
+    const paths = {};
+
+    routeTable.forEach(({ path: mountPath, router, tag }) => {
+      router.stack
+        .filter(layer => layer.route)
+        .forEach(layer => {
+          const { path: routePath, methods } = layer.route;
+          const openApiPath = this.toOpenApiPath(this.BASE_PATH + mountPath + (routePath === "/" ? "" : routePath));
+          paths[openApiPath] = paths[openApiPath] || {};
+
+          Object.keys(methods).forEach(method => {
+            paths[openApiPath][method] = this.buildOperation(layer.route, method, tag, schemaNames, components);
+          });
+        });
+    });
+
+    return {
+      openapi: "3.0.3",
+      info: {
+        title: "订单管理系统接口",
+        version,
+        description: "除健康检查和本文档外，所有接口都需要微信云托管注入的 x-wx-openid 请求头识别用户身份"
+      },
+      servers: [{ url: "/" }],
+      tags: routeTable.map(({ tag }) => ({ name: tag })),
+      paths,
+      components: {
+        schemas: components,
+        securitySchemes: {
+          wxOpenid: { type: "apiKey", in: "header", name: "x-wx-openid" }
+        }
+      },
+      security: [{ wxOpenid: [] }]
+    };
+  }
+
+  /**
+   * 获取导出的 Joi 验证模式与组件名称的对应关系（productSchema -> Product）
+   * @returns {Map} 验证模式 -> 组件名称
+   */
+  getSchemaNames() {
+    const schemaNames = new Map();
+    Object.entries(validationSchemas)
+      .filter(([name, schema]) => name.endsWith("Schema") && schema && schema.describe)
+      .forEach(([name, schema]) => {
+        const componentName = name.charAt(0).toUpperCase() + name.slice(1, -"Schema".length);
+        schemaNames.set(schema, componentName);
+      });
+    return schemaNames;
+  }
+
+  /**
+   * 生成单个接口的文档
+   * @param {Object} route Express路由
+   * @param {string} method 请求方法
+   * @param {string} tag 分组名称
+   * @param {Map} schemaNames 验证模式 -> 组件名称
+   * @param {Object} components 组件集合（请求体模式写入其中）
+   * @returns {Object} 接口文档
+   */
+  buildOperation(route, method, tag, schemaNames, components) {
+    const handlers = route.stack.map(layer => layer.handle);
+    const handler = handlers[handlers.length - 1];
+    const permission = handlers.map(item => item.permission).find(Boolean);
+    const validations = handlers.map(item => item.validation).filter(Boolean);
+    const upload = handlers.map(item => item.upload).find(Boolean);
+
+    const operation = {
+      tags: [tag],
+      operationId: handler.name || undefined,
+      parameters: this.buildPathParameters(route.path)
+    };
+    if (permission) {
+      operation.description = `需要权限：${permission}`;
+      operation["x-permission"] = permission;
+    }
+
+    let paginated = false;
+    validations.forEach(({ source, schema }) => {
+      const description = schema.describe();
+
+      if (source === "body") {
+        const name = schemaNames.get(schema);
+        let bodySchema = this.toJsonSchema(description);
+        if (upload) {
+          // 上传接口的请求体字段为表单字段，与文件字段合并
+          operation.requestBody = this.buildUploadBody(upload, bodySchema);
+          return;
+        }
+        if (name) {
+          components[name] = bodySchema;
+          bodySchema = { $ref: `#/components/schemas/${name}` };
+        }
+        operation.requestBody = {
+          required: true,
+          content: { "application/json": { schema: bodySchema } }
+        };
+        return;
+      }
+
+      // 查询参数和路径参数按字段展开
+      Object.entries(description.keys || {}).forEach(([key, keyDescription]) => {
+        const parameter = {
+          name: key,
+          in: source === "params" ? "path" : "query",
+          required: source === "params" || (keyDescription.flags || {}).presence === "required",
+          schema: this.toJsonSchema(keyDescription)
+        };
+        operation.parameters = operation.parameters.filter(item => !(item.in === parameter.in && item.name === key));
+        operation.parameters.push(parameter);
+      });
+      if (source === "query" && description.keys && description.keys.page && description.keys.pageSize) {
+        paginated = true;
+      }
+    });
+
+    if (upload && !operation.requestBody) {
+      operation.requestBody = this.buildUploadBody(upload, { type: "object", properties: {} });
+    }
+
+    // 创建类接口返回 201
+    operation.responses = method === "post"
+      ? { 201: this.buildResponse("SuccessResponse", "创建成功") }
+      : { 200: this.buildResponse(paginated ? "PaginationResponse" : "SuccessResponse", "成功") };
+    if (validations.length > 0) {
+      operation.responses[400] = this.buildResponse("ErrorResponse", "参数验证失败");
+    }
+    operation.responses[401] = this.buildResponse("ErrorResponse", "未获取到微信用户身份");
+    if (permission) {
+      operation.responses[403] = this.buildResponse("ErrorResponse", "没有权限执行该操作");
+    }
+    operation.responses[500] = this.buildResponse("ErrorResponse", "服务器内部错误");
+
+    return operation;
+  }
+
+  /**
+   * 生成文件上传请求体文档（multipart/form-data）
+   * @param {Object} upload 上传中间件记录的信息 { field }
+   * @param {Object} formSchema 表单字段的 JSON Schema
+   * @returns {Object} 请求体文档
+   */
+  buildUploadBody(upload, formSchema) {
+    return {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            properties: {
+              [upload.field]: { type: "array", items: { type: "string", format: "binary" } },
+              ...formSchema.properties
+            },
+            required: [upload.field, ...(formSchema.required || [])]
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * 生成响应文档
+   * @param {string} schemaName 响应格式组件名称
+   * @param {string} description 描述
+   * @returns {Object} 响应文档
+   */
+  buildResponse(schemaName, description) {
+    return {
+      description,
+      content: { "application/json": { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+    };
+  }
+
+  /**
+   * 将 Express 路径转换为 OpenAPI 路径（/:id -> /{id}）
+   * @param {string} path Express路径
+   * @returns {string} OpenAPI路径
+   */
+  toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, "{$1}");
+  }
+
+  /**
+   * 根据 Express 路径生成路径参数
+   * @param {string} path Express路径
+   * @returns {Array} 路径参数
+   */
+  buildPathParameters(path) {
+    return (path.match(/:(\w+)/g) || []).map(param => ({
+      name: param.slice(1),
+      in: "path",
+      required: true,
+      schema: { type: "string" }
+    }));
+  }
+
+  /**
+   * 将 Joi 模式描述转换为 JSON Schema（OpenAPI 3.0 方言）
+   * @param {Object} description Joi 模式描述（schema.describe() 的结果）
+   * @returns {Object} JSON Schema
+   */
+  toJsonSchema(description) {
+    const flags = description.flags || {};
+    const rules = description.rules || [];
+    const allow = description.allow || [];
+    const schema = {};
+
+    switch (description.type) {
+      case "object": {
+        schema.type = "object";
+        schema.properties = {};
+        const required = [];
+        Object.entries(description.keys || {}).forEach(([key, keyDescription]) => {
+          schema.properties[key] = this.toJsonSchema(keyDescription);
+          if ((keyDescription.flags || {}).presence === "required") {
+            required.push(key);
+          }
+        });
+        if (required.length > 0) {
+          schema.required = required;
+        }
+        break;
+      }
+      case "array":
+        schema.type = "array";
+        schema.items = description.items && description.items.length > 0
+          ? this.toJsonSchema(description.items[0])
+          : {};
+        break;
+      case "number":
+        schema.type = rules.some(rule => rule.name === "integer") ? "integer" : "number";
+        break;
+      case "date":
+        schema.type = "string";
+        schema.format = "date-time";
+        break;
+      case "boolean":
+        schema.type = "boolean";
+        break;
+      case "string":
+        schema.type = "string";
+        break;
+      default:
+        break;
+    }
+
+    rules.forEach(({ name, args = {} }) => {
+      switch (`${description.type}.${name}`) {
+        case "string.max":
+          schema.maxLength = args.limit;
+          break;
+        case "string.min":
+          schema.minLength = args.limit;
+          break;
+        case "string.guid":
+          schema.format = "uuid";
+          break;
+        case "string.pattern":
+          schema.pattern = args.regex.replace(/^\/(.*)\/\w*$/, "$1");
+          break;
+        case "number.min":
+          schema.minimum = args.limit;
+          break;
+        case "number.max":
+          schema.maximum = args.limit;
+          break;
+        case "number.greater":
+          schema.minimum = args.limit;
+          schema.exclusiveMinimum = true;
+          break;
+        case "number.precision":
+          schema.multipleOf = Math.pow(10, -args.limit);
+          break;
+        case "array.min":
+          schema.minItems = args.limit;
+          break;
+        case "array.max":
+          schema.maxItems = args.limit;
+          break;
+        case "array.unique":
+          schema.uniqueItems = true;
+          break;
+        case "object.min":
+          schema.minProperties = args.limit;
+          break;
+        default:
+          break;
+      }
+    });
+
+    // 枚举值：valid() 定义的固定值，或元数据指定的动态来源
+    const enumSource = (description.metas || []).map(meta => meta.enumSource).find(Boolean);
+    let values = null;
+    if (flags.only) {
+      values = allow.filter(value => value !== null && value !== "");
+    } else if (enumSource && this.ENUM_SOURCES[enumSource]) {
+      values = this.ENUM_SOURCES[enumSource]();
+      // 动态枚举的可选值随配置变化，标记来源供客户端生成时使用
+      schema["x-enum-source"] = enumSource;
+    }
+    if (values) {
+      schema.enum = allow.includes("") ? [...values, ""] : values;
+    }
+
+    if (allow.includes(null)) {
+      schema.nullable = true;
+    }
+    if (flags.default !== undefined && typeof flags.default !== "function") {
+      schema.default = flags.default;
+    }
+
+    return schema;
+  }
+}
+
+module.exports = new OpenApiService();
@@ -0,0 +1,251 @@
+const { Order, OrderReturn, OrderSequence, PurchaseOrder } = require("../models");
+const { QueryTypes, UniqueConstraintError } = require("sequelize");
+const { generateUUID } = require("../utils/orderNumber");
+const { isSqlite } = require("../utils/sqlDialect");
+const systemConfigService = require("./systemConfigService");
+
+/**
+ * 订单号服务
+ * 订单号由「前缀 + 日期 + 当日序号」组成，序号按单据类型和日期保存在 order_sequences 表中，
+ * 在创建单据的事务内加一，事务回滚时序号一并回滚；退货单号、采购单号使用同样的序号，规则固定
+ */
+class OrderNumberService {
+  constructor() {
+    // 单据类型（各自按天独立计数）
+    this.SEQUENCE_TYPE = {
+      ORDER: "order",
+      RETURN: "return",
+      PURCHASE: "purchase"
+    };
+
+    // 单号字段（用于检查单号是否已被占用）
+    this.NUMBER_FIELDS = {
+      [this.SEQUENCE_TYPE.ORDER]: { model: Order, attribute: "orderNo", field: "order_no" },
+      [this.SEQUENCE_TYPE.RETURN]: { model: OrderReturn, attribute: "returnNo", field: "return_no" },
+      [this.SEQUENCE_TYPE.PURCHASE]: { model: PurchaseOrder, attribute: "purchaseNo", field: "purchase_no" }
+    };
+
+    // 订单以外单据的单号规则：前缀 + YYYYMMDD + 4位序号
+    this.DOCUMENT_PATTERNS = {
+      [this.SEQUENCE_TYPE.RETURN]: { prefix: "TH", dateFormat: "YYYYMMDD", sequenceWidth: 4 },
+      [this.SEQUENCE_TYPE.PURCHASE]: { prefix: "CG", dateFormat: "YYYYMMDD", sequenceWidth: 4 }
+    };
+
+    // 订单号字段长度
+    this.MAX_LENGTH = 20;
+
+    // 订单号已被占用时的最大重试次数（如导入的历史订单）
+    this.MAX_ATTEMPTS = 20;
+
+    // 日期格式：年（YYYY 或 YY）、月、日，可用 - 或 _ 分隔
+    this.DATE_FORMAT_PATTERN = /^(YYYY|YY)[-_]?MM[-_]?DD$/;
+  }
+
+  /**
+   * 获取订单号规则
+   * @returns {Promise<Object>} { prefix, dateFormat, sequenceWidth }
+   */
+  async getPattern() {
+    const { KEYS } = systemConfigService;
+    const values = await systemConfigService.getValues([
+      KEYS.ORDER_NO_PREFIX,
+      KEYS.ORDER_NO_DATE_FORMAT,
+      KEYS.ORDER_NO_SEQUENCE_WIDTH
+    ]);
+
+    return {
+      prefix: values[KEYS.ORDER_NO_PREFIX] || "",
+      dateFormat: values[KEYS.ORDER_NO_DATE_FORMAT],
+      sequenceWidth: parseInt(values[KEYS.ORDER_NO_SEQUENCE_WIDTH]) || 4
+    };
+  }
+
+  /**
+   * 检查订单号规则
+   * @param {Object} pattern 订单号规则 { prefix, dateFormat, sequenceWidth }
+   * @returns {Array} 错误信息列表
+   */
+  checkPattern(pattern) {
+    const errors = [];
+
+    if (!this.DATE_FORMAT_PATTERN.test(pattern.dateFormat)) {
+      errors.push("日期格式必须包含年（YYYY 或 YY）、月（MM）、日（DD），可用 - 或 _ 分隔");
+      return errors;
+    }
+
+    const length = this.format(pattern, new Date(), 0).length;
+    if (length > this.MAX_LENGTH) {
+      errors.push(`订单号长度 ${length} 超过 ${this.MAX_LENGTH} 位，请缩短前缀或序号位数`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 保存订单号规则
+   * @param {Object} pattern 订单号规则 { prefix, dateFormat, sequenceWidth }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array>} 错误信息列表
+   */
+  async savePattern(pattern, transaction = null) {
+    const errors = this.checkPattern(pattern);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const { KEYS } = systemConfigService;
+    await systemConfigService.setValue(KEYS.ORDER_NO_PREFIX, pattern.prefix || "", "订单号前缀", transaction);
+    await systemConfigService.setValue(KEYS.ORDER_NO_DATE_FORMAT, pattern.dateFormat, "订单号日期格式", transaction);
+    await systemConfigService.setValue(KEYS.ORDER_NO_SEQUENCE_WIDTH, String(pattern.sequenceWidth), "订单号序号位数", transaction);
+
+    return errors;
+  }
+
+  /**
+   * 按规则格式化订单号
+   * @param {Object} pattern 订单号规则 { prefix, dateFormat, sequenceWidth }
+   * @param {Date} date 下单日期
+   * @param {number} sequence 当日序号
+   * @returns {string} 订单号
+   */
+  format(pattern, date, sequence) {
+    const year = String(date.getFullYear());
+    const datePart = pattern.dateFormat
+      .replace("YYYY", year)
+      .replace("YY", year.slice(-2))
+      .replace("MM", String(date.getMonth() + 1).padStart(2, "0"))
+      .replace("DD", String(date.getDate()).padStart(2, "0"));
+
+    return `${pattern.prefix}${datePart}${String(sequence).padStart(pattern.sequenceWidth, "0")}`;
+  }
+
+  /**
+   * 预览下一个订单号（不占用序号）
+   * @param {Object} pattern 订单号规则
+   * @param {Date} date 下单日期
+   * @returns {Promise<string>} 订单号
+   */
+  async previewOrderNumber(pattern, date = new Date()) {
+    const sequence = await OrderSequence.findOne({
+      where: { sequenceType: this.SEQUENCE_TYPE.ORDER, sequenceDate: this.formatSequenceDate(date) }
+    });
+    return this.format(pattern, date, (sequence ? sequence.currentValue : 0) + 1);
+  }
+
+  /**
+   * 格式化序号日期 YYYYMMDD
+   * @param {Date} date 日期
+   * @returns {string} 序号日期
+   */
+  formatSequenceDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${year}${month}${day}`;
+  }
+
+  /**
+   * 分配当日下一个序号
+   * 以一条 upsert 语句创建当日序号或加一（MySQL 用 LAST_INSERT_ID、SQLite 用 RETURNING 取回新值），
+   * 避免先 UPDATE 未命中再 INSERT 时并发事务在间隙锁上死锁；行锁持有到事务结束，并发请求依次取号
+   * @param {Date} date 日期
+   * @param {object} transaction 数据库事务
+   * @param {string} sequenceType 单据类型
+   * @returns {Promise<number>} 序号
+   */
+  async nextSequence(date, transaction, sequenceType = this.SEQUENCE_TYPE.ORDER) {
+    const { sequelize, tableName } = OrderSequence;
+    const now = new Date();
+    const replacements = [generateUUID(), sequenceType, this.formatSequenceDate(date), now, now];
+    const columns = "(id, sequence_type, sequence_date, current_value, created_at, updated_at)";
+
+    if (isSqlite()) {
+      // 以 WITH 开头：Sequelize 会把 INSERT 开头的语句按无结果集执行，取不到 RETURNING 的值；
+      // INSERT ... SELECT 带 ON CONFLICT 时需要 WHERE 子句消除语法歧义
+      const [row] = await sequelize.query(
+        `WITH next_sequence ${columns} AS (VALUES (?, ?, ?, 1, ?, ?))
+         INSERT INTO ${tableName} ${columns} SELECT * FROM next_sequence WHERE true
+         ON CONFLICT (sequence_type, sequence_date)
+         DO UPDATE SET current_value = current_value + 1, updated_at = excluded.updated_at
+         RETURNING current_value`,
+        { replacements, type: QueryTypes.SELECT, transaction }
+      );
+      return row.current_value;
+    }
+
+    await sequelize.query(
+      `INSERT INTO ${tableName} ${columns} VALUES (?, ?, ?, LAST_INSERT_ID(1), ?, ?)
+       ON DUPLICATE KEY UPDATE current_value = LAST_INSERT_ID(current_value + 1), updated_at = VALUES(updated_at)`,
+      { replacements, transaction }
+    );
+    const [row] = await sequelize.query("SELECT LAST_INSERT_ID() AS value", {
+      type: QueryTypes.SELECT,
+      transaction
+    });
+    return parseInt(row.value);
+  }
+
+  /**
+   * 生成下一个单号（跳过已被占用的单号）
+   * @param {string} sequenceType 单据类型
+   * @param {object} transaction 数据库事务
+   * @param {Date} date 单据日期
+   * @returns {Promise<string>} 单号
+   */
+  async nextNumber(sequenceType, transaction, date = new Date()) {
+    const pattern = sequenceType === this.SEQUENCE_TYPE.ORDER
+      ? await this.getPattern()
+      : this.DOCUMENT_PATTERNS[sequenceType];
+    const { model, attribute } = this.NUMBER_FIELDS[sequenceType];
+
+    for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+      const number = this.format(pattern, date, await this.nextSequence(date, transaction, sequenceType));
+      const existing = await model.findOne({
+        where: { [attribute]: number },
+        attributes: ["id"],
+        transaction
+      });
+      if (!existing) {
+        return number;
+      }
+    }
+
+    throw new Error("生成单号失败，请稍后重试");
+  }
+
+  /**
+   * 分配单号并创建单据，单号冲突时重新取号
+   * @param {string} sequenceType 单据类型
+   * @param {Function} create 创建函数 (number) => Promise<Model>
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 创建的单据
+   */
+  async createWithNumber(sequenceType, create, transaction) {
+    const { attribute, field } = this.NUMBER_FIELDS[sequenceType];
+
+    for (let attempt = 1; ; attempt++) {
+      const number = await this.nextNumber(sequenceType, transaction);
+      try {
+        return await create(number);
+      } catch (error) {
+        const isNumberConflict = error instanceof UniqueConstraintError &&
+          error.errors.some(item => [attribute, field].includes(item.path));
+        if (!isNumberConflict || attempt >= this.MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * 分配订单号并创建订单
+   * @param {Function} create 创建函数 (orderNo) => Promise<Order>
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 创建的订单
+   */
+  async createWithOrderNumber(create, transaction) {
+    return this.createWithNumber(this.SEQUENCE_TYPE.ORDER, create, transaction);
+  }
+}
+
+module.exports = new OrderNumberService();
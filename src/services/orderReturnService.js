@@ -0,0 +1,147 @@
+const { OrderReturnItem } = require("../models");
+const { Op, literal } = require("sequelize");
+const orderStatusService = require("./orderStatusService");
+
+/**
+ * 退货服务
+ * 负责退货数量校验、退货金额计算等规则
+ */
+class OrderReturnService {
+  constructor() {
+    // 定义退款方式
+    this.REFUND_TYPE = {
+      REFUND: "refund", // 退款（退还现金）
+      CREDIT: "credit"  // 冲抵欠款
+    };
+
+    // 定义退款方式描述
+    this.REFUND_TYPE_DESCRIPTIONS = {
+      [this.REFUND_TYPE.REFUND]: "退款",
+      [this.REFUND_TYPE.CREDIT]: "冲抵欠款"
+    };
+  }
+
+  /**
+   * 获取退款方式描述
+   * @param {string} refundType 退款方式
+   * @returns {string} 退款方式描述
+   */
+  getRefundTypeDescription(refundType) {
+    return this.REFUND_TYPE_DESCRIPTIONS[refundType] || refundType;
+  }
+
+  /**
+   * 检查订单是否可以退货
+   * @param {Object} order 订单对象
+   * @returns {Object} 检查结果
+   */
+  canReturnOrder(order) {
+    // 允许退货的订单状态由订单流程配置决定（默认只有已完成）
+    const returnableStatuses = orderStatusService.getReturnableStatuses();
+    if (!returnableStatuses.includes(order.status)) {
+      return {
+        canReturn: false,
+        reason: `订单状态为 ${orderStatusService.getStatusDescription(order.status)}，只有${returnableStatuses.map(status => orderStatusService.getStatusDescription(status)).join("、")}的订单可以退货`
+      };
+    }
+
+    return {
+      canReturn: true,
+      reason: "订单可以退货"
+    };
+  }
+
+  /**
+   * 获取订单项已退货数量
+   * @param {Array<string>} orderItemIds 订单项ID列表
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} orderItemId -> 已退货数量
+   */
+  async getReturnedQuantityMap(orderItemIds, transaction = null) {
+    const returnedMap = {};
+    if (!orderItemIds || orderItemIds.length === 0) {
+      return returnedMap;
+    }
+
+    const rows = await OrderReturnItem.findAll({
+      where: {
+        orderItemId: {
+          [Op.in]: orderItemIds
+        }
+      },
+      attributes: [
+        "orderItemId",
+        [literal("SUM(quantity)"), "returnedQuantity"]
+      ],
+      group: ["orderItemId"],
+      raw: true,
+      transaction
+    });
+
+    rows.forEach(row => {
+      returnedMap[row.orderItemId] = parseFloat(row.returnedQuantity) || 0;
+    });
+
+    return returnedMap;
+  }
+
+  /**
+   * 校验并生成退货项
+   * 同一订单项的退货数量累计不能超过销售数量
+   * @param {Array} orderItems 原订单项列表
+   * @param {Array} returnItems 请求的退货项 [{ orderItemId, quantity }]
+   * @param {Object} returnedMap 已退货数量映射
+   * @returns {Object} { items, totalAmount, errors }
+   */
+  buildReturnItems(orderItems, returnItems, returnedMap) {
+    const orderItemMap = new Map(orderItems.map(item => [item.id, item]));
+    const requestedMap = new Map();
+    const errors = [];
+
+    // 合并同一订单项的退货数量
+    returnItems.forEach(item => {
+      requestedMap.set(item.orderItemId, (requestedMap.get(item.orderItemId) || 0) + parseFloat(item.quantity));
+    });
+
+    const items = [];
+    let totalAmount = 0;
+
+    requestedMap.forEach((quantity, orderItemId) => {
+      const orderItem = orderItemMap.get(orderItemId);
+      if (!orderItem) {
+        errors.push(`订单项不存在: ${orderItemId}`);
+        return;
+      }
+
+      const soldQuantity = parseFloat(orderItem.quantity);
+      const returnedQuantity = returnedMap[orderItemId] || 0;
+      const returnableQuantity = Math.round((soldQuantity - returnedQuantity) * 100) / 100;
+      if (quantity > returnableQuantity) {
+        errors.push(`${orderItem.productName} 退货数量 ${quantity} 超过可退数量 ${returnableQuantity}`);
+        return;
+      }
+
+      const totalPrice = Math.round(quantity * parseFloat(orderItem.unitPrice) * 100) / 100;
+      totalAmount += totalPrice;
+
+      items.push({
+        orderItemId,
+        productId: orderItem.productId,
+        productName: orderItem.productName,
+        unit: orderItem.unit,
+        conversionFactor: orderItem.conversionFactor,
+        quantity,
+        unitPrice: orderItem.unitPrice,
+        totalPrice
+      });
+    });
+
+    return {
+      items,
+      totalAmount: Math.round(totalAmount * 100) / 100,
+      errors
+    };
+  }
+}
+
+module.exports = new OrderReturnService();
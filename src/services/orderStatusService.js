@@ -1,41 +1,13 @@
 const { Order, OrderHistory } = require("../models");
+const inventoryService = require("./inventoryService");
+const userService = require("./userService");
+const orderWorkflowService = require("./orderWorkflowService");
 
 /**
  * 订单状态管理服务
  * 负责订单状态的流转规则、验证和自动处理
  */
 class OrderStatusService {
-  constructor() {
-    // 定义订单状态
-    this.STATUS = {
-      DRAFT: "draft",           // 草稿
-      PROCESSING: "processing", // 处理中
-      COMPLETED: "completed",   // 已完成
-      CANCELLED: "cancelled"    // 已取消
-    };
-
-    // 定义状态流转规则
-    this.STATUS_TRANSITIONS = {
-      [this.STATUS.DRAFT]: [this.STATUS.PROCESSING, this.STATUS.CANCELLED],
-      [this.STATUS.PROCESSING]: [this.STATUS.COMPLETED, this.STATUS.CANCELLED],
-      [this.STATUS.COMPLETED]: [], // 终态，不能转换
-      [this.STATUS.CANCELLED]: []  // 终态，不能转换
-    };
-
-    // 定义状态描述
-    this.STATUS_DESCRIPTIONS = {
-      [this.STATUS.DRAFT]: "草稿",
-      [this.STATUS.PROCESSING]: "处理中",
-      [this.STATUS.COMPLETED]: "已完成",
-      [this.STATUS.CANCELLED]: "已取消"
-    };
-
-    // 定义角色权限（简化后只有admin角色）
-    this.ROLE_PERMISSIONS = {
-      admin: Object.values(this.STATUS) // 管理员可以操作所有状态
-    };
-  }
-
   /**
    * 验证状态流转是否合法
    * @param {string} fromStatus 当前状态
@@ -43,21 +15,22 @@ class OrderStatusService {
    * @returns {boolean} 是否合法
    */
   isValidTransition(fromStatus, toStatus) {
-    if (!this.STATUS_TRANSITIONS[fromStatus]) {
-      return false;
-    }
-    return this.STATUS_TRANSITIONS[fromStatus].includes(toStatus);
+    return this.getAvailableTransitions(fromStatus).includes(toStatus);
   }
 
   /**
    * 验证用户是否有权限执行状态变更
    * @param {string} role 用户角色
    * @param {string} toStatus 目标状态
+   * @param {string} fromStatus 当前状态（不传时只校验目标状态）
    * @returns {boolean} 是否有权限
    */
-  hasPermission(role, toStatus) {
-    const permissions = this.ROLE_PERMISSIONS[role] || [];
-    return permissions.includes(toStatus);
+  hasPermission(role, toStatus, fromStatus = null) {
+    return orderWorkflowService.getWorkflow().transitions.some(transition =>
+      transition.to === toStatus &&
+      (!fromStatus || transition.from === fromStatus) &&
+      transition.roles.includes(role)
+    );
   }
 
   /**
@@ -66,7 +39,7 @@ class OrderStatusService {
    * @returns {Array} 可转换的状态列表
    */
   getAvailableTransitions(currentStatus) {
-    return this.STATUS_TRANSITIONS[currentStatus] || [];
+    return orderWorkflowService.getTransitionsFrom(currentStatus).map(transition => transition.to);
   }
 
   /**
@@ -75,7 +48,57 @@ class OrderStatusService {
    * @returns {string} 状态描述
    */
   getStatusDescription(status) {
-    return this.STATUS_DESCRIPTIONS[status] || status;
+    return orderWorkflowService.getLabel(status);
+  }
+
+  /**
+   * 获取新建订单的状态
+   * @returns {string} 状态
+   */
+  getInitialStatus() {
+    return orderWorkflowService.getInitialStatus();
+  }
+
+  /**
+   * 获取取消状态
+   * @returns {string} 状态
+   */
+  getCancelStatus() {
+    return orderWorkflowService.getCancelStatus();
+  }
+
+  /**
+   * 判断订单状态是否允许修改订单内容
+   * @param {string} status 状态
+   * @returns {boolean} 是否可修改
+   */
+  isEditable(status) {
+    return orderWorkflowService.hasFlag(status, "editable");
+  }
+
+  /**
+   * 判断订单状态是否已确认（已扣减库存、可收款、计入应收和毛利）
+   * @param {string} status 状态
+   * @returns {boolean} 是否已确认
+   */
+  isConfirmed(status) {
+    return orderWorkflowService.hasFlag(status, "confirmed");
+  }
+
+  /**
+   * 获取所有已确认的订单状态
+   * @returns {Array<string>} 状态列表
+   */
+  getConfirmedStatuses() {
+    return orderWorkflowService.getStatusesWithFlag("confirmed");
+  }
+
+  /**
+   * 获取所有可退货的订单状态
+   * @returns {Array<string>} 状态列表
+   */
+  getReturnableStatuses() {
+    return orderWorkflowService.getStatusesWithFlag("returnable");
   }
 
   /**
@@ -96,8 +119,18 @@ class OrderStatusService {
     }
 
     // 验证权限
-    if (!this.hasPermission(role, toStatus)) {
-      throw new Error(`用户角色 ${role} 没有权限将状态变更为 ${toStatus}`);
+    if (!this.hasPermission(role, toStatus, fromStatus)) {
+      throw new Error(`${userService.getRoleDescription(role)}没有权限将${this.getStatusDescription(fromStatus)}订单变更为${this.getStatusDescription(toStatus)}`);
+    }
+
+    // 进入已确认状态时扣减库存，退出已确认状态（如取消）时释放已扣减的库存
+    let stockWarnings = [];
+    const fromConfirmed = this.isConfirmed(fromStatus);
+    const toConfirmed = this.isConfirmed(toStatus);
+    if (toConfirmed && !fromConfirmed) {
+      stockWarnings = await inventoryService.deductForOrder(orderId, operator, transaction);
+    } else if (fromConfirmed && !toConfirmed) {
+      await inventoryService.releaseForOrder(orderId, operator, transaction);
     }
 
     // 更新订单状态
@@ -119,6 +152,7 @@ class OrderStatusService {
         toStatusDesc: this.getStatusDescription(toStatus),
         role,
         remark,
+        stockWarnings,
         timestamp: new Date().toISOString()
       }
     }, { transaction });
@@ -127,6 +161,7 @@ class OrderStatusService {
       success: true,
       fromStatus,
       toStatus,
+      stockWarnings,
       description: `订单状态从 ${this.getStatusDescription(fromStatus)} 变更为 ${this.getStatusDescription(toStatus)}`
     };
   }
@@ -164,9 +199,7 @@ class OrderStatusService {
    * @returns {Object} 检查结果
    */
   canCancelOrder(order) {
-    const cancellableStatuses = [this.STATUS.DRAFT, this.STATUS.PROCESSING];
-    
-    if (!cancellableStatuses.includes(order.status)) {
+    if (!this.isValidTransition(order.status, this.getCancelStatus())) {
       return {
         canCancel: false,
         reason: `订单状态为 ${this.getStatusDescription(order.status)}，无法取消`
@@ -0,0 +1,282 @@
+const { Order } = require("../models");
+const systemConfigService = require("./systemConfigService");
+const userService = require("./userService");
+
+/**
+ * 订单流程配置服务
+ * 订单状态、状态名称、流转规则及各状态的业务属性保存在 system_configs 中，
+ * 加载后缓存在内存里，供状态服务、Joi验证模式和中间件同步读取
+ */
+class OrderWorkflowService {
+  constructor() {
+    // 多实例部署时定期从数据库重新加载（毫秒）
+    this.CACHE_TTL = 60 * 1000;
+
+    // 默认订单流程
+    // editable: 可修改订单内容；confirmed: 已确认（扣减库存、可收款、计入应收和毛利）；
+    // returnable: 可退货；terminal: 终态，不能再流转
+    this.DEFAULT_WORKFLOW = {
+      initialStatus: "draft",
+      cancelStatus: "cancelled",
+      states: [
+        { status: "draft", label: "草稿", editable: true, confirmed: false, returnable: false, terminal: false },
+        { status: "processing", label: "处理中", editable: false, confirmed: true, returnable: false, terminal: false },
+        { status: "completed", label: "已完成", editable: false, confirmed: true, returnable: true, terminal: true },
+        { status: "cancelled", label: "已取消", editable: false, confirmed: false, returnable: false, terminal: true }
+      ],
+      transitions: [
+        { from: "draft", to: "processing", roles: ["owner", "clerk"] },
+        { from: "draft", to: "cancelled", roles: ["owner", "clerk"] },
+        { from: "processing", to: "completed", roles: ["owner", "clerk", "driver"] },
+        // 已出库的订单由老板取消
+        { from: "processing", to: "cancelled", roles: ["owner"] }
+      ]
+    };
+
+    this.apply(this.DEFAULT_WORKFLOW);
+    this.loadedAt = 0;
+  }
+
+  /**
+   * 应用流程定义并建立索引
+   * @param {Object} workflow 流程定义
+   */
+  apply(workflow) {
+    this.workflow = workflow;
+    this.stateMap = new Map(workflow.states.map(state => [state.status, state]));
+  }
+
+  /**
+   * 从系统配置加载流程定义（配置无效时使用默认流程）
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 流程定义
+   */
+  async load(transaction = null) {
+    const value = await systemConfigService.getValue(systemConfigService.KEYS.ORDER_WORKFLOW, null, transaction);
+
+    let workflow = this.DEFAULT_WORKFLOW;
+    if (value) {
+      try {
+        const saved = JSON.parse(value);
+        const errors = this.checkWorkflow(saved);
+        if (errors.length > 0) {
+          console.error("订单流程配置无效，使用默认流程:", errors.join("; "));
+        } else {
+          workflow = saved;
+        }
+      } catch (error) {
+        console.error("订单流程配置解析失败，使用默认流程:", error.message);
+      }
+    }
+
+    this.apply(workflow);
+    this.loadedAt = Date.now();
+    return workflow;
+  }
+
+  /**
+   * 缓存过期时重新加载流程定义
+   * @returns {Promise<Object>} 流程定义
+   */
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt > this.CACHE_TTL) {
+      await this.load();
+    }
+    return this.workflow;
+  }
+
+  /**
+   * 检查流程定义的业务规则（结构由 orderWorkflowSchema 校验）
+   * @param {Object} workflow 流程定义
+   * @returns {Array} 错误信息列表
+   */
+  checkWorkflow(workflow) {
+    const errors = [];
+    const states = Array.isArray(workflow.states) ? workflow.states : [];
+    const transitions = Array.isArray(workflow.transitions) ? workflow.transitions : [];
+    const stateMap = new Map();
+
+    states.forEach(state => {
+      if (stateMap.has(state.status)) {
+        errors.push(`状态重复: ${state.status}`);
+      }
+      stateMap.set(state.status, state);
+      if (state.returnable && !state.confirmed) {
+        errors.push(`可退货的状态必须是已确认状态: ${state.status}`);
+      }
+      // 已确认订单的库存已扣减，修改订单项不会重新计算库存
+      if (state.editable && state.confirmed) {
+        errors.push(`已确认状态不能修改订单内容: ${state.status}`);
+      }
+    });
+
+    const initialState = stateMap.get(workflow.initialStatus);
+    if (!initialState) {
+      errors.push(`初始状态不存在: ${workflow.initialStatus}`);
+    } else if (initialState.terminal || initialState.confirmed) {
+      errors.push("初始状态不能是终态或已确认状态");
+    }
+
+    const cancelState = stateMap.get(workflow.cancelStatus);
+    if (!cancelState) {
+      errors.push(`取消状态不存在: ${workflow.cancelStatus}`);
+    } else if (!cancelState.terminal || cancelState.confirmed) {
+      errors.push("取消状态必须是终态且不是已确认状态");
+    }
+
+    const transitionKeys = new Set();
+    transitions.forEach(transition => {
+      const key = `${transition.from}->${transition.to}`;
+      if (!stateMap.has(transition.from) || !stateMap.has(transition.to)) {
+        errors.push(`流转引用了不存在的状态: ${key}`);
+        return;
+      }
+      if (transition.from === transition.to) {
+        errors.push(`不能流转到自身: ${key}`);
+      }
+      if (transitionKeys.has(key)) {
+        errors.push(`流转重复: ${key}`);
+      }
+      if (stateMap.get(transition.from).terminal) {
+        errors.push(`终态不能再流转: ${key}`);
+      }
+      // 退货已回补库存，再释放整单库存会重复入库
+      if (stateMap.get(transition.from).returnable && !stateMap.get(transition.to).confirmed) {
+        errors.push(`可退货状态只能流转到已确认状态: ${key}`);
+      }
+      (transition.roles || []).forEach(role => {
+        if (!Object.values(userService.ROLE).includes(role)) {
+          errors.push(`流转 ${key} 的角色不存在: ${role}`);
+        }
+      });
+      transitionKeys.add(key);
+    });
+
+    states.forEach(state => {
+      if (!state.terminal && !transitions.some(transition => transition.from === state.status)) {
+        errors.push(`非终态必须至少有一个流转: ${state.status}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * 保存流程定义（事务提交后需调用 apply 使其生效）
+   * 已有订单使用的状态不能删除
+   * @param {Object} workflow 流程定义
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { errors, workflow }
+   */
+  async saveWorkflow(workflow, transaction = null) {
+    const errors = this.checkWorkflow(workflow);
+
+    const usedStatuses = await Order.findAll({
+      attributes: ["status"],
+      group: ["status"],
+      raw: true,
+      transaction
+    });
+    const statuses = workflow.states.map(state => state.status);
+    usedStatuses.forEach(({ status }) => {
+      if (!statuses.includes(status)) {
+        errors.push(`状态 ${status} 已有订单使用，不能删除`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return { errors, workflow: null };
+    }
+
+    await systemConfigService.setValue(
+      systemConfigService.KEYS.ORDER_WORKFLOW,
+      JSON.stringify(workflow),
+      "订单状态流程",
+      transaction
+    );
+
+    return { errors, workflow };
+  }
+
+  /**
+   * 获取当前流程定义
+   * @returns {Object} 流程定义
+   */
+  getWorkflow() {
+    return this.workflow;
+  }
+
+  /**
+   * 获取所有状态
+   * @returns {Array<string>} 状态列表
+   */
+  getStatuses() {
+    return this.workflow.states.map(state => state.status);
+  }
+
+  /**
+   * 判断状态是否存在
+   * @param {string} status 状态
+   * @returns {boolean} 是否存在
+   */
+  hasStatus(status) {
+    return this.stateMap.has(status);
+  }
+
+  /**
+   * 获取状态名称
+   * @param {string} status 状态
+   * @returns {string} 状态名称
+   */
+  getLabel(status) {
+    const state = this.stateMap.get(status);
+    return state ? state.label : status;
+  }
+
+  /**
+   * 获取初始状态（新建订单的状态）
+   * @returns {string} 状态
+   */
+  getInitialStatus() {
+    return this.workflow.initialStatus;
+  }
+
+  /**
+   * 获取取消状态
+   * @returns {string} 状态
+   */
+  getCancelStatus() {
+    return this.workflow.cancelStatus;
+  }
+
+  /**
+   * 获取从某状态出发的流转
+   * @param {string} fromStatus 当前状态
+   * @returns {Array} 流转列表 [{ from, to, roles }]
+   */
+  getTransitionsFrom(fromStatus) {
+    return this.workflow.transitions.filter(transition => transition.from === fromStatus);
+  }
+
+  /**
+   * 获取状态的属性
+   * @param {string} status 状态
+   * @param {string} flag 属性名 editable/confirmed/returnable/terminal
+   * @returns {boolean} 属性值
+   */
+  hasFlag(status, flag) {
+    const state = this.stateMap.get(status);
+    return !!(state && state[flag]);
+  }
+
+  /**
+   * 获取具有某属性的所有状态
+   * @param {string} flag 属性名 editable/confirmed/returnable/terminal
+   * @returns {Array<string>} 状态列表
+   */
+  getStatusesWithFlag(flag) {
+    return this.workflow.states.filter(state => state[flag]).map(state => state.status);
+  }
+}
+
+module.exports = new OrderWorkflowService();
@@ -0,0 +1,346 @@
+const { Order, Payment, OrderReturn } = require("../models");
+const { Op, literal } = require("sequelize");
+const orderStatusService = require("./orderStatusService");
+const orderReturnService = require("./orderReturnService");
+
+/**
+ * 收款（应收账款）服务
+ * 负责订单已收/未收金额的汇总和收款状态的计算
+ */
+class PaymentService {
+  constructor() {
+    // 定义收款状态
+    this.PAYMENT_STATUS = {
+      UNPAID: "unpaid",   // 未收款
+      PARTIAL: "partial", // 部分收款
+      PAID: "paid"        // 已结清
+    };
+
+    // 定义收款状态描述
+    this.PAYMENT_STATUS_DESCRIPTIONS = {
+      [this.PAYMENT_STATUS.UNPAID]: "未收款",
+      [this.PAYMENT_STATUS.PARTIAL]: "部分收款",
+      [this.PAYMENT_STATUS.PAID]: "已结清"
+    };
+
+    // 定义收款方式
+    this.PAYMENT_METHODS = {
+      cash: "现金",
+      wechat: "微信",
+      alipay: "支付宝",
+      bank: "银行转账",
+      other: "其他"
+    };
+  }
+
+  /**
+   * 获取允许登记收款的订单状态（已确认的状态，草稿未确认，已取消不再收款）
+   * @returns {Array<string>} 状态列表
+   */
+  getPayableOrderStatuses() {
+    return orderStatusService.getConfirmedStatuses();
+  }
+
+  /**
+   * 金额保留两位小数
+   * @param {number|string} value 金额
+   * @returns {number} 金额
+   */
+  round(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * 根据订单金额和已收金额计算收款状态
+   * @param {number|string} totalAmount 订单金额
+   * @param {number|string} paidAmount 已收金额
+   * @returns {string} 收款状态
+   */
+  getPaymentStatus(totalAmount, paidAmount) {
+    const total = this.round(totalAmount);
+    const paid = this.round(paidAmount);
+
+    if (paid <= 0) {
+      return total > 0 ? this.PAYMENT_STATUS.UNPAID : this.PAYMENT_STATUS.PAID;
+    }
+    return paid >= total ? this.PAYMENT_STATUS.PAID : this.PAYMENT_STATUS.PARTIAL;
+  }
+
+  /**
+   * 获取收款状态描述
+   * @param {string} paymentStatus 收款状态
+   * @returns {string} 收款状态描述
+   */
+  getPaymentStatusDescription(paymentStatus) {
+    return this.PAYMENT_STATUS_DESCRIPTIONS[paymentStatus] || paymentStatus;
+  }
+
+  /**
+   * 构建订单的收款汇总信息
+   * 退货退款（现金退回）同时减少应收金额和实收金额，退货冲抵只减少应收金额
+   * @param {Object} order 订单对象
+   * @param {number|string} paidAmount 已收金额
+   * @param {number|string} creditAmount 退货冲抵金额
+   * @param {number|string} refundedAmount 退货退款金额
+   * @returns {Object} 收款汇总
+   */
+  buildPaymentSummary(order, paidAmount, creditAmount = 0, refundedAmount = 0) {
+    const totalAmount = this.round(order.totalAmount);
+    const paid = this.round(paidAmount);
+    const credit = this.round(creditAmount);
+    const refunded = this.round(refundedAmount);
+    const receivableAmount = this.round(totalAmount - refunded);
+    const netPaidAmount = this.round(paid - refunded);
+    const paymentStatus = this.getPaymentStatus(receivableAmount, netPaidAmount + credit);
+
+    return {
+      paidAmount: paid,
+      refundedAmount: refunded,
+      netPaidAmount,
+      creditAmount: credit,
+      outstandingAmount: Math.max(this.round(receivableAmount - netPaidAmount - credit), 0),
+      paymentStatus,
+      paymentStatusDesc: this.getPaymentStatusDescription(paymentStatus)
+    };
+  }
+
+  /**
+   * 批量获取订单已收金额
+   * @param {Array<string>} orderIds 订单ID列表
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} orderId -> 已收金额
+   */
+  async getPaidAmountMap(orderIds, transaction = null) {
+    const paidMap = {};
+    if (!orderIds || orderIds.length === 0) {
+      return paidMap;
+    }
+
+    const rows = await Payment.findAll({
+      where: {
+        orderId: {
+          [Op.in]: orderIds
+        }
+      },
+      attributes: [
+        "orderId",
+        [literal("SUM(amount)"), "paidAmount"]
+      ],
+      group: ["orderId"],
+      raw: true,
+      transaction
+    });
+
+    rows.forEach(row => {
+      paidMap[row.orderId] = this.round(row.paidAmount);
+    });
+
+    return paidMap;
+  }
+
+  /**
+   * 获取单个订单已收金额
+   * @param {string} orderId 订单ID
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<number>} 已收金额
+   */
+  async getPaidAmount(orderId, transaction = null) {
+    const paidMap = await this.getPaidAmountMap([orderId], transaction);
+    return paidMap[orderId] || 0;
+  }
+
+  /**
+   * 批量获取订单指定退款方式的退货金额
+   * @param {Array<string>} orderIds 订单ID列表
+   * @param {string} refundType 退款方式（refund/credit）
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} orderId -> 退款金额
+   */
+  async getReturnAmountMap(orderIds, refundType, transaction = null) {
+    const amountMap = {};
+    if (!orderIds || orderIds.length === 0) {
+      return amountMap;
+    }
+
+    const rows = await OrderReturn.findAll({
+      where: {
+        orderId: {
+          [Op.in]: orderIds
+        },
+        refundType
+      },
+      attributes: [
+        "orderId",
+        [literal("SUM(refund_amount)"), "refundAmount"]
+      ],
+      group: ["orderId"],
+      raw: true,
+      transaction
+    });
+
+    rows.forEach(row => {
+      amountMap[row.orderId] = this.round(row.refundAmount);
+    });
+
+    return amountMap;
+  }
+
+  /**
+   * 批量获取订单退货冲抵金额
+   * @param {Array<string>} orderIds 订单ID列表
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} orderId -> 冲抵金额
+   */
+  async getCreditAmountMap(orderIds, transaction = null) {
+    return this.getReturnAmountMap(orderIds, orderReturnService.REFUND_TYPE.CREDIT, transaction);
+  }
+
+  /**
+   * 批量获取订单退货退款金额（现金退回客户）
+   * @param {Array<string>} orderIds 订单ID列表
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} orderId -> 退款金额
+   */
+  async getRefundedAmountMap(orderIds, transaction = null) {
+    return this.getReturnAmountMap(orderIds, orderReturnService.REFUND_TYPE.REFUND, transaction);
+  }
+
+  /**
+   * 批量获取订单收款汇总信息（已收金额 + 退货冲抵金额 + 退货退款金额）
+   * @param {Array<Object>} orders 订单列表
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} orderId -> 收款汇总
+   */
+  async getPaymentSummaryMap(orders, transaction = null) {
+    const orderIds = orders.map(order => order.id);
+    const [paidMap, creditMap, refundedMap] = await Promise.all([
+      this.getPaidAmountMap(orderIds, transaction),
+      this.getCreditAmountMap(orderIds, transaction),
+      this.getRefundedAmountMap(orderIds, transaction)
+    ]);
+
+    const summaryMap = {};
+    orders.forEach(order => {
+      summaryMap[order.id] = this.buildPaymentSummary(order, paidMap[order.id], creditMap[order.id], refundedMap[order.id]);
+    });
+
+    return summaryMap;
+  }
+
+  /**
+   * 检查订单是否可以登记收款
+   * @param {Object} order 订单对象
+   * @returns {Object} 检查结果
+   */
+  canReceivePayment(order) {
+    if (!this.getPayableOrderStatuses().includes(order.status)) {
+      return {
+        canReceive: false,
+        reason: `订单状态为 ${orderStatusService.getStatusDescription(order.status)}，只有已确认的订单可以登记收款`
+      };
+    }
+
+    return {
+      canReceive: true,
+      reason: "订单可以登记收款"
+    };
+  }
+
+  /**
+   * 检查订单的收款记录是否可以删除（冲正误登记的收款）
+   * 状态规则与登记收款相同；已有退货的订单已按当时的收款结算退款或冲抵，不能再删除收款
+   * @param {Object} order 订单对象
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 检查结果
+   */
+  async canDeletePayment(order, transaction = null) {
+    if (!this.getPayableOrderStatuses().includes(order.status)) {
+      return {
+        canDelete: false,
+        reason: `订单状态为 ${orderStatusService.getStatusDescription(order.status)}，只有已确认的订单可以删除收款`
+      };
+    }
+
+    const returnCount = await OrderReturn.count({ where: { orderId: order.id }, transaction });
+    if (returnCount > 0) {
+      return {
+        canDelete: false,
+        reason: "订单已有退货单，不能删除收款"
+      };
+    }
+
+    return {
+      canDelete: true,
+      reason: "收款可以删除"
+    };
+  }
+
+  /**
+   * 获取客户应收余额
+   * @param {string} customerId 客户ID
+   * @returns {Promise<Object>} 客户应收汇总
+   */
+  async getCustomerBalance(customerId) {
+    const orders = await Order.findAll({
+      where: {
+        customerId,
+        status: {
+          [Op.in]: this.getPayableOrderStatuses()
+        }
+      },
+      attributes: ["id", "orderNo", "totalAmount", "status", "createdAt"],
+      order: [["created_at", "ASC"]]
+    });
+
+    const summaryMap = await this.getPaymentSummaryMap(orders);
+
+    let totalAmount = 0;
+    let paidAmount = 0;
+    let refundedAmount = 0;
+    let creditAmount = 0;
+    const statusCounts = {
+      [this.PAYMENT_STATUS.UNPAID]: 0,
+      [this.PAYMENT_STATUS.PARTIAL]: 0,
+      [this.PAYMENT_STATUS.PAID]: 0
+    };
+    const outstandingOrders = [];
+
+    orders.forEach(order => {
+      const summary = summaryMap[order.id];
+      totalAmount += this.round(order.totalAmount);
+      paidAmount += summary.paidAmount;
+      refundedAmount += summary.refundedAmount;
+      creditAmount += summary.creditAmount;
+      statusCounts[summary.paymentStatus]++;
+
+      if (summary.paymentStatus !== this.PAYMENT_STATUS.PAID) {
+        outstandingOrders.push({
+          id: order.id,
+          orderNo: order.orderNo,
+          status: order.status,
+          totalAmount: this.round(order.totalAmount),
+          createdAt: order.createdAt,
+          ...summary
+        });
+      }
+    });
+
+    const receivableAmount = totalAmount - refundedAmount;
+    const netPaidAmount = paidAmount - refundedAmount;
+
+    return {
+      customerId,
+      orderCount: orders.length,
+      totalAmount: this.round(totalAmount),
+      paidAmount: this.round(paidAmount),
+      refundedAmount: this.round(refundedAmount),
+      netPaidAmount: this.round(netPaidAmount),
+      creditAmount: this.round(creditAmount),
+      outstandingAmount: Math.max(this.round(receivableAmount - netPaidAmount - creditAmount), 0),
+      statusCounts,
+      outstandingOrders
+    };
+  }
+}
+
+module.exports = new PaymentService();
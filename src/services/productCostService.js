@@ -0,0 +1,123 @@
+const { ProductCostHistory } = require("../models");
+const userService = require("./userService");
+
+/**
+ * 商品成本价服务
+ * 负责成本价的调整和历史记录，以及按权限隐藏成本字段
+ */
+class ProductCostService {
+  constructor() {
+    // 定义成本价来源
+    this.SOURCE = {
+      MANUAL: "manual",    // 手工调整
+      PURCHASE: "purchase" // 采购到货
+    };
+
+    // 定义成本价来源描述
+    this.SOURCE_DESCRIPTIONS = {
+      [this.SOURCE.MANUAL]: "手工调整",
+      [this.SOURCE.PURCHASE]: "采购到货"
+    };
+
+    // 各类记录中的成本字段（没有查看成本权限的用户不返回）
+    this.COST_FIELDS = {
+      PRODUCT: ["costPrice"],
+      ORDER_ITEM: ["unitCost", "totalCost"],
+      STOCK_MOVEMENT: ["unitCost"]
+    };
+  }
+
+  /**
+   * 获取对当前用户隐藏的成本字段
+   * @param {Object} user 当前用户
+   * @param {Array} fields 成本字段（COST_FIELDS 中的一项）
+   * @returns {Array} 需要隐藏的字段，有查看成本权限时为空
+   */
+  getHiddenFields(user, fields) {
+    return userService.hasPermission(user.role, userService.PERMISSION.COST_READ) ? [] : fields;
+  }
+
+  /**
+   * 按当前用户权限去掉记录中的成本字段
+   * @param {Object} data 记录（普通对象）
+   * @param {Object} user 当前用户
+   * @param {Array} fields 成本字段（COST_FIELDS 中的一项）
+   * @returns {Object} 记录
+   */
+  omitCostFields(data, user, fields) {
+    for (const field of this.getHiddenFields(user, fields)) {
+      delete data[field];
+    }
+    return data;
+  }
+
+  /**
+   * 金额保留两位小数
+   * @param {number|string} value 金额
+   * @returns {number} 金额
+   */
+  round(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * 获取成本价来源描述
+   * @param {string} source 来源
+   * @returns {string} 来源描述
+   */
+  getSourceDescription(source) {
+    return this.SOURCE_DESCRIPTIONS[source] || source;
+  }
+
+  /**
+   * 更新商品成本价，成本价有变化时记录历史
+   * @param {Object} product 商品对象
+   * @param {number|string} costPrice 新成本价
+   * @param {Object} options { source, referenceId, operator }
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<boolean>} 成本价是否发生变化
+   */
+  async updateCostPrice(product, costPrice, options = {}, transaction = null) {
+    const { source = this.SOURCE.MANUAL, referenceId = null, operator = "system" } = options;
+    const previousCostPrice = product.costPrice === null || product.costPrice === undefined
+      ? null
+      : this.round(product.costPrice);
+    const newCostPrice = this.round(costPrice);
+
+    if (previousCostPrice === newCostPrice) {
+      return false;
+    }
+
+    await product.update({ costPrice: newCostPrice }, { transaction });
+
+    await ProductCostHistory.create({
+      productId: product.id,
+      costPrice: newCostPrice,
+      previousCostPrice,
+      source,
+      referenceId,
+      createdBy: operator
+    }, { transaction });
+
+    return true;
+  }
+
+  /**
+   * 获取商品成本价历史
+   * @param {string} productId 商品ID
+   * @returns {Promise<Array>} 成本价历史（按时间倒序）
+   */
+  async getCostHistory(productId) {
+    const histories = await ProductCostHistory.findAll({
+      where: { productId },
+      order: [["created_at", "DESC"]]
+    });
+
+    return histories.map(history => ({
+      ...history.toJSON(),
+      sourceDesc: this.getSourceDescription(history.source)
+    }));
+  }
+}
+
+module.exports = new ProductCostService();
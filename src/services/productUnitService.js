@@ -0,0 +1,82 @@
+const { ProductUnit } = require("../models");
+
+/**
+ * 商品包装单位服务
+ * 负责包装单位与基本单位之间的换算（如 1箱 = 20包 = 200个）
+ */
+class ProductUnitService {
+  /**
+   * 数量保留三位小数
+   * @param {number|string} value 数量
+   * @returns {number} 数量
+   */
+  round(value) {
+    return Math.round((parseFloat(value) || 0) * 1000) / 1000;
+  }
+
+  /**
+   * 获取商品可用的计价单位（基本单位在前，换算系数为1）
+   * 指定规格时以规格的单位和售价作为基本单位
+   * @param {Object} product 商品对象
+   * @param {Object|null} variant 规格对象
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Array>} [{ unit, conversionFactor, price, isBaseUnit }]
+   */
+  async getUnitOptions(product, variant = null, transaction = null) {
+    const baseUnit = variant ? variant.unit : product.unit;
+    const basePrice = variant ? variant.price : product.globalPrice;
+
+    const units = await ProductUnit.findAll({
+      where: { productId: product.id },
+      order: [["sort_order", "ASC"], ["conversion_factor", "ASC"]],
+      transaction
+    });
+
+    const options = [{
+      unit: baseUnit,
+      conversionFactor: 1,
+      price: parseFloat(basePrice),
+      isBaseUnit: true
+    }];
+    units.forEach(item => {
+      if (item.unit !== baseUnit) {
+        options.push({
+          unit: item.unit,
+          conversionFactor: parseFloat(item.conversionFactor),
+          price: parseFloat(item.price),
+          isBaseUnit: false
+        });
+      }
+    });
+    return options;
+  }
+
+  /**
+   * 校验订单项单位并返回对应的换算信息
+   * @param {Object} product 商品对象
+   * @param {Object|null} variant 规格对象
+   * @param {string} unit 下单单位
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} { unit, conversionFactor, price, isBaseUnit }
+   */
+  async resolveUnit(product, variant, unit, transaction = null) {
+    const options = await this.getUnitOptions(product, variant, transaction);
+    const option = options.find(item => item.unit === unit);
+    if (!option) {
+      throw new Error(`${product.name} 不支持单位 "${unit}"，可选单位: ${options.map(item => item.unit).join("、")}`);
+    }
+    return option;
+  }
+
+  /**
+   * 换算为基本单位数量
+   * @param {number|string} quantity 数量
+   * @param {number|string} conversionFactor 换算系数
+   * @returns {number} 基本单位数量
+   */
+  toBaseQuantity(quantity, conversionFactor = 1) {
+    return this.round(parseFloat(quantity) * (parseFloat(conversionFactor) || 1));
+  }
+}
+
+module.exports = new ProductUnitService();
@@ -0,0 +1,134 @@
+const { PurchaseOrder, PurchaseOrderItem, Product } = require("../models");
+const inventoryService = require("./inventoryService");
+const productCostService = require("./productCostService");
+
+/**
+ * 采购单状态管理服务
+ * 负责采购单状态的流转规则、验证以及到货入库
+ */
+class PurchaseOrderStatusService {
+  constructor() {
+    // 定义采购单状态
+    this.STATUS = {
+      DRAFT: "draft",         // 草稿
+      ORDERED: "ordered",     // 已下单
+      RECEIVED: "received",   // 已到货
+      CANCELLED: "cancelled"  // 已取消
+    };
+
+    // 定义状态流转规则
+    this.STATUS_TRANSITIONS = {
+      [this.STATUS.DRAFT]: [this.STATUS.ORDERED, this.STATUS.CANCELLED],
+      [this.STATUS.ORDERED]: [this.STATUS.RECEIVED, this.STATUS.CANCELLED],
+      [this.STATUS.RECEIVED]: [],  // 终态，不能转换
+      [this.STATUS.CANCELLED]: []  // 终态，不能转换
+    };
+
+    // 定义状态描述
+    this.STATUS_DESCRIPTIONS = {
+      [this.STATUS.DRAFT]: "草稿",
+      [this.STATUS.ORDERED]: "已下单",
+      [this.STATUS.RECEIVED]: "已到货",
+      [this.STATUS.CANCELLED]: "已取消"
+    };
+  }
+
+  /**
+   * 验证状态流转是否合法
+   * @param {string} fromStatus 当前状态
+   * @param {string} toStatus 目标状态
+   * @returns {boolean} 是否合法
+   */
+  isValidTransition(fromStatus, toStatus) {
+    if (!this.STATUS_TRANSITIONS[fromStatus]) {
+      return false;
+    }
+    return this.STATUS_TRANSITIONS[fromStatus].includes(toStatus);
+  }
+
+  /**
+   * 获取状态的所有可能转换
+   * @param {string} currentStatus 当前状态
+   * @returns {Array} 可转换的状态列表
+   */
+  getAvailableTransitions(currentStatus) {
+    return this.STATUS_TRANSITIONS[currentStatus] || [];
+  }
+
+  /**
+   * 获取状态描述
+   * @param {string} status 状态
+   * @returns {string} 状态描述
+   */
+  getStatusDescription(status) {
+    return this.STATUS_DESCRIPTIONS[status] || status;
+  }
+
+  /**
+   * 执行状态流转
+   * 到货时按采购项增加库存，记录进价并以最近进价更新商品成本价
+   * @param {Object} purchaseOrder 采购单对象
+   * @param {string} toStatus 目标状态
+   * @param {string} operator 操作人
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 操作结果
+   */
+  async transitionStatus(purchaseOrder, toStatus, operator, transaction = null) {
+    const fromStatus = purchaseOrder.status;
+
+    // 验证状态流转
+    if (!this.isValidTransition(fromStatus, toStatus)) {
+      throw new Error(`无效的状态流转: ${this.getStatusDescription(fromStatus)} -> ${this.getStatusDescription(toStatus)}`);
+    }
+
+    const updateData = { status: toStatus };
+
+    if (toStatus === this.STATUS.ORDERED) {
+      updateData.orderedAt = new Date();
+    }
+
+    // 到货入库
+    if (toStatus === this.STATUS.RECEIVED) {
+      const items = await PurchaseOrderItem.findAll({
+        where: { purchaseOrderId: purchaseOrder.id },
+        order: [["sort_order", "ASC"]],
+        transaction
+      });
+
+      for (const item of items) {
+        await inventoryService.recordMovement({
+          productId: item.productId,
+          type: inventoryService.MOVEMENT_TYPE.PURCHASE,
+          quantity: item.quantity,
+          unitCost: item.unitCost,
+          referenceId: purchaseOrder.id,
+          remark: `采购单 ${purchaseOrder.purchaseNo} 到货入库`,
+          operator
+        }, transaction);
+
+        const product = await Product.findByPk(item.productId, { transaction });
+        await productCostService.updateCostPrice(product, item.unitCost, {
+          source: productCostService.SOURCE.PURCHASE,
+          referenceId: purchaseOrder.id,
+          operator
+        }, transaction);
+      }
+
+      updateData.receivedAt = new Date();
+    }
+
+    await PurchaseOrder.update(updateData, {
+      where: { id: purchaseOrder.id },
+      transaction
+    });
+
+    return {
+      success: true,
+      fromStatus,
+      toStatus,
+      description: `采购单状态从 ${this.getStatusDescription(fromStatus)} 变更为 ${this.getStatusDescription(toStatus)}`
+    };
+  }
+}
+
+module.exports = new PurchaseOrderStatusService();
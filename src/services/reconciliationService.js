@@ -0,0 +1,274 @@
+const path = require("path");
+const XLSX = require("xlsx");
+const { fn, col } = require("sequelize");
+const { Customer, Order, OrderItem } = require("../models");
+const paymentService = require("./paymentService");
+const aliasService = require("./aliasService");
+const ExcelImporter = require("../../scripts/excelImporter");
+const { CsvExporter } = require("../../scripts/exportToCsv");
+
+/**
+ * 归档对账服务
+ * 重新解析 archive 目录下的对账单 Excel，按客户/年份/单号与数据库中的订单金额核对，
+ * 用于确认历史数据迁移是否完整
+ */
+class ReconciliationService {
+  constructor() {
+    // 金额误差容忍度（元）
+    this.TOLERANCE = 0.01;
+  }
+
+  /**
+   * 归档目录（可通过 ARCHIVE_DIR 环境变量指定）
+   * @returns {string} 目录路径
+   */
+  getArchiveDir() {
+    return process.env.ARCHIVE_DIR || path.join(__dirname, "..", "..", "archive");
+  }
+
+  /**
+   * 判断两个金额是否不一致
+   * @param {number} a 金额
+   * @param {number} b 金额
+   * @returns {boolean}
+   */
+  isDifferent(a, b) {
+    return Math.abs(paymentService.round(a) - paymentService.round(b)) >= this.TOLERANCE;
+  }
+
+  /**
+   * 解析归档Excel，按客户/年份/单号汇总
+   * @param {string} archiveDir 归档目录
+   * @returns {Object} { files, orders, rowMismatches, parseErrors }
+   */
+  parseArchive(archiveDir) {
+    const excelImporter = new ExcelImporter();
+    const exporter = new CsvExporter();
+    const orders = new Map();
+    const rowMismatches = [];
+    const parseErrors = [];
+    const files = excelImporter.getAllExcelFiles(archiveDir);
+
+    files.forEach(filePath => {
+      const file = path.relative(archiveDir, filePath);
+      let result;
+      try {
+        result = excelImporter.parseExcelFile(filePath);
+      } catch (error) {
+        parseErrors.push({ file, error: error.message });
+        return;
+      }
+      excelImporter.describeDateErrors(result.dateErrors).forEach(error => {
+        parseErrors.push({ file, error });
+      });
+
+      // 客户名称与导入时的清理规则一致
+      const customerName = exporter.cleanText(result.customerName);
+      result.orders.forEach(row => {
+        const key = `${customerName}|${result.year}|${row.orderNo}`;
+        if (!orders.has(key)) {
+          orders.set(key, { customerName, year: result.year, orderNo: row.orderNo, file, itemCount: 0, excelAmount: 0 });
+        }
+        const order = orders.get(key);
+        order.itemCount++;
+        order.excelAmount = paymentService.round(order.excelAmount + row.amount);
+
+        // 数量×单价与金额不一致的行
+        const expectedAmount = paymentService.round(row.quantity * row.unitPrice);
+        if (this.isDifferent(expectedAmount, row.amount)) {
+          rowMismatches.push({
+            customerName,
+            year: result.year,
+            orderNo: row.orderNo,
+            file,
+            productName: row.productName,
+            specification: row.specification,
+            quantity: row.quantity,
+            unitPrice: row.unitPrice,
+            amount: row.amount,
+            expectedAmount
+          });
+        }
+      });
+    });
+
+    return { files, orders: [...orders.values()], rowMismatches, parseErrors };
+  }
+
+  /**
+   * 加载数据库中的订单金额（订单金额和订单项金额合计）
+   * @returns {Promise<Map>} `${客户名称}|${单号}` -> [{ id, year, totalAmount, itemsTotal }]
+   */
+  async loadDatabaseOrders() {
+    const orders = await Order.findAll({
+      attributes: ["id", "orderNo", "totalAmount", "createdAt"],
+      include: [{ model: Customer, as: "customer", attributes: ["name"] }]
+    });
+    const itemTotals = await OrderItem.findAll({
+      attributes: ["orderId", [fn("SUM", col("total_price")), "itemsTotal"]],
+      group: ["orderId"],
+      raw: true
+    });
+    const itemTotalMap = new Map(itemTotals.map(row => [row.orderId, parseFloat(row.itemsTotal) || 0]));
+
+    const orderMap = new Map();
+    orders.forEach(order => {
+      const key = `${order.customer ? order.customer.name : ""}|${order.orderNo}`;
+      if (!orderMap.has(key)) {
+        orderMap.set(key, []);
+      }
+      orderMap.get(key).push({
+        id: order.id,
+        year: new Date(order.createdAt).getFullYear(),
+        totalAmount: parseFloat(order.totalAmount) || 0,
+        itemsTotal: itemTotalMap.get(order.id) || 0
+      });
+    });
+    return orderMap;
+  }
+
+  /**
+   * 生成对账报告
+   * @param {string} archiveDir 归档目录
+   * @returns {Promise<Object>} 对账报告
+   */
+  async reconcile(archiveDir = this.getArchiveDir()) {
+    const { files, orders, rowMismatches, parseErrors } = this.parseArchive(archiveDir);
+    const databaseOrders = await this.loadDatabaseOrders();
+    const customerAliases = await aliasService.getAliasMap(aliasService.TYPE.CUSTOMER);
+
+    const missingOrders = [];
+    const amountMismatches = [];
+    const groups = new Map();
+
+    orders.forEach(order => {
+      const groupKey = `${order.customerName}|${order.year}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          customerName: order.customerName,
+          year: order.year,
+          excelOrders: 0,
+          excelAmount: 0,
+          matchedOrders: 0,
+          databaseAmount: 0,
+          missingOrders: 0,
+          amountMismatches: 0
+        });
+      }
+      const group = groups.get(groupKey);
+      group.excelOrders++;
+      group.excelAmount = paymentService.round(group.excelAmount + order.excelAmount);
+
+      // 同一客户的单号跨年重复时优先匹配同一年份的订单；客户已合并或改名时按别名匹配
+      const alias = customerAliases.get(order.customerName);
+      const candidates = databaseOrders.get(`${order.customerName}|${order.orderNo}`) ||
+        (alias && databaseOrders.get(`${alias.name}|${order.orderNo}`)) || [];
+      const matched = candidates.find(candidate => candidate.year === order.year) || candidates[0];
+      if (!matched) {
+        missingOrders.push(order);
+        group.missingOrders++;
+        return;
+      }
+
+      group.matchedOrders++;
+      group.databaseAmount = paymentService.round(group.databaseAmount + matched.totalAmount);
+      if (this.isDifferent(order.excelAmount, matched.totalAmount) || this.isDifferent(order.excelAmount, matched.itemsTotal)) {
+        amountMismatches.push({
+          ...order,
+          orderId: matched.id,
+          orderTotal: matched.totalAmount,
+          itemsTotal: matched.itemsTotal
+        });
+        group.amountMismatches++;
+      }
+    });
+
+    const byCustomerYear = [...groups.values()].sort((a, b) => (
+      a.customerName.localeCompare(b.customerName) || a.year - b.year
+    ));
+
+    return {
+      archiveDir,
+      generatedAt: new Date().toISOString(),
+      summary: {
+        files: files.length,
+        parseErrors: parseErrors.length,
+        excelOrders: orders.length,
+        matchedOrders: orders.length - missingOrders.length,
+        missingOrders: missingOrders.length,
+        amountMismatches: amountMismatches.length,
+        rowMismatches: rowMismatches.length,
+        excelAmount: paymentService.round(byCustomerYear.reduce((sum, group) => sum + group.excelAmount, 0)),
+        databaseAmount: paymentService.round(byCustomerYear.reduce((sum, group) => sum + group.databaseAmount, 0))
+      },
+      byCustomerYear,
+      missingOrders,
+      amountMismatches,
+      rowMismatches,
+      parseErrors
+    };
+  }
+
+  /**
+   * 生成对账报告工作簿（汇总、按客户年份、缺失订单、金额不一致、行金额错误、解析失败各一个工作表）
+   * @param {Object} report 对账报告（reconcile 的返回值）
+   * @returns {Buffer} xlsx 文件内容
+   */
+  buildWorkbook(report) {
+    const { summary } = report;
+    const sheets = [
+      ["汇总", [
+        ["项目", "数值"],
+        ["归档文件数", summary.files],
+        ["解析错误数", summary.parseErrors],
+        ["Excel订单数", summary.excelOrders],
+        ["已匹配订单数", summary.matchedOrders],
+        ["缺失订单数", summary.missingOrders],
+        ["金额不一致订单数", summary.amountMismatches],
+        ["数量×单价≠金额行数", summary.rowMismatches],
+        ["Excel金额合计", summary.excelAmount],
+        ["已匹配订单数据库金额合计", summary.databaseAmount],
+        ["生成时间", report.generatedAt]
+      ]],
+      ["按客户年份", [
+        ["客户", "年份", "Excel订单数", "Excel金额", "已匹配订单数", "数据库金额", "缺失订单数", "金额不一致订单数"],
+        ...report.byCustomerYear.map(group => [
+          group.customerName, group.year, group.excelOrders, group.excelAmount,
+          group.matchedOrders, group.databaseAmount, group.missingOrders, group.amountMismatches
+        ])
+      ]],
+      ["缺失订单", [
+        ["客户", "年份", "单号", "文件", "明细行数", "Excel金额"],
+        ...report.missingOrders.map(order => [
+          order.customerName, order.year, order.orderNo, order.file, order.itemCount, order.excelAmount
+        ])
+      ]],
+      ["金额不一致", [
+        ["客户", "年份", "单号", "文件", "Excel金额", "订单金额", "订单项金额合计"],
+        ...report.amountMismatches.map(order => [
+          order.customerName, order.year, order.orderNo, order.file, order.excelAmount, order.orderTotal, order.itemsTotal
+        ])
+      ]],
+      ["行金额错误", [
+        ["客户", "年份", "单号", "文件", "货品名称", "型号规格", "数量", "单价", "金额", "数量×单价"],
+        ...report.rowMismatches.map(row => [
+          row.customerName, row.year, row.orderNo, row.file, row.productName, row.specification,
+          row.quantity, row.unitPrice, row.amount, row.expectedAmount
+        ])
+      ]],
+      ["解析失败", [
+        ["文件", "错误"],
+        ...report.parseErrors.map(item => [item.file, item.error])
+      ]]
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(([name, data]) => {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), name);
+    });
+
+    return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,210 @@
+const XLSX = require("xlsx");
+const { Op } = require("sequelize");
+const { Order, OrderItem } = require("../models");
+const paymentService = require("./paymentService");
+const systemConfigService = require("./systemConfigService");
+const { toChineseAmount } = require("../utils/chineseAmount");
+
+/**
+ * 客户对账单服务
+ * 按 archive 目录下对账单 Excel 的版式生成对账单，生成结果可被 ExcelImporter 重新解析
+ */
+class StatementService {
+  constructor() {
+    // 明细表头（与 ExcelImporter.headerColumns 一致）
+    this.HEADER_COLUMNS = [
+      "日期", "单号", "货品名称", "型号规格", "单位", "数量", "单价", "金额", "备注"
+    ];
+
+    // 列宽
+    this.COLUMN_WIDTHS = [12, 14, 24, 12, 6, 8, 8, 10, 12];
+
+    this.NOTICE = "请核准无误后签回，如贵公司没有回签，本公司将按以上金额请款，谢谢！";
+  }
+
+  /**
+   * 格式化日期为 YYYY-MM-DD
+   * @param {Date|string} date 日期
+   * @returns {string} 日期字符串
+   */
+  formatDate(date) {
+    const value = new Date(date);
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * 解析对账期间（默认为当年1月1日至今天，结束日期包含当天）
+   * @param {Date|string} startDate 开始日期
+   * @param {Date|string} endDate 结束日期
+   * @returns {Object} 对账期间
+   */
+  resolvePeriod(startDate, endDate) {
+    const now = new Date();
+    const start = startDate ? new Date(startDate) : new Date(now.getFullYear(), 0, 1);
+    const end = endDate ? new Date(endDate) : now;
+
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+
+    return { startDate: start, endDate: end };
+  }
+
+  /**
+   * 生成客户对账单数据
+   * @param {Object} customer 客户对象
+   * @param {Object} options 选项 { startDate, endDate }
+   * @returns {Promise<Object>} 对账单数据
+   */
+  async buildStatement(customer, options = {}) {
+    const { startDate, endDate } = this.resolvePeriod(options.startDate, options.endDate);
+
+    const orders = await Order.findAll({
+      where: {
+        customerId: customer.id,
+        status: {
+          [Op.in]: paymentService.getPayableOrderStatuses()
+        },
+        created_at: {
+          [Op.gte]: startDate,
+          [Op.lte]: endDate
+        }
+      },
+      include: [
+        {
+          model: OrderItem,
+          as: "items"
+        }
+      ],
+      order: [
+        ["created_at", "ASC"],
+        [{ model: OrderItem, as: "items" }, "sort_order", "ASC"]
+      ]
+    });
+
+    const rows = [];
+    let totalAmount = 0;
+    orders.forEach(order => {
+      order.items.forEach(item => {
+        rows.push({
+          date: this.formatDate(order.createdAt),
+          orderNo: order.orderNo,
+          productName: item.productName,
+          specification: item.specification || "",
+          unit: item.unit,
+          quantity: parseFloat(item.quantity),
+          unitPrice: parseFloat(item.unitPrice),
+          amount: parseFloat(item.totalPrice),
+          remark: item.remark || ""
+        });
+      });
+      totalAmount += parseFloat(order.totalAmount);
+    });
+
+    const summaryMap = await paymentService.getPaymentSummaryMap(orders);
+    const summaries = Object.values(summaryMap);
+    const paidAmount = summaries.reduce((sum, summary) => sum + summary.paidAmount, 0);
+    const refundedAmount = summaries.reduce((sum, summary) => sum + summary.refundedAmount, 0);
+    const creditAmount = summaries.reduce((sum, summary) => sum + summary.creditAmount, 0);
+
+    totalAmount = paymentService.round(totalAmount);
+
+    return {
+      customer: {
+        id: customer.id,
+        name: customer.name,
+        phone: customer.phone
+      },
+      startDate: this.formatDate(startDate),
+      endDate: this.formatDate(endDate),
+      orderCount: orders.length,
+      rows,
+      totalAmount,
+      totalAmountInWords: toChineseAmount(totalAmount),
+      paidAmount: paymentService.round(paidAmount),
+      refundedAmount: paymentService.round(refundedAmount),
+      creditAmount: paymentService.round(creditAmount),
+      netPaidAmount: paymentService.round(paidAmount - refundedAmount),
+      // 退货退款同时减少应收金额和实收金额，未收金额不变
+      outstandingAmount: Math.max(paymentService.round(totalAmount - paidAmount - creditAmount), 0)
+    };
+  }
+
+  /**
+   * 生成对账单工作簿
+   * @param {Object} statement 对账单数据（buildStatement 的返回值）
+   * @param {string} operator 制单人
+   * @returns {Promise<Buffer>} xlsx 文件内容
+   */
+  async buildWorkbook(statement, operator = "system") {
+    const shop = await systemConfigService.getShopInfo();
+    const lastColumn = this.HEADER_COLUMNS.length - 1;
+
+    const data = [
+      [shop.name],
+      [`Add:${shop.address} Tel:${shop.phone} Fax:${shop.fax}`],
+      ["对 账 单"],
+      [`客户：${statement.customer.name}`, null, null, null, "传真："],
+      ["联络人：", null, null, null, `电话:${statement.customer.phone || ""}`],
+      [`单据日期【${statement.startDate}--${statement.endDate}】`],
+      this.HEADER_COLUMNS
+    ];
+
+    statement.rows.forEach(row => {
+      data.push([
+        row.date,
+        row.orderNo,
+        row.productName,
+        row.specification,
+        row.unit,
+        row.quantity,
+        row.unitPrice,
+        row.amount,
+        row.remark
+      ]);
+    });
+
+    const totalRowIndex = data.length;
+    data.push(["合计：", statement.totalAmountInWords, null, null, null, null, null, statement.totalAmount, ""]);
+    data.push([]);
+    data.push([this.NOTICE]);
+    data.push([]);
+    data.push([null, null, null, null, null, `制单人：${operator}`]);
+    data.push(["客户签章：", null, null, null, null, `对账日期：${this.formatDate(new Date())}`]);
+
+    const worksheet = XLSX.utils.aoa_to_sheet(data);
+    const merge = (row, startColumn, endColumn) => ({
+      s: { r: row, c: startColumn },
+      e: { r: row, c: endColumn }
+    });
+
+    worksheet["!merges"] = [
+      merge(0, 0, lastColumn),
+      merge(1, 0, lastColumn),
+      merge(2, 0, lastColumn),
+      merge(3, 0, 3),
+      merge(3, 4, lastColumn),
+      merge(4, 0, 3),
+      merge(4, 4, lastColumn),
+      merge(5, 0, lastColumn),
+      merge(totalRowIndex, 1, 6),
+      merge(totalRowIndex + 2, 0, lastColumn),
+      merge(totalRowIndex + 4, 5, lastColumn),
+      merge(totalRowIndex + 5, 5, lastColumn)
+    ];
+    worksheet["!cols"] = this.COLUMN_WIDTHS.map(wch => ({ wch }));
+    worksheet["!ref"] = XLSX.utils.encode_range({
+      s: { r: 0, c: 0 },
+      e: { r: data.length - 1, c: lastColumn }
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Sheet1");
+
+    return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+  }
+}
+
+module.exports = new StatementService();
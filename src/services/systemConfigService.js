@@ -0,0 +1,139 @@
+const { SystemConfig } = require("../models");
+
+/**
+ * 系统配置服务
+ * 负责读取和保存 system_configs 表中的键值配置
+ */
+class SystemConfigService {
+  constructor() {
+    // 定义配置键
+    this.KEYS = {
+      SHOP_NAME: "shop_name",       // 店铺名称
+      SHOP_ADDRESS: "shop_address", // 店铺地址
+      SHOP_PHONE: "shop_phone",     // 联系电话
+      SHOP_FAX: "shop_fax",         // 传真
+      STOCK_REJECT_INSUFFICIENT: "stock_reject_insufficient", // 库存不足时是否拒绝下单
+      ORDER_WORKFLOW: "order_workflow", // 订单状态流程（JSON）
+      ORDER_NO_PREFIX: "order_no_prefix",                 // 订单号前缀
+      ORDER_NO_DATE_FORMAT: "order_no_date_format",       // 订单号日期格式
+      ORDER_NO_SEQUENCE_WIDTH: "order_no_sequence_width"  // 订单号序号位数
+    };
+
+    // 定义配置默认值
+    this.DEFAULTS = {
+      [this.KEYS.SHOP_NAME]: "渔具店",
+      [this.KEYS.SHOP_ADDRESS]: "",
+      [this.KEYS.SHOP_PHONE]: "",
+      [this.KEYS.SHOP_FAX]: "",
+      [this.KEYS.STOCK_REJECT_INSUFFICIENT]: "false",
+      [this.KEYS.ORDER_NO_PREFIX]: "",
+      [this.KEYS.ORDER_NO_DATE_FORMAT]: "YYYYMMDD",
+      [this.KEYS.ORDER_NO_SEQUENCE_WIDTH]: "4"
+    };
+  }
+
+  /**
+   * 获取配置值
+   * @param {string} key 配置键
+   * @param {*} defaultValue 默认值
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<string>} 配置值
+   */
+  async getValue(key, defaultValue = this.DEFAULTS[key], transaction = null) {
+    const config = await SystemConfig.findOne({
+      where: { configKey: key },
+      transaction
+    });
+
+    if (!config || config.configValue === null || config.configValue === undefined) {
+      return defaultValue;
+    }
+    return config.configValue;
+  }
+
+  /**
+   * 批量获取配置值
+   * @param {Array<string>} keys 配置键列表
+   * @returns {Promise<Object>} key -> 配置值
+   */
+  async getValues(keys) {
+    const configs = await SystemConfig.findAll({
+      where: { configKey: keys }
+    });
+
+    const values = {};
+    keys.forEach(key => {
+      values[key] = this.DEFAULTS[key];
+    });
+    configs.forEach(config => {
+      if (config.configValue !== null && config.configValue !== undefined) {
+        values[config.configKey] = config.configValue;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * 保存配置值（不存在则创建）
+   * @param {string} key 配置键
+   * @param {string} value 配置值
+   * @param {string} description 配置描述
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<Object>} 配置对象
+   */
+  async setValue(key, value, description = null, transaction = null) {
+    const [config, created] = await SystemConfig.findOrCreate({
+      where: { configKey: key },
+      defaults: {
+        configKey: key,
+        configValue: value,
+        description
+      },
+      transaction
+    });
+
+    if (!created) {
+      const updateData = { configValue: value };
+      if (description) {
+        updateData.description = description;
+      }
+      await config.update(updateData, { transaction });
+    }
+
+    return config;
+  }
+
+  /**
+   * 获取店铺信息（用于对账单、送货单抬头）
+   * @returns {Promise<Object>} 店铺信息
+   */
+  async getShopInfo() {
+    const values = await this.getValues([
+      this.KEYS.SHOP_NAME,
+      this.KEYS.SHOP_ADDRESS,
+      this.KEYS.SHOP_PHONE,
+      this.KEYS.SHOP_FAX
+    ]);
+
+    return {
+      name: values[this.KEYS.SHOP_NAME],
+      address: values[this.KEYS.SHOP_ADDRESS],
+      phone: values[this.KEYS.SHOP_PHONE],
+      fax: values[this.KEYS.SHOP_FAX]
+    };
+  }
+
+  /**
+   * 获取布尔型配置值
+   * @param {string} key 配置键
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<boolean>} 配置值
+   */
+  async getBoolean(key, transaction = null) {
+    const value = await this.getValue(key, this.DEFAULTS[key], transaction);
+    return ["true", "1", "yes"].includes(String(value).trim().toLowerCase());
+  }
+}
+
+module.exports = new SystemConfigService();
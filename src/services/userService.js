@@ -0,0 +1,138 @@
+const { User } = require("../models");
+
+/**
+ * 用户与权限服务
+ * 用户以微信OpenID识别，按角色控制接口访问权限
+ */
+class UserService {
+  constructor() {
+    // 定义角色
+    this.ROLE = {
+      OWNER: "owner",   // 老板
+      CLERK: "clerk",   // 店员
+      DRIVER: "driver", // 送货员
+      VIEWER: "viewer"  // 只读
+    };
+
+    // 定义角色描述
+    this.ROLE_DESCRIPTIONS = {
+      [this.ROLE.OWNER]: "老板",
+      [this.ROLE.CLERK]: "店员",
+      [this.ROLE.DRIVER]: "送货员",
+      [this.ROLE.VIEWER]: "只读"
+    };
+
+    // 定义接口权限（查询类接口所有启用的用户均可访问）
+    this.PERMISSION = {
+      ORDER_WRITE: "order:write",         // 创建、修改订单
+      PAYMENT_WRITE: "payment:write",     // 登记、删除收款
+      RETURN_WRITE: "return:write",       // 创建退货单
+      PRODUCT_WRITE: "product:write",     // 维护商品、规格、单位、分类
+      CUSTOMER_WRITE: "customer:write",   // 维护客户
+      INVENTORY_WRITE: "inventory:write", // 库存调整
+      PURCHASE_WRITE: "purchase:write",   // 维护供应商和采购单
+      COST_READ: "cost:read",             // 查看成本价和毛利
+      USER_MANAGE: "user:manage",         // 管理用户和角色
+      CONFIG_WRITE: "config:write",       // 修改系统配置（订单流程等）
+      IMPORT_WRITE: "import:write",       // 导入历史数据
+      MERGE_WRITE: "merge:write"          // 合并重复的客户和商品
+    };
+
+    // 定义角色权限
+    this.ROLE_PERMISSIONS = {
+      [this.ROLE.OWNER]: Object.values(this.PERMISSION),
+      [this.ROLE.CLERK]: [
+        this.PERMISSION.ORDER_WRITE,
+        this.PERMISSION.PAYMENT_WRITE,
+        this.PERMISSION.RETURN_WRITE,
+        this.PERMISSION.PRODUCT_WRITE,
+        this.PERMISSION.CUSTOMER_WRITE,
+        this.PERMISSION.INVENTORY_WRITE
+      ],
+      [this.ROLE.DRIVER]: [
+        this.PERMISSION.PAYMENT_WRITE
+      ],
+      [this.ROLE.VIEWER]: []
+    };
+  }
+
+  /**
+   * 获取角色描述
+   * @param {string} role 角色
+   * @returns {string} 角色描述
+   */
+  getRoleDescription(role) {
+    return this.ROLE_DESCRIPTIONS[role] || role;
+  }
+
+  /**
+   * 验证角色是否拥有接口权限
+   * @param {string} role 角色
+   * @param {string} permission 权限
+   * @returns {boolean} 是否有权限
+   */
+  hasPermission(role, permission) {
+    const permissions = this.ROLE_PERMISSIONS[role] || [];
+    return permissions.includes(permission);
+  }
+
+  /**
+   * 获取环境变量 OWNER_OPENIDS 中配置的老板OpenID（逗号分隔）
+   * @returns {Array} OpenID列表
+   */
+  getOwnerOpenids() {
+    return (process.env.OWNER_OPENIDS || "")
+      .split(",")
+      .map(openid => openid.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * 根据OpenID获取用户，首次访问时自动注册
+   * OWNER_OPENIDS 中的用户注册为老板，其他用户注册为只读，由老板分配角色
+   * @param {string} openid 微信OpenID
+   * @returns {Promise<Object>} 用户对象
+   */
+  async findOrRegister(openid) {
+    const role = this.getOwnerOpenids().includes(openid) ? this.ROLE.OWNER : this.ROLE.VIEWER;
+
+    const [user] = await User.findOrCreate({
+      where: { openid },
+      defaults: { openid, role }
+    });
+
+    // 最近访问时间每小时最多更新一次，避免每个请求都写库
+    const now = new Date();
+    if (!user.lastActiveAt || now - new Date(user.lastActiveAt) > 60 * 60 * 1000) {
+      await user.update({ lastActiveAt: now });
+    }
+    return user;
+  }
+
+  /**
+   * 统计启用的老板数量
+   * @param {object} transaction 数据库事务
+   * @returns {Promise<number>} 老板数量
+   */
+  async countActiveOwners(transaction = null) {
+    return User.count({
+      where: { role: this.ROLE.OWNER, isActive: true },
+      transaction
+    });
+  }
+
+  /**
+   * 格式化用户信息（附带角色描述和权限列表）
+   * @param {Object} user 用户对象
+   * @returns {Object} 用户信息
+   */
+  formatUser(user) {
+    return {
+      ...user.toJSON(),
+      roleDesc: this.getRoleDescription(user.role),
+      permissions: this.ROLE_PERMISSIONS[user.role] || []
+    };
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,96 @@
+/**
+ * 金额大写转换工具
+ */
+
+const DIGITS = ["零", "壹", "贰", "叁", "肆", "伍", "陆", "柒", "捌", "玖"];
+const UNITS = ["", "拾", "佰", "仟"];
+const SECTION_UNITS = ["", "万", "亿", "万亿"];
+
+/**
+ * 转换四位以内的整数段
+ * @param {number} section 整数段（0-9999）
+ * @returns {string} 大写字符串
+ */
+function convertSection(section) {
+  let result = "";
+  let zeroPending = false;
+
+  for (let i = 3; i >= 0; i--) {
+    const digit = Math.floor(section / Math.pow(10, i)) % 10;
+    if (digit === 0) {
+      if (result) {
+        zeroPending = true;
+      }
+      continue;
+    }
+    if (zeroPending) {
+      result += DIGITS[0];
+      zeroPending = false;
+    }
+    result += DIGITS[digit] + UNITS[i];
+  }
+
+  return result;
+}
+
+/**
+ * 将金额转换为中文大写（如 1130 -> 壹仟壹佰叁拾元整）
+ * @param {number|string} amount 金额
+ * @returns {string} 中文大写金额
+ */
+function toChineseAmount(amount) {
+  let value = Math.round((parseFloat(amount) || 0) * 100);
+  if (value === 0) {
+    return "零元整";
+  }
+
+  const negative = value < 0;
+  value = Math.abs(value);
+
+  let integerPart = Math.floor(value / 100);
+  const jiao = Math.floor(value / 10) % 10;
+  const fen = value % 10;
+
+  // 整数部分按四位一段从高到低转换
+  const sections = [];
+  while (integerPart > 0) {
+    sections.unshift(integerPart % 10000);
+    integerPart = Math.floor(integerPart / 10000);
+  }
+
+  let integerText = "";
+  let zeroPending = false;
+  sections.forEach((section, index) => {
+    if (section === 0) {
+      zeroPending = integerText !== "";
+      return;
+    }
+    if (integerText && (zeroPending || section < 1000)) {
+      integerText += DIGITS[0];
+    }
+    integerText += convertSection(section) + SECTION_UNITS[sections.length - 1 - index];
+    zeroPending = false;
+  });
+
+  let result = integerText ? `${integerText}元` : "";
+
+  // 小数部分
+  if (jiao === 0 && fen === 0) {
+    result += "整";
+  } else {
+    if (jiao > 0) {
+      result += `${DIGITS[jiao]}角`;
+    } else if (integerText) {
+      result += DIGITS[0];
+    }
+    if (fen > 0) {
+      result += `${DIGITS[fen]}分`;
+    }
+  }
+
+  return negative ? `负${result}` : result;
+}
+
+module.exports = {
+  toChineseAmount
+};
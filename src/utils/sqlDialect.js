@@ -0,0 +1,56 @@
+const { literal } = require("sequelize");
+const { sequelize } = require("../../db");
+
+/**
+ * 判断当前数据库是否为 SQLite
+ * @returns {boolean} 是否为 SQLite
+ */
+function isSqlite() {
+  return sequelize.getDialect() === "sqlite";
+}
+
+/**
+ * SQLite 的周序号表达式（同 MySQL DATE_FORMAT 的 %u：周一为每周第一天，包含1月4日的那一周为第1周）
+ * @param {string} column 日期列
+ * @returns {string} SQL表达式
+ */
+function sqliteWeekOfYear(column) {
+  const jan4 = `strftime('%Y', ${column}) || '-01-04'`;
+  const firstMonday = `julianday(date(${jan4}, '-' || ((CAST(strftime('%w', ${jan4}) AS INTEGER) + 6) % 7) || ' days'))`;
+  const day = `julianday(date(${column}))`;
+  return `CASE WHEN ${day} < ${firstMonday} THEN 0 ELSE CAST((${day} - ${firstMonday}) / 7 AS INTEGER) + 1 END`;
+}
+
+/**
+ * 按统计周期分组的日期表达式
+ * 周期格式：daily 为 YYYY-MM-DD，weekly 为 YYYY-周序号，monthly 为 YYYY-MM
+ * @param {string} column 日期列
+ * @param {string} period 统计周期 daily/weekly/monthly
+ * @returns {Object} Sequelize literal
+ */
+function periodExpression(column, period) {
+  if (isSqlite()) {
+    switch (period) {
+      case "weekly":
+        return literal(`strftime('%Y', ${column}) || '-' || printf('%02d', ${sqliteWeekOfYear(column)})`);
+      case "monthly":
+        return literal(`strftime('%Y-%m', ${column})`);
+      default:
+        return literal(`strftime('%Y-%m-%d', ${column})`);
+    }
+  }
+
+  switch (period) {
+    case "weekly":
+      return literal(`DATE_FORMAT(${column}, '%Y-%u')`);
+    case "monthly":
+      return literal(`DATE_FORMAT(${column}, '%Y-%m')`);
+    default:
+      return literal(`DATE_FORMAT(${column}, '%Y-%m-%d')`);
+  }
+}
+
+module.exports = {
+  isSqlite,
+  periodExpression
+};
@@ -1,4 +1,5 @@
 const Joi = require("joi");
+const orderWorkflowService = require("../services/orderWorkflowService");
 
 /**
  * 验证请求参数
@@ -32,6 +33,16 @@ function validate(data, schema) {
   };
 }
 
+/**
+ * 订单状态验证模式（可选状态来自订单流程配置）
+ */
+const orderStatusValue = Joi.string().custom((value, helpers) => {
+  if (!orderWorkflowService.hasStatus(value)) {
+    return helpers.error("any.only");
+  }
+  return value;
+}).meta({ enumSource: "orderStatus" });
+
 /**
  * 分页参数验证模式
  */
@@ -39,11 +50,38 @@ const paginationSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   pageSize: Joi.number().integer().min(1).max(100).default(20),
   keyword: Joi.string().allow("").optional(),
-  status: Joi.string().valid("draft", "processing", "completed", "cancelled").allow("").optional(),
+  status: orderStatusValue.allow("").optional(),
   startDate: Joi.date().allow("").optional(),
   endDate: Joi.date().allow("").optional()
 });
 
+/**
+ * 商品列表查询参数验证模式
+ */
+const productQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  keyword: Joi.string().allow("").optional(),
+  categoryId: Joi.string().uuid().allow("").optional().messages({
+    "string.guid": "分类ID格式不正确"
+  }),
+  brand: Joi.string().max(50).allow("").optional()
+});
+
+/**
+ * 商品分类验证模式
+ */
+const categorySchema = Joi.object({
+  name: Joi.string().max(50).required().messages({
+    "string.empty": "分类名称不能为空",
+    "string.max": "分类名称不能超过50个字符"
+  }),
+  parentId: Joi.string().uuid().allow(null, "").optional().messages({
+    "string.guid": "上级分类ID格式不正确"
+  }),
+  sortOrder: Joi.number().integer().min(0).optional()
+});
+
 /**
  * 商品验证模式
  */
@@ -56,11 +94,61 @@ const productSchema = Joi.object({
     "number.base": "价格必须是数字",
     "number.min": "价格不能小于0"
   }),
+  costPrice: Joi.number().precision(2).min(0).optional().messages({
+    "number.base": "成本价必须是数字",
+    "number.min": "成本价不能小于0"
+  }),
   unit: Joi.string().max(20).default("个").messages({
     "string.max": "单位不能超过20个字符"
+  }),
+  categoryId: Joi.string().uuid().allow(null, "").optional().messages({
+    "string.guid": "分类ID格式不正确"
+  }),
+  brand: Joi.string().max(50).allow(null, "").optional().messages({
+    "string.max": "品牌不能超过50个字符"
   })
 });
 
+/**
+ * 商品规格验证模式
+ */
+const productVariantSchema = Joi.object({
+  specification: Joi.string().max(100).required().messages({
+    "string.empty": "型号规格不能为空",
+    "string.max": "型号规格不能超过100个字符"
+  }),
+  price: Joi.number().precision(2).min(0).required().messages({
+    "number.base": "价格必须是数字",
+    "number.min": "价格不能小于0"
+  }),
+  unit: Joi.string().max(20).default("个").messages({
+    "string.max": "单位不能超过20个字符"
+  }),
+  barcode: Joi.string().max(50).allow("").optional().messages({
+    "string.max": "条形码不能超过50个字符"
+  }),
+  sortOrder: Joi.number().integer().min(0).optional()
+});
+
+/**
+ * 商品包装单位验证模式
+ */
+const productUnitSchema = Joi.object({
+  unit: Joi.string().max(20).required().messages({
+    "string.empty": "单位不能为空",
+    "string.max": "单位不能超过20个字符"
+  }),
+  conversionFactor: Joi.number().precision(3).greater(0).required().messages({
+    "number.base": "换算系数必须是数字",
+    "number.greater": "换算系数必须大于0"
+  }),
+  price: Joi.number().precision(2).min(0).required().messages({
+    "number.base": "价格必须是数字",
+    "number.min": "价格不能小于0"
+  }),
+  sortOrder: Joi.number().integer().min(0).optional()
+});
+
 /**
  * 客户验证模式
  */
@@ -74,6 +162,26 @@ const customerSchema = Joi.object({
   })
 });
 
+/**
+ * 客户别名验证模式
+ */
+const customerAliasSchema = Joi.object({
+  alias: Joi.string().trim().max(50).required().messages({
+    "string.empty": "别名不能为空",
+    "string.max": "客户别名不能超过50个字符"
+  })
+});
+
+/**
+ * 商品别名验证模式
+ */
+const productAliasSchema = Joi.object({
+  alias: Joi.string().trim().max(100).required().messages({
+    "string.empty": "别名不能为空",
+    "string.max": "商品别名不能超过100个字符"
+  })
+});
+
 /**
  * 订单项验证模式
  */
@@ -81,10 +189,14 @@ const orderItemSchema = Joi.object({
   productId: Joi.string().uuid().required().messages({
     "string.guid": "商品ID格式不正确"
   }),
+  variantId: Joi.string().uuid().allow(null, "").optional().messages({
+    "string.guid": "规格ID格式不正确"
+  }),
   quantity: Joi.number().precision(2).min(0.01).required().messages({
     "number.base": "数量必须是数字",
     "number.min": "数量必须大于0"
   }),
+  // 单位须为商品的基本单位或已定义的包装单位，在创建订单项时校验
   unit: Joi.string().max(20).required().messages({
     "string.empty": "单位不能为空"
   }),
@@ -129,14 +241,64 @@ const orderUpdateSchema = Joi.object({
  * 订单状态更新验证模式
  */
 const orderStatusSchema = Joi.object({
-  status: Joi.string().valid(
-    "draft", "processing", "completed", "cancelled"
-  ).required().messages({
+  status: orderStatusValue.required().messages({
     "any.only": "订单状态值不正确"
   }),
   remark: Joi.string().allow("").optional()
 });
 
+/**
+ * 订单流程配置验证模式（状态、流转的业务规则由 orderWorkflowService 校验）
+ */
+const orderWorkflowSchema = Joi.object({
+  initialStatus: Joi.string().required().messages({
+    "any.required": "初始状态不能为空"
+  }),
+  cancelStatus: Joi.string().required().messages({
+    "any.required": "取消状态不能为空"
+  }),
+  states: Joi.array().items(Joi.object({
+    status: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required().messages({
+      "string.pattern.base": "状态值只能包含小写字母、数字和下划线，且以字母开头",
+      "any.required": "状态值不能为空"
+    }),
+    label: Joi.string().max(20).required().messages({
+      "any.required": "状态名称不能为空"
+    }),
+    editable: Joi.boolean().default(false),
+    confirmed: Joi.boolean().default(false),
+    returnable: Joi.boolean().default(false),
+    terminal: Joi.boolean().default(false)
+  })).min(2).required().messages({
+    "array.min": "至少需要两个状态"
+  }),
+  transitions: Joi.array().items(Joi.object({
+    from: Joi.string().required(),
+    to: Joi.string().required(),
+    roles: Joi.array().items(Joi.string()).unique().default([])
+  })).min(1).required().messages({
+    "array.min": "至少需要一个状态流转"
+  })
+});
+
+/**
+ * 订单号规则验证模式
+ */
+const orderNumberPatternSchema = Joi.object({
+  prefix: Joi.string().pattern(/^[A-Za-z0-9-]*$/).max(6).allow("").default("").messages({
+    "string.pattern.base": "订单号前缀只能包含字母、数字和-",
+    "string.max": "订单号前缀不能超过6个字符"
+  }),
+  dateFormat: Joi.string().required().messages({
+    "any.required": "日期格式不能为空"
+  }),
+  sequenceWidth: Joi.number().integer().min(3).max(6).required().messages({
+    "number.min": "序号位数不能少于3位",
+    "number.max": "序号位数不能超过6位",
+    "any.required": "序号位数不能为空"
+  })
+});
+
 /**
  * 客户专属价格验证模式
  */
@@ -150,14 +312,350 @@ const customerPriceSchema = Joi.object({
   })
 });
 
+/**
+ * 收款记录验证模式
+ */
+const paymentSchema = Joi.object({
+  amount: Joi.number().precision(2).min(0.01).required().messages({
+    "number.base": "收款金额必须是数字",
+    "number.min": "收款金额必须大于0"
+  }),
+  method: Joi.string().valid("cash", "wechat", "alipay", "bank", "other").default("cash").messages({
+    "any.only": "收款方式不正确"
+  }),
+  paidAt: Joi.date().optional(),
+  remark: Joi.string().allow("").optional()
+});
+
+/**
+ * 对账单查询参数验证模式
+ */
+const statementQuerySchema = Joi.object({
+  startDate: Joi.date().allow("").optional(),
+  endDate: Joi.date().allow("").optional(),
+  format: Joi.string().valid("json", "xlsx").default("json").messages({
+    "any.only": "对账单格式只支持 json 或 xlsx"
+  })
+});
+
+/**
+ * 送货单打印参数验证模式
+ */
+const printQuerySchema = Joi.object({
+  format: Joi.string().valid("html", "pdf").default("html").messages({
+    "any.only": "送货单格式只支持 html 或 pdf"
+  })
+});
+
+/**
+ * 退货项验证模式
+ */
+const orderReturnItemSchema = Joi.object({
+  orderItemId: Joi.string().uuid().required().messages({
+    "string.guid": "订单项ID格式不正确"
+  }),
+  quantity: Joi.number().precision(2).min(0.01).required().messages({
+    "number.base": "退货数量必须是数字",
+    "number.min": "退货数量必须大于0"
+  })
+});
+
+/**
+ * 退货单验证模式
+ */
+const orderReturnSchema = Joi.object({
+  items: Joi.array().items(orderReturnItemSchema).min(1).required().messages({
+    "array.min": "退货单至少包含一个商品"
+  }),
+  refundType: Joi.string().valid("refund", "credit").default("refund").messages({
+    "any.only": "退款方式不正确"
+  }),
+  refundAmount: Joi.number().precision(2).min(0).optional().messages({
+    "number.base": "退款金额必须是数字",
+    "number.min": "退款金额不能小于0"
+  }),
+  reason: Joi.string().allow("").optional()
+});
+
+/**
+ * 退货单查询参数验证模式
+ */
+const returnQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  keyword: Joi.string().allow("").optional(),
+  customerId: Joi.string().uuid().allow("").optional(),
+  startDate: Joi.date().allow("").optional(),
+  endDate: Joi.date().allow("").optional()
+});
+
+/**
+ * 库存流水（手工入库/盘点调整）验证模式
+ */
+const stockMovementSchema = Joi.object({
+  productId: Joi.string().uuid().required().messages({
+    "string.guid": "商品ID格式不正确"
+  }),
+  type: Joi.string().valid("purchase", "adjustment").required().messages({
+    "any.only": "只能手工登记采购入库或盘点调整"
+  }),
+  quantity: Joi.number().precision(2).invalid(0).required()
+    .when("type", {
+      is: "purchase",
+      then: Joi.number().min(0.01)
+    })
+    .messages({
+      "number.base": "数量必须是数字",
+      "any.invalid": "数量不能为0",
+      "number.min": "采购入库数量必须大于0"
+    }),
+  remark: Joi.string().allow("").optional()
+});
+
+/**
+ * 库存流水查询参数验证模式
+ */
+const stockMovementQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  productId: Joi.string().uuid().allow("").optional(),
+  orderId: Joi.string().uuid().allow("").optional(),
+  type: Joi.string().valid("purchase", "sale", "return", "adjustment").allow("").optional(),
+  startDate: Joi.date().allow("").optional(),
+  endDate: Joi.date().allow("").optional()
+});
+
+/**
+ * 供应商验证模式
+ */
+const supplierSchema = Joi.object({
+  name: Joi.string().max(100).required().messages({
+    "string.empty": "供应商名称不能为空",
+    "string.max": "供应商名称不能超过100个字符"
+  }),
+  contact: Joi.string().max(50).allow("").optional().messages({
+    "string.max": "联系人不能超过50个字符"
+  }),
+  phone: Joi.string().max(20).allow("").optional().messages({
+    "string.max": "电话号码不能超过20个字符"
+  }),
+  address: Joi.string().max(200).allow("").optional().messages({
+    "string.max": "地址不能超过200个字符"
+  }),
+  remark: Joi.string().allow("").optional()
+});
+
+/**
+ * 采购项验证模式
+ */
+const purchaseOrderItemSchema = Joi.object({
+  productId: Joi.string().uuid().required().messages({
+    "string.guid": "商品ID格式不正确"
+  }),
+  quantity: Joi.number().precision(2).min(0.01).required().messages({
+    "number.base": "数量必须是数字",
+    "number.min": "数量必须大于0"
+  }),
+  unit: Joi.string().max(20).allow("").optional(),
+  unitCost: Joi.number().precision(2).min(0).required().messages({
+    "number.base": "进价必须是数字",
+    "number.min": "进价不能小于0"
+  })
+});
+
+/**
+ * 采购单验证模式
+ */
+const purchaseOrderSchema = Joi.object({
+  supplierId: Joi.string().uuid().required().messages({
+    "string.guid": "供应商ID格式不正确"
+  }),
+  items: Joi.array().items(purchaseOrderItemSchema).min(1).required().messages({
+    "array.min": "采购单至少包含一个商品"
+  }),
+  remark: Joi.string().allow("").optional()
+});
+
+/**
+ * 采购单更新验证模式
+ */
+const purchaseOrderUpdateSchema = Joi.object({
+  supplierId: Joi.string().uuid().optional().messages({
+    "string.guid": "供应商ID格式不正确"
+  }),
+  items: Joi.array().items(purchaseOrderItemSchema).min(1).optional().messages({
+    "array.min": "采购单至少包含一个商品"
+  }),
+  remark: Joi.string().allow("").optional()
+}).min(1).messages({
+  "object.min": "请提供要更新的内容"
+});
+
+/**
+ * 采购单状态更新验证模式
+ */
+const purchaseOrderStatusSchema = Joi.object({
+  status: Joi.string().valid("ordered", "received", "cancelled").required().messages({
+    "any.only": "采购单状态值不正确"
+  })
+});
+
+/**
+ * 采购单查询参数验证模式
+ */
+const purchaseOrderQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  keyword: Joi.string().allow("").optional(),
+  status: Joi.string().valid("draft", "ordered", "received", "cancelled").allow("").optional(),
+  supplierId: Joi.string().uuid().allow("").optional(),
+  startDate: Joi.date().allow("").optional(),
+  endDate: Joi.date().allow("").optional()
+});
+
+/**
+ * 用户验证模式
+ */
+const userSchema = Joi.object({
+  openid: Joi.string().max(64).required().messages({
+    "string.empty": "OpenID不能为空",
+    "string.max": "OpenID不能超过64个字符"
+  }),
+  name: Joi.string().max(50).allow("").optional().messages({
+    "string.max": "姓名不能超过50个字符"
+  }),
+  phone: Joi.string().max(20).allow("").optional().messages({
+    "string.max": "电话号码不能超过20个字符"
+  }),
+  role: Joi.string().valid("owner", "clerk", "driver", "viewer").default("viewer").messages({
+    "any.only": "角色只能是 owner、clerk、driver 或 viewer"
+  })
+});
+
+/**
+ * 用户更新验证模式
+ */
+const userUpdateSchema = Joi.object({
+  name: Joi.string().max(50).allow("").optional().messages({
+    "string.max": "姓名不能超过50个字符"
+  }),
+  phone: Joi.string().max(20).allow("").optional().messages({
+    "string.max": "电话号码不能超过20个字符"
+  }),
+  role: Joi.string().valid("owner", "clerk", "driver", "viewer").optional().messages({
+    "any.only": "角色只能是 owner、clerk、driver 或 viewer"
+  }),
+  isActive: Joi.boolean().optional()
+}).min(1).messages({
+  "object.min": "请提供要更新的内容"
+});
+
+/**
+ * 用户查询参数验证模式
+ */
+const userQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  keyword: Joi.string().allow("").optional(),
+  role: Joi.string().valid("owner", "clerk", "driver", "viewer").allow("").optional()
+});
+
+/**
+ * Excel导入验证模式（上传表单中的字段）
+ */
+const importExcelSchema = Joi.object({
+  dryRun: Joi.boolean().default(true),
+  year: Joi.number().integer().min(2000).max(2100).optional().messages({
+    "number.base": "年份必须是数字",
+    "number.min": "年份不能早于2000",
+    "number.max": "年份不能晚于2100"
+  }),
+  checksum: Joi.string().hex().length(64).when("dryRun", {
+    is: false,
+    then: Joi.required()
+  }).messages({
+    "any.required": "确认导入时必须提供预览返回的校验码",
+    "string.hex": "校验码格式不正确",
+    "string.length": "校验码格式不正确"
+  })
+});
+
+/**
+ * 导入批次查询参数验证模式
+ */
+const importBatchQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  source: Joi.string().valid("excel", "csv").allow("").optional(),
+  status: Joi.string().valid("processing", "completed", "failed", "rolled_back").allow("").optional()
+});
+
+/**
+ * 归档对账报告查询参数验证模式
+ */
+const reconciliationQuerySchema = Joi.object({
+  format: Joi.string().valid("json", "xlsx").default("json").messages({
+    "any.only": "对账报告格式只支持 json 或 xlsx"
+  })
+});
+
+/**
+ * 客户/商品合并验证模式（sourceIds 合并到 targetId）
+ */
+const mergeSchema = Joi.object({
+  sourceIds: Joi.array().items(Joi.string().uuid().messages({
+    "string.guid": "被合并记录ID格式不正确"
+  })).min(1).unique().required().messages({
+    "array.min": "至少选择一个被合并的记录",
+    "array.unique": "被合并记录不能重复",
+    "any.required": "被合并记录不能为空"
+  }),
+  targetId: Joi.string().uuid().required().messages({
+    "string.guid": "保留记录ID格式不正确",
+    "any.required": "保留记录不能为空"
+  }),
+  pricePolicy: Joi.string().valid("keep_target", "keep_source", "higher", "lower").default("keep_target").messages({
+    "any.only": "专属价格冲突处理方式只支持 keep_target、keep_source、higher 或 lower"
+  })
+});
+
 module.exports = {
   validate,
   paginationSchema,
+  productQuerySchema,
+  categorySchema,
   productSchema,
+  productVariantSchema,
+  productUnitSchema,
   customerSchema,
+  customerAliasSchema,
+  productAliasSchema,
   orderItemSchema,
   orderSchema,
   orderUpdateSchema,
   orderStatusSchema,
-  customerPriceSchema
+  orderWorkflowSchema,
+  orderNumberPatternSchema,
+  customerPriceSchema,
+  paymentSchema,
+  statementQuerySchema,
+  printQuerySchema,
+  orderReturnItemSchema,
+  orderReturnSchema,
+  returnQuerySchema,
+  stockMovementSchema,
+  stockMovementQuerySchema,
+  supplierSchema,
+  purchaseOrderItemSchema,
+  purchaseOrderSchema,
+  purchaseOrderUpdateSchema,
+  purchaseOrderStatusSchema,
+  purchaseOrderQuerySchema,
+  userSchema,
+  userUpdateSchema,
+  userQuerySchema,
+  importExcelSchema,
+  importBatchQuerySchema,
+  reconciliationQuerySchema,
+  mergeSchema
 };
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+const { buildWorkbook, buildForm } = require("./helpers/excel");
+const { Customer, CustomerAlias, Order, OrderItem, Product, ProductAlias } = require("../src/models");
+
+describe("客户/商品别名", () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("客户改名后旧名称记录为别名并可搜索", async () => {
+    const customer = await Customer.create({ name: "别名测试老王" });
+
+    const updated = await server.request("PUT", `/customers/${customer.id}`, {
+      body: { name: "别名测试王老板渔具" }
+    });
+    assert.strictEqual(updated.status, 200);
+
+    const search = await server.request("GET", `/customers?keyword=${encodeURIComponent("别名测试老王")}`);
+    assert.strictEqual(search.status, 200);
+    assert.deepStrictEqual(search.body.data.list.map(item => item.id), [customer.id]);
+
+    const { status, body } = await server.request("GET", `/customers/${customer.id}/aliases`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.data.map(alias => [alias.alias, alias.source]), [["别名测试老王", "rename"]]);
+
+    // 改回原名时与名称相同的别名删除
+    await server.request("PUT", `/customers/${customer.id}`, { body: { name: "别名测试老王" } });
+    const aliases = await CustomerAlias.findAll({ where: { customerId: customer.id } });
+    assert.deepStrictEqual(aliases.map(alias => alias.alias), ["别名测试王老板渔具"]);
+  });
+
+  it("手动添加和删除商品别名", async () => {
+    const product = fixtures.products[0];
+
+    const created = await server.request("POST", `/products/${product.id}/aliases`, {
+      body: { alias: "别名测试商品" }
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.data.source, "manual");
+
+    const search = await server.request("GET", `/products?keyword=${encodeURIComponent("别名测试商品")}`);
+    assert.deepStrictEqual(search.body.data.list.map(item => item.id), [product.id]);
+
+    const duplicate = await server.request("POST", `/products/${product.id}/aliases`, {
+      body: { alias: "别名测试商品" }
+    });
+    assert.strictEqual(duplicate.status, 400);
+    assert.strictEqual(duplicate.body.message, "别名 别名测试商品 已存在");
+
+    const sameName = await server.request("POST", `/products/${product.id}/aliases`, {
+      body: { alias: product.name }
+    });
+    assert.strictEqual(sameName.status, 400);
+    assert.strictEqual(sameName.body.message, "别名不能与名称相同");
+
+    const otherName = await server.request("POST", `/products/${product.id}/aliases`, {
+      body: { alias: fixtures.products[1].name }
+    });
+    assert.strictEqual(otherName.status, 400);
+    assert.strictEqual(otherName.body.message, `已有名为 ${fixtures.products[1].name} 的商品，请使用合并`);
+
+    const removed = await server.request("DELETE", `/products/${product.id}/aliases/${created.body.data.id}`);
+    assert.strictEqual(removed.status, 200);
+    const missing = await server.request("DELETE", `/products/${product.id}/aliases/${created.body.data.id}`);
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it("不能改名为其他记录的别名", async () => {
+    const owner = await Product.create({ name: "别名测试浮漂", unit: "支", globalPrice: 5 });
+    const other = await Product.create({ name: "别名测试鱼漂", unit: "支", globalPrice: 5 });
+    await server.request("POST", `/products/${owner.id}/aliases`, { body: { alias: "别名测试漂" } });
+
+    const { status, body } = await server.request("PUT", `/products/${other.id}`, {
+      body: { name: "别名测试漂", globalPrice: 5, unit: "支" }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, "名称 别名测试漂 是其他商品的别名，请使用合并");
+    assert.strictEqual((await Product.findByPk(other.id)).name, "别名测试鱼漂");
+    assert.strictEqual((await ProductAlias.findOne({ where: { alias: "别名测试漂" } })).productId, owner.id);
+  });
+
+  it("只读用户不能修改别名", async () => {
+    await server.createUser("alias-viewer", "viewer");
+    const { status } = await server.request("POST", `/customers/${fixtures.customers[0].id}/aliases`, {
+      body: { alias: "别名测试只读" },
+      openid: "alias-viewer"
+    });
+
+    assert.strictEqual(status, 403);
+  });
+
+  it("导入时旧名称映射到已有的客户和商品", async () => {
+    const customer = await Customer.create({ name: "别名测试喜洋洋渔具" });
+    const product = await Product.create({ name: "别名测试渔竿", unit: "根", globalPrice: 30 });
+    await server.request("POST", `/customers/${customer.id}/aliases`, { body: { alias: "别名测试喜洋洋" } });
+    await server.request("POST", `/products/${product.id}/aliases`, { body: { alias: "别名测试鱼竿" } });
+    const files = [{
+      name: "别名测试喜洋洋.xlsx",
+      buffer: buildWorkbook([["2024-04-01", "ALIAS-0001", "别名测试鱼竿", "", "根", 1, 30, 30, ""]])
+    }];
+
+    const preview = await server.request("POST", "/import/excel", { form: buildForm(files) });
+    assert.strictEqual(preview.status, 200);
+    assert.deepStrictEqual(preview.body.data.newCustomers, []);
+    assert.deepStrictEqual(preview.body.data.newProducts, []);
+    assert.deepStrictEqual(preview.body.data.resolvedAliases, [
+      { type: "customer", alias: "别名测试喜洋洋", name: "别名测试喜洋洋渔具" },
+      { type: "product", alias: "别名测试鱼竿", name: "别名测试渔竿" }
+    ]);
+    assert.strictEqual(preview.body.data.ordersToCreate[0].customerName, "别名测试喜洋洋渔具");
+
+    const { status } = await server.request("POST", "/import/excel", {
+      form: buildForm(files, { dryRun: false, checksum: preview.body.data.checksum })
+    });
+    assert.strictEqual(status, 201);
+    const order = await Order.findOne({ where: { orderNo: "ALIAS-0001" } });
+    assert.strictEqual(order.customerId, customer.id);
+    const item = await OrderItem.findOne({ where: { orderId: order.id } });
+    assert.strictEqual(item.productId, product.id);
+    assert.strictEqual(await Customer.count({ where: { name: "别名测试喜洋洋" } }), 0);
+  });
+});
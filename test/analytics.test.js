@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+
+describe("统计分析接口", () => {
+  let server;
+  let fixtures;
+  let totalAmount;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+    totalAmount = fixtures.orders.reduce((sum, order) => sum + parseFloat(order.totalAmount), 0);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("销售概览汇总历史订单", async () => {
+    const { status, body } = await server.request("GET", "/analytics/overview");
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.totalOrders, fixtures.orders.length);
+    assert.strictEqual(body.data.totalAmount, Math.round(totalAmount * 100) / 100);
+    assert.strictEqual(body.data.totalCustomers, fixtures.customers.length);
+  });
+
+  it("按月统计销售趋势", async () => {
+    const { status, body } = await server.request("GET", "/analytics/trend?period=monthly");
+
+    assert.strictEqual(status, 200);
+    const months = new Set(fixtures.orders.map(order => order.createdAt.toISOString().slice(0, 7)));
+    assert.deepStrictEqual(body.data.map(row => row.period), [...months].sort());
+    assert.strictEqual(body.data.reduce((sum, row) => sum + row.orderCount, 0), fixtures.orders.length);
+  });
+
+  it("热销商品按订单项汇总", async () => {
+    const { status, body } = await server.request("GET", "/analytics/top-products?limit=5");
+
+    assert.strictEqual(status, 200);
+    assert.ok(body.data.length > 0 && body.data.length <= 5);
+
+    const top = body.data[0];
+    const items = fixtures.orders
+      .flatMap(order => order.items)
+      .filter(item => item.productId === top.productId);
+    assert.strictEqual(top.totalQuantity, items.reduce((sum, item) => sum + item.quantity, 0));
+  });
+
+  it("订单状态统计", async () => {
+    const { status, body } = await server.request("GET", "/analytics/order-status");
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.data.map(row => [row.status, row.statusDesc, row.count]), [
+      ["completed", "已完成", fixtures.orders.length]
+    ]);
+  });
+
+  it("按日期范围筛选", async () => {
+    const { body } = await server.request("GET", "/analytics/overview?startDate=2100-01-01");
+
+    assert.strictEqual(body.data.totalOrders, 0);
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { ClientGenerator } = require("../scripts/generateClient");
+
+describe("小程序接口客户端", () => {
+  const generator = new ClientGenerator();
+
+  it("client/api.ts 与服务端接口一致", () => {
+    const current = fs.readFileSync(path.join(__dirname, "..", "client", "api.ts"), "utf8");
+
+    assert.strictEqual(current, generator.generate(), "请执行 npm run client:generate");
+  });
+
+  it("types.ts 的请求类型与服务端验证模式一致", () => {
+    assert.deepStrictEqual(generator.checkTypes(), []);
+  });
+
+  it("发现 types.ts 中会被丢弃的字段", () => {
+    const schema = { type: "object", properties: { name: { type: "string" } }, required: ["name"] };
+    const fields = { name: { optional: true, children: null }, remark: { optional: true, children: null } };
+
+    assert.deepStrictEqual(generator.compareFields(fields, schema, "CreateCustomerData"), [
+      "CreateCustomerData.name 在服务端为必填字段",
+      "CreateCustomerData.remark 不在服务端验证模式中，提交后会被丢弃"
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+
+describe("客户接口", () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("查询全部客户", async () => {
+    const { status, body } = await server.request("GET", "/customers/all");
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(
+      body.data.map(customer => customer.name).sort(),
+      fixtures.customers.map(customer => customer.name).sort()
+    );
+  });
+
+  it("客户商品列表使用专属价格", async () => {
+    const customerPrice = fixtures.customerPrices[0];
+    const product = fixtures.products.find(item => item.id === customerPrice.productId);
+    const { status, body } = await server.request(
+      "GET",
+      `/customers/${customerPrice.customerId}/products?keyword=${encodeURIComponent(product.name)}`
+    );
+
+    assert.strictEqual(status, 200);
+    const item = body.data.list.find(row => row.id === product.id);
+    assert.ok(item);
+    assert.strictEqual(parseFloat(item.price), parseFloat(customerPrice.price));
+    assert.strictEqual(item.isCustomPrice, true);
+  });
+
+  it("没有专属价格的商品使用统一售价", async () => {
+    const customer = fixtures.customers[0];
+    const pricedIds = new Set(fixtures.customerPrices
+      .filter(price => price.customerId === customer.id)
+      .map(price => price.productId));
+    const product = fixtures.products.find(item => !pricedIds.has(item.id));
+    const { body } = await server.request(
+      "GET",
+      `/customers/${customer.id}/products?keyword=${encodeURIComponent(product.name)}`
+    );
+
+    const item = body.data.list.find(row => row.id === product.id);
+    assert.strictEqual(parseFloat(item.price), parseFloat(product.globalPrice));
+    assert.strictEqual(item.isCustomPrice, false);
+  });
+
+  it("创建和修改客户", async () => {
+    const created = await server.request("POST", "/customers", {
+      body: { name: "测试渔具店", phone: "13800000000" }
+    });
+    assert.strictEqual(created.status, 201);
+
+    const updated = await server.request("PUT", `/customers/${created.body.data.id}`, {
+      body: { name: "测试渔具店（新）", phone: "13800000000" }
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.data.name, "测试渔具店（新）");
+  });
+
+  it("查询不存在的客户返回404", async () => {
+    const { status } = await server.request("GET", "/customers/00000000-0000-4000-8000-000000000000");
+
+    assert.strictEqual(status, 404);
+  });
+});
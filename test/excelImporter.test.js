@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelImporter = require("../scripts/excelImporter");
+const { buildWorkbook } = require("./helpers/excel");
+
+/**
+ * 日期转为 YYYY-MM-DD（与导出CSV的 order_date 一致）
+ * @param {Date|null} date 日期
+ * @returns {string|null}
+ */
+function formatDate(date) {
+  return date ? date.toISOString().split("T")[0] : null;
+}
+
+describe("Excel对账单日期解析", () => {
+  let archiveDir;
+  const excelImporter = new ExcelImporter();
+
+  before(() => {
+    archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-"));
+  });
+
+  after(() => {
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  it("支持多种日期格式，不含年份时使用指定年份", () => {
+    const cases = [
+      [45356, "2024-03-05"],
+      [20240305, "2024-03-05"],
+      ["2024-03-05", "2024-03-05"],
+      ["2024/3/5", "2024-03-05"],
+      ["2024年3月5日", "2024-03-05"],
+      ["20240305", "2024-03-05"],
+      ["11-13", "2023-11-13"],
+      ["3月5日", "2023-03-05"],
+      ["13-45", null],
+      ["02-30", null],
+      ["不详", null],
+      [5, null]
+    ];
+
+    cases.forEach(([value, expected]) => {
+      assert.strictEqual(formatDate(excelImporter.parseDate(value, 2023)), expected, `日期 ${value}`);
+    });
+  });
+
+  it("按年份目录解析日期并报告无法解析的行", () => {
+    const yearDir = path.join(archiveDir, "2023");
+    fs.mkdirSync(yearDir);
+    const filePath = path.join(yearDir, "测试渔具店.xlsx");
+    fs.writeFileSync(filePath, buildWorkbook([
+      ["11-13", "20231113001", "测试商品", "", "个", 1, 10, 10, ""],
+      ["不详", "20231113002", "测试商品", "", "个", 1, 10, 10, ""],
+      ["12-08", "20231208001", "测试商品", "", "个", 2, 10, 20, ""]
+    ]));
+
+    const result = excelImporter.parseExcelFile(filePath);
+
+    assert.strictEqual(result.year, 2023);
+    assert.deepStrictEqual(result.orders.map(order => [order.orderNo, formatDate(order.orderDate)]), [
+      ["20231113001", "2023-11-13"],
+      ["20231208001", "2023-12-08"]
+    ]);
+    assert.deepStrictEqual(result.dateErrors, [{ sheet: "Sheet1", row: 4, value: "不详" }]);
+    assert.deepStrictEqual(excelImporter.describeDateErrors(result.dateErrors), ["Sheet1 第4行日期无法解析: 不详"]);
+  });
+});
@@ -0,0 +1,82 @@
+// 测试使用 SQLite 内存数据库，必须在引用 db.js 之前设置
+const OWNER_OPENID = "test-owner";
+
+process.env.NODE_ENV = "test";
+process.env.DB_DIALECT = "sqlite";
+process.env.SQLITE_STORAGE = ":memory:";
+process.env.OWNER_OPENIDS = OWNER_OPENID;
+
+const { app } = require("../../index");
+const { init, sequelize } = require("../../db");
+const { User } = require("../../src/models");
+
+/**
+ * 启动测试服务（随机端口）
+ * 初始化内存数据库并执行迁移，返回请求方法和关闭方法
+ * @returns {Promise<Object>} { request, createUser, close }
+ */
+async function startTestServer() {
+  await init();
+
+  const server = await new Promise(resolve => {
+    const instance = app.listen(0, "127.0.0.1", () => resolve(instance));
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const baseUrl = `${origin}/api`;
+
+  /**
+   * 发送接口请求（默认以老板身份）
+   * @param {string} method 请求方法
+   * @param {string} url 接口路径（不含 /api）
+   * @param {Object} options { body, form, openid }（form 为 FormData，用于上传文件）
+   * @returns {Promise<Object>} { status, body, contentType }（非 JSON、非文本的响应 body 为 Buffer）
+   */
+  async function request(method, url, options = {}) {
+    const { body, form, openid = OWNER_OPENID } = options;
+    const headers = form ? {} : { "content-type": "application/json" };
+    if (openid) {
+      headers["x-wx-openid"] = openid;
+    }
+
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers,
+      body: form || (body === undefined ? undefined : JSON.stringify(body))
+    });
+    const contentType = response.headers.get("content-type") || "";
+    let data;
+    if (contentType.includes("json")) {
+      data = await response.json();
+    } else if (contentType.startsWith("text/") || !contentType) {
+      data = await response.text();
+    } else {
+      data = Buffer.from(await response.arrayBuffer());
+    }
+    return { status: response.status, body: data, contentType };
+  }
+
+  /**
+   * 创建指定角色的用户
+   * @param {string} openid 用户OpenID
+   * @param {string} role 角色
+   * @returns {Promise<Object>} 用户对象
+   */
+  async function createUser(openid, role) {
+    return User.create({ openid, role, name: openid });
+  }
+
+  /**
+   * 关闭测试服务和数据库连接
+   */
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await sequelize.close();
+  }
+
+  return { origin, request, createUser, close };
+}
+
+module.exports = {
+  OWNER_OPENID,
+  startTestServer
+};
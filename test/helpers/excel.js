@@ -0,0 +1,48 @@
+const XLSX = require("xlsx");
+
+/**
+ * 生成多个工作表的客户对账单Excel（每个工作表的表头为 日期/单号/商品名称/型号规格/单位/数量/单价/金额/备注）
+ * @param {Object} sheets 工作表名称 -> 数据行
+ * @returns {Buffer} xlsx 文件内容
+ */
+function buildSheetsWorkbook(sheets) {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    const worksheet = XLSX.utils.aoa_to_sheet([
+      ["客户对账单"],
+      ["日期", "单号", "商品名称", "型号规格", "单位", "数量", "单价", "金额", "备注"],
+      ...rows,
+      ["合计"]
+    ]);
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  });
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+/**
+ * 生成客户对账单Excel（单个工作表）
+ * @param {Array} rows 数据行
+ * @returns {Buffer} xlsx 文件内容
+ */
+function buildWorkbook(rows) {
+  return buildSheetsWorkbook({ Sheet1: rows });
+}
+
+/**
+ * 生成上传表单
+ * @param {Array} files [{ name, buffer }]
+ * @param {Object} fields 表单字段
+ * @returns {FormData}
+ */
+function buildForm(files, fields = {}) {
+  const form = new FormData();
+  files.forEach(file => form.append("files", new Blob([file.buffer]), file.name));
+  Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+  return form;
+}
+
+module.exports = {
+  buildSheetsWorkbook,
+  buildWorkbook,
+  buildForm
+};
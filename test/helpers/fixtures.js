@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("xlsx");
+const { Customer, Product, CustomerPrice, Order, OrderItem } = require("../../src/models");
+
+const CSV_DIR = path.join(__dirname, "..", "..", "csv_export");
+
+// 抽样数量：前 N 个客户，每个客户前 N 个历史订单和专属价格
+const SAMPLE_CUSTOMERS = 3;
+const SAMPLE_ORDERS_PER_CUSTOMER = 2;
+const SAMPLE_PRICES_PER_CUSTOMER = 3;
+
+/**
+ * 读取 csv_export 中的CSV文件（所有值按字符串读取）
+ * @param {string} fileName 文件名
+ * @returns {Array<Object>} 行数据
+ */
+function readCsv(fileName) {
+  const content = fs.readFileSync(path.join(CSV_DIR, fileName), "utf8");
+  const workbook = XLSX.read(content, { type: "string", raw: true });
+  return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: "" });
+}
+
+/**
+ * 从 csv_export 抽样构建测试数据
+ * @returns {Object} { customers, products, customerPrices, orders }
+ */
+function buildFixtures() {
+  const customers = readCsv("customers.csv").slice(0, SAMPLE_CUSTOMERS);
+  const customerNames = new Set(customers.map(customer => customer.name));
+  const productRows = new Map(readCsv("products.csv").map(product => [product.name, product]));
+
+  // 每个客户的前几个历史订单
+  const orders = [];
+  const orderCountMap = {};
+  readCsv("orders.csv").forEach(order => {
+    if (!customerNames.has(order.customer_name)) {
+      return;
+    }
+    orderCountMap[order.customer_name] = (orderCountMap[order.customer_name] || 0) + 1;
+    if (orderCountMap[order.customer_name] <= SAMPLE_ORDERS_PER_CUSTOMER) {
+      orders.push({ ...order, items: [] });
+    }
+  });
+
+  const orderMap = new Map(orders.map(order => [order.order_no, order]));
+  readCsv("order_items.csv").forEach(item => {
+    const order = orderMap.get(item.order_no);
+    if (order && productRows.has(item.product_name)) {
+      order.items.push(item);
+    }
+  });
+
+  // 每个客户的前几条专属价格（测试数据不含商品规格，只取未区分规格的价格）
+  const customerPrices = [];
+  const priceCountMap = {};
+  readCsv("customer_prices.csv").forEach(price => {
+    if (!customerNames.has(price.customer_name) || !productRows.has(price.product_name) || price.specification) {
+      return;
+    }
+    priceCountMap[price.customer_name] = (priceCountMap[price.customer_name] || 0) + 1;
+    if (priceCountMap[price.customer_name] <= SAMPLE_PRICES_PER_CUSTOMER) {
+      customerPrices.push(price);
+    }
+  });
+
+  // 只保留抽样数据用到的商品
+  const productNames = new Set([
+    ...orders.flatMap(order => order.items.map(item => item.product_name)),
+    ...customerPrices.map(price => price.product_name)
+  ]);
+  const products = [...productNames].map(name => productRows.get(name));
+
+  return {
+    customers,
+    products,
+    customerPrices,
+    orders: orders.filter(order => order.items.length > 0)
+  };
+}
+
+/**
+ * 写入测试数据，历史订单按已完成状态导入
+ * @returns {Promise<Object>} { customers, products, customerPrices, orders } 数据库对象
+ */
+async function seedFixtures() {
+  const fixtures = buildFixtures();
+
+  const customers = await Customer.bulkCreate(fixtures.customers.map(customer => ({
+    name: customer.name,
+    phone: customer.phone || null
+  })));
+  const customerMap = new Map(customers.map(customer => [customer.name, customer]));
+
+  const products = await Product.bulkCreate(fixtures.products.map(product => ({
+    name: product.name,
+    globalPrice: parseFloat(product.global_price) || 0,
+    unit: product.unit || "个"
+  })));
+  const productMap = new Map(products.map(product => [product.name, product]));
+
+  const customerPrices = await CustomerPrice.bulkCreate(fixtures.customerPrices.map(price => ({
+    customerId: customerMap.get(price.customer_name).id,
+    productId: productMap.get(price.product_name).id,
+    variantId: "",
+    price: parseFloat(price.price)
+  })));
+
+  const orders = [];
+  for (const row of fixtures.orders) {
+    const createdAt = new Date(`${row.order_date}T08:00:00Z`);
+    const items = row.items.map((item, index) => ({
+      productId: productMap.get(item.product_name).id,
+      productName: item.product_name,
+      unit: item.unit || productMap.get(item.product_name).unit,
+      quantity: parseFloat(item.quantity),
+      unitPrice: parseFloat(item.unit_price),
+      totalPrice: parseFloat(item.total_price),
+      sortOrder: index + 1
+    }));
+    const totalAmount = items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+    const order = await Order.create({
+      orderNo: row.order_no,
+      customerId: customerMap.get(row.customer_name).id,
+      totalAmount,
+      status: "completed",
+      createdBy: "fixture",
+      createdAt
+    });
+    await OrderItem.bulkCreate(items.map(item => ({ ...item, orderId: order.id })));
+    order.items = items;
+    orders.push(order);
+  }
+
+  return { customers, products, customerPrices, orders };
+}
+
+module.exports = {
+  buildFixtures,
+  seedFixtures
+};
@@ -0,0 +1,230 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+const { buildSheetsWorkbook, buildWorkbook, buildForm } = require("./helpers/excel");
+const { Customer, Order, OrderItem, Product, ImportBatch } = require("../src/models");
+
+describe("Excel导入接口", () => {
+  let server;
+  let fixtures;
+  let files;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+
+    // 已存在的商品改价，已存在的订单号应被跳过
+    const product = fixtures.products[0];
+    const existingOrder = fixtures.orders[0];
+    files = [{
+      name: "测试渔具店.xlsx",
+      buffer: buildWorkbook([
+        ["2024-03-05", "IMP-0001", product.name, "", product.unit, 2, parseFloat(product.globalPrice) + 1, (parseFloat(product.globalPrice) + 1) * 2, ""],
+        ["2024-03-05", "IMP-0001", "测试新商品", "", "个", 3, 10, 30, "加急"],
+        ["2024-03-08", existingOrder.orderNo, "测试新商品", "", "个", 1, 10, 10, ""]
+      ])
+    }];
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("预览导入结果", async () => {
+    const { status, body } = await server.request("POST", "/import/excel", { form: buildForm(files) });
+
+    assert.strictEqual(status, 200);
+    const preview = body.data;
+    assert.match(preview.checksum, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(preview.fileNames, ["测试渔具店.xlsx"]);
+    assert.deepStrictEqual(preview.newCustomers, ["测试渔具店"]);
+    assert.deepStrictEqual(preview.newProducts.map(product => product.name), ["测试新商品"]);
+    assert.deepStrictEqual(preview.ordersToCreate, [{
+      orderNo: "IMP-0001",
+      customerName: "测试渔具店",
+      orderDate: "2024-03-05",
+      itemCount: 2,
+      totalAmount: (parseFloat(fixtures.products[0].globalPrice) + 1) * 2 + 30
+    }]);
+    assert.deepStrictEqual(preview.skippedOrders.map(order => [order.orderNo, order.reason]), [[fixtures.orders[0].orderNo, "订单号已存在"]]);
+    assert.deepStrictEqual(preview.priceChanges.products, [{
+      name: fixtures.products[0].name,
+      oldPrice: parseFloat(fixtures.products[0].globalPrice),
+      newPrice: parseFloat(fixtures.products[0].globalPrice) + 1
+    }]);
+    assert.strictEqual(preview.priceChanges.customerPrices.length, 2);
+
+    // 预览不写入数据库
+    assert.strictEqual(await Order.count({ where: { orderNo: "IMP-0001" } }), 0);
+  });
+
+  it("不含年份的日期使用上传时指定的年份，无法解析的日期报错", async () => {
+    const dated = [{
+      name: "测试日期.xlsx",
+      buffer: buildWorkbook([["11-13", "IMP-DATE-0001", "测试新商品", "", "个", 1, 10, 10, ""]])
+    }];
+    const preview = await server.request("POST", "/import/excel", { form: buildForm(dated, { year: 2023 }) });
+    assert.strictEqual(preview.status, 200);
+    assert.strictEqual(preview.body.data.ordersToCreate[0].orderDate, "2023-11-13");
+
+    const invalid = [{
+      name: "测试日期.xlsx",
+      buffer: buildWorkbook([["13-45", "IMP-DATE-0001", "测试新商品", "", "个", 1, 10, 10, ""]])
+    }];
+    const { status, body } = await server.request("POST", "/import/excel", { form: buildForm(invalid) });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, "测试日期.xlsx: Sheet1 第3行日期无法解析: 13-45");
+  });
+
+  it("解析所有工作表的订单和日期", async () => {
+    const sheets = {
+      "11月": [["11-13", "IMP-SHEET-0001", "测试新商品", "", "个", 1, 10, 10, ""]],
+      "说明": [],
+      "12月": [["12-08", "IMP-SHEET-0002", "测试新商品", "", "个", 2, 10, 20, ""]]
+    };
+    const multi = [{ name: "测试多表.xlsx", buffer: buildSheetsWorkbook(sheets) }];
+    const preview = await server.request("POST", "/import/excel", { form: buildForm(multi, { year: 2023 }) });
+    assert.strictEqual(preview.status, 200);
+    assert.deepStrictEqual(preview.body.data.ordersToCreate.map(order => [order.orderNo, order.orderDate]), [
+      ["IMP-SHEET-0001", "2023-11-13"],
+      ["IMP-SHEET-0002", "2023-12-08"]
+    ]);
+
+    sheets["12月"][0][0] = "12月45日";
+    const invalid = [{ name: "测试多表.xlsx", buffer: buildSheetsWorkbook(sheets) }];
+    const { status, body } = await server.request("POST", "/import/excel", { form: buildForm(invalid) });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, "测试多表.xlsx: 12月 第3行日期无法解析: 12月45日");
+  });
+
+  it("预览时不输出命令行导入进度", async () => {
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (...args) => logs.push(args.join(" "));
+    try {
+      const { status } = await server.request("POST", "/import/excel", { form: buildForm(files) });
+      assert.strictEqual(status, 200);
+    } finally {
+      console.log = originalLog;
+    }
+
+    assert.deepStrictEqual(logs.filter(line => line.includes("本地数据处理和去重")), []);
+  });
+
+  it("确认导入必须提供与文件一致的校验码", async () => {
+    const missing = await server.request("POST", "/import/excel", { form: buildForm(files, { dryRun: false }) });
+    assert.strictEqual(missing.status, 400);
+
+    const mismatched = await server.request("POST", "/import/excel", {
+      form: buildForm(files, { dryRun: false, checksum: "0".repeat(64) })
+    });
+    assert.strictEqual(mismatched.status, 400);
+    assert.strictEqual(mismatched.body.message, "上传的文件与预览时不一致，请重新预览");
+  });
+
+  it("确认导入并记录导入批次", async () => {
+    const preview = await server.request("POST", "/import/excel", { form: buildForm(files) });
+    const { status, body } = await server.request("POST", "/import/excel", {
+      form: buildForm(files, { dryRun: false, checksum: preview.body.data.checksum })
+    });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.data.status, "completed");
+    assert.strictEqual(body.data.operator, "test-owner");
+    assert.strictEqual(body.data.stats.ordersCreated, 1);
+    assert.strictEqual(body.data.stats.orderItemsCreated, 2);
+    assert.strictEqual(body.data.stats.ordersSkipped, 1);
+
+    const order = await Order.findOne({ where: { orderNo: "IMP-0001" } });
+    assert.strictEqual(order.createdAt.toISOString().slice(0, 10), "2024-03-05");
+    assert.strictEqual(await OrderItem.count({ where: { orderId: order.id } }), 2);
+    const product = await Product.findByPk(fixtures.products[0].id);
+    assert.strictEqual(parseFloat(product.globalPrice), parseFloat(fixtures.products[0].globalPrice) + 1);
+    assert.strictEqual(await ImportBatch.count(), 1);
+
+    // 再次预览时订单全部按重复跳过
+    const again = await server.request("POST", "/import/excel", { form: buildForm(files) });
+    assert.deepStrictEqual(again.body.data.ordersToCreate, []);
+    assert.strictEqual(again.body.data.skippedOrders.length, 2);
+  });
+
+  it("查询导入批次", async () => {
+    const { status, body } = await server.request("GET", "/import/batches?source=excel");
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.total, 1);
+    const batch = body.data.list[0];
+    assert.deepStrictEqual(batch.fileNames, ["测试渔具店.xlsx"]);
+    assert.match(batch.checksums["测试渔具店.xlsx"], /^[0-9a-f]{64}$/);
+    assert.ok(batch.finishedAt);
+  });
+
+  it("导入的客户已有其他订单时不能回滚", async () => {
+    const batch = await ImportBatch.findOne();
+    const customer = await Customer.findOne({ where: { name: "测试渔具店" } });
+    assert.strictEqual(customer.importBatchId, batch.id);
+    const manualOrder = await Order.create({ orderNo: "MANUAL-0001", customerId: customer.id, totalAmount: 0 });
+
+    const { status, body } = await server.request("POST", `/import/batches/${batch.id}/rollback`);
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, "导入的客户已有其他订单（1条）");
+    await manualOrder.destroy();
+  });
+
+  it("回滚导入批次", async () => {
+    const batch = await ImportBatch.findOne();
+    const { status, body } = await server.request("POST", `/import/batches/${batch.id}/rollback`);
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.status, "rolled_back");
+    assert.strictEqual(body.data.rolledBackBy, "test-owner");
+    assert.deepStrictEqual(body.data.rollbackStats.deleted, {
+      orderItems: 2,
+      orders: 1,
+      customerPrices: 2,
+      productVariants: 0,
+      products: 1,
+      customers: 1
+    });
+    assert.strictEqual(body.data.rollbackStats.reverted, 1);
+
+    // 只删除批次创建的数据，恢复批次修改的价格
+    assert.strictEqual(await Order.count({ where: { orderNo: "IMP-0001" } }), 0);
+    assert.strictEqual(await Order.count(), fixtures.orders.length);
+    assert.strictEqual(await Customer.count({ where: { name: "测试渔具店" } }), 0);
+    assert.strictEqual(await Product.count({ where: { name: "测试新商品" } }), 0);
+    const product = await Product.findByPk(fixtures.products[0].id);
+    assert.strictEqual(parseFloat(product.globalPrice), parseFloat(fixtures.products[0].globalPrice));
+
+    const again = await server.request("POST", `/import/batches/${batch.id}/rollback`);
+    assert.strictEqual(again.status, 400);
+    assert.strictEqual(again.body.message, "导入批次已回滚");
+  });
+
+  it("回滚不存在的导入批次", async () => {
+    const { status } = await server.request("POST", "/import/batches/00000000-0000-0000-0000-000000000000/rollback");
+
+    assert.strictEqual(status, 404);
+  });
+
+  it("只接收Excel文件", async () => {
+    const { status, body } = await server.request("POST", "/import/excel", {
+      form: buildForm([{ name: "订单.csv", buffer: Buffer.from("a,b\n") }])
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, "只支持上传 .xls 或 .xlsx 文件: 订单.csv");
+  });
+
+  it("店员没有导入权限", async () => {
+    await server.createUser("import-clerk", "clerk");
+    const { status } = await server.request("POST", "/import/excel", {
+      form: buildForm(files),
+      openid: "import-clerk"
+    });
+
+    assert.strictEqual(status, 403);
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+const {
+  Customer,
+  CustomerAlias,
+  CustomerPrice,
+  Order,
+  OrderItem,
+  Product,
+  ProductAlias,
+  ProductVariant,
+  ProductUnit,
+  StockMovement,
+  MergeRecord
+} = require("../src/models");
+const inventoryService = require("../src/services/inventoryService");
+
+describe("客户/商品合并接口", () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("合并客户并改写订单和专属价格", async () => {
+    const [productA, productB] = fixtures.products;
+    const target = await Customer.create({ name: "合并测试喜洋洋渔具" });
+    const source = await Customer.create({ name: "合并测试喜洋洋", phone: "13800000000" });
+    const order = await Order.create({ orderNo: "MERGE-C-0001", customerId: source.id, totalAmount: 100 });
+    await CustomerPrice.bulkCreate([
+      { customerId: target.id, productId: productA.id, price: 10 },
+      { customerId: source.id, productId: productA.id, price: 12 },
+      { customerId: source.id, productId: productB.id, price: 8 }
+    ]);
+
+    const { status, body } = await server.request("POST", "/customers/merge", {
+      body: { sourceIds: [source.id], targetId: target.id, pricePolicy: "higher" }
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.target.phone, "13800000000");
+    const [record] = body.data.records;
+    assert.strictEqual(record.sourceName, "合并测试喜洋洋");
+    assert.strictEqual(record.operator, "test-owner");
+    assert.deepStrictEqual(record.stats, { orders: 1, payments: 0, orderReturns: 0, customerPrices: 1, priceConflicts: 1, aliases: 1 });
+    assert.deepStrictEqual(record.priceConflicts, [{
+      customerId: target.id,
+      productId: productA.id,
+      variantId: "",
+      targetPrice: 10,
+      sourcePrice: 12,
+      price: 12
+    }]);
+
+    assert.strictEqual(await Customer.count({ where: { id: source.id } }), 0);
+    assert.strictEqual((await Order.findByPk(order.id)).customerId, target.id);
+    const prices = await CustomerPrice.findAll({ where: { customerId: target.id }, order: [["price", "ASC"]] });
+    assert.deepStrictEqual(prices.map(price => [price.productId, parseFloat(price.price)]), [[productB.id, 8], [productA.id, 12]]);
+    const alias = await CustomerAlias.findOne({ where: { alias: "合并测试喜洋洋" } });
+    assert.strictEqual(alias.customerId, target.id);
+    assert.strictEqual(alias.source, "merge");
+    assert.strictEqual(await MergeRecord.count({ where: { targetType: "customer" } }), 1);
+  });
+
+  it("合并商品并合并同名规格、包装单位和库存", async () => {
+    const customer = fixtures.customers[0];
+    const target = await Product.create({ name: "合并测试渔竿", unit: "根", stockQuantity: 2 });
+    const source = await Product.create({ name: "合并测试鱼竿", unit: "根", stockQuantity: 5 });
+    const targetVariant = await ProductVariant.create({ productId: target.id, specification: "3.6m", price: 30 });
+    const sourceVariant = await ProductVariant.create({ productId: source.id, specification: "3.6m", price: 28 });
+    const otherVariant = await ProductVariant.create({ productId: source.id, specification: "4.5m", price: 40 });
+    await ProductUnit.bulkCreate([
+      { productId: target.id, unit: "捆", conversionFactor: 10, price: 280 },
+      { productId: source.id, unit: "捆", conversionFactor: 12, price: 300 },
+      { productId: source.id, unit: "箱", conversionFactor: 50, price: 1300 }
+    ]);
+    await CustomerPrice.bulkCreate([
+      { customerId: customer.id, productId: target.id, variantId: targetVariant.id, price: 25 },
+      { customerId: customer.id, productId: source.id, variantId: sourceVariant.id, price: 26 }
+    ]);
+    const order = await Order.create({ orderNo: "MERGE-P-0001", customerId: customer.id, totalAmount: 28 });
+    const item = await OrderItem.create({
+      orderId: order.id,
+      productId: source.id,
+      variantId: sourceVariant.id,
+      productName: source.name,
+      specification: "3.6m",
+      unit: "根",
+      quantity: 1,
+      unitPrice: 28,
+      totalPrice: 28
+    });
+
+    const { status, body } = await server.request("POST", "/products/merge", {
+      body: { sourceIds: [source.id], targetId: target.id }
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(parseFloat(body.data.target.stockQuantity), 7);
+    const [record] = body.data.records;
+    assert.strictEqual(record.pricePolicy, "keep_target");
+    assert.strictEqual(record.stats.orderItems, 1);
+    assert.strictEqual(record.stats.variants, 1);
+    assert.strictEqual(record.stats.units, 1);
+    assert.strictEqual(record.stats.priceConflicts, 1);
+
+    const updatedItem = await OrderItem.findByPk(item.id);
+    assert.strictEqual(updatedItem.productId, target.id);
+    assert.strictEqual(updatedItem.variantId, targetVariant.id);
+    const variants = await ProductVariant.findAll({ where: { productId: target.id }, order: [["specification", "ASC"]] });
+    assert.deepStrictEqual(variants.map(variant => variant.id), [targetVariant.id, otherVariant.id]);
+    const units = await ProductUnit.findAll({ where: { productId: target.id }, order: [["unit", "ASC"]] });
+    assert.deepStrictEqual(units.map(unit => [unit.unit, parseFloat(unit.conversionFactor)]), [["捆", 10], ["箱", 50]]);
+    const prices = await CustomerPrice.findAll({ where: { customerId: customer.id, productId: target.id } });
+    assert.deepStrictEqual(prices.map(price => parseFloat(price.price)), [25]);
+    assert.strictEqual(await Product.count({ where: { id: source.id } }), 0);
+    assert.strictEqual((await ProductAlias.findOne({ where: { alias: "合并测试鱼竿" } })).productId, target.id);
+  });
+
+  it("合并商品后库存流水合计与库存一致", async () => {
+    const target = await Product.create({ name: "合并测试鱼钩A", unit: "包" });
+    const source = await Product.create({ name: "合并测试鱼钩B", unit: "包" });
+    for (const [product, quantity] of [[target, 4], [source, 6], [source, -1]]) {
+      await inventoryService.recordMovement({
+        productId: product.id,
+        type: inventoryService.MOVEMENT_TYPE.ADJUSTMENT,
+        quantity,
+        remark: "合并测试"
+      });
+    }
+
+    const { status, body } = await server.request("POST", "/products/merge", {
+      body: { sourceIds: [source.id], targetId: target.id }
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(parseFloat(body.data.target.stockQuantity), 9);
+    const movements = await StockMovement.findAll({ where: { productId: target.id } });
+    assert.strictEqual(movements.length, 3);
+    assert.strictEqual(movements.reduce((sum, movement) => sum + parseFloat(movement.quantity), 0), 9);
+  });
+
+  it("再次合并时别名转到新的保留记录", async () => {
+    const first = await Customer.findOne({ where: { name: "合并测试喜洋洋渔具" } });
+    const target = await Customer.create({ name: "合并测试喜洋洋渔具总店" });
+
+    const { status } = await server.request("POST", "/customers/merge", {
+      body: { sourceIds: [first.id], targetId: target.id }
+    });
+
+    assert.strictEqual(status, 200);
+    const aliases = await CustomerAlias.findAll({ where: { customerId: target.id }, order: [["alias", "ASC"]] });
+    assert.deepStrictEqual(aliases.map(alias => alias.alias), ["合并测试喜洋洋", "合并测试喜洋洋渔具"]);
+  });
+
+  it("不能合并到自身或不存在的记录", async () => {
+    const customer = fixtures.customers[1];
+    const self = await server.request("POST", "/customers/merge", {
+      body: { sourceIds: [customer.id], targetId: customer.id }
+    });
+    assert.strictEqual(self.status, 400);
+    assert.strictEqual(self.body.message, "不能把客户合并到自身");
+
+    const missingId = "00000000-0000-0000-0000-000000000000";
+    const missing = await server.request("POST", "/products/merge", {
+      body: { sourceIds: [missingId], targetId: fixtures.products[0].id }
+    });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.message, `商品不存在: ${missingId}`);
+  });
+
+  it("基本单位不同的商品不能合并", async () => {
+    const [source, target] = await Product.bulkCreate([
+      { name: "合并测试鱼线（卷）", globalPrice: 10, unit: "卷", stockQuantity: 5 },
+      { name: "合并测试鱼线（米）", globalPrice: 1, unit: "米", stockQuantity: 100 }
+    ]);
+
+    const { status, body } = await server.request("POST", "/products/merge", {
+      body: { sourceIds: [source.id], targetId: target.id }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, "商品 合并测试鱼线（卷） 的单位 卷 与保留商品的单位 米 不同，不能合并");
+    await target.reload();
+    assert.strictEqual(parseFloat(target.stockQuantity), 100);
+    assert.ok(await Product.findByPk(source.id));
+  });
+
+  it("店员没有合并权限", async () => {
+    await server.createUser("merge-clerk", "clerk");
+    const { status } = await server.request("POST", "/customers/merge", {
+      body: { sourceIds: [fixtures.customers[1].id], targetId: fixtures.customers[2].id },
+      openid: "merge-clerk"
+    });
+
+    assert.strictEqual(status, 403);
+    assert.strictEqual(await Customer.count({ where: { id: fixtures.customers[1].id } }), 1);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MergeSuggester } = require("../scripts/suggestMerges");
+
+/**
+ * 写入CSV文件
+ * @param {string} filePath 文件路径
+ * @param {Array} headers 表头
+ * @param {Array} rows 数据行
+ */
+function writeCsv(filePath, headers, rows) {
+  const lines = [headers.join(","), ...rows.map(row => row.map(value => `"${value}"`).join(","))];
+  fs.writeFileSync(filePath, lines.join("\n") + "\n", "utf8");
+}
+
+describe("重复客户/商品合并建议", () => {
+  let csvDir;
+  let configPath;
+  let suggester;
+
+  before(() => {
+    csvDir = fs.mkdtempSync(path.join(os.tmpdir(), "merge-"));
+    configPath = path.join(csvDir, "cleanConfig.json");
+    fs.writeFileSync(configPath, JSON.stringify({
+      customerMerges: [{ keep: "万老板", merge: ["万总"] }],
+      productMerges: []
+    }), "utf8");
+
+    writeCsv(path.join(csvDir, "customers.csv"), ["id", "name", "phone"], [
+      ["1", "万老板", ""], ["2", "万总", ""], ["3", "万经理", ""],
+      ["4", "喜洋洋渔具", ""], ["5", "喜洋洋渔具店", ""], ["6", "喜洋洋", ""],
+      ["7", "陆健", ""], ["8", "陆建", ""], ["9", "周林", ""]
+    ]);
+    writeCsv(path.join(csvDir, "orders.csv"), ["id", "order_no", "customer_name", "total_amount", "status", "order_date"], [
+      ["1", "A1", "喜洋洋渔具", "10", "completed", "2024-01-01"],
+      ["2", "A2", "喜洋洋渔具", "10", "completed", "2024-01-02"],
+      ["3", "A3", "喜洋洋", "10", "completed", "2024-01-03"],
+      ["4", "A4", "陆建", "10", "completed", "2024-01-04"]
+    ]);
+    writeCsv(path.join(csvDir, "products.csv"), ["id", "name", "global_price", "unit"], [
+      ["1", "鱼竿", "10", "根"], ["2", "渔竿", "10", "根"],
+      ["3", "6孔伞笼", "20", "个"], ["4", "8孔伞笼", "20", "个"]
+    ]);
+
+    suggester = new MergeSuggester({ csvDir, configPath });
+  });
+
+  after(() => {
+    fs.rmSync(csvDir, { recursive: true, force: true });
+  });
+
+  it("按后缀、拼音和编辑距离计算置信度", () => {
+    const score = (a, b, type = "customer") => suggester.scorePair(suggester.buildEntry(a, type), suggester.buildEntry(b, type));
+
+    assert.deepStrictEqual(score("喜洋洋渔具", "喜洋洋渔具店"), { score: 0.95, reason: "去掉后缀后相同" });
+    assert.deepStrictEqual(score("万老板", "万经理"), { score: 0.85, reason: "去掉后缀后相同" });
+    assert.deepStrictEqual(score("陆健", "陆建"), { score: 0.9, reason: "拼音相同" });
+    assert.deepStrictEqual(score("栗山洋帆百货超市", "栗山洋帆超市"), { score: 0.75, reason: "编辑距离" });
+    assert.strictEqual(score("6孔伞笼", "8孔伞笼", "product").score, 0);
+    assert.strictEqual(score("陈", "程").score, 0);
+  });
+
+  it("扫描CSV生成合并分组", async () => {
+    const suggestions = await suggester.buildSuggestions("csv");
+
+    assert.deepStrictEqual(suggestions.customerMerges.map(group => [group.keep, group.merge, group.confidence]), [
+      ["喜洋洋渔具", ["喜洋洋", "喜洋洋渔具店"], 0.95],
+      ["陆建", ["陆健"], 0.9],
+      ["万老板", ["万经理"], 0.85]
+    ]);
+    assert.deepStrictEqual(suggestions.customerMerges[0].usage, { "喜洋洋": 1, "喜洋洋渔具": 2, "喜洋洋渔具店": 0 });
+    assert.deepStrictEqual(suggestions.productMerges.map(group => [group.keep, group.merge]), [["渔竿", ["鱼竿"]]]);
+    assert.ok(suggestions.customerMerges.every(group => group.accept === false));
+  });
+
+  it("接受的建议写入清理配置", async () => {
+    const suggestions = await suggester.buildSuggestions("csv");
+    suggestions.customerMerges.find(group => group.keep === "陆建").accept = true;
+
+    const applied = suggester.applySuggestions(suggestions, 0.85);
+
+    assert.deepStrictEqual(applied, { customer: 3, product: 1 });
+    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    assert.deepStrictEqual(config.customerMerges, [
+      { keep: "万老板", merge: ["万总", "万经理"] },
+      { keep: "喜洋洋渔具", merge: ["喜洋洋", "喜洋洋渔具店"] },
+      { keep: "陆建", merge: ["陆健"] }
+    ]);
+    assert.deepStrictEqual(config.productMerges, [{ keep: "渔竿", merge: ["鱼竿"] }]);
+
+    // 写入后再次扫描不再建议
+    const again = await suggester.buildSuggestions("csv");
+    assert.deepStrictEqual(again.customerMerges, []);
+    assert.deepStrictEqual(again.productMerges, []);
+  });
+});
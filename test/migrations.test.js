@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { sequelize } = require("../db");
+const migrator = require("../migrator");
+const models = require("../src/models");
+
+/**
+ * 按模型定义检查表结构：字段、可空和索引与模型一致（基线表加上后续迁移添加的字段）
+ * 关联（foreignKey 为字段名）生成的同名属性与模型声明的属性对应同一列，以模型声明为准
+ */
+async function assertSchemaMatchesModels() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const model of Object.values(models)) {
+    const declared = new Map();
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      if (name !== attribute.field || !declared.has(attribute.field)) {
+        declared.set(attribute.field, attribute);
+      }
+    }
+
+    const columns = await queryInterface.describeTable(model.tableName);
+    assert.deepStrictEqual(Object.keys(columns).sort(), [...declared.keys()].sort(), `${model.tableName} 字段不一致`);
+    for (const [field, attribute] of declared) {
+      const allowNull = attribute.allowNull !== false && !attribute.primaryKey;
+      assert.strictEqual(columns[field].allowNull, allowNull, `${model.tableName}.${field} 可空不一致`);
+    }
+
+    const indexes = await queryInterface.showIndex(model.tableName);
+    for (const index of model._indexes) {
+      const found = indexes.find(row => row.name === index.name);
+      assert.ok(found, `${model.tableName} 缺少索引 ${index.name}`);
+      assert.strictEqual(Boolean(found.unique), Boolean(index.unique), `${index.name} 唯一性不一致`);
+    }
+  }
+}
+
+describe("数据库迁移", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("迁移后的表结构与模型定义一致", async () => {
+    await assertSchemaMatchesModels();
+  });
+
+  it("全部回滚后可重新执行迁移", async () => {
+    const queryInterface = sequelize.getQueryInterface();
+    const executed = (await migrator.getStatus()).filter(row => row.executed);
+    await migrator.rollback(executed.length);
+
+    assert.deepStrictEqual(await queryInterface.showAllTables(), ["schema_migrations"]);
+
+    await migrator.migrate();
+    assert.deepStrictEqual(await migrator.getPending(), []);
+    await assertSchemaMatchesModels();
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+
+describe("OpenAPI 接口文档", () => {
+  let server;
+  let document;
+
+  before(async () => {
+    server = await startTestServer();
+    const { status, body } = await server.request("GET", "/openapi.json", { openid: null });
+    assert.strictEqual(status, 200);
+    document = body;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("请求体引用 Joi 验证模式生成的组件", () => {
+    const operation = document.paths["/api/orders"].post;
+
+    assert.deepStrictEqual(operation.requestBody.content["application/json"].schema, { $ref: "#/components/schemas/Order" });
+    assert.deepStrictEqual(document.components.schemas.Order.required, ["customerId", "items"]);
+    assert.strictEqual(document.components.schemas.Order.properties.items.minItems, 1);
+    assert.strictEqual(operation["x-permission"], "order:write");
+  });
+
+  it("分页查询使用分页响应格式", () => {
+    const operation = document.paths["/api/orders"].get;
+
+    assert.ok(operation.parameters.some(parameter => parameter.name === "pageSize" && parameter.in === "query"));
+    assert.deepStrictEqual(operation.responses[200].content["application/json"].schema, {
+      $ref: "#/components/schemas/PaginationResponse"
+    });
+  });
+
+  it("订单状态可选值来自订单流程配置", () => {
+    assert.deepStrictEqual(
+      document.components.schemas.OrderStatus.properties.status.enum,
+      ["draft", "processing", "completed", "cancelled"]
+    );
+  });
+
+  it("路径参数转换为 OpenAPI 格式", () => {
+    const operation = document.paths["/api/orders/{id}/status"].put;
+
+    assert.deepStrictEqual(operation.parameters.map(parameter => [parameter.name, parameter.in]), [["id", "path"]]);
+  });
+
+  it("接口文档页面从本服务加载 Swagger UI 资源", async () => {
+    const page = await fetch(`${server.origin}/api-docs.html`);
+    assert.strictEqual(page.status, 200);
+    const assets = [...(await page.text()).matchAll(/(?:href|src)="([^"]+)"/g)].map(match => match[1]);
+
+    assert.deepStrictEqual(assets, ["/swagger-ui/swagger-ui.css", "/swagger-ui/swagger-ui-bundle.js"]);
+    for (const asset of assets) {
+      const response = await fetch(server.origin + asset);
+      assert.strictEqual(response.status, 200, asset);
+      await response.arrayBuffer();
+    }
+  });
+});
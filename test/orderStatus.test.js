@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+const { Product } = require("../src/models");
+
+describe("订单状态流转", () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+    await server.createUser("test-clerk", "clerk");
+    await server.createUser("test-viewer", "viewer");
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * 创建草稿订单（商品先入库，保证确认订单时库存充足）
+   * @returns {Promise<Object>} 订单数据
+   */
+  async function createDraftOrder() {
+    const product = fixtures.products[0];
+    await Product.update({ stockQuantity: 100 }, { where: { id: product.id } });
+
+    const { status, body } = await server.request("POST", "/orders", {
+      body: {
+        customerId: fixtures.customers[0].id,
+        items: [{ productId: product.id, quantity: 1, unit: product.unit, unitPrice: parseFloat(product.globalPrice) }]
+      }
+    });
+    assert.strictEqual(status, 201);
+    return body.data;
+  }
+
+  it("草稿 -> 处理中 -> 已完成", async () => {
+    const order = await createDraftOrder();
+
+    const processing = await server.request("PUT", `/orders/${order.id}/status`, {
+      openid: "test-clerk",
+      body: { status: "processing" }
+    });
+    assert.strictEqual(processing.status, 200);
+
+    const completed = await server.request("PUT", `/orders/${order.id}/status`, {
+      openid: "test-clerk",
+      body: { status: "completed" }
+    });
+    assert.strictEqual(completed.status, 200);
+
+    const { body } = await server.request("GET", `/orders/${order.id}`);
+    assert.strictEqual(body.data.status, "completed");
+  });
+
+  it("跳过处理中直接完成被拒绝", async () => {
+    const order = await createDraftOrder();
+    const { status, body } = await server.request("PUT", `/orders/${order.id}/status`, {
+      body: { status: "completed" }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, "无效的状态流转: 草稿 -> 已完成");
+
+    const { body: detail } = await server.request("GET", `/orders/${order.id}`);
+    assert.strictEqual(detail.data.status, "draft");
+  });
+
+  it("已完成的订单不能取消", async () => {
+    const { status } = await server.request("PUT", `/orders/${fixtures.orders[0].id}/cancel`, {
+      body: { reason: "测试取消" }
+    });
+
+    assert.strictEqual(status, 400);
+  });
+
+  it("店员不能取消处理中的订单", async () => {
+    const order = await createDraftOrder();
+    await server.request("PUT", `/orders/${order.id}/status`, { body: { status: "processing" } });
+
+    const { status } = await server.request("PUT", `/orders/${order.id}/status`, {
+      openid: "test-clerk",
+      body: { status: "cancelled" }
+    });
+    assert.strictEqual(status, 403);
+  });
+
+  it("只读用户不能变更订单状态", async () => {
+    const order = await createDraftOrder();
+    const { status } = await server.request("PUT", `/orders/${order.id}/status`, {
+      openid: "test-viewer",
+      body: { status: "processing" }
+    });
+
+    assert.strictEqual(status, 403);
+  });
+
+  it("已确认状态不能配置为可修改", async () => {
+    const current = await server.request("GET", "/config/order-workflow");
+    const workflow = current.body.data;
+    workflow.states = workflow.states.map(state => {
+      return state.status === "processing" ? { ...state, editable: true } : state;
+    });
+
+    const { status, body } = await server.request("PUT", "/config/order-workflow", { body: workflow });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.message, /已确认状态不能修改订单内容: processing/);
+  });
+
+  it("可退货状态不能流转到未确认状态", async () => {
+    const current = await server.request("GET", "/config/order-workflow");
+    const workflow = current.body.data;
+    workflow.states = workflow.states.map(state => {
+      return state.status === "processing" ? { ...state, returnable: true } : state;
+    });
+
+    const { status, body } = await server.request("PUT", "/config/order-workflow", { body: workflow });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.message, /可退货状态只能流转到已确认状态: processing->cancelled/);
+  });
+
+  it("未定义的状态返回400", async () => {
+    const order = await createDraftOrder();
+    const { status, body } = await server.request("PUT", `/orders/${order.id}/status`, {
+      body: { status: "shipped" }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.message, /订单状态值不正确/);
+  });
+});
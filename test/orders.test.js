@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+const { sequelize } = require("../db");
+const { CustomerPrice, OrderSequence } = require("../src/models");
+const orderNumberService = require("../src/services/orderNumberService");
+
+describe("订单接口", () => {
+  let server;
+  let fixtures;
+  let customer;
+  let product;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+
+    // 选一个该客户没有专属价格的商品
+    customer = fixtures.customers[0];
+    const pricedIds = new Set(fixtures.customerPrices
+      .filter(price => price.customerId === customer.id)
+      .map(price => price.productId));
+    product = fixtures.products.find(item => !pricedIds.has(item.id));
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * 查询客户在某商品上的专属价格
+   * @returns {Promise<Object|null>} 专属价格
+   */
+  function findCustomerPrice() {
+    return CustomerPrice.findOne({
+      where: { customerId: customer.id, productId: product.id, variantId: "" }
+    });
+  }
+
+  it("查询历史订单", async () => {
+    const { status, body } = await server.request("GET", "/orders?page=1&pageSize=50");
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.total, fixtures.orders.length);
+  });
+
+  it("订单详情包含订单项", async () => {
+    const order = fixtures.orders[0];
+    const { status, body } = await server.request("GET", `/orders/${order.id}`);
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.orderNo, order.orderNo);
+    assert.strictEqual(body.data.items.length, order.items.length);
+  });
+
+  it("以非统一售价下单时记录客户专属价格", async () => {
+    const unitPrice = parseFloat(product.globalPrice) + 1;
+    const { status, body } = await server.request("POST", "/orders", {
+      body: {
+        customerId: customer.id,
+        items: [{ productId: product.id, quantity: 2, unit: product.unit, unitPrice }]
+      }
+    });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.data.status, "draft");
+    assert.strictEqual(parseFloat(body.data.totalAmount), unitPrice * 2);
+
+    const customerPrice = await findCustomerPrice();
+    assert.ok(customerPrice);
+    assert.strictEqual(parseFloat(customerPrice.price), unitPrice);
+  });
+
+  it("修改订单恢复统一售价时删除客户专属价格", async () => {
+    const created = await server.request("POST", "/orders", {
+      body: {
+        customerId: customer.id,
+        items: [{ productId: product.id, quantity: 1, unit: product.unit, unitPrice: parseFloat(product.globalPrice) + 2 }]
+      }
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(parseFloat((await findCustomerPrice()).price), parseFloat(product.globalPrice) + 2);
+
+    const updated = await server.request("PUT", `/orders/${created.body.data.id}`, {
+      body: {
+        items: [{ productId: product.id, quantity: 3, unit: product.unit, unitPrice: parseFloat(product.globalPrice) }]
+      }
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(await findCustomerPrice(), null);
+  });
+
+  it("新的一天并发取号时分配连续的序号", async () => {
+    // 内存 SQLite 只有一个连接，并发请求不能各开事务，这里在同一事务内并发取号
+    const date = new Date(2099, 0, 1);
+    const sequences = await sequelize.transaction(transaction => Promise.all(
+      [1, 2].map(() => orderNumberService.nextSequence(date, transaction))
+    ));
+
+    assert.deepStrictEqual(sequences.sort(), [1, 2]);
+    assert.strictEqual(await OrderSequence.count({ where: { sequenceType: "order", sequenceDate: "20990101" } }), 1);
+  });
+
+  it("已完成的订单不能修改", async () => {
+    const order = fixtures.orders[0];
+    const { status } = await server.request("PUT", `/orders/${order.id}`, {
+      body: { remark: "修改已完成订单" }
+    });
+
+    assert.strictEqual(status, 400);
+  });
+
+  it("订单参数校验失败返回400", async () => {
+    const { status, body } = await server.request("POST", "/orders", {
+      body: { customerId: customer.id, items: [] }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.message, /订单至少包含一个商品/);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+const { Customer, Product } = require("../src/models");
+
+describe("收款与退货退款", () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * 为新客户创建已完成的订单（10件，单价10元）
+   * @returns {Promise<Object>} 订单详情
+   */
+  async function createCompletedOrder() {
+    const product = fixtures.products[0];
+    await Product.update({ stockQuantity: 100 }, { where: { id: product.id } });
+    const customer = await Customer.create({ name: `收款测试客户${Date.now()}` });
+
+    const created = await server.request("POST", "/orders", {
+      body: {
+        customerId: customer.id,
+        items: [{ productId: product.id, quantity: 10, unit: product.unit, unitPrice: 10 }]
+      }
+    });
+    assert.strictEqual(created.status, 201);
+    for (const status of ["processing", "completed"]) {
+      const updated = await server.request("PUT", `/orders/${created.body.data.id}/status`, { body: { status } });
+      assert.strictEqual(updated.status, 200);
+    }
+
+    const { body } = await server.request("GET", `/orders/${created.body.data.id}`);
+    return body.data;
+  }
+
+  it("退货退款减少应收和实收金额", async () => {
+    const order = await createCompletedOrder();
+    const paid = await server.request("POST", `/orders/${order.id}/payments`, { body: { amount: 100 } });
+    assert.strictEqual(paid.status, 201);
+
+    const returned = await server.request("POST", `/orders/${order.id}/returns`, {
+      body: { items: [{ orderItemId: order.items[0].id, quantity: 3 }], refundType: "refund" }
+    });
+    assert.strictEqual(returned.status, 201);
+
+    const { body } = await server.request("GET", `/orders/${order.id}/payments`);
+    assert.strictEqual(body.data.paidAmount, 100);
+    assert.strictEqual(body.data.refundedAmount, 30);
+    assert.strictEqual(body.data.netPaidAmount, 70);
+    assert.strictEqual(body.data.outstandingAmount, 0);
+    assert.strictEqual(body.data.paymentStatus, "paid");
+
+    const balance = await server.request("GET", `/customers/${order.customerId}/balance`);
+    assert.strictEqual(balance.body.data.refundedAmount, 30);
+    assert.strictEqual(balance.body.data.netPaidAmount, 70);
+    assert.strictEqual(balance.body.data.outstandingAmount, 0);
+  });
+
+  it("退货单号按当日序号连续分配", async () => {
+    const order = await createCompletedOrder();
+    const returnNos = [];
+    for (let i = 0; i < 2; i++) {
+      const { status, body } = await server.request("POST", `/orders/${order.id}/returns`, {
+        body: { items: [{ orderItemId: order.items[0].id, quantity: 1 }], refundType: "refund" }
+      });
+      assert.strictEqual(status, 201);
+      returnNos.push(body.data.returnNo);
+    }
+
+    const [first, second] = returnNos.map(returnNo => /^TH(\d{8})(\d{4})$/.exec(returnNo));
+    assert.ok(first && second, returnNos.join(", "));
+    assert.strictEqual(second[1], first[1]);
+    assert.strictEqual(Number(second[2]), Number(first[2]) + 1);
+  });
+
+  it("未付款订单退货退款后仍需收回退款", async () => {
+    const order = await createCompletedOrder();
+    await server.request("POST", `/orders/${order.id}/returns`, {
+      body: { items: [{ orderItemId: order.items[0].id, quantity: 3 }], refundType: "refund" }
+    });
+
+    const { body } = await server.request("GET", `/orders/${order.id}/payments`);
+    assert.strictEqual(body.data.refundedAmount, 30);
+    assert.strictEqual(body.data.netPaidAmount, -30);
+    assert.strictEqual(body.data.outstandingAmount, 100);
+    assert.strictEqual(body.data.paymentStatus, "unpaid");
+  });
+
+  it("删除收款时检查订单状态和退货", async () => {
+    const order = await createCompletedOrder();
+    const first = await server.request("POST", `/orders/${order.id}/payments`, { body: { amount: 40 } });
+    const second = await server.request("POST", `/orders/${order.id}/payments`, { body: { amount: 60 } });
+
+    const deleted = await server.request("DELETE", `/orders/${order.id}/payments/${first.body.data.payment.id}`);
+    assert.strictEqual(deleted.status, 200);
+
+    await server.request("POST", `/orders/${order.id}/returns`, {
+      body: { items: [{ orderItemId: order.items[0].id, quantity: 1 }], refundType: "refund" }
+    });
+    const returned = await server.request("DELETE", `/orders/${order.id}/payments/${second.body.data.payment.id}`);
+    assert.strictEqual(returned.status, 400);
+    assert.strictEqual(returned.body.message, "订单已有退货单，不能删除收款");
+  });
+
+  it("已取消订单的收款不能删除", async () => {
+    const product = fixtures.products[0];
+    const created = await server.request("POST", "/orders", {
+      body: {
+        customerId: fixtures.customers[0].id,
+        items: [{ productId: product.id, quantity: 1, unit: product.unit, unitPrice: 10 }]
+      }
+    });
+    const orderId = created.body.data.id;
+    await server.request("PUT", `/orders/${orderId}/status`, { body: { status: "processing" } });
+    const paid = await server.request("POST", `/orders/${orderId}/payments`, { body: { amount: 10 } });
+    assert.strictEqual(paid.status, 201);
+    const cancelled = await server.request("PUT", `/orders/${orderId}/status`, { body: { status: "cancelled" } });
+    assert.strictEqual(cancelled.status, 200);
+
+    const { status, body } = await server.request("DELETE", `/orders/${orderId}/payments/${paid.body.data.payment.id}`);
+    assert.strictEqual(status, 400);
+    assert.match(body.message, /只有已确认的订单可以删除收款/);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+
+describe("商品接口", () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("分页查询返回全部导入的商品", async () => {
+    const { status, body } = await server.request("GET", "/products?page=1&pageSize=5");
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.total, fixtures.products.length);
+    assert.strictEqual(body.data.list.length, 5);
+  });
+
+  it("按关键字搜索商品", async () => {
+    const product = fixtures.products[0];
+    const { status, body } = await server.request("GET", `/products?keyword=${encodeURIComponent(product.name)}`);
+
+    assert.strictEqual(status, 200);
+    assert.ok(body.data.list.some(item => item.id === product.id));
+  });
+
+  it("创建、修改、删除商品", async () => {
+    const created = await server.request("POST", "/products", {
+      body: { name: "测试浮漂", globalPrice: 12.5, unit: "支" }
+    });
+    assert.strictEqual(created.status, 201);
+    const productId = created.body.data.id;
+
+    const updated = await server.request("PUT", `/products/${productId}`, {
+      body: { name: "测试浮漂", globalPrice: 13, unit: "支" }
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(parseFloat(updated.body.data.globalPrice), 13);
+
+    const removed = await server.request("DELETE", `/products/${productId}`);
+    assert.strictEqual(removed.status, 200);
+
+    const fetched = await server.request("GET", `/products/${productId}`);
+    assert.strictEqual(fetched.status, 404);
+  });
+
+  it("没有查看成本权限的用户看不到成本价", async () => {
+    await server.createUser("test-cost-viewer", "viewer");
+    const created = await server.request("POST", "/products", {
+      body: { name: "测试成本鱼钩", globalPrice: 10, costPrice: 6, unit: "包" }
+    });
+    const product = created.body.data;
+    const order = await server.request("POST", "/orders", {
+      body: {
+        customerId: fixtures.customers[0].id,
+        items: [{ productId: product.id, quantity: 2, unit: "包", unitPrice: 10 }]
+      }
+    });
+    assert.strictEqual(order.status, 201);
+
+    const requests = [
+      ["GET", `/products?keyword=${encodeURIComponent(product.name)}`],
+      ["GET", `/products/${product.id}`],
+      ["GET", `/orders/${order.body.data.id}`]
+    ];
+    const fetchAll = async openid => {
+      const responses = [];
+      for (const [method, url] of requests) {
+        responses.push(await server.request(method, url, { openid }));
+      }
+      return responses;
+    };
+
+    const [ownerList, ownerDetail, ownerOrder] = await fetchAll();
+    assert.strictEqual(parseFloat(ownerList.body.data.list[0].costPrice), 6);
+    assert.strictEqual(parseFloat(ownerDetail.body.data.costPrice), 6);
+    assert.strictEqual(parseFloat(ownerOrder.body.data.items[0].unitCost), 6);
+
+    const [list, detail, orderDetail] = await fetchAll("test-cost-viewer");
+    assert.strictEqual(list.status, 200);
+    assert.ok(!("costPrice" in list.body.data.list[0]));
+    assert.ok(!("costPrice" in detail.body.data));
+    assert.ok(!("unitCost" in orderDetail.body.data.items[0]));
+    assert.ok(!("totalCost" in orderDetail.body.data.items[0]));
+  });
+
+  it("商品参数校验失败返回400", async () => {
+    const { status, body } = await server.request("POST", "/products", {
+      body: { name: "", globalPrice: -1 }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+  });
+
+  it("只读用户不能维护商品", async () => {
+    await server.createUser("test-viewer", "viewer");
+    const { status } = await server.request("POST", "/products", {
+      openid: "test-viewer",
+      body: { name: "测试浮漂", globalPrice: 12.5, unit: "支" }
+    });
+
+    assert.strictEqual(status, 403);
+  });
+});
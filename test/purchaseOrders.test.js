@@ -0,0 +1,40 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+
+describe("采购单接口", () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("采购单号按当日序号连续分配", async () => {
+    const supplier = await server.request("POST", "/suppliers", { body: { name: "测试渔具厂" } });
+    assert.strictEqual(supplier.status, 201);
+
+    const purchaseNos = [];
+    for (let i = 0; i < 2; i++) {
+      const { status, body } = await server.request("POST", "/purchase-orders", {
+        body: {
+          supplierId: supplier.body.data.id,
+          items: [{ productId: fixtures.products[0].id, quantity: 5, unitCost: 8 }]
+        }
+      });
+      assert.strictEqual(status, 201);
+      purchaseNos.push(body.data.purchaseNo);
+    }
+
+    const [first, second] = purchaseNos.map(purchaseNo => /^CG(\d{8})(\d{4})$/.exec(purchaseNo));
+    assert.ok(first && second, purchaseNos.join(", "));
+    assert.strictEqual(second[1], first[1]);
+    assert.strictEqual(Number(second[2]), Number(first[2]) + 1);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const { startTestServer } = require("./helpers/app");
+const { seedFixtures } = require("./helpers/fixtures");
+
+/**
+ * 写入客户对账单Excel（表头为 日期/单号/货品名称/型号规格/单位/数量/单价/金额/备注）
+ * @param {string} filePath 文件路径
+ * @param {Array} rows 数据行
+ */
+function writeWorkbook(filePath, rows) {
+  const worksheet = XLSX.utils.aoa_to_sheet([
+    ["对 账 单"],
+    ["日期", "单号", "货品名称", "型号规格", "单位", "数量", "单价", "金额", "备注"],
+    ...rows,
+    ["合计："]
+  ]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Sheet1");
+  XLSX.writeFile(workbook, filePath);
+}
+
+/**
+ * 订单转换为对账单行
+ * @param {Object} order 订单（含 items）
+ * @returns {Array} 数据行
+ */
+function toRows(order) {
+  return order.items.map(item => [
+    "2024-05-01", order.orderNo, item.productName, "", item.unit, item.quantity, item.unitPrice, item.totalPrice, ""
+  ]);
+}
+
+describe("归档对账接口", () => {
+  let server;
+  let fixtures;
+  let archiveDir;
+  let matchedOrder;
+  let changedOrder;
+
+  before(async () => {
+    server = await startTestServer();
+    fixtures = await seedFixtures();
+
+    // 同一客户：一个订单与数据库一致，一个订单少一行，另有一个数据库中没有的订单（含数量×单价≠金额的行）
+    const customer = fixtures.customers.find(item => item.id === fixtures.orders[0].customerId);
+    [matchedOrder, changedOrder] = fixtures.orders.filter(order => order.customerId === customer.id);
+    archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-"));
+    fs.mkdirSync(path.join(archiveDir, "2024"));
+    writeWorkbook(path.join(archiveDir, "2024", `${customer.name}.xlsx`), [
+      ...toRows(matchedOrder),
+      ...toRows(changedOrder).slice(0, -1),
+      ["2024-05-02", "MISSING-0001", "测试商品", "", "个", 3, 10, 25, ""]
+    ]);
+    process.env.ARCHIVE_DIR = archiveDir;
+  });
+
+  after(async () => {
+    delete process.env.ARCHIVE_DIR;
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+    await server.close();
+  });
+
+  it("生成对账报告", async () => {
+    const { status, body } = await server.request("GET", "/import/reconciliation");
+
+    assert.strictEqual(status, 200);
+    const report = body.data;
+    assert.strictEqual(report.summary.files, 1);
+    assert.strictEqual(report.summary.excelOrders, 3);
+    assert.strictEqual(report.summary.matchedOrders, 2);
+    assert.deepStrictEqual(report.missingOrders.map(order => [order.orderNo, order.excelAmount]), [["MISSING-0001", 25]]);
+    assert.deepStrictEqual(report.amountMismatches.map(order => order.orderNo), [changedOrder.orderNo]);
+    assert.strictEqual(report.amountMismatches[0].orderTotal, parseFloat(changedOrder.totalAmount));
+
+    const badRows = report.rowMismatches.filter(row => row.orderNo === "MISSING-0001");
+    assert.deepStrictEqual(badRows.map(row => [row.amount, row.expectedAmount]), [[25, 30]]);
+    assert.strictEqual(report.byCustomerYear[0].year, 2024);
+    assert.strictEqual(report.byCustomerYear[0].missingOrders, 1);
+  });
+
+  it("下载对账报告 Excel", async () => {
+    const { status, body, contentType } = await server.request("GET", "/import/reconciliation?format=xlsx");
+
+    assert.strictEqual(status, 200);
+    assert.match(contentType, /spreadsheetml/);
+    const workbook = XLSX.read(body, { type: "buffer" });
+    assert.deepStrictEqual(workbook.SheetNames, ["汇总", "按客户年份", "缺失订单", "金额不一致", "行金额错误", "解析失败"]);
+  });
+
+  it("只读用户不能生成对账报告", async () => {
+    await server.createUser("reconcile-viewer", "viewer");
+    const { status } = await server.request("GET", "/import/reconciliation", { openid: "reconcile-viewer" });
+
+    assert.strictEqual(status, 403);
+  });
+
+  it("归档目录不存在", async () => {
+    process.env.ARCHIVE_DIR = path.join(archiveDir, "missing");
+    const { status } = await server.request("GET", "/import/reconciliation");
+    process.env.ARCHIVE_DIR = archiveDir;
+
+    assert.strictEqual(status, 400);
+  });
+});
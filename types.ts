@@ -19,8 +19,15 @@ export interface PageResponse<T = any> {
 export interface Product {
   id: string
   name: string
+  categoryId?: string
+  category?: Pick<Category, 'id' | 'name' | 'parentId'>
+  brand?: string
   globalPrice: number
+  costPrice?: number
   unit: string
+  stockQuantity: number
+  variants?: ProductVariant[]
+  units?: ProductUnit[]
   createdAt: string
   updatedAt: string
 }
@@ -28,7 +35,100 @@ export interface Product {
 export interface CreateProductData {
   name: string
   globalPrice: number
+  costPrice?: number
   unit: string
+  categoryId?: string
+  brand?: string
+}
+
+// 商品分类类型
+export interface Category {
+  id: string
+  name: string
+  parentId?: string
+  sortOrder: number
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CategoryTreeNode extends Category {
+  children: CategoryTreeNode[]
+}
+
+export interface CreateCategoryData {
+  name: string
+  parentId?: string
+  sortOrder?: number
+}
+
+export interface ProductListParams extends ListParams {
+  categoryId?: string
+  brand?: string
+}
+
+// 商品规格类型
+export interface ProductVariant {
+  id: string
+  productId: string
+  specification: string
+  price: number
+  unit: string
+  barcode?: string
+  sortOrder: number
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateProductVariantData {
+  specification: string
+  price: number
+  unit?: string
+  barcode?: string
+  sortOrder?: number
+}
+
+// 商品包装单位类型（conversionFactor 为 1 个包装单位折合的基本单位数量）
+export interface ProductUnit {
+  id: string
+  productId: string
+  unit: string
+  conversionFactor: number
+  price: number
+  sortOrder: number
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateProductUnitData {
+  unit: string
+  conversionFactor: number
+  price: number
+  sortOrder?: number
+}
+
+// 客户可购商品中的规格（含客户专属价格）
+export interface CustomerProductVariant {
+  id: string
+  specification: string
+  unit: string
+  barcode?: string
+  globalPrice: number
+  price: number
+  isCustomPrice: boolean
+}
+
+export type CostPriceSource = 'manual' | 'purchase'
+
+export interface ProductCostHistory {
+  id: string
+  productId: string
+  costPrice: number
+  previousCostPrice?: number
+  source: CostPriceSource
+  sourceDesc: string
+  referenceId?: string
+  createdBy?: string
+  createdAt: string
 }
 
 // 客户类型
@@ -51,9 +151,17 @@ export interface Order {
   orderNo: string
   customerId: string
   totalAmount: number
+  paidAmount: number
+  refundedAmount: number
+  netPaidAmount: number
+  creditAmount: number
+  outstandingAmount: number
+  paymentStatus: PaymentStatus
+  paymentStatusDesc: string
   status: string
   remark?: string
   createdBy: string
+  stockWarnings?: StockShortage[]
   createdAt: string
   updatedAt: string
 }
@@ -63,10 +171,15 @@ export interface OrderItem {
   orderId: string
   productId: string
   productName: string
+  variantId?: string
+  specification?: string
   unit: string
+  conversionFactor: number
   quantity: number
   unitPrice: number
   totalPrice: number
+  unitCost?: number
+  totalCost?: number
   remark?: string
 }
 
@@ -74,10 +187,10 @@ export interface CreateOrderData {
   customerId: string
   items: Array<{
     productId: string
+    variantId?: string
     quantity: number
-    unit?: string
+    unit: string
     unitPrice: number
-    remark?: string
   }>
   remark?: string
 }
@@ -93,11 +206,229 @@ export interface OrderStatusFlow {
   createdAt: string
 }
 
+// 库存类型
+export type StockMovementType = 'purchase' | 'sale' | 'return' | 'adjustment'
+
+export interface StockMovement {
+  id: string
+  productId: string
+  type: StockMovementType
+  typeDesc?: string
+  quantity: number
+  balance: number
+  unitCost?: number
+  orderId?: string
+  referenceId?: string
+  remark?: string
+  createdBy?: string
+  product?: Pick<Product, 'id' | 'name' | 'unit'>
+  order?: Pick<Order, 'id' | 'orderNo'>
+  createdAt: string
+}
+
+export interface CreateStockMovementData {
+  productId: string
+  type: 'purchase' | 'adjustment'
+  quantity: number
+  remark?: string
+}
+
+export interface StockShortage {
+  productId: string
+  productName: string
+  unit: string
+  requestedQuantity: number
+  availableQuantity: number
+}
+
+export interface ProductStock {
+  productId: string
+  productName: string
+  unit: string
+  stockQuantity: number
+  rejectInsufficient: boolean
+  summary: Record<StockMovementType, number>
+  recentMovements: StockMovement[]
+}
+
+// 供应商类型
+export interface Supplier {
+  id: string
+  name: string
+  contact?: string
+  phone?: string
+  address?: string
+  remark?: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateSupplierData {
+  name: string
+  contact?: string
+  phone?: string
+  address?: string
+  remark?: string
+}
+
+// 采购单类型
+export type PurchaseOrderStatus = 'draft' | 'ordered' | 'received' | 'cancelled'
+
+export interface PurchaseOrderItem {
+  id: string
+  purchaseOrderId: string
+  productId: string
+  productName: string
+  unit: string
+  quantity: number
+  unitCost: number
+  totalCost: number
+  sortOrder: number
+}
+
+export interface PurchaseOrder {
+  id: string
+  purchaseNo: string
+  supplierId: string
+  totalAmount: number
+  status: PurchaseOrderStatus
+  statusDesc?: string
+  orderedAt?: string
+  receivedAt?: string
+  remark?: string
+  createdBy?: string
+  supplier?: Pick<Supplier, 'id' | 'name' | 'contact' | 'phone'>
+  items?: PurchaseOrderItem[]
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreatePurchaseOrderData {
+  supplierId: string
+  items: Array<{
+    productId: string
+    quantity: number
+    unit?: string
+    unitCost: number
+  }>
+  remark?: string
+}
+
+// 收款类型
+export type PaymentStatus = 'unpaid' | 'partial' | 'paid'
+
+export type PaymentMethod = 'cash' | 'wechat' | 'alipay' | 'bank' | 'other'
+
+export interface Payment {
+  id: string
+  orderId: string
+  customerId: string
+  amount: number
+  method: PaymentMethod
+  paidAt: string
+  remark?: string
+  createdBy: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreatePaymentData {
+  amount: number
+  method?: PaymentMethod
+  paidAt?: string
+  remark?: string
+}
+
+export interface CustomerBalance {
+  customer: Pick<Customer, 'id' | 'name' | 'phone'>
+  customerId: string
+  orderCount: number
+  totalAmount: number
+  paidAmount: number
+  refundedAmount: number
+  netPaidAmount: number
+  creditAmount: number
+  outstandingAmount: number
+  statusCounts: Record<PaymentStatus, number>
+  outstandingOrders: Array<Pick<Order, 'id' | 'orderNo' | 'status' | 'totalAmount' | 'paidAmount' | 'refundedAmount' | 'netPaidAmount' | 'creditAmount' | 'outstandingAmount' | 'paymentStatus' | 'paymentStatusDesc' | 'createdAt'>>
+}
+
+// 客户对账单类型
+export interface StatementRow {
+  date: string
+  orderNo: string
+  productName: string
+  specification: string
+  unit: string
+  quantity: number
+  unitPrice: number
+  amount: number
+  remark: string
+}
+
+export interface CustomerStatement {
+  customer: Pick<Customer, 'id' | 'name' | 'phone'>
+  startDate: string
+  endDate: string
+  orderCount: number
+  rows: StatementRow[]
+  totalAmount: number
+  totalAmountInWords: string
+  paidAmount: number
+  refundedAmount: number
+  netPaidAmount: number
+  creditAmount: number
+  outstandingAmount: number
+}
+
 // 客户专属价格类型
+export type RefundType = 'refund' | 'credit'
+
+export interface OrderReturnItem {
+  id: string
+  returnId: string
+  orderItemId: string
+  productId: string
+  productName: string
+  unit: string
+  conversionFactor: number
+  quantity: number
+  unitPrice: number
+  totalPrice: number
+}
+
+export interface OrderReturn {
+  id: string
+  returnNo: string
+  orderId: string
+  customerId: string
+  totalAmount: number
+  refundType: RefundType
+  refundAmount: number
+  reason?: string
+  createdBy?: string
+  items?: OrderReturnItem[]
+  customer?: Pick<Customer, 'id' | 'name' | 'phone'>
+  order?: Pick<Order, 'id' | 'orderNo'>
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateOrderReturnData {
+  items: Array<{
+    orderItemId: string
+    quantity: number
+  }>
+  refundType?: RefundType
+  refundAmount?: number
+  reason?: string
+}
+
 export interface CustomerPrice {
   id: string
   customerId: string
   productId: string
+  variantId: string
   price: number
   createdAt: string
   updatedAt: string
@@ -115,6 +446,9 @@ export interface ListParams {
 export interface SalesOverview {
   totalOrders: number
   totalAmount: number
+  grossAmount: number
+  returnAmount: number
+  totalReturns: number
   totalCustomers: number
   averageOrderAmount: number
 }
@@ -125,9 +459,122 @@ export interface TrendData {
   amount: number
 }
 
+// 热销商品（数量按基本单位汇总）
 export interface TopProduct {
   productId: string
   productName: string
+  unit: string
+  categoryId?: string
   totalQuantity: number
   totalAmount: number
+  returnQuantity: number
+  returnAmount: number
+  orderCount: number
+}
+
+// 热销分类（groupBy=category，按一级分类汇总）
+export interface TopCategory {
+  categoryId: string | null
+  categoryName: string
+  totalAmount: number
+  returnAmount: number
+  productCount: number
+}
+
+export interface ProfitStats {
+  revenue: number
+  cost: number
+  returnAmount: number
+  returnCost: number
+  grossProfit: number
+  margin: number
+}
+
+export interface ProfitAnalytics {
+  summary: ProfitStats & { missingCostItems: number }
+  byPeriod: Array<ProfitStats & { period: string }>
+  byProduct: Array<ProfitStats & { productId: string; productName: string; unit: string }>
+  byCustomer: Array<ProfitStats & { customerId: string; customerName: string }>
+}
+
+// 用户与权限类型
+export type UserRole = 'owner' | 'clerk' | 'driver' | 'viewer'
+
+export type Permission =
+  | 'order:write'
+  | 'payment:write'
+  | 'return:write'
+  | 'product:write'
+  | 'customer:write'
+  | 'inventory:write'
+  | 'purchase:write'
+  | 'cost:read'
+  | 'user:manage'
+  | 'config:write'
+  | 'import:write'
+  | 'merge:write'
+
+export interface User {
+  id: string
+  openid: string
+  name?: string
+  phone?: string
+  role: UserRole
+  roleDesc: string
+  permissions: Permission[]
+  isActive: boolean
+  lastActiveAt?: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateUserData {
+  openid: string
+  name?: string
+  phone?: string
+  role?: UserRole
+}
+
+export interface UpdateUserData {
+  name?: string
+  phone?: string
+  role?: UserRole
+  isActive?: boolean
+}
+
+export interface RoleInfo {
+  role: UserRole
+  description: string
+  permissions: Permission[]
+}
+
+// 订单流程配置
+export interface OrderWorkflowState {
+  status: string
+  label: string
+  editable?: boolean
+  confirmed?: boolean
+  returnable?: boolean
+  terminal?: boolean
+}
+
+export interface OrderWorkflowTransition {
+  from: string
+  to: string
+  roles: UserRole[]
+}
+
+export interface OrderWorkflow {
+  initialStatus: string
+  cancelStatus: string
+  states: OrderWorkflowState[]
+  transitions: OrderWorkflowTransition[]
+}
+
+// 订单号规则
+export interface OrderNumberPattern {
+  prefix: string
+  dateFormat: string
+  sequenceWidth: number
+  nextOrderNo?: string
 }